@@ -0,0 +1,226 @@
+const { getDb } = require('./db');
+
+// Data access for alert rules and the alerts they fire (the alert inbox)
+// Rules belong to one Klaviyo account (by the member who added it and its ID); recipient and delivery lists are stored as JSON
+
+// Helper function to map an alert_rules row
+function toRule(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    accountId: row.account_id,
+    name: row.name,
+    metric: row.metric,
+    scopeType: row.scope_type,
+    scopeId: row.scope_id,
+    scopeName: row.scope_name,
+    condition: row.condition,
+    threshold: row.threshold,
+    lookbackDays: row.lookback_days,
+    cron: row.cron,
+    timezone: row.timezone,
+    emailRecipients: JSON.parse(row.email_recipients),
+    webhookUrl: row.webhook_url,
+    enabled: row.enabled === 1,
+    state: row.state,
+    lastValue: row.last_value,
+    lastError: row.last_error,
+    lastEvaluatedAt: row.last_evaluated_at,
+    nextRunAt: row.next_run_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Helper function to map an alerts row
+function toAlert(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    accountId: row.account_id,
+    ruleName: row.rule_name,
+    message: row.message,
+    value: row.value,
+    baseline: row.baseline,
+    day: row.day,
+    deliveries: JSON.parse(row.deliveries),
+    firedAt: row.fired_at,
+    readAt: row.read_at
+  };
+}
+
+// Helper function to get the named parameters of a rule
+function toRuleParams(rule) {
+  return {
+    id: rule.id,
+    userId: rule.userId,
+    accountId: rule.accountId,
+    name: rule.name,
+    metric: rule.metric,
+    scopeType: rule.scopeType,
+    scopeId: rule.scopeId || null,
+    scopeName: rule.scopeName || null,
+    condition: rule.condition,
+    threshold: rule.threshold,
+    lookbackDays: rule.lookbackDays,
+    cron: rule.cron,
+    timezone: rule.timezone,
+    emailRecipients: JSON.stringify(rule.emailRecipients || []),
+    webhookUrl: rule.webhookUrl || null,
+    enabled: rule.enabled ? 1 : 0,
+    nextRunAt: rule.nextRunAt || null,
+    updatedAt: rule.updatedAt
+  };
+}
+
+// Rules of one account, in the order they were created
+function listRules(userId, accountId, db = getDb()) {
+  return db.prepare('SELECT * FROM alert_rules WHERE user_id = ? AND account_id = ? ORDER BY created_at, rowid')
+    .all(userId, accountId)
+    .map(toRule);
+}
+
+function findRule(userId, accountId, ruleId, db = getDb()) {
+  return toRule(db.prepare('SELECT * FROM alert_rules WHERE user_id = ? AND account_id = ? AND id = ?')
+    .get(userId, accountId, ruleId));
+}
+
+// Enabled rules of every user whose next evaluation is at or before the given time
+function listDueRules(now, db = getDb()) {
+  return db.prepare(`
+    SELECT * FROM alert_rules
+    WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+    ORDER BY next_run_at
+  `).all(new Date(now).toISOString()).map(toRule);
+}
+
+function insertRule(rule, db = getDb()) {
+  db.prepare(`
+    INSERT INTO alert_rules (id, user_id, account_id, name, metric, scope_type, scope_id, scope_name, condition, threshold,
+      lookback_days, cron, timezone, email_recipients, webhook_url, enabled, next_run_at, created_at, updated_at)
+    VALUES (@id, @userId, @accountId, @name, @metric, @scopeType, @scopeId, @scopeName, @condition, @threshold,
+      @lookbackDays, @cron, @timezone, @emailRecipients, @webhookUrl, @enabled, @nextRunAt, @createdAt, @updatedAt)
+  `).run({ ...toRuleParams(rule), createdAt: rule.createdAt });
+}
+
+// Replace the editable fields of a rule; the state is reset so a changed rule can fire again
+// Returns false if the rule does not exist
+function updateRule(rule, db = getDb()) {
+  const result = db.prepare(`
+    UPDATE alert_rules SET name = @name, metric = @metric, scope_type = @scopeType, scope_id = @scopeId,
+      scope_name = @scopeName, condition = @condition, threshold = @threshold, lookback_days = @lookbackDays,
+      cron = @cron, timezone = @timezone, email_recipients = @emailRecipients, webhook_url = @webhookUrl,
+      enabled = @enabled, next_run_at = @nextRunAt, state = 'ok', updated_at = @updatedAt
+    WHERE user_id = @userId AND account_id = @accountId AND id = @id
+  `).run(toRuleParams(rule));
+  return result.changes > 0;
+}
+
+// Returns false if the rule does not exist
+function deleteRule(userId, accountId, ruleId, db = getDb()) {
+  const result = db.prepare('DELETE FROM alert_rules WHERE user_id = ? AND account_id = ? AND id = ?')
+    .run(userId, accountId, ruleId);
+  return result.changes > 0;
+}
+
+// Move a rule's next evaluation (scheduled runs)
+function setRuleNextRun(ruleId, nextRunAt, db = getDb()) {
+  db.prepare('UPDATE alert_rules SET next_run_at = ? WHERE id = ?').run(nextRunAt, ruleId);
+}
+
+// Record the outcome of an evaluation: state is 'firing' while the condition holds, 'ok' otherwise
+function markRuleEvaluated(ruleId, { state, lastValue, lastEvaluatedAt }, db = getDb()) {
+  db.prepare('UPDATE alert_rules SET state = ?, last_value = ?, last_error = NULL, last_evaluated_at = ? WHERE id = ?')
+    .run(state, lastValue, lastEvaluatedAt, ruleId);
+}
+
+// Record an evaluation that could not run (e.g. Klaviyo errors); the state is kept
+function markRuleFailed(ruleId, { lastError, lastEvaluatedAt }, db = getDb()) {
+  db.prepare('UPDATE alert_rules SET last_error = ?, last_evaluated_at = ? WHERE id = ?')
+    .run(lastError, lastEvaluatedAt, ruleId);
+}
+
+function insertAlert(alert, db = getDb()) {
+  db.prepare(`
+    INSERT INTO alerts (id, rule_id, user_id, account_id, message, value, baseline, day, deliveries, fired_at)
+    VALUES (@id, @ruleId, @userId, @accountId, @message, @value, @baseline, @day, @deliveries, @firedAt)
+  `).run({
+    id: alert.id,
+    ruleId: alert.ruleId,
+    userId: alert.userId,
+    accountId: alert.accountId,
+    message: alert.message,
+    value: alert.value,
+    baseline: alert.baseline ?? null,
+    day: alert.day,
+    deliveries: JSON.stringify(alert.deliveries || []),
+    firedAt: alert.firedAt
+  });
+}
+
+// Store the delivery results (email, webhook) of an alert
+function updateAlertDeliveries(alertId, deliveries, db = getDb()) {
+  db.prepare('UPDATE alerts SET deliveries = ? WHERE id = ?').run(JSON.stringify(deliveries), alertId);
+}
+
+// Helper function to get the SQL condition matching the alerts of some accounts ({ userId, id }) and its parameters
+function getAccountsCondition(accounts) {
+  if (accounts.length === 0) {
+    return { condition: '0', params: [] };
+  }
+  return {
+    condition: `(${accounts.map(() => '(alerts.user_id = ? AND alerts.account_id = ?)').join(' OR ')})`,
+    params: accounts.flatMap(account => [account.userId, account.id])
+  };
+}
+
+// Alerts of some accounts ({ userId, id }, e.g. the accounts a member sees), most recent first, with the name of their rule
+// accountId and unreadOnly narrow the list
+function listAlerts(accounts, { accountId = null, unreadOnly = false, limit = 50 } = {}, db = getDb()) {
+  const { condition, params } = getAccountsCondition(accounts);
+  return db.prepare(`
+    SELECT alerts.*, alert_rules.name AS rule_name FROM alerts
+    JOIN alert_rules ON alert_rules.id = alerts.rule_id
+    WHERE ${condition}
+      AND (? IS NULL OR alerts.account_id = ?)
+      AND (? = 0 OR alerts.read_at IS NULL)
+    ORDER BY alerts.fired_at DESC, alerts.rowid DESC
+    LIMIT ?
+  `).all(...params, accountId, accountId, unreadOnly ? 1 : 0, limit).map(toAlert);
+}
+
+function countUnreadAlerts(accounts, db = getDb()) {
+  const { condition, params } = getAccountsCondition(accounts);
+  return db.prepare(`SELECT COUNT(*) AS count FROM alerts WHERE ${condition} AND read_at IS NULL`).get(...params).count;
+}
+
+// Mark one alert, or every unread alert of the accounts when alertId is null, as read
+// Alerts are shared by everyone who sees their account, so are their read marks
+// Returns the number of alerts changed
+function markAlertsRead(accounts, alertId = null, readAt = new Date().toISOString(), db = getDb()) {
+  const { condition, params } = getAccountsCondition(accounts);
+  const result = db.prepare(`
+    UPDATE alerts SET read_at = ?
+    WHERE ${condition} AND read_at IS NULL AND (? IS NULL OR id = ?)
+  `).run(readAt, ...params, alertId, alertId);
+  return result.changes;
+}
+
+module.exports = {
+  listRules,
+  findRule,
+  listDueRules,
+  insertRule,
+  updateRule,
+  deleteRule,
+  setRuleNextRun,
+  markRuleEvaluated,
+  markRuleFailed,
+  insertAlert,
+  updateAlertDeliveries,
+  listAlerts,
+  countUnreadAlerts,
+  markAlertsRead
+};
@@ -0,0 +1,220 @@
+const { parseCronExpression, getNextRunTime } = require('./cronSchedule');
+const { isValidTimezone, getZonedParts } = require('./dateRange');
+const { parseRecipients } = require('./reportEmail');
+const { isValidWebhookUrl } = require('./webhooks');
+const { isValidKlaviyoId } = require('./klaviyoClient');
+
+// Alert rules: a daily metric of a Klaviyo account (total, one campaign or one flow) checked on a schedule
+// The last complete day is compared with a threshold or with the previous lookbackDays days
+
+// Metrics a rule can watch; revenue and conversions come from the account's conversion metric
+const ALERT_METRICS = {
+  revenue: { label: 'Revenue', type: 'currency' },
+  conversions: { label: 'Conversions', type: 'count' },
+  recipients: { label: 'Recipients', type: 'count' },
+  opens: { label: 'Opens', type: 'count' },
+  clicks: { label: 'Clicks', type: 'count' },
+  open_rate: { label: 'Open rate', type: 'percent' },
+  click_rate: { label: 'Click rate', type: 'percent' }
+};
+
+const ALERT_SCOPES = ['total', 'campaign', 'flow'];
+
+// below: the day's value is under the threshold
+// drop: the day's value is at least threshold % under the trailing average
+// anomaly: the day's z-score against the trailing days is at least threshold (either direction)
+const ALERT_CONDITIONS = ['below', 'drop', 'anomaly'];
+
+const DEFAULT_LOOKBACK_DAYS = 7;
+const MIN_LOOKBACK_DAYS = 3;
+const MAX_LOOKBACK_DAYS = 60;
+// Rules are evaluated every morning unless they have their own schedule
+const DEFAULT_ALERT_CRON = '0 9 * * *';
+
+// Helper function to format a metric value for alert messages
+function formatMetricValue(metric, value, currency = 'USD') {
+  const number = Number(value) || 0;
+  const type = ALERT_METRICS[metric]?.type;
+  if (type === 'currency') {
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(number);
+    } catch (error) {
+      return `${currency} ${number.toFixed(2)}`;
+    }
+  }
+  if (type === 'percent') {
+    return `${number.toFixed(2)}%`;
+  }
+  return Math.round(number).toLocaleString('en-US');
+}
+
+// Validate the fields of an alert rule, applied over the current values when editing
+// Returns { rule } with the validated fields and next evaluation, or { error }
+function validateAlertRule(body, current = {}, now = new Date()) {
+  const fields = { ...current, ...body };
+  const name = String(fields.name || '').trim();
+
+  if (!name || name.length > 100) {
+    return { error: 'Rule name is required (at most 100 characters)' };
+  }
+  if (!ALERT_METRICS[fields.metric]) {
+    return { error: `Invalid metric. Supported metrics: ${Object.keys(ALERT_METRICS).join(', ')}` };
+  }
+  if (!ALERT_SCOPES.includes(fields.scopeType)) {
+    return { error: `Invalid scope. Supported scopes: ${ALERT_SCOPES.join(', ')}` };
+  }
+  const scopeId = fields.scopeType === 'total' ? null : String(fields.scopeId || '').trim();
+  if (fields.scopeType !== 'total' && !scopeId) {
+    return { error: `A ${fields.scopeType} is required for this scope` };
+  }
+  // The ID goes into the Klaviyo filters of the rule's checks
+  if (scopeId && !isValidKlaviyoId(scopeId)) {
+    return { error: `Invalid ${fields.scopeType} ID` };
+  }
+  if (!ALERT_CONDITIONS.includes(fields.condition)) {
+    return { error: `Invalid condition. Supported conditions: ${ALERT_CONDITIONS.join(', ')}` };
+  }
+
+  const threshold = Number(fields.threshold);
+  if (fields.threshold === null || fields.threshold === '' || !Number.isFinite(threshold) || threshold < 0) {
+    return { error: 'The threshold must be a number of at least 0' };
+  }
+  if (fields.condition === 'drop' && (threshold <= 0 || threshold > 100)) {
+    return { error: 'The drop threshold is a percentage between 0 and 100' };
+  }
+  if (fields.condition === 'anomaly' && threshold <= 0) {
+    return { error: 'The anomaly threshold is a z-score above 0 (e.g. 3)' };
+  }
+
+  const lookbackDays = Number(fields.lookbackDays ?? DEFAULT_LOOKBACK_DAYS);
+  if (!Number.isInteger(lookbackDays) || lookbackDays < MIN_LOOKBACK_DAYS || lookbackDays > MAX_LOOKBACK_DAYS) {
+    return { error: `The trailing window must be between ${MIN_LOOKBACK_DAYS} and ${MAX_LOOKBACK_DAYS} days` };
+  }
+  if (!isValidTimezone(fields.timezone)) {
+    return { error: `Unknown timezone "${fields.timezone}"` };
+  }
+
+  let emailRecipients = [];
+  if (fields.emailRecipients && fields.emailRecipients.length > 0) {
+    const parsed = parseRecipients(fields.emailRecipients);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    emailRecipients = parsed.recipients;
+  }
+  const webhookUrl = fields.webhookUrl ? String(fields.webhookUrl).trim() : null;
+  if (webhookUrl && !isValidWebhookUrl(webhookUrl)) {
+    return { error: 'The webhook URL must be an http or https URL' };
+  }
+
+  const cron = String(fields.cron || DEFAULT_ALERT_CRON).trim().replace(/\s+/g, ' ');
+  const enabled = fields.enabled !== false;
+  let nextRunAt;
+  try {
+    nextRunAt = getNextRunTime(parseCronExpression(cron), now, fields.timezone).toISOString();
+  } catch (error) {
+    return { error: `Invalid schedule: ${error.message}` };
+  }
+
+  return {
+    rule: {
+      name,
+      metric: fields.metric,
+      scopeType: fields.scopeType,
+      scopeId,
+      scopeName: scopeId ? String(fields.scopeName || scopeId).trim() : null,
+      condition: fields.condition,
+      threshold,
+      lookbackDays,
+      cron,
+      timezone: fields.timezone,
+      emailRecipients,
+      webhookUrl,
+      enabled,
+      nextRunAt: enabled ? nextRunAt : null
+    }
+  };
+}
+
+// Get the calendar days a rule looks at: the last complete day in the timezone and the lookbackDays days before it
+// Returns { start, end } as YYYY-MM-DD (inclusive), for resolveDateRange
+function getAlertDateRange(lookbackDays, timezone, now = new Date()) {
+  const today = getZonedParts(now, timezone);
+  const toDateString = offset => new Date(Date.UTC(today.year, today.month, today.day + offset)).toISOString().slice(0, 10);
+  return { start: toDateString(-1 - lookbackDays), end: toDateString(-1) };
+}
+
+// Check a rule's condition against a daily series (oldest first); the last value is the day being checked
+// Returns { triggered, value, baseline, standardDeviation, changePercent, zScore }
+function evaluateAlertCondition(rule, values) {
+  const value = values.length > 0 ? values[values.length - 1] : 0;
+  const history = values.slice(0, -1);
+  const baseline = history.length > 0 ? history.reduce((sum, entry) => sum + entry, 0) / history.length : null;
+  const variance = history.length > 1
+    ? history.reduce((sum, entry) => sum + (entry - baseline) ** 2, 0) / (history.length - 1)
+    : 0;
+  const standardDeviation = Math.sqrt(variance);
+  const changePercent = baseline ? ((value - baseline) / baseline) * 100 : null;
+
+  let zScore = null;
+  if (baseline !== null) {
+    if (standardDeviation > 0) {
+      zScore = (value - baseline) / standardDeviation;
+    } else {
+      // A perfectly flat history: any change is an anomaly
+      zScore = value === baseline ? 0 : Math.sign(value - baseline) * Infinity;
+    }
+  }
+
+  let triggered = false;
+  if (rule.condition === 'below') {
+    triggered = value < rule.threshold;
+  } else if (rule.condition === 'drop') {
+    triggered = baseline > 0 && changePercent <= -rule.threshold;
+  } else if (rule.condition === 'anomaly') {
+    triggered = zScore !== null && Math.abs(zScore) >= rule.threshold;
+  }
+
+  return { triggered, value, baseline, standardDeviation, changePercent, zScore };
+}
+
+// Describe what a rule watches, e.g. "Revenue of flow Abandoned Cart"
+function describeAlertTarget(rule) {
+  const label = ALERT_METRICS[rule.metric]?.label || rule.metric;
+  if (rule.scopeType === 'total') {
+    return `${label} (all campaigns and flows)`;
+  }
+  return `${label} of ${rule.scopeType} ${rule.scopeName || rule.scopeId}`;
+}
+
+// Build the message of a fired alert, e.g.
+// "Revenue of flow Abandoned Cart was $0.00 on 2024-03-10, 100.0% below the 7-day average of $512.30"
+function describeAlert(rule, result, { day, currency = 'USD' } = {}) {
+  const format = value => formatMetricValue(rule.metric, value, currency);
+  const head = `${describeAlertTarget(rule)} was ${format(result.value)} on ${day}`;
+  const average = result.baseline === null ? '' : `the ${rule.lookbackDays}-day average of ${format(result.baseline)}`;
+
+  if (rule.condition === 'below') {
+    return `${head}, below the threshold of ${format(rule.threshold)}`;
+  }
+  if (rule.condition === 'drop') {
+    return `${head}, ${Math.abs(result.changePercent).toFixed(1)}% below ${average}`;
+  }
+  const zScore = Number.isFinite(result.zScore) ? result.zScore.toFixed(1) : (result.zScore > 0 ? '+∞' : '-∞');
+  const direction = result.value > result.baseline ? 'above' : 'below';
+  return `${head}, unusually ${direction} ${average} (z-score ${zScore})`;
+}
+
+module.exports = {
+  ALERT_METRICS,
+  ALERT_SCOPES,
+  ALERT_CONDITIONS,
+  DEFAULT_LOOKBACK_DAYS,
+  DEFAULT_ALERT_CRON,
+  formatMetricValue,
+  validateAlertRule,
+  getAlertDateRange,
+  evaluateAlertCondition,
+  describeAlertTarget,
+  describeAlert
+};
@@ -0,0 +1,47 @@
+const { getDb } = require('./db');
+
+// Data access for the admin audit log: every change an administrator makes to a user, and every impersonation
+// The emails are copied into each entry so it still reads correctly after a user changes or is removed
+
+// Helper function to map an admin_audit_log row
+function toEntry(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    actorId: row.actor_id,
+    actorEmail: row.actor_email,
+    action: row.action,
+    targetUserId: row.target_user_id,
+    targetEmail: row.target_email,
+    details: JSON.parse(row.details),
+    createdAt: row.created_at
+  };
+}
+
+function insertAuditEntry(entry, db = getDb()) {
+  const result = db.prepare(`
+    INSERT INTO admin_audit_log (actor_id, actor_email, action, target_user_id, target_email, details, created_at)
+    VALUES (@actorId, @actorEmail, @action, @targetUserId, @targetEmail, @details, @createdAt)
+  `).run({
+    targetUserId: null,
+    targetEmail: null,
+    ...entry,
+    details: JSON.stringify(entry.details || {})
+  });
+  return toEntry(db.prepare('SELECT * FROM admin_audit_log WHERE id = ?').get(result.lastInsertRowid));
+}
+
+// Newest entries first, optionally only those about one user
+function listAuditEntries({ targetUserId = null, limit = 100 } = {}, db = getDb()) {
+  if (targetUserId) {
+    return db.prepare('SELECT * FROM admin_audit_log WHERE target_user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?')
+      .all(targetUserId, limit)
+      .map(toEntry);
+  }
+  return db.prepare('SELECT * FROM admin_audit_log ORDER BY created_at DESC, id DESC LIMIT ?').all(limit).map(toEntry);
+}
+
+module.exports = {
+  insertAuditEntry,
+  listAuditEntries
+};
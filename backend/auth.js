@@ -1,67 +1,104 @@
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const fs = require('fs').promises;
-const path = require('path');
+const { getDb } = require('./db');
+const userRepository = require('./userRepository');
+const organizationRepository = require('./organizationRepository');
+const { getVisibleAccounts, getRolePermissions, getInvitation, acceptInvitation } = require('./organizations');
+const { fingerprintApiKey } = require('./keyEncryption');
+const { IMPERSONATION_TTL_MINUTES } = require('./userAdmin');
 
-const USERS_FILE = path.join(__dirname, 'users.json');
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
-// Load users from file
-async function loadUsers() {
-  try {
-    const data = await fs.readFile(USERS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
-}
-
-// Save users to file
-async function saveUsers(users) {
-  try {
-    await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving users file:', error);
-    throw new Error('Failed to save user data');
-  }
-}
-
 // Register a new client
-async function registerClient(username, email, password, klaviyoApiKey = null, accountName = null) {
-  const users = await loadUsers();
+// klaviyoAccount ({ id, name }) is the Klaviyo account the API key belongs to, from key validation
+async function registerClient(username, email, password, klaviyoApiKey = null, accountName = null, klaviyoAccount = null) {
+  email = userRepository.normalizeEmail(email);
   
   // Check if user already exists
-  if (users.find(u => u.email === email)) {
+  if (userRepository.findUserByEmail(email)) {
     throw new Error('User with this email already exists');
   }
   
-  if (users.find(u => u.username === username)) {
+  if (userRepository.findUserByUsername(username)) {
     throw new Error('Username already taken');
   }
   
   // Hash password
   const hashedPassword = await bcrypt.hash(password, 10);
   
-  // Create new user with klaviyoAccounts array
+  // Create new user with its first Klaviyo account
   // Only add account if API key is provided
   const newUser = {
     id: Date.now().toString(),
     username,
     email,
     password: hashedPassword,
-    klaviyoApiKey: klaviyoApiKey || null, // Keep for backward compatibility
-    klaviyoAccounts: klaviyoApiKey ? [{
-      id: Date.now().toString(),
-      name: accountName || 'Default Account',
-      apiKey: klaviyoApiKey,
-      isActive: true,
-      createdAt: new Date().toISOString()
-    }] : [], // Empty array if no API key provided
+    createdAt: new Date().toISOString()
+  };
+  const accounts = klaviyoApiKey ? [{
+    id: Date.now().toString(),
+    name: accountName || klaviyoAccount?.name || 'Default Account',
+    apiKey: klaviyoApiKey,
+    klaviyoAccountId: klaviyoAccount?.id,
+    klaviyoAccountName: klaviyoAccount?.name,
+    isActive: true,
+    createdAt: new Date().toISOString()
+  }] : []; // No accounts if no API key provided
+  
+  try {
+    userRepository.createUser(newUser, accounts);
+  } catch (error) {
+    // A concurrent registration may have taken the email in the meantime
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      throw new Error('User with this email already exists');
+    }
+    throw error;
+  }
+  
+  return {
+    id: newUser.id,
+    username: newUser.username,
+    email: newUser.email
+  };
+}
+
+// Register a client through an organization invitation: they join that organization instead of getting their own
+// The email must be the invited address
+async function registerInvitedClient(username, email, password, inviteToken) {
+  email = userRepository.normalizeEmail(email);
+  const invitation = getInvitation(inviteToken);
+  if (invitation.email !== email) {
+    throw new Error(`This invitation is for ${invitation.email}`);
+  }
+  
+  if (userRepository.findUserByEmail(email)) {
+    throw new Error('User with this email already exists');
+  }
+  
+  if (userRepository.findUserByUsername(username)) {
+    throw new Error('Username already taken');
+  }
+  
+  const newUser = {
+    id: Date.now().toString(),
+    username,
+    email,
+    password: await bcrypt.hash(password, 10),
     createdAt: new Date().toISOString()
   };
   
-  users.push(newUser);
-  await saveUsers(users);
+  try {
+    const db = getDb();
+    db.transaction(() => {
+      userRepository.insertUser(newUser, db);
+      acceptInvitation(newUser.id, inviteToken);
+    })();
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      throw new Error('User with this email already exists');
+    }
+    throw error;
+  }
   
   return {
     id: newUser.id,
@@ -72,8 +109,7 @@ async function registerClient(username, email, password, klaviyoApiKey = null, a
 
 // Login user
 async function loginUser(email, password) {
-  const users = await loadUsers();
-  const user = users.find(u => u.email === email);
+  const user = userRepository.findUserByEmail(email);
   
   if (!user) {
     throw new Error('Invalid email or password');
@@ -85,54 +121,103 @@ async function loginUser(email, password) {
     throw new Error('Invalid email or password');
   }
   
+  // Disabled logins are only told so once the password is right
+  if (user.disabledAt) {
+    throw new Error('This account has been disabled. Contact support to enable it again');
+  }
+  
   // Generate JWT token
   const token = jwt.sign(
     { 
       id: user.id, 
       email: user.email,
-      username: user.username 
+      username: user.username,
+      sessionVersion: user.sessionVersion
     },
     JWT_SECRET,
     { expiresIn: '7d' }
   );
+  userRepository.updateLastLogin(user.id);
   
   return {
     token,
-    user: {
+    user: await getSessionUser(user.id)
+  };
+}
+
+// Helper function to describe the signed-in user in login and impersonation responses
+// The role comes with it so the dashboard opens in the right layout (client portal or agency)
+async function getSessionUser(userId) {
+  const profile = await getUserById(userId);
+  return {
+    id: profile.id,
+    username: profile.username,
+    email: profile.email,
+    isAdmin: profile.isAdmin,
+    organization: profile.organization,
+    role: profile.role,
+    permissions: profile.permissions
+  };
+}
+
+// Create a support session: a short-lived token for the user that names the administrator (impersonatorId)
+// Returns { token, user } like loginUser; the last login of the user is left alone
+async function createImpersonationSession(userId, adminId) {
+  const user = userRepository.findUserById(userId);
+  const token = jwt.sign(
+    {
       id: user.id,
+      email: user.email,
       username: user.username,
-      email: user.email
-    }
+      sessionVersion: user.sessionVersion,
+      impersonatorId: adminId
+    },
+    JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+  );
+  
+  return {
+    token,
+    user: await getSessionUser(user.id)
   };
 }
 
-// Get user by ID
+// Get a member's accounts: the accounts of their organization they see, with isActive on the one they work in
+// (the first one when their active account was removed or is not theirs to see)
+function getMemberAccounts(membership) {
+  const accounts = getVisibleAccounts(membership, userRepository.listOrganizationAccounts(membership.organizationId));
+  const active = accounts.find(acc => acc.id === membership.activeAccountId) || accounts[0];
+  return accounts.map(acc => ({ ...acc, isActive: acc === active }));
+}
+
+// Get user by ID, with their current organization, role and accounts
 async function getUserById(userId) {
-  const users = await loadUsers();
-  const user = users.find(u => u.id === userId);
+  const user = userRepository.findUserById(userId);
   
   if (!user) {
     return null;
   }
   
-  // Migrate old format to new format if needed
-  if (!user.klaviyoAccounts && user.klaviyoApiKey) {
-    user.klaviyoAccounts = [{
-      id: `${userId}_${Date.now()}`,
-      name: 'Default Account',
-      apiKey: user.klaviyoApiKey,
-      isActive: true,
-      createdAt: user.createdAt || new Date().toISOString()
-    }];
-    await saveUsers(users);
-  }
+  const membership = organizationRepository.findCurrentMembership(userId);
   
+  // Accounts carry encryptedApiKey; only getUserApiKey in server.js decrypts it
   return {
     id: user.id,
     username: user.username,
     email: user.email,
-    klaviyoApiKey: user.klaviyoApiKey, // Keep for backward compatibility
-    klaviyoAccounts: user.klaviyoAccounts || []
+    isAdmin: user.isAdmin,
+    disabledAt: user.disabledAt || null,
+    sessionVersion: user.sessionVersion,
+    organization: membership ? { id: membership.organizationId, name: membership.organizationName } : null,
+    role: membership?.role || null,
+    permissions: getRolePermissions(membership?.role),
+    membership,
+    organizations: organizationRepository.listMemberships(userId).map(entry => ({
+      id: entry.organizationId,
+      name: entry.organizationName,
+      role: entry.role
+    })),
+    klaviyoAccounts: membership ? getMemberAccounts(membership) : []
   };
 }
 
@@ -144,89 +229,64 @@ async function getActiveKlaviyoAccount(userId) {
   const accounts = user.klaviyoAccounts || [];
   const activeAccount = accounts.find(acc => acc.isActive);
   
-  // If no active account, return the first one or the legacy klaviyoApiKey
-  if (activeAccount) {
-    return activeAccount;
-  }
-  
-  if (accounts.length > 0) {
-    return accounts[0];
-  }
-  
-  // Fallback to legacy klaviyoApiKey
-  if (user.klaviyoApiKey) {
-    return {
-      id: 'legacy',
-      name: 'Legacy Account',
-      apiKey: user.klaviyoApiKey,
-      isActive: true
-    };
-  }
-  
-  return null;
+  // If no active account, return the first one
+  return activeAccount || accounts[0] || null;
 }
 
-// Add a new Klaviyo account to a user
-async function addKlaviyoAccount(userId, accountName, apiKey) {
-  const users = await loadUsers();
-  const user = users.find(u => u.id === userId);
+// Get a Klaviyo account by the member who added it (schedules and alert rules keep that reference)
+async function getKlaviyoAccount(userId, accountId) {
+  return userRepository.findAccount(userId, accountId);
+}
+
+// Helper function to get a user's current organization, for account changes
+async function getUserOrganization(userId) {
+  const user = await getUserById(userId);
   
   if (!user) {
     throw new Error('User not found');
   }
   
-  // Initialize klaviyoAccounts if it doesn't exist
-  if (!user.klaviyoAccounts) {
-    user.klaviyoAccounts = [];
+  if (!user.organization) {
+    throw new Error('You are not a member of any organization');
   }
   
-  // Check if API key already exists
-  if (user.klaviyoAccounts.find(acc => acc.apiKey === apiKey)) {
+  return user;
+}
+
+// Add a new Klaviyo account to the user's current organization
+// Without an account name, the Klaviyo account name is used
+async function addKlaviyoAccount(userId, accountName, apiKey, klaviyoAccount = null) {
+  const user = await getUserOrganization(userId);
+  const organizationAccounts = userRepository.listOrganizationAccounts(user.organization.id);
+  
+  // Check if API key already exists (keys are stored encrypted, so compare fingerprints)
+  const apiKeyFingerprint = fingerprintApiKey(apiKey);
+  if (organizationAccounts.find(acc => acc.apiKeyFingerprint === apiKeyFingerprint)) {
     throw new Error('This API key is already added');
   }
   
-  // Set all existing accounts to inactive
-  user.klaviyoAccounts.forEach(acc => {
-    acc.isActive = false;
-  });
-  
-  // Add new account as active
+  // Add new account as the user's active account
   const newAccount = {
     id: `${userId}_${Date.now()}`,
-    name: accountName || 'New Account',
+    organizationId: user.organization.id,
+    name: accountName || klaviyoAccount?.name || 'New Account',
     apiKey: apiKey,
-    isActive: true,
+    klaviyoAccountId: klaviyoAccount?.id,
+    klaviyoAccountName: klaviyoAccount?.name,
     createdAt: new Date().toISOString()
   };
   
-  user.klaviyoAccounts.push(newAccount);
-  await saveUsers(users);
+  userRepository.addActiveAccount(userId, newAccount);
   
-  return newAccount;
+  return { ...userRepository.findOrganizationAccount(user.organization.id, newAccount.id), isActive: true };
 }
 
-// Switch active Klaviyo account
+// Switch active Klaviyo account (one of the accounts the user sees)
 async function switchKlaviyoAccount(userId, accountId) {
   try {
-    const users = await loadUsers();
-    const user = users.find(u => u.id === userId);
-    
-    if (!user) {
-      throw new Error('User not found');
-    }
+    const user = await getUserOrganization(userId);
     
-    // Migrate old format if needed
-    if (!user.klaviyoAccounts && user.klaviyoApiKey) {
-      user.klaviyoAccounts = [{
-        id: `${userId}_${Date.now()}`,
-        name: 'Default Account',
-        apiKey: user.klaviyoApiKey,
-        isActive: true,
-        createdAt: user.createdAt || new Date().toISOString()
-      }];
-    }
-    
-    if (!user.klaviyoAccounts || user.klaviyoAccounts.length === 0) {
+    if (user.klaviyoAccounts.length === 0) {
       throw new Error('No Klaviyo accounts found');
     }
     
@@ -236,67 +296,77 @@ async function switchKlaviyoAccount(userId, accountId) {
       throw new Error('Account not found');
     }
     
-    // Set all accounts to inactive, then activate the selected one
-    user.klaviyoAccounts.forEach(acc => {
-      acc.isActive = (acc.id === accountId);
-    });
+    organizationRepository.setActiveAccount(user.organization.id, userId, accountId);
     
-    await saveUsers(users);
-    
-    return accountToActivate;
+    return { ...accountToActivate, isActive: true };
   } catch (error) {
     console.error('Error in switchKlaviyoAccount:', error);
     throw error;
   }
 }
 
-// Delete a Klaviyo account
-async function deleteKlaviyoAccount(userId, accountId) {
-  const users = await loadUsers();
-  const user = users.find(u => u.id === userId);
+// Set the conversion metric and optional secondary metric of a Klaviyo account of the user's organization
+// Metric IDs are checked against the account's metric list by the caller; null resets to the default
+async function setKlaviyoAccountMetrics(userId, accountId, { conversionMetricId = null, secondaryMetricId = null }) {
+  const user = await getUserOrganization(userId);
   
-  if (!user) {
-    throw new Error('User not found');
+  if (!userRepository.updateAccountMetrics(user.organization.id, accountId, { conversionMetricId, secondaryMetricId })) {
+    throw new Error('Account not found');
   }
   
-  if (!user.klaviyoAccounts || user.klaviyoAccounts.length === 0) {
+  return userRepository.findOrganizationAccount(user.organization.id, accountId);
+}
+
+// Set the logo and accent color of an account's PDF reports
+async function setKlaviyoAccountBranding(userId, accountId, { reportLogo = null, reportAccentColor = null }) {
+  const user = await getUserOrganization(userId);
+  
+  if (!userRepository.updateAccountBranding(user.organization.id, accountId, { reportLogo, reportAccentColor })) {
+    throw new Error('Account not found');
+  }
+  
+  return userRepository.findOrganizationAccount(user.organization.id, accountId);
+}
+
+// Delete a Klaviyo account of the user's organization
+async function deleteKlaviyoAccount(userId, accountId) {
+  const user = await getUserOrganization(userId);
+  const organizationAccounts = userRepository.listOrganizationAccounts(user.organization.id);
+  
+  if (organizationAccounts.length === 0) {
     throw new Error('No Klaviyo accounts found');
   }
   
   // Can't delete if it's the only account
-  if (user.klaviyoAccounts.length === 1) {
+  if (organizationAccounts.length === 1) {
     throw new Error('Cannot delete the only account');
   }
   
-  const accountIndex = user.klaviyoAccounts.findIndex(acc => acc.id === accountId);
-  if (accountIndex === -1) {
+  if (!organizationAccounts.some(acc => acc.id === accountId)) {
     throw new Error('Account not found');
   }
   
-  const wasActive = user.klaviyoAccounts[accountIndex].isActive;
-  
-  // Remove the account
-  user.klaviyoAccounts.splice(accountIndex, 1);
-  
-  // If the deleted account was active, activate the first remaining account
-  if (wasActive && user.klaviyoAccounts.length > 0) {
-    user.klaviyoAccounts[0].isActive = true;
-  }
-  
-  await saveUsers(users);
+  // Remove the account; members who had it active fall back to their first remaining account
+  userRepository.deleteAccount(user.organization.id, accountId);
   
   return { success: true };
 }
 
-// Get all users (without sensitive data)
-async function getAllUsers() {
-  const users = await loadUsers();
-  return users.map(user => ({
-    id: user.id,
-    username: user.username,
-    email: user.email,
-    createdAt: user.createdAt
-  }));
+// Get every Klaviyo account of every organization (used by the background sync worker)
+// Accounts sharing an API key are returned once
+async function getAllKlaviyoAccounts() {
+  const seenKeys = new Set();
+  
+  return userRepository.listAllAccounts().filter(account => {
+    if (!account.encryptedApiKey || seenKeys.has(account.apiKeyFingerprint)) return false;
+    seenKeys.add(account.apiKeyFingerprint);
+    return true;
+  });
+}
+
+// Get every organization's copy of a Klaviyo account (organizations adding the same API key share its sync job)
+async function getKlaviyoAccountsByFingerprint(apiKeyFingerprint) {
+  return userRepository.listAllAccounts().filter(account => account.apiKeyFingerprint === apiKeyFingerprint);
 }
 
 // Verify JWT token
@@ -310,13 +380,19 @@ function verifyToken(token) {
 
 module.exports = {
   registerClient,
+  registerInvitedClient,
   loginUser,
+  createImpersonationSession,
   getUserById,
-  getAllUsers,
+  getAllKlaviyoAccounts,
+  getKlaviyoAccountsByFingerprint,
   verifyToken,
   getActiveKlaviyoAccount,
+  getKlaviyoAccount,
   addKlaviyoAccount,
   switchKlaviyoAccount,
+  setKlaviyoAccountMetrics,
+  setKlaviyoAccountBranding,
   deleteKlaviyoAccount
 };
 
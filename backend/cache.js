@@ -0,0 +1,242 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fingerprintApiKey } = require('./keyEncryption');
+
+// How long each kind of cached data stays fresh (milliseconds)
+// Metric IDs and account timezone/currency rarely change, aggregates only for a few minutes
+const CACHE_TTLS = {
+  metrics: 6 * 60 * 60 * 1000,
+  account: 24 * 60 * 60 * 1000,
+  aggregates: (parseInt(process.env.CACHE_AGGREGATE_TTL_MINUTES) || 10) * 60 * 1000
+};
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, 'cache.json');
+
+// In-memory store (default)
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    return [...this.entries.keys()];
+  }
+}
+
+// JSON file store so the cache survives restarts (CACHE_STORE=file)
+class FileStore extends MemoryStore {
+  constructor(filePath = DEFAULT_CACHE_FILE) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writing = Promise.resolve();
+  }
+
+  // Load the cache file once, on first use
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8')
+        .then(data => {
+          Object.entries(JSON.parse(data)).forEach(([key, entry]) => this.entries.set(key, entry));
+        })
+        .catch(() => {});
+    }
+    return this.loaded;
+  }
+
+  // Write the whole cache to disk, one write at a time
+  persist() {
+    this.writing = this.writing
+      .then(() => fs.writeFile(this.filePath, JSON.stringify(Object.fromEntries(this.entries)), 'utf8'))
+      .catch(error => console.error('Error saving cache file:', error.message));
+    return this.writing;
+  }
+
+  async get(key) {
+    await this.load();
+    return super.get(key);
+  }
+
+  async set(key, entry) {
+    await this.load();
+    await super.set(key, entry);
+    await this.persist();
+  }
+
+  async delete(key) {
+    await this.load();
+    await super.delete(key);
+    await this.persist();
+  }
+
+  async keys() {
+    await this.load();
+    return super.keys();
+  }
+}
+
+// SQLite store in the app database (CACHE_STORE=sqlite)
+class SqliteStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async get(key) {
+    const row = this.db.prepare('SELECT entry FROM cache_entries WHERE key = ?').get(key);
+    return row ? JSON.parse(row.entry) : null;
+  }
+
+  async set(key, entry) {
+    this.db.prepare('INSERT OR REPLACE INTO cache_entries (key, entry) VALUES (?, ?)').run(key, JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    this.db.prepare('DELETE FROM cache_entries WHERE key = ?').run(key);
+  }
+
+  async keys() {
+    return this.db.prepare('SELECT key FROM cache_entries').all().map(row => row.key);
+  }
+}
+
+// Pick the store from CACHE_STORE (memory, file or sqlite)
+function createCacheStore() {
+  if (process.env.CACHE_STORE === 'file') {
+    return new FileStore(process.env.CACHE_FILE || DEFAULT_CACHE_FILE);
+  }
+  if (process.env.CACHE_STORE === 'sqlite') {
+    // Required here so the memory and file stores work without the database
+    const { getDb } = require('./db');
+    return new SqliteStore(getDb());
+  }
+  return new MemoryStore();
+}
+
+// TTL cache for Klaviyo responses
+class ResponseCache {
+  constructor(store = new MemoryStore()) {
+    this.store = store;
+    this.pending = new Map();
+  }
+
+  // Get a fresh entry ({ value, cachedAt, expiresAt }) or null
+  async get(key) {
+    const entry = await this.store.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.store.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, value, ttl) {
+    const now = Date.now();
+    const entry = {
+      value,
+      cachedAt: new Date(now).toISOString(),
+      expiresAt: now + ttl
+    };
+    await this.store.set(key, entry);
+    return entry;
+  }
+
+  // Return the cached value for key, or compute and cache it
+  // With refresh the cached value is ignored and replaced
+  // Empty results (null/undefined) are returned but not cached
+  // Concurrent misses for the same key share one computation
+  async wrap(key, ttl, compute, { refresh = false } = {}) {
+    if (!refresh) {
+      const cached = await this.get(key);
+      if (cached) {
+        return { value: cached.value, cachedAt: cached.cachedAt, fromCache: true };
+      }
+    }
+
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const promise = (async () => {
+      const value = await compute();
+      if (value === null || value === undefined) {
+        return { value, cachedAt: null, fromCache: false };
+      }
+      const entry = await this.set(key, value, ttl);
+      return { value, cachedAt: entry.cachedAt, fromCache: false };
+    })();
+
+    this.pending.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  // Remove every entry whose key starts with prefix (e.g. all entries of one account)
+  async invalidate(prefix) {
+    const keys = await this.store.keys();
+    await Promise.all(keys.filter(key => key.startsWith(prefix)).map(key => this.store.delete(key)));
+  }
+
+  // Drop expired entries
+  async prune() {
+    const keys = await this.store.keys();
+    for (const key of keys) {
+      await this.get(key);
+    }
+  }
+}
+
+// Cache namespace for a Klaviyo account, derived from its API key so the key itself is never stored
+function getAccountCacheKey(apiKey) {
+  return getAccountCacheKeyFromFingerprint(fingerprintApiKey(apiKey));
+}
+
+// Same namespace from a stored account's apiKeyFingerprint, without decrypting its key
+function getAccountCacheKeyFromFingerprint(apiKeyFingerprint) {
+  return apiKeyFingerprint.slice(0, 16);
+}
+
+// Build a cache key from the account, a name and the query parameters
+// Query parameters are sorted so the same query always maps to the same key; `refresh` is ignored
+function buildCacheKey(accountKey, name, query = {}) {
+  const params = Object.keys(query)
+    .filter(param => param !== 'refresh' && query[param] !== undefined && query[param] !== '')
+    .sort()
+    .map(param => `${param}=${query[param]}`)
+    .join('&');
+  return `${accountKey}:${name}${params ? `?${params}` : ''}`;
+}
+
+// Whether the request asked to bypass the cache (?refresh=true)
+function isRefreshRequested(req) {
+  return req.query.refresh === 'true' || req.query.refresh === '1';
+}
+
+module.exports = {
+  CACHE_TTLS,
+  MemoryStore,
+  FileStore,
+  SqliteStore,
+  ResponseCache,
+  createCacheStore,
+  getAccountCacheKey,
+  getAccountCacheKeyFromFingerprint,
+  buildCacheKey,
+  isRefreshRequested
+};
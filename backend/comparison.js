@@ -0,0 +1,85 @@
+// Metrics that get period-over-period deltas
+const SUMMARY_DELTA_FIELDS = ['totalRevenue', 'campaignRevenue', 'flowRevenue', 'openRate', 'clickRate', 'conversions', 'secondaryConversions', 'secondaryRevenue'];
+const ROW_DELTA_FIELDS = ['revenue', 'openRate', 'clickRate', 'conversions', 'secondaryConversions'];
+
+// Helper function to sum a numeric field over table rows
+function sumField(rows, field) {
+  return rows.reduce((acc, row) => acc + (Number(row[field]) || 0), 0);
+}
+
+// Summarize dashboard data (as returned by buildDashboardData) into comparable totals
+function summarizeDashboardData(data) {
+  const campaigns = data.campaigns || [];
+  const flows = data.flows || [];
+  const rows = [...campaigns, ...flows];
+
+  const recipients = sumField(rows, 'recipients');
+  const opens = sumField(rows, 'opens');
+  const clicks = sumField(rows, 'clicks');
+
+  return {
+    totalRevenue: data.totalRevenue || 0,
+    campaignRevenue: sumField(campaigns, 'revenue'),
+    flowRevenue: sumField(flows, 'revenue'),
+    recipients,
+    opens,
+    clicks,
+    openRate: recipients > 0 ? (opens / recipients) * 100 : 0,
+    clickRate: recipients > 0 ? (clicks / recipients) * 100 : 0,
+    conversions: sumField(rows, 'conversions'),
+    // Totals of the secondary metric (0 without one)
+    secondaryConversions: data.secondaryMetric?.conversions || 0,
+    secondaryRevenue: data.secondaryMetric?.value || 0
+  };
+}
+
+// Delta between a current and previous value
+// changePercent is null when there is no previous value to compare against
+function computeDelta(current, previous) {
+  const currentValue = Number(current) || 0;
+  const previousValue = Number(previous) || 0;
+  const change = currentValue - previousValue;
+
+  return {
+    previous: previousValue,
+    change,
+    changePercent: previousValue !== 0 ? (change / Math.abs(previousValue)) * 100 : null
+  };
+}
+
+// Deltas for every summary metric
+function compareSummaries(current, previous) {
+  const deltas = {};
+  SUMMARY_DELTA_FIELDS.forEach(field => {
+    deltas[field] = computeDelta(current[field], previous[field]);
+  });
+  return deltas;
+}
+
+// Attach a `comparison` object to each campaign/flow row, matched by ID against the previous period
+// Rows that did not exist in the previous period get `comparison: null`
+function attachRowComparisons(rows, previousRows) {
+  const previousById = new Map(previousRows.map(row => [row.id, row]));
+
+  rows.forEach(row => {
+    const previousRow = previousById.get(row.id);
+    if (!previousRow) {
+      row.comparison = null;
+      return;
+    }
+
+    row.comparison = {};
+    ROW_DELTA_FIELDS.forEach(field => {
+      row.comparison[field] = computeDelta(row[field], previousRow[field]);
+    });
+  });
+
+  return rows;
+}
+
+module.exports = {
+  summarizeDashboardData,
+  computeDelta,
+  compareSummaries,
+  attachRowComparisons
+};
@@ -0,0 +1,93 @@
+// Conversion metrics: the Klaviyo metric whose events count as conversions (and carry the revenue value)
+// Each Klaviyo account chooses its conversion metric from its metric list, plus an optional secondary metric
+// shown next to it (e.g. "Started Checkout" next to "Ordered Product")
+// Accounts that have not chosen one use the "Placed Order" metric
+
+const DEFAULT_CONVERSION_METRIC_NAMES = ['Placed Order', 'placed-order'];
+
+// Helper function to describe a Klaviyo metric resource
+function toMetricInfo(metric) {
+  return {
+    id: metric.id,
+    name: metric.attributes?.name || metric.id,
+    integration: metric.attributes?.integration?.name || metric.attributes?.integration || null
+  };
+}
+
+// Helper function to get an account's metric choice: { conversionMetricId, secondaryMetricId } (null for the defaults)
+function getAccountMetricSettings(account) {
+  return {
+    conversionMetricId: account?.conversionMetricId || null,
+    secondaryMetricId: account?.secondaryMetricId || null
+  };
+}
+
+// Query parameters identifying the metric choice in cache and snapshot keys,
+// so views computed for another conversion metric are never reused
+function getMetricSettingsKey(settings = {}) {
+  return {
+    conversionMetric: settings.conversionMetricId || 'default',
+    secondaryMetric: settings.secondaryMetricId || 'none'
+  };
+}
+
+// Find the conversion metric (and the secondary metric when one is chosen) in an account's metric list
+// Returns { conversion, secondary } as { id, name, integration }; conversion is null when the chosen metric
+// (or "Placed Order" by default) does not exist, and a chosen secondary metric that no longer exists is ignored
+function resolveConversionMetrics(metrics, settings = {}) {
+  const conversionMetric = settings.conversionMetricId
+    ? metrics.find(metric => metric.id === settings.conversionMetricId)
+    : metrics.find(metric => DEFAULT_CONVERSION_METRIC_NAMES.includes(metric.attributes?.name));
+  const secondaryMetric = settings.secondaryMetricId
+    ? metrics.find(metric => metric.id === settings.secondaryMetricId)
+    : null;
+
+  return {
+    conversion: conversionMetric ? toMetricInfo(conversionMetric) : null,
+    secondary: secondaryMetric && secondaryMetric.id !== conversionMetric?.id ? toMetricInfo(secondaryMetric) : null
+  };
+}
+
+// Error message for an account whose conversion metric is missing
+function getMissingConversionMetricError(settings = {}) {
+  return settings.conversionMetricId
+    ? 'The conversion metric chosen for this account no longer exists in Klaviyo. Choose another one in the account settings.'
+    : 'Placed Order metric not found. Choose the conversion metric of this account in the account settings.';
+}
+
+// Find the conversion or secondary metric a `status` query parameter names (by metric name or ID)
+// Without a status the conversion metric is used; returns null for any other metric
+function findConversionMetricByStatus(conversionMetrics, status) {
+  const { conversion, secondary } = conversionMetrics;
+  if (!status) {
+    return conversion;
+  }
+  return [conversion, secondary].find(metric => metric && (metric.name === status || metric.id === status)) || null;
+}
+
+// Check a metric choice against an account's metric list
+// Returns an error message, or null when both metrics exist
+function validateMetricSettings(metrics, { conversionMetricId, secondaryMetricId }) {
+  const ids = new Set(metrics.map(metric => metric.id));
+  if (conversionMetricId && !ids.has(conversionMetricId)) {
+    return `Unknown conversion metric "${conversionMetricId}"`;
+  }
+  if (secondaryMetricId && !ids.has(secondaryMetricId)) {
+    return `Unknown secondary metric "${secondaryMetricId}"`;
+  }
+  if (secondaryMetricId && secondaryMetricId === conversionMetricId) {
+    return 'The secondary metric must differ from the conversion metric';
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CONVERSION_METRIC_NAMES,
+  toMetricInfo,
+  getAccountMetricSettings,
+  getMetricSettingsKey,
+  resolveConversionMetrics,
+  getMissingConversionMetricError,
+  findConversionMetricByStatus,
+  validateMetricSettings
+};
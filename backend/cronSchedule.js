@@ -0,0 +1,117 @@
+// Cron-like schedules for report delivery
+// Supports the standard 5 fields (minute hour day-of-month month day-of-week) with
+// "*", lists ("1,15"), ranges ("1-5") and steps ("*/15", "0-30/10"). Day of week 0 and 7 are Sunday.
+const { getZonedParts, zonedTimeToUTC } = require('./dateRange');
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Schedules are searched at most this many days ahead (covers e.g. "0 8 29 2 *")
+const MAX_LOOKAHEAD_DAYS = 366 * 8;
+
+// Helper function to parse one cron field into a sorted list of allowed values
+function parseCronField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} field "${value}"`);
+    }
+
+    let from = min;
+    let to = max;
+    if (match[2] !== undefined) {
+      from = Number(match[2]);
+      to = match[3] !== undefined ? Number(match[3]) : (match[4] !== undefined ? max : from);
+    }
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+
+    if (from < min || to > max || from > to) {
+      throw new Error(`The ${name} field "${value}" must be between ${min} and ${max}`);
+    }
+    if (step < 1) {
+      throw new Error(`Invalid step in the ${name} field "${value}"`);
+    }
+
+    for (let current = from; current <= to; current += step) {
+      allowed.add(current);
+    }
+  }
+
+  return [...allowed].sort((a, b) => a - b);
+}
+
+// Parse a 5-field cron expression, throwing an error describing the first invalid field
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    // Sunday can be written as 0 or 7
+    daysOfWeek: [...new Set(daysOfWeek.map(day => day % 7))],
+    // Like cron, when both day fields are restricted a day matches if either of them does
+    restrictedDayOfMonth: fields[2] !== '*',
+    restrictedDayOfWeek: fields[4] !== '*'
+  };
+}
+
+// Helper function to check whether a calendar day matches the day fields of a schedule
+function matchesDay(schedule, { year, month, day }) {
+  if (!schedule.months.includes(month + 1)) {
+    return false;
+  }
+
+  const dayOfMonthMatch = schedule.daysOfMonth.includes(day);
+  const dayOfWeekMatch = schedule.daysOfWeek.includes(new Date(Date.UTC(year, month, day)).getUTCDay());
+
+  if (schedule.restrictedDayOfMonth && schedule.restrictedDayOfWeek) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+  return dayOfMonthMatch && dayOfWeekMatch;
+}
+
+// Get the first run time of a cron expression strictly after the given instant,
+// with the expression evaluated on the wall clock of the timezone
+function getNextRunTime(expression, after = new Date(), timezone = 'UTC') {
+  const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  const afterTime = new Date(after).getTime();
+  const today = getZonedParts(new Date(afterTime), timezone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month, today.day + offset));
+    const calendarDay = { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+    if (!matchesDay(schedule, calendarDay)) {
+      continue;
+    }
+
+    for (const hour of schedule.hours) {
+      for (const minute of schedule.minutes) {
+        const runTime = zonedTimeToUTC(calendarDay.year, calendarDay.month, calendarDay.day, hour, minute, timezone);
+        if (runTime.getTime() > afterTime) {
+          return runTime;
+        }
+      }
+    }
+  }
+
+  throw new Error('The cron expression never matches a date');
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextRunTime
+};
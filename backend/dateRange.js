@@ -0,0 +1,247 @@
+// Date range presets supported by the dashboard endpoints
+const DATE_RANGE_PRESETS = {
+  last_7_days: 'Last 7 days',
+  last_30_days: 'Last 30 days',
+  this_month: 'This month',
+  last_month: 'Last month',
+  last_quarter: 'Last quarter',
+  ytd: 'Year to date'
+};
+
+const DEFAULT_PRESET = 'last_30_days';
+
+// Comparison windows supported by the dashboard endpoints
+const COMPARISON_MODES = ['none', 'previous_period', 'previous_year'];
+
+// Klaviyo's metric-aggregates endpoint rejects ranges longer than one year
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Get the calendar date/time parts of an instant as seen in a timezone
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month') - 1,
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+}
+
+// Offset (in ms) between a timezone's wall clock and UTC at the given instant
+function getTimezoneOffset(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  const wallClockAsUTC = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock time of a calendar day in a timezone to a UTC Date
+// Month/day/hour may overflow (e.g. day 0 or month -1), Date.UTC normalizes them
+function zonedTimeToUTC(year, month, day, hour, minute, timezone) {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  const offset = getTimezoneOffset(new Date(wallClock), timezone);
+  let utc = wallClock - offset;
+
+  // Re-check the offset at the computed instant in case a DST change happens in between
+  const correctedOffset = getTimezoneOffset(new Date(utc), timezone);
+  if (correctedOffset !== offset) {
+    utc = wallClock - correctedOffset;
+  }
+
+  return new Date(utc);
+}
+
+// Convert midnight of a calendar day in a timezone to a UTC Date
+function zonedMidnightToUTC(year, month, day, timezone) {
+  return zonedTimeToUTC(year, month, day, 0, 0, timezone);
+}
+
+// Normalize an overflowing calendar date into { year, month, day }
+function normalizeCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+function formatCalendarDate({ year, month, day }) {
+  return new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+}
+
+function formatLabelDate({ year, month, day }) {
+  return new Date(Date.UTC(year, month, day)).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+// Number of days in a month (month is 0-based)
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function parseCalendarDate(value, name) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    throw new Error(`Invalid ${name} date "${value}". Use the YYYY-MM-DD format`);
+  }
+
+  const date = normalizeCalendarDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (formatCalendarDate(date) !== value) {
+    throw new Error(`Invalid ${name} date "${value}"`);
+  }
+  return date;
+}
+
+// Check that a timezone name is known
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Validate a timezone name, falling back to UTC for unknown zones
+function normalizeTimezone(timezone) {
+  if (isValidTimezone(timezone || 'UTC')) {
+    return timezone || 'UTC';
+  }
+  console.log(`Unknown timezone "${timezone}", using UTC`);
+  return 'UTC';
+}
+
+// Get the first and last (inclusive) calendar days of a preset, relative to "today" in the timezone
+function getPresetDays(preset, today) {
+  const { year, month, day } = today;
+
+  switch (preset) {
+    case 'last_7_days':
+      return { first: normalizeCalendarDate(year, month, day - 6), last: today };
+    case 'last_30_days':
+      return { first: normalizeCalendarDate(year, month, day - 29), last: today };
+    case 'this_month':
+      return { first: { year, month, day: 1 }, last: today };
+    case 'last_month':
+      return { first: normalizeCalendarDate(year, month - 1, 1), last: normalizeCalendarDate(year, month, 0) };
+    case 'last_quarter': {
+      const quarterStartMonth = Math.floor(month / 3) * 3;
+      return {
+        first: normalizeCalendarDate(year, quarterStartMonth - 3, 1),
+        last: normalizeCalendarDate(year, quarterStartMonth, 0)
+      };
+    }
+    case 'ytd':
+      return { first: { year, month: 0, day: 1 }, last: today };
+    default:
+      throw new Error(`Unknown date range preset "${preset}". Supported presets: ${Object.keys(DATE_RANGE_PRESETS).join(', ')}`);
+  }
+}
+
+// Resolve a date range from request query parameters: either start/end (YYYY-MM-DD, inclusive)
+// or a preset key. Calendar days are interpreted in the account timezone; the returned
+// start/end are UTC ISO timestamps and end is exclusive (midnight after the last day).
+function resolveDateRange(query = {}, timezone = 'UTC', now = new Date()) {
+  const zone = normalizeTimezone(timezone);
+  const { preset, start, end } = query;
+
+  let first;
+  let last;
+  let key;
+  let label;
+
+  if (start || end) {
+    if (!start || !end) {
+      throw new Error('Both start and end dates are required for a custom date range');
+    }
+    first = parseCalendarDate(start, 'start');
+    last = parseCalendarDate(end, 'end');
+    key = 'custom';
+    label = `${formatLabelDate(first)} – ${formatLabelDate(last)}`;
+  } else {
+    key = preset || DEFAULT_PRESET;
+    const today = getZonedParts(now, zone);
+    ({ first, last } = getPresetDays(key, { year: today.year, month: today.month, day: today.day }));
+    label = DATE_RANGE_PRESETS[key];
+  }
+
+  const dateRange = buildDateRange(first, last, zone, key, label);
+  const duration = new Date(dateRange.end) - new Date(dateRange.start);
+
+  if (duration <= 0) {
+    throw new Error('The start date must be on or before the end date');
+  }
+  if (duration > MAX_RANGE_DAYS * DAY_MS) {
+    throw new Error(`Date ranges can span at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  return dateRange;
+}
+
+// Build a resolved date range from first/last (inclusive) calendar days
+function buildDateRange(first, last, timezone, key, label) {
+  return {
+    key,
+    label,
+    timezone,
+    start: zonedMidnightToUTC(first.year, first.month, first.day, timezone).toISOString(),
+    end: zonedMidnightToUTC(last.year, last.month, last.day + 1, timezone).toISOString(),
+    startDate: formatCalendarDate(first),
+    endDate: formatCalendarDate(last)
+  };
+}
+
+// Get the comparison window for a resolved date range:
+// - previous_period: the same number of days immediately before the range
+// - previous_year: the same calendar days one year earlier (Feb 29 maps to Feb 28)
+function getComparisonRange(dateRange, mode) {
+  const first = parseCalendarDate(dateRange.startDate, 'start');
+  const last = parseCalendarDate(dateRange.endDate, 'end');
+  let previousFirst;
+  let previousLast;
+
+  if (mode === 'previous_period') {
+    const days = Math.round((Date.UTC(last.year, last.month, last.day) - Date.UTC(first.year, first.month, first.day)) / DAY_MS) + 1;
+    previousFirst = normalizeCalendarDate(first.year, first.month, first.day - days);
+    previousLast = normalizeCalendarDate(first.year, first.month, first.day - 1);
+  } else if (mode === 'previous_year') {
+    const shiftYear = ({ year, month, day }) => ({
+      year: year - 1,
+      month,
+      day: Math.min(day, getDaysInMonth(year - 1, month))
+    });
+    previousFirst = shiftYear(first);
+    previousLast = shiftYear(last);
+  } else {
+    throw new Error(`Unknown comparison "${mode}". Supported values: ${COMPARISON_MODES.join(', ')}`);
+  }
+
+  const label = `${formatLabelDate(previousFirst)} – ${formatLabelDate(previousLast)}`;
+  return buildDateRange(previousFirst, previousLast, dateRange.timezone, mode, label);
+}
+
+module.exports = {
+  DATE_RANGE_PRESETS,
+  DEFAULT_PRESET,
+  COMPARISON_MODES,
+  resolveDateRange,
+  getComparisonRange,
+  zonedMidnightToUTC,
+  zonedTimeToUTC,
+  getZonedParts,
+  isValidTimezone
+};
@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { isEncrypted, encryptSecret, fingerprintApiKey } = require('./keyEncryption');
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, 'data', 'dashboard.db');
+
+// Schema migrations, applied in order and recorded in schema_migrations
+// `up` is SQL, or a function for data migrations
+// Never edit a migration that has shipped; add a new one instead
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_users_and_klaviyo_accounts',
+    up: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        password TEXT NOT NULL,
+        klaviyo_api_key TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE klaviyo_accounts (
+        id TEXT NOT NULL,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        api_key TEXT NOT NULL,
+        is_active INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, id)
+      );
+
+      CREATE INDEX idx_klaviyo_accounts_api_key ON klaviyo_accounts(api_key);
+    `
+  },
+  {
+    version: 2,
+    name: 'create_snapshots',
+    up: `
+      CREATE TABLE snapshots (
+        account_key TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        synced_at TEXT NOT NULL,
+        PRIMARY KEY (account_key, key)
+      );
+    `
+  },
+  {
+    version: 3,
+    name: 'create_cache_entries',
+    up: `
+      CREATE TABLE cache_entries (
+        key TEXT PRIMARY KEY,
+        entry TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 4,
+    name: 'encrypt_klaviyo_api_keys',
+    up: (db) => {
+      db.exec('ALTER TABLE klaviyo_accounts ADD COLUMN api_key_fingerprint TEXT');
+
+      // Legacy users.klaviyo_api_key duplicates the first account's key; users without accounts get one
+      const now = new Date().toISOString();
+      db.prepare(`
+        SELECT * FROM users
+        WHERE klaviyo_api_key IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM klaviyo_accounts WHERE user_id = users.id)
+      `).all().forEach(user => {
+        db.prepare(`
+          INSERT INTO klaviyo_accounts (id, user_id, name, api_key, is_active, created_at)
+          VALUES (?, ?, 'Default Account', ?, 1, ?)
+        `).run(`${user.id}_${Date.now()}`, user.id, user.klaviyo_api_key, user.created_at || now);
+      });
+      db.exec('UPDATE users SET klaviyo_api_key = NULL');
+
+      // Encrypt plaintext keys
+      const update = db.prepare('UPDATE klaviyo_accounts SET api_key = ?, api_key_fingerprint = ? WHERE rowid = ?');
+      db.prepare('SELECT rowid, api_key FROM klaviyo_accounts').all().forEach(row => {
+        if (isEncrypted(row.api_key)) return;
+        update.run(encryptSecret(row.api_key), fingerprintApiKey(row.api_key), row.rowid);
+      });
+    }
+  },
+  {
+    version: 5,
+    name: 'add_klaviyo_account_details',
+    up: `
+      ALTER TABLE klaviyo_accounts ADD COLUMN klaviyo_account_id TEXT;
+      ALTER TABLE klaviyo_accounts ADD COLUMN klaviyo_account_name TEXT;
+    `
+  },
+  {
+    version: 6,
+    name: 'add_conversion_metrics',
+    up: `
+      ALTER TABLE klaviyo_accounts ADD COLUMN conversion_metric_id TEXT;
+      ALTER TABLE klaviyo_accounts ADD COLUMN secondary_metric_id TEXT;
+    `
+  },
+  {
+    version: 7,
+    name: 'add_report_branding',
+    up: `
+      ALTER TABLE klaviyo_accounts ADD COLUMN report_logo TEXT;
+      ALTER TABLE klaviyo_accounts ADD COLUMN report_accent_color TEXT;
+    `
+  },
+  {
+    version: 8,
+    name: 'create_report_schedules',
+    up: `
+      CREATE TABLE report_schedules (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        account_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        cron TEXT NOT NULL,
+        timezone TEXT NOT NULL,
+        format TEXT NOT NULL,
+        recipients TEXT NOT NULL,
+        date_preset TEXT NOT NULL,
+        compare TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        next_run_at TEXT,
+        last_run_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (user_id, account_id) REFERENCES klaviyo_accounts(user_id, id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_report_schedules_account ON report_schedules(user_id, account_id);
+      CREATE INDEX idx_report_schedules_next_run ON report_schedules(enabled, next_run_at);
+
+      CREATE TABLE report_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule_id TEXT NOT NULL REFERENCES report_schedules(id) ON DELETE CASCADE,
+        status TEXT NOT NULL,
+        trigger TEXT NOT NULL,
+        recipients TEXT NOT NULL,
+        message_id TEXT,
+        error TEXT,
+        sent_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_report_deliveries_schedule ON report_deliveries(schedule_id, sent_at);
+    `
+  },
+  {
+    version: 9,
+    name: 'create_alert_rules_and_alerts',
+    up: `
+      CREATE TABLE alert_rules (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        account_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        scope_type TEXT NOT NULL,
+        scope_id TEXT,
+        scope_name TEXT,
+        condition TEXT NOT NULL,
+        threshold REAL NOT NULL,
+        lookback_days INTEGER NOT NULL,
+        cron TEXT NOT NULL,
+        timezone TEXT NOT NULL,
+        email_recipients TEXT NOT NULL,
+        webhook_url TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        state TEXT NOT NULL DEFAULT 'ok',
+        last_value REAL,
+        last_error TEXT,
+        last_evaluated_at TEXT,
+        next_run_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (user_id, account_id) REFERENCES klaviyo_accounts(user_id, id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_alert_rules_account ON alert_rules(user_id, account_id);
+      CREATE INDEX idx_alert_rules_next_run ON alert_rules(enabled, next_run_at);
+
+      CREATE TABLE alerts (
+        id TEXT PRIMARY KEY,
+        rule_id TEXT NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL,
+        account_id TEXT NOT NULL,
+        message TEXT NOT NULL,
+        value REAL NOT NULL,
+        baseline REAL,
+        day TEXT NOT NULL,
+        deliveries TEXT NOT NULL,
+        fired_at TEXT NOT NULL,
+        read_at TEXT
+      );
+
+      CREATE INDEX idx_alerts_user ON alerts(user_id, fired_at);
+    `
+  },
+  {
+    version: 10,
+    name: 'create_webhooks',
+    up: `
+      CREATE TABLE webhook_subscriptions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        description TEXT,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_webhook_subscriptions_user ON webhook_subscriptions(user_id);
+
+      CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        subscription_id TEXT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        response_status INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        last_attempt_at TEXT,
+        delivered_at TEXT
+      );
+
+      CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+      CREATE INDEX idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+    `
+  },
+  {
+    version: 11,
+    name: 'create_organizations',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE organizations (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE organization_members (
+          organization_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          role TEXT NOT NULL,
+          active_account_id TEXT,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (organization_id, user_id)
+        );
+
+        CREATE INDEX idx_organization_members_user ON organization_members(user_id);
+
+        CREATE TABLE organization_member_accounts (
+          organization_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          account_id TEXT NOT NULL,
+          PRIMARY KEY (organization_id, user_id, account_id),
+          FOREIGN KEY (organization_id, user_id) REFERENCES organization_members(organization_id, user_id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE organization_invitations (
+          id TEXT PRIMARY KEY,
+          organization_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+          email TEXT NOT NULL,
+          role TEXT NOT NULL,
+          account_ids TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          invited_by TEXT,
+          created_at TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          accepted_at TEXT,
+          accepted_by TEXT
+        );
+
+        CREATE INDEX idx_organization_invitations_organization ON organization_invitations(organization_id, created_at);
+
+        ALTER TABLE users ADD COLUMN organization_id TEXT;
+        ALTER TABLE klaviyo_accounts ADD COLUMN organization_id TEXT;
+        CREATE INDEX idx_klaviyo_accounts_organization ON klaviyo_accounts(organization_id);
+      `);
+
+      // Every existing user becomes the owner of an organization holding their accounts
+      // The active account moves from klaviyo_accounts.is_active to the membership
+      db.prepare('SELECT * FROM users').all().forEach(user => {
+        const organizationId = `org_${user.id}`;
+        const active = db.prepare('SELECT id FROM klaviyo_accounts WHERE user_id = ? ORDER BY is_active DESC, created_at, rowid LIMIT 1')
+          .get(user.id);
+        db.prepare('INSERT INTO organizations (id, name, created_at) VALUES (?, ?, ?)')
+          .run(organizationId, `${user.username}'s organization`, user.created_at);
+        db.prepare(`
+          INSERT INTO organization_members (organization_id, user_id, role, active_account_id, created_at)
+          VALUES (?, ?, 'owner', ?, ?)
+        `).run(organizationId, user.id, active ? active.id : null, user.created_at);
+        db.prepare('UPDATE users SET organization_id = ? WHERE id = ?').run(organizationId, user.id);
+        db.prepare('UPDATE klaviyo_accounts SET organization_id = ? WHERE user_id = ?').run(organizationId, user.id);
+      });
+
+      db.exec('ALTER TABLE klaviyo_accounts DROP COLUMN is_active');
+    }
+  },
+  {
+    version: 12,
+    name: 'add_organization_branding',
+    up: `
+      ALTER TABLE organizations ADD COLUMN logo TEXT;
+      ALTER TABLE organizations ADD COLUMN accent_color TEXT;
+    `
+  },
+  {
+    version: 13,
+    name: 'add_user_administration',
+    up: `
+      ALTER TABLE users ADD COLUMN last_login_at TEXT;
+      ALTER TABLE users ADD COLUMN disabled_at TEXT;
+
+      CREATE TABLE admin_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id TEXT NOT NULL,
+        actor_email TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target_user_id TEXT,
+        target_email TEXT,
+        details TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_admin_audit_log_created ON admin_audit_log(created_at);
+      CREATE INDEX idx_admin_audit_log_target ON admin_audit_log(target_user_id, created_at);
+    `
+  },
+  {
+    version: 14,
+    name: 'normalize_user_emails_and_admin_flag',
+    // Emails are stored trimmed and lowercase, and are unique whatever their case
+    // Administrators are flagged on their user (npm run grant-admin) instead of being matched by email
+    up: (db) => {
+      const users = db.prepare('SELECT id, email FROM users').all();
+      const owners = new Map();
+      users.forEach(user => {
+        const email = user.email.trim().toLowerCase();
+        if (owners.has(email)) {
+          throw new Error(`Users ${owners.get(email)} and ${user.id} share the email ${email}; change one of them before upgrading`);
+        }
+        owners.set(email, user.id);
+      });
+
+      const updateEmail = db.prepare('UPDATE users SET email = ? WHERE id = ?');
+      users.forEach(user => updateEmail.run(user.email.trim().toLowerCase(), user.id));
+
+      db.exec(`
+        CREATE UNIQUE INDEX idx_users_email_nocase ON users(email COLLATE NOCASE);
+        ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0;
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'add_user_session_version',
+    // Tokens carry the session version they were issued for; changing the password bumps it and ends older sessions
+    up: `
+      ALTER TABLE users ADD COLUMN session_version INTEGER NOT NULL DEFAULT 0;
+    `
+  },
+  {
+    version: 16,
+    name: 'add_alert_rule_webhooks',
+    // The webhook URL of an alert rule gets a subscription of its own, so alerts are signed, retried and logged too
+    up: `
+      ALTER TABLE webhook_subscriptions ADD COLUMN alert_rule_id TEXT REFERENCES alert_rules(id) ON DELETE CASCADE;
+
+      CREATE UNIQUE INDEX idx_webhook_subscriptions_alert_rule ON webhook_subscriptions(alert_rule_id);
+    `
+  }
+];
+
+// Apply every migration newer than the database's current version
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );
+  `);
+
+  const currentVersion = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+
+  pending.forEach(migration => {
+    db.transaction(() => {
+      if (typeof migration.up === 'function') {
+        migration.up(db);
+      } else {
+        db.exec(migration.up);
+      }
+      db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+        .run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`Applied database migration ${migration.version} (${migration.name})`);
+  });
+
+  return pending.length;
+}
+
+// Open a database and bring its schema up to date
+// Use ':memory:' for a throwaway database
+function openDatabase(filePath = DEFAULT_DATABASE_PATH) {
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+  return db;
+}
+
+let sharedDb = null;
+
+// Shared connection for the app (DATABASE_PATH, default backend/data/dashboard.db)
+function getDb() {
+  if (!sharedDb) {
+    sharedDb = openDatabase(process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH);
+  }
+  return sharedDb;
+}
+
+module.exports = {
+  MIGRATIONS,
+  DEFAULT_DATABASE_PATH,
+  runMigrations,
+  openDatabase,
+  getDb
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { getDb } = require('./db');
+const userRepository = require('./userRepository');
+
+const USERS_FILE = path.join(__dirname, 'users.json');
+
+// Helper function to turn a users.json user into database accounts
+// Users saved before multi-account support only have klaviyoApiKey
+function getUserAccounts(user) {
+  if (Array.isArray(user.klaviyoAccounts) && user.klaviyoAccounts.length > 0) {
+    const seenIds = new Set();
+    return user.klaviyoAccounts
+      .filter(account => account.apiKey)
+      .map((account, index) => {
+        // Account IDs must be unique per user
+        const id = account.id && !seenIds.has(account.id) ? account.id : `${user.id}_${index}`;
+        seenIds.add(id);
+        return {
+          id,
+          name: account.name || 'Default Account',
+          apiKey: account.apiKey,
+          isActive: Boolean(account.isActive),
+          createdAt: account.createdAt || user.createdAt || new Date().toISOString()
+        };
+      });
+  }
+
+  if (user.klaviyoApiKey) {
+    return [{
+      id: `${user.id}_${Date.now()}`,
+      name: 'Default Account',
+      apiKey: user.klaviyoApiKey,
+      isActive: true,
+      createdAt: user.createdAt || new Date().toISOString()
+    }];
+  }
+
+  return [];
+}
+
+// Import users and their Klaviyo accounts from a users.json file
+// Users that already exist (same ID or email) are skipped, so running it twice is safe
+// The file is renamed to users.json.imported afterwards so the import only happens once
+function importUsersJson(filePath = USERS_FILE, db = getDb()) {
+  if (!fs.existsSync(filePath)) {
+    return { imported: 0, skipped: 0 };
+  }
+
+  const users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  let imported = 0;
+  let skipped = 0;
+
+  db.transaction(() => {
+    users.forEach(user => {
+      if (!user.id || !user.email || !user.password) {
+        skipped++;
+        return;
+      }
+      if (userRepository.findUserById(user.id, db) || userRepository.findUserByEmail(user.email, db)) {
+        skipped++;
+        return;
+      }
+
+      userRepository.createUser({
+        id: user.id,
+        username: user.username || user.email,
+        email: user.email,
+        password: user.password,
+        createdAt: user.createdAt || new Date().toISOString()
+      }, getUserAccounts(user), db);
+      imported++;
+    });
+  })();
+
+  fs.renameSync(filePath, `${filePath}.imported`);
+  console.log(`Imported ${imported} users from ${filePath} (${skipped} skipped)`);
+  return { imported, skipped };
+}
+
+module.exports = {
+  importUsersJson
+};
+
+// Run directly to import a file: node importUsers.js [path/to/users.json]
+if (require.main === module) {
+  try {
+    importUsersJson(process.argv[2] ? path.resolve(process.argv[2]) : USERS_FILE);
+  } catch (error) {
+    console.error('Error importing users:', error.message);
+    process.exit(1);
+  }
+}
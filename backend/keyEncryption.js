@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+// Envelope encryption for stored Klaviyo API keys
+// Each secret is encrypted with its own random data key (AES-256-GCM), and the data key is
+// encrypted ("wrapped") with the master key from API_KEY_ENCRYPTION_KEY.
+// Rotating the master key only re-wraps the data keys.
+//
+// Stored format: enc:v1:<master key id>:<wrapped data key>:<encrypted secret>
+// (both parts are base64 of iv + auth tag + ciphertext)
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const DEV_MASTER_KEY = 'dev-api-key-encryption-key-change-in-production';
+
+// Helper function to turn a configured master key into 32 bytes
+// Accepts 32 bytes as base64 or hex; any other string is hashed (fine for development only)
+function parseMasterKey(value) {
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+  const decoded = Buffer.from(value, 'base64');
+  if (decoded.length === 32) {
+    return decoded;
+  }
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Helper function to identify a master key without revealing it
+function getMasterKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+let warnedAboutDevKey = false;
+
+// Current master key, plus previous ones (API_KEY_ENCRYPTION_KEY_PREVIOUS, comma-separated) for decrypting
+function getMasterKeys() {
+  let current = process.env.API_KEY_ENCRYPTION_KEY;
+  if (!current) {
+    if (!warnedAboutDevKey) {
+      console.warn('API_KEY_ENCRYPTION_KEY is not set, using a development key to encrypt Klaviyo API keys');
+      warnedAboutDevKey = true;
+    }
+    current = DEV_MASTER_KEY;
+  }
+
+  const previous = (process.env.API_KEY_ENCRYPTION_KEY_PREVIOUS || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+  // The development key is always accepted so data written before a key was configured can be rotated
+  if (current !== DEV_MASTER_KEY) {
+    previous.push(DEV_MASTER_KEY);
+  }
+
+  const currentKey = parseMasterKey(current);
+  const keys = new Map([[getMasterKeyId(currentKey), currentKey]]);
+  previous.map(parseMasterKey).forEach(key => {
+    const id = getMasterKeyId(key);
+    if (!keys.has(id)) keys.set(id, key);
+  });
+
+  return { currentId: getMasterKeyId(currentKey), currentKey, keys };
+}
+
+// Helper function for AES-256-GCM: returns iv + tag + ciphertext
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+// Helper function to reverse seal()
+function open(key, sealed) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const ciphertext = sealed.subarray(IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+// Helper function to split a stored value and find the master key that wrapped it
+function parseEncrypted(value) {
+  const [, , keyId, wrappedKey, data] = value.split(':');
+  const { keys } = getMasterKeys();
+  const masterKey = keys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Unknown master key ${keyId}. Set API_KEY_ENCRYPTION_KEY_PREVIOUS to the key it was encrypted with.`);
+  }
+  return {
+    keyId,
+    masterKey,
+    wrappedKey: Buffer.from(wrappedKey, 'base64'),
+    data
+  };
+}
+
+// Encrypt a secret with a new data key wrapped by the current master key
+function encryptSecret(plaintext) {
+  const { currentId, currentKey } = getMasterKeys();
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(currentKey, dataKey);
+  const data = seal(dataKey, Buffer.from(plaintext, 'utf8'));
+  return [PREFIX, currentId, wrappedKey.toString('base64'), data.toString('base64')].join(':');
+}
+
+// Decrypt a value produced by encryptSecret
+function decryptSecret(value) {
+  const { masterKey, wrappedKey, data } = parseEncrypted(value);
+  const dataKey = open(masterKey, wrappedKey);
+  return open(dataKey, Buffer.from(data, 'base64')).toString('utf8');
+}
+
+// Re-wrap the data key of an encrypted value with the current master key
+// Returns the value unchanged if it already uses the current master key
+function rewrapSecret(value) {
+  const { currentId, currentKey } = getMasterKeys();
+  const { keyId, masterKey, wrappedKey, data } = parseEncrypted(value);
+  if (keyId === currentId) {
+    return value;
+  }
+  const dataKey = open(masterKey, wrappedKey);
+  return [PREFIX, currentId, seal(currentKey, dataKey).toString('base64'), data].join(':');
+}
+
+// Stable, non-reversible identifier of an API key (for duplicate checks and cache keys)
+function fingerprintApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+module.exports = {
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  fingerprintApiKey
+};
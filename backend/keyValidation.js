@@ -0,0 +1,94 @@
+const { KlaviyoClient } = require('./klaviyoClient');
+
+// Read scopes the dashboard uses, each checked with a one-page request
+// `required` scopes are needed to load the dashboard; keys missing them are rejected
+const SCOPE_CHECKS = [
+  { scope: 'accounts:read', required: true, path: '/accounts/' },
+  { scope: 'metrics:read', required: true, path: '/metrics/' },
+  { scope: 'campaigns:read', required: true, path: '/campaigns/', params: { 'filter': "equals(messages.channel,'email')" } },
+  { scope: 'flows:read', required: true, path: '/flows/', params: { 'page[size]': 1 } },
+  { scope: 'events:read', required: false, path: '/events/', params: { 'page[size]': 1 } }
+];
+
+// Helper function to check if API key is a public key (the 6-character site ID, not a private pk_ key)
+function isPublicKey(apiKey) {
+  return /^[A-Za-z0-9]{6}$/.test(apiKey.trim());
+}
+
+// Helper function to get the Klaviyo error message of a failed request
+function getErrorDetail(error) {
+  return error.response?.data?.errors?.[0]?.detail || error.message;
+}
+
+// Test an API key against Klaviyo before it is stored
+// Returns { valid, error, missingScopes, warnings, klaviyoAccount: { id, name } }
+// A key is valid if it authenticates and has every required scope; missing optional scopes become warnings
+async function validateApiKey(apiKey, options = {}) {
+  const result = {
+    valid: false,
+    error: null,
+    missingScopes: [],
+    warnings: [],
+    klaviyoAccount: null
+  };
+
+  if (!apiKey || !apiKey.trim()) {
+    result.error = 'API key is required';
+    return result;
+  }
+
+  if (isPublicKey(apiKey)) {
+    result.error = 'This is a public API key (site ID). The dashboard needs a private API key (pk_...) with read access.';
+    return result;
+  }
+
+  // No cache and few retries: this runs while the user waits
+  const klaviyo = new KlaviyoClient(apiKey.trim(), { timeout: 10000, maxRetries: 1, ...options });
+
+  for (const check of SCOPE_CHECKS) {
+    try {
+      const response = await klaviyo.get(check.path, check.params);
+      if (check.scope === 'accounts:read') {
+        const account = response?.data?.[0];
+        result.klaviyoAccount = account ? {
+          id: account.id,
+          name: account.attributes?.contact_information?.organization_name || null
+        } : null;
+      }
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 401) {
+        result.error = 'Invalid Klaviyo API key. Check that it was copied correctly and has not been revoked.';
+        return result;
+      }
+      if (status === 403) {
+        result.missingScopes.push(check.scope);
+        continue;
+      }
+      // Klaviyo could not be reached, so the key can't be verified
+      throw new Error(`Could not validate the API key with Klaviyo: ${getErrorDetail(error)}`);
+    }
+  }
+
+  const missingRequired = SCOPE_CHECKS
+    .filter(check => check.required && result.missingScopes.includes(check.scope))
+    .map(check => check.scope);
+
+  if (missingRequired.length > 0) {
+    result.error = `This API key is missing scopes the dashboard needs: ${missingRequired.join(', ')}. Create a private API key with read access to these scopes.`;
+    return result;
+  }
+
+  result.missingScopes.forEach(scope => {
+    result.warnings.push(`This API key has no ${scope} scope, so views based on it (attribution, events) will not load.`);
+  });
+
+  result.valid = true;
+  return result;
+}
+
+module.exports = {
+  SCOPE_CHECKS,
+  isPublicKey,
+  validateApiKey
+};
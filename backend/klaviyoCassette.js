@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Record and replay of Klaviyo API calls ("cassettes"), to reproduce offline what Klaviyo returned to an account
+// KLAVIYO_CASSETTE_MODE=record writes the request/response pairs of every Klaviyo call the backend makes
+// KLAVIYO_CASSETTE_MODE=replay computes /api/revenue/total from a recorded cassette without calling Klaviyo
+// Each account has its own cassette directory under KLAVIYO_CASSETTE_DIR (default backend/cassettes):
+//   <dir>/<account key>/cassette.json  - { accountKey, klaviyoAccount, firstRecordedAt, lastRecordedAt }
+//   <dir>/<account key>/<method>-<resource>-<request hash>.json
+//                                      - { request: { method, path, query, body }, response: { status, body }, recordedAt }
+// The account key is the hashed key used for caching; API keys are never written (the Authorization header
+// is not recorded and any occurrence of the key in a request or response is scrubbed)
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, 'cassettes');
+const MANIFEST_FILE = 'cassette.json';
+const SCRUBBED = '[SCRUBBED]';
+// Klaviyo private API keys, scrubbed even when they are not the key of the recording client
+const PRIVATE_KEY_PATTERN = /pk_[A-Za-z0-9]{20,}/g;
+
+// Cassette names are directory names, so only allow plain names (no path separators)
+const CASSETTE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Error for a replayed request that is not in the cassette
+class CassetteMissError extends Error {
+  constructor(request) {
+    super(`No recorded Klaviyo response for ${request.method} ${request.path} in this cassette`);
+    this.name = 'CassetteMissError';
+    this.request = request;
+  }
+}
+
+// Helper function to get the cassette mode (KLAVIYO_CASSETTE_MODE: off, record or replay)
+function getCassetteMode() {
+  const mode = (process.env.KLAVIYO_CASSETTE_MODE || 'off').toLowerCase();
+  if (!CASSETTE_MODES.includes(mode)) {
+    console.warn(`Unknown KLAVIYO_CASSETTE_MODE "${mode}", cassettes are off. Supported values: ${CASSETTE_MODES.join(', ')}`);
+    return 'off';
+  }
+  return mode;
+}
+
+// Helper function to get the directory holding the cassettes
+function getCassetteDir() {
+  return process.env.KLAVIYO_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+}
+
+// Helper function to check a cassette name (a directory name under the cassette directory)
+function isValidCassetteName(name) {
+  return typeof name === 'string' && CASSETTE_NAME_PATTERN.test(name);
+}
+
+// Helper function to replace API keys in a JSON value
+function scrubApiKey(value, apiKey) {
+  if (value === undefined) {
+    return undefined;
+  }
+  let json = JSON.stringify(value);
+  if (apiKey) {
+    json = json.split(apiKey).join(SCRUBBED);
+  }
+  return JSON.parse(json.replace(PRIVATE_KEY_PATTERN, SCRUBBED));
+}
+
+// Helper function to sort an object's keys so equal queries serialize the same way
+function sortKeys(object) {
+  return Object.keys(object).sort().reduce((sorted, key) => {
+    sorted[key] = object[key];
+    return sorted;
+  }, {});
+}
+
+// Describe a Klaviyo request independently of the server it was sent to
+// url is a path relative to the base URL, or an absolute URL (links.next of a paginated list)
+// Returns { method, path, query, body } with the base path (/api) removed from the path
+function normalizeRequest(baseUrl, method, url, params, data) {
+  const base = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+  const target = new URL(url.replace(/^\//, ''), base);
+  const basePath = base.pathname.replace(/\/$/, '');
+
+  let requestPath = target.pathname;
+  if (basePath && requestPath.startsWith(basePath)) {
+    requestPath = requestPath.slice(basePath.length);
+  }
+
+  const query = {};
+  target.searchParams.forEach((value, key) => {
+    query[key] = value;
+  });
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      query[key] = String(value);
+    }
+  });
+
+  return {
+    method: method.toUpperCase(),
+    path: requestPath,
+    query: sortKeys(query),
+    body: data === undefined ? null : data
+  };
+}
+
+// A cassette directory for one account
+class KlaviyoCassette {
+  constructor(directory, { mode = 'record', accountKey = path.basename(directory), apiKey = null } = {}) {
+    this.directory = directory;
+    this.mode = mode;
+    this.accountKey = accountKey;
+    // Only used to scrub the key from recordings, never written
+    this.apiKey = apiKey;
+    // Replayed requests that were not recorded ("METHOD /path")
+    this.misses = [];
+  }
+
+  // Get the file name of a request: method, resource and a hash of the scrubbed request
+  getInteractionFile(request) {
+    const scrubbed = scrubApiKey(request, this.apiKey);
+    const hash = crypto.createHash('sha256').update(JSON.stringify(scrubbed)).digest('hex').slice(0, 16);
+    const resource = scrubbed.path.replace(/^\/|\/$/g, '').replace(/[^A-Za-z0-9]+/g, '-') || 'root';
+    return path.join(this.directory, `${scrubbed.method.toLowerCase()}-${resource}-${hash}.json`);
+  }
+
+  // Write a request and Klaviyo's response (a later recording of the same request replaces it)
+  record(request, status, body) {
+    const recordedAt = new Date().toISOString();
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.getInteractionFile(request), JSON.stringify({
+      request: scrubApiKey(request, this.apiKey),
+      response: {
+        status,
+        body: scrubApiKey(body, this.apiKey) ?? null
+      },
+      recordedAt
+    }, null, 2));
+
+    const manifest = this.readManifest() || { accountKey: this.accountKey, klaviyoAccount: null, firstRecordedAt: recordedAt };
+    manifest.lastRecordedAt = recordedAt;
+    if (request.path === '/accounts/' && status < 400) {
+      const account = body?.data?.[0];
+      manifest.klaviyoAccount = account ? {
+        id: account.id,
+        name: account.attributes?.contact_information?.organization_name || null,
+        timezone: account.attributes?.timezone || null
+      } : null;
+    }
+    fs.writeFileSync(path.join(this.directory, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  }
+
+  // Get the recorded response body of a request
+  // Recorded Klaviyo errors are thrown like axios errors (error.response.status / data), missing requests throw CassetteMissError
+  replay(request) {
+    const file = this.getInteractionFile(request);
+    if (!fs.existsSync(file)) {
+      this.misses.push(`${request.method} ${request.path}`);
+      throw new CassetteMissError(request);
+    }
+
+    const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (response.status >= 400) {
+      const error = new Error(`Request failed with status code ${response.status} (replayed)`);
+      error.response = { status: response.status, data: response.body, headers: {} };
+      throw error;
+    }
+    return response.body;
+  }
+
+  // Get the cassette manifest, or null before the first recording
+  readManifest() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.directory, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+// Get the cassette recording an account's Klaviyo calls, or null unless KLAVIYO_CASSETTE_MODE=record
+function getRecordingCassette(accountKey, apiKey) {
+  if (getCassetteMode() !== 'record') {
+    return null;
+  }
+  return new KlaviyoCassette(path.join(getCassetteDir(), accountKey), { mode: 'record', accountKey, apiKey });
+}
+
+// Get a cassette to replay by name (the account key of the recording)
+function getReplayCassette(name) {
+  if (!isValidCassetteName(name)) {
+    throw new Error(`Invalid cassette name "${name}"`);
+  }
+  return new KlaviyoCassette(path.join(getCassetteDir(), name), { mode: 'replay', accountKey: name });
+}
+
+module.exports = {
+  CASSETTE_MODES,
+  CassetteMissError,
+  KlaviyoCassette,
+  getCassetteMode,
+  getCassetteDir,
+  isValidCassetteName,
+  normalizeRequest,
+  scrubApiKey,
+  getRecordingCassette,
+  getReplayCassette
+};
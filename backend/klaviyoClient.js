@@ -0,0 +1,309 @@
+const axios = require('axios');
+const { CACHE_TTLS, getAccountCacheKey, buildCacheKey } = require('./cache');
+const { normalizeRequest, getRecordingCassette } = require('./klaviyoCassette');
+
+// Override with KLAVIYO_BASE_URL to point the backend at another server (e.g. the mock, see mockKlaviyoServer.js)
+const KLAVIYO_BASE_URL = process.env.KLAVIYO_BASE_URL || 'https://a.klaviyo.com/api';
+const KLAVIYO_REVISION = '2024-10-15';
+// Maximum number of pages fetched by a single list call (override with KLAVIYO_MAX_PAGES)
+const DEFAULT_MAX_PAGES = parseInt(process.env.KLAVIYO_MAX_PAGES) || 20;
+
+// Klaviyo resource IDs are letters and digits (e.g. 01HGZ... for campaigns, XyZ9aB for flows)
+// IDs from a request are checked before they go into a Klaviyo filter string
+const KLAVIYO_ID_PATTERN = /^[A-Za-z0-9]{1,64}$/;
+
+function isValidKlaviyoId(value) {
+  return typeof value === 'string' && KLAVIYO_ID_PATTERN.test(value);
+}
+
+// Helper function to wait between retries
+const delay = (ms = 100) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Klaviyo API client for a single API key
+// Owns the base URL, revision header, timeouts and retries (429 throttling and 5xx errors)
+// A replay cassette (options.cassette, see klaviyoCassette.js) answers every request instead of Klaviyo,
+// and no API key is needed; with KLAVIYO_CASSETTE_MODE=record requests and responses are recorded
+class KlaviyoClient {
+  constructor(apiKey, options = {}) {
+    const replaying = options.cassette?.mode === 'replay';
+    if (!apiKey && !replaying) {
+      throw new Error('A Klaviyo API key is required');
+    }
+
+    this.apiKey = apiKey;
+    this.baseUrl = options.baseUrl || KLAVIYO_BASE_URL;
+    this.revision = options.revision || KLAVIYO_REVISION;
+    this.timeout = options.timeout ?? 30000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.maxPages = options.maxPages ?? DEFAULT_MAX_PAGES;
+    // Resources whose list calls hit the page cap (data is partial)
+    this.truncatedResources = new Set();
+    // Optional ResponseCache for slow-changing data (metric IDs, account details)
+    this.cache = options.cache || null;
+    this.accountKey = replaying ? options.cassette.accountKey : getAccountCacheKey(apiKey);
+    this.cassette = options.cassette || getRecordingCassette(this.accountKey, apiKey);
+    // While recording, cached lookups are fetched again so they end up in the cassette
+    this.refresh = (options.refresh ?? false) || this.cassette?.mode === 'record';
+
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      headers: {
+        'Authorization': `Klaviyo-API-Key ${apiKey}`,
+        'revision': this.revision,
+        'Accept': 'application/json'
+      }
+    });
+  }
+
+  // Check if a failed request should be retried
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status === 429 || error.response?.data?.errors?.[0]?.code === 'throttled') {
+      return true;
+    }
+    if (status >= 500) {
+      return true;
+    }
+    // Network errors and timeouts have no response
+    return !error.response && ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code);
+  }
+
+  // Get how long to wait before the next attempt
+  // Throttled responses tell us when the API is available again, otherwise back off exponentially
+  getRetryDelay(error, attempt) {
+    if (error.response?.status === 429 || error.response?.data?.errors?.[0]?.code === 'throttled') {
+      const errorDetail = error.response?.data?.errors?.[0]?.detail || '';
+      const match = errorDetail.match(/Expected available in (\d+) second/i);
+      if (match) {
+        // Add a small buffer (500ms) to be safe
+        return parseInt(match[1]) * 1000 + 500;
+      }
+
+      const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+      if (!isNaN(retryAfter)) {
+        return retryAfter * 1000 + 500;
+      }
+    }
+
+    return this.retryDelay * Math.pow(2, attempt);
+  }
+
+  // Send a request, retrying throttled and failed requests
+  // Returns the JSON:API response document
+  async request(method, path, { params, data } = {}) {
+    const recorded = this.cassette ? normalizeRequest(this.baseUrl, method, path, params, data) : null;
+    if (this.cassette?.mode === 'replay') {
+      return this.cassette.replay(recorded);
+    }
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        const response = await this.http.request({
+          method,
+          url: path,
+          params,
+          data,
+          headers: data ? { 'Content-Type': 'application/json' } : undefined
+        });
+        if (recorded) {
+          this.recordInteraction(recorded, response.status, response.data);
+        }
+        return response.data;
+      } catch (error) {
+        if (this.isRetryable(error) && attempt < this.maxRetries) {
+          const waitTime = this.getRetryDelay(error, attempt);
+          const reason = error.response?.status || error.code;
+          console.log(`Klaviyo ${method.toUpperCase()} ${path} failed (${reason}). Retrying in ${waitTime}ms (attempt ${attempt + 1}/${this.maxRetries})...`);
+          await delay(waitTime);
+          continue;
+        }
+
+        // If not retryable, or max retries reached, throw the error
+        if (recorded && error.response) {
+          this.recordInteraction(recorded, error.response.status, error.response.data);
+        }
+        throw error;
+      }
+    }
+  }
+
+  // Write a request/response pair to the recording cassette; a failed write never fails the request
+  recordInteraction(request, status, body) {
+    try {
+      this.cassette.record(request, status, body);
+    } catch (error) {
+      console.error(`Could not record Klaviyo ${request.method} ${request.path}: ${error.message}`);
+    }
+  }
+
+  get(path, params) {
+    return this.request('get', path, { params });
+  }
+
+  post(path, data) {
+    return this.request('post', path, { data });
+  }
+
+  // GET every page of a list endpoint by following links.next, up to the page cap
+  // Returns { data, included, truncated } with the records of all pages combined
+  async paginate(path, params, { maxPages = this.maxPages } = {}) {
+    const data = [];
+    const included = [];
+    const seenIncluded = new Set();
+    let url = path;
+    let pageParams = params;
+    let pages = 0;
+
+    while (url && pages < maxPages) {
+      const response = await this.get(url, pageParams);
+      pages++;
+
+      data.push(...(response?.data || []));
+      (response?.included || []).forEach(item => {
+        const key = `${item.type}:${item.id}`;
+        if (!seenIncluded.has(key)) {
+          seenIncluded.add(key);
+          included.push(item);
+        }
+      });
+
+      // links.next is an absolute URL that already carries the query (including the cursor)
+      url = response?.links?.next || null;
+      pageParams = undefined;
+      if (url) await delay();
+    }
+
+    const truncated = Boolean(url);
+    if (truncated) {
+      const resource = path.replace(/\//g, '');
+      this.truncatedResources.add(resource);
+      console.log(`Klaviyo GET ${path} stopped after ${pages} pages (page cap reached), results are partial`);
+    }
+
+    return { data, included, truncated };
+  }
+
+  // Whether any list call made by this client returned partial data
+  isTruncated() {
+    return this.truncatedResources.size > 0;
+  }
+
+  // Truncation info for API responses
+  getTruncation() {
+    return {
+      truncated: this.isTruncated(),
+      truncatedResources: [...this.truncatedResources]
+    };
+  }
+
+  // Run compute through the cache when one is configured
+  async cached(name, ttl, compute) {
+    if (!this.cache) {
+      return compute();
+    }
+    const result = await this.cache.wrap(buildCacheKey(this.accountKey, name), ttl, compute, { refresh: this.refresh });
+    return result.value;
+  }
+
+  // GET /accounts/ (cached)
+  getAccounts() {
+    return this.cached('accounts', CACHE_TTLS.account, () => this.get('/accounts/'));
+  }
+
+  // GET /metrics/ (all pages, cached) - returns the list of metric resources
+  async getMetrics() {
+    const response = await this.cached('metrics', CACHE_TTLS.metrics, () => this.paginate('/metrics/'));
+    if (response.truncated) {
+      this.truncatedResources.add('metrics');
+    }
+    return response.data;
+  }
+
+  // POST /metric-aggregates/
+  queryMetricAggregate({ metricId, measurements, by, filter, interval, timezone }) {
+    const attributes = {
+      metric_id: metricId,
+      measurements,
+      filter,
+      timezone
+    };
+    if (by) attributes.by = by;
+    if (interval) attributes.interval = interval;
+
+    return this.post('/metric-aggregates/', {
+      data: {
+        type: 'metric-aggregate',
+        attributes
+      }
+    });
+  }
+
+  // GET /campaigns/ (all pages) - the API requires a channel filter (email or sms)
+  listCampaigns({ channel = 'email', filter, fields, include, sort } = {}) {
+    const filters = [`equals(messages.channel,'${channel}')`];
+    if (filter) filters.push(filter);
+
+    const params = { filter: filters.join(',') };
+    if (fields) params['fields[campaign]'] = fields;
+    if (include) params.include = include;
+    if (sort) params.sort = sort;
+
+    return this.paginate('/campaigns/', params);
+  }
+
+  // GET /campaigns/:id/ - one campaign, with its campaign messages by default
+  getCampaign(campaignId, { include = 'campaign-messages' } = {}) {
+    return this.get(`/campaigns/${encodeURIComponent(campaignId)}/`, include ? { include } : undefined);
+  }
+
+  // GET /flows/ (all pages)
+  listFlows(params) {
+    return this.paginate('/flows/', params);
+  }
+
+  // GET /flows/:id/ - one flow, with its flow actions by default
+  getFlow(flowId, { include = 'flow-actions' } = {}) {
+    return this.get(`/flows/${encodeURIComponent(flowId)}/`, include ? { include } : undefined);
+  }
+
+  // GET /flow-actions/:id/flow-messages/ (all pages) - the messages a flow action sends
+  listFlowActionMessages(actionId) {
+    return this.paginate(`/flow-actions/${encodeURIComponent(actionId)}/flow-messages/`);
+  }
+
+  // POST /campaign-values-reports/
+  campaignValuesReport(attributes, relationships) {
+    const data = {
+      type: 'campaign-values-report',
+      attributes
+    };
+    if (relationships) data.relationships = relationships;
+
+    return this.post('/campaign-values-reports/', { data });
+  }
+
+  // POST /flow-values-reports/
+  flowValuesReport(attributes) {
+    return this.post('/flow-values-reports/', {
+      data: {
+        type: 'flow-values-report',
+        attributes
+      }
+    });
+  }
+
+  // GET /events/ (all pages)
+  listEvents(params) {
+    return this.paginate('/events/', params);
+  }
+}
+
+module.exports = {
+  KlaviyoClient,
+  isValidKlaviyoId,
+  KLAVIYO_BASE_URL,
+  KLAVIYO_REVISION,
+  DEFAULT_MAX_PAGES
+};
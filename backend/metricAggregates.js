@@ -0,0 +1,116 @@
+// Parsing of Klaviyo metric-aggregates responses
+// Response structure: response.data.attributes.data is an array of groups like
+//   { dimensions: ['<value>'] or { '$message': '<value>' }, measurements: { count: [..] or n, sum_value, unique } }
+// Measurements are an array of per-interval values, or a single value
+
+// Helper function to get the groups of a metric-aggregates response
+function getAggregateGroups(aggregateResponse) {
+  return aggregateResponse?.data?.attributes?.data || [];
+}
+
+// Sum a measurement value (array of per-interval values or a single value); non-numbers count as 0
+function sumMeasurement(value, parse = parseFloat) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.reduce((acc, val) => {
+    const num = parse(val);
+    return acc + (isNaN(num) ? 0 : num);
+  }, 0);
+}
+
+// Get a group's value for a dimension; dimensions are an array (in `by` order) or an object keyed by dimension
+function getGroupDimension(group, dimension, by = [dimension]) {
+  const dimensions = group?.dimensions;
+  if (Array.isArray(dimensions)) {
+    const index = by.indexOf(dimension);
+    return dimensions[index === -1 ? 0 : index];
+  }
+  if (dimensions && typeof dimensions === 'object') {
+    return dimensions[dimension];
+  }
+  return undefined;
+}
+
+// Get a group's event count, falling back to the unique measurement when count is missing
+function getGroupCount(group) {
+  const measurements = group?.measurements;
+  if (measurements?.count !== undefined) {
+    return sumMeasurement(measurements.count, parseInt);
+  }
+  if (measurements?.unique !== undefined) {
+    return sumMeasurement(measurements.unique, parseInt);
+  }
+  return 0;
+}
+
+// Get a group's summed value for a measurement (sum_value by default)
+function getGroupValue(group, measurement = 'sum_value') {
+  const value = group?.measurements?.[measurement];
+  return value === undefined || value === null ? 0 : sumMeasurement(value);
+}
+
+// Total of a measurement across every group (e.g. total revenue from sum_value)
+function sumAggregate(aggregateResponse, measurement = 'sum_value') {
+  return getAggregateGroups(aggregateResponse).reduce((total, group) => total + getGroupValue(group, measurement), 0);
+}
+
+// Sum a grouped response per dimension value: { [dimensionValue]: total }
+// measurement is a measurement name, or 'count' (count with unique as fallback)
+// Groups without a dimension value are skipped, and so are zero totals unless keepZero is set
+function sumAggregateByDimension(aggregateResponse, dimension, { measurement = 'sum_value', keepZero = false } = {}) {
+  const totals = {};
+  getAggregateGroups(aggregateResponse).forEach(group => {
+    const key = getGroupDimension(group, dimension);
+    if (!key) return;
+
+    const value = measurement === 'count' ? getGroupCount(group) : getGroupValue(group, measurement);
+    if (value === 0 && !keepZero && totals[key] === undefined) return;
+    totals[key] = (totals[key] || 0) + value;
+  });
+  return totals;
+}
+
+// Sum a measurement over the groups whose dimension equals `expected`
+// Used for per-campaign queries filtered on $attributed_message, where rows for other messages are ignored
+function sumAggregateForDimensionValue(aggregateResponse, dimension, expected, measurement = 'sum_value') {
+  return getAggregateGroups(aggregateResponse).reduce((total, group) => {
+    if (getGroupDimension(group, dimension) !== expected) {
+      return total;
+    }
+    return total + (measurement === 'count' ? getGroupCount(group) : getGroupValue(group, measurement));
+  }, 0);
+}
+
+// Add up opens, clicks and recipients of a campaign's messages from per-message maps
+// Campaigns without message IDs are looked up by campaign ID, since Klaviyo reports campaign sends
+// with the campaign ID as $message
+function sumCampaignMessageMetrics(campaignId, messageIds, { opens = {}, clicks = {}, recipients = {} }) {
+  const ids = messageIds.length > 0 ? messageIds : [campaignId];
+  return ids.reduce((totals, id) => ({
+    opens: totals.opens + (opens[id] || 0),
+    clicks: totals.clicks + (clicks[id] || 0),
+    recipients: totals.recipients + (recipients[id] || 0)
+  }), { opens: 0, clicks: 0, recipients: 0 });
+}
+
+// Open and click rates (percent of recipients), 0 without recipients
+function calculateEngagementRates({ opens, clicks, recipients }) {
+  if (!recipients) {
+    return { openRate: 0, clickRate: 0 };
+  }
+  return {
+    openRate: (opens / recipients) * 100,
+    clickRate: (clicks / recipients) * 100
+  };
+}
+
+module.exports = {
+  sumMeasurement,
+  getGroupDimension,
+  getGroupCount,
+  getGroupValue,
+  sumAggregate,
+  sumAggregateByDimension,
+  sumAggregateForDimensionValue,
+  sumCampaignMessageMetrics,
+  calculateEngagementRates
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+
+// Fixture data for the mock Klaviyo server (mockKlaviyoServer.js)
+// Fixtures are plain JSON: { account, metrics, campaigns, flows, events }
+// - account:   { id, name, timezone, currency }
+// - metrics:   [{ id, name, integration }]
+// - campaigns: [{ id, name, channel, status, createdAt, updatedAt, sendTime, messages: [{ id, label }] }]
+// - flows:     [{ id, name, status, triggerType, createdAt, updatedAt, messages: [{ id, name }] }]
+// - events:    [{ id, metricId, datetime, profileId, value, messageId, campaignId, flowId, attributedMessage, attributedFlow }]
+// Generated fixtures are deterministic for a seed, with dates relative to `now`
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const METRIC_NAMES = [
+  'Placed Order',
+  'Received Email',
+  'Opened Email',
+  'Clicked Email',
+  'Sent Email',
+  'Bounced Email',
+  'Unsubscribed',
+  'Active on Site',
+  'Viewed Product',
+  'Added to Cart',
+  'Started Checkout',
+  'Ordered Product',
+  'Fulfilled Order',
+  'Cancelled Order',
+  'Refunded Order',
+  'Subscribed to List',
+  'Received SMS',
+  'Clicked SMS',
+  'Marked Email as Spam',
+  'Dropped Email'
+];
+
+const CAMPAIGN_NAMES = [
+  'Spring Sale', 'New Arrivals', 'Weekend Flash Sale', 'Customer Favourites', 'Back in Stock',
+  'Gift Guide', 'Free Shipping Week', 'Summer Lookbook', 'Last Chance', 'VIP Early Access',
+  'Black Friday Preview', 'Holiday Countdown', 'New Year Offer', 'Loyalty Rewards', 'Product Spotlight'
+];
+
+const FLOW_NAMES = [
+  ['Welcome Series', 'live'],
+  ['Abandoned Cart', 'live'],
+  ['Browse Abandonment', 'live'],
+  ['Post-Purchase Thank You', 'live'],
+  ['Win-Back', 'manual'],
+  ['Birthday Offer', 'draft']
+];
+
+// Helper function for a small deterministic PRNG (mulberry32)
+function createRandom(seed) {
+  let state = parseInt(crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 8), 16);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Generate a fixture set for a seed
+// Options: now (timestamp the dates are relative to), days (history length), campaigns, profiles
+function generateFixtures(seed = 1, options = {}) {
+  const random = createRandom(seed);
+  const now = Math.floor((options.now ?? Date.now()) / DAY_MS) * DAY_MS;
+  const days = options.days ?? 400;
+  const campaignCount = options.campaigns ?? 30;
+  const profileCount = options.profiles ?? 400;
+
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = (items) => items[int(0, items.length - 1)];
+  const id = (length = 6) => Array.from({ length }, () => pick('ABCDEFGHJKLMNPQRSTUVWXYZ0123456789'.split(''))).join('');
+  const iso = (time) => new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+  const profile = () => `P${int(1, profileCount)}`;
+
+  const account = {
+    id: id(),
+    name: `${pick(['Acme', 'Northwind', 'Bluebird', 'Evergreen', 'Copper'])} ${pick(['Store', 'Goods', 'Outfitters', 'Supply'])}`,
+    timezone: 'UTC',
+    currency: 'USD'
+  };
+
+  const metrics = METRIC_NAMES.map(name => ({
+    id: id(),
+    name,
+    integration: name.includes('Order') || name.includes('Product') || name.includes('Cart') || name.includes('Checkout') ? 'Shopify' : 'Klaviyo'
+  }));
+  const metricId = (name) => metrics.find(metric => metric.name === name).id;
+
+  const events = [];
+  let eventNumber = 0;
+  const addEvent = (metricName, time, fields = {}) => {
+    eventNumber++;
+    events.push({
+      id: `E${String(eventNumber).padStart(6, '0')}`,
+      metricId: metricId(metricName),
+      datetime: iso(time),
+      profileId: fields.profileId || profile(),
+      value: fields.value ?? 0,
+      messageId: fields.messageId || null,
+      campaignId: fields.campaignId || null,
+      flowId: fields.flowId || null,
+      attributedMessage: fields.attributedMessage || null,
+      attributedFlow: fields.attributedFlow || null
+    });
+  };
+  const orderValue = () => Math.round((20 + random() * 180) * 100) / 100;
+
+  // Engagement and attributed orders for one send
+  const addSendEvents = (sendTime, recipients, send) => {
+    for (let i = 0; i < recipients; i++) {
+      const profileId = profile();
+      const receivedAt = sendTime + int(0, 60) * 1000;
+      addEvent('Received Email', receivedAt, { profileId, ...send });
+      if (random() < 0.4) {
+        addEvent('Opened Email', receivedAt + int(1, 48 * 60) * 60 * 1000, { profileId, ...send });
+        if (random() < 0.12) {
+          const clickedAt = receivedAt + int(1, 48 * 60) * 60 * 1000;
+          addEvent('Clicked Email', clickedAt, { profileId, ...send });
+          if (random() < 0.3) {
+            addEvent('Placed Order', clickedAt + int(1, 72) * 60 * 1000, {
+              profileId,
+              value: orderValue(),
+              attributedMessage: send.campaignId || send.messageId,
+              attributedFlow: send.flowId
+            });
+          }
+        }
+      }
+    }
+  };
+
+  const campaigns = [];
+  for (let i = 0; i < campaignCount; i++) {
+    const channel = random() < 0.8 ? 'email' : 'sms';
+    const sendTime = now - int(1, days - 1) * DAY_MS + int(8, 18) * 60 * 60 * 1000;
+    const status = sendTime > now ? 'Scheduled' : pick(['Sent', 'Sent', 'Sent', 'Draft']);
+    const campaign = {
+      id: `01${id(24)}`,
+      name: `${CAMPAIGN_NAMES[i % CAMPAIGN_NAMES.length]}${i >= CAMPAIGN_NAMES.length ? ` ${Math.floor(i / CAMPAIGN_NAMES.length) + 1}` : ''}`,
+      channel,
+      status,
+      createdAt: iso(sendTime - int(1, 5) * DAY_MS),
+      updatedAt: iso(sendTime + 60 * 60 * 1000),
+      sendTime: status === 'Draft' ? null : iso(sendTime),
+      messages: Array.from({ length: random() < 0.2 ? 2 : 1 }, (_, index) => ({
+        id: `01${id(24)}`,
+        label: index === 0 ? `${CAMPAIGN_NAMES[i % CAMPAIGN_NAMES.length]} - ${new Date(sendTime).toISOString().slice(0, 10)}` : 'Variant B'
+      }))
+    };
+    campaigns.push(campaign);
+
+    // Like Klaviyo, campaign email events carry the campaign ID as $message
+    if (status === 'Sent' && channel === 'email') {
+      campaign.messages.forEach(() => {
+        addSendEvents(sendTime, int(40, 120), { messageId: campaign.id, campaignId: campaign.id });
+      });
+    }
+  }
+
+  const flows = FLOW_NAMES.map(([name, status]) => {
+    const createdAt = now - int(days, days + 200) * DAY_MS;
+    return {
+      id: id(),
+      name,
+      status,
+      triggerType: pick(['Added to List', 'Metric', 'Segment']),
+      createdAt: iso(createdAt),
+      updatedAt: iso(now - int(1, 30) * DAY_MS),
+      messages: Array.from({ length: int(1, 3) }, (_, index) => ({ id: id(), name: `${name} Email ${index + 1}` }))
+    };
+  });
+
+  // Live flows send a few emails every day
+  flows.filter(flow => flow.status === 'live').forEach(flow => {
+    for (let day = days; day >= 1; day--) {
+      const dayStart = now - day * DAY_MS;
+      flow.messages.forEach(message => {
+        if (random() < 0.5) {
+          addSendEvents(dayStart + int(0, 23) * 60 * 60 * 1000, int(0, 3), { messageId: message.id, flowId: flow.id });
+        }
+      });
+    }
+  });
+
+  // Orders not attributed to any message
+  for (let day = days; day >= 1; day--) {
+    for (let i = int(0, 4); i > 0; i--) {
+      addEvent('Placed Order', now - day * DAY_MS + int(0, DAY_MS / 1000 - 1) * 1000, { value: orderValue() });
+    }
+  }
+
+  events.sort((a, b) => a.datetime.localeCompare(b.datetime) || a.id.localeCompare(b.id));
+
+  return { account, metrics, campaigns, flows, events };
+}
+
+module.exports = {
+  generateFixtures
+};
@@ -0,0 +1,909 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { generateFixtures } = require('./mockKlaviyoFixtures');
+const { zonedMidnightToUTC, getZonedParts } = require('./dateRange');
+
+// Stand-in for the parts of the Klaviyo API the dashboard uses, for offline development and tests
+// Serves fixture data (see mockKlaviyoFixtures.js) under /api, so point the backend at it with
+// KLAVIYO_BASE_URL=http://localhost:4010/api
+//
+// Every API key gets its own account: fixtures are generated from the seed and the key,
+// unless a fixtures object (or MOCK_KLAVIYO_FIXTURES file) is given, which every key shares.
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_SEED = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Page size per list endpoint (Klaviyo's own defaults are larger; small pages exercise pagination)
+const DEFAULT_PAGE_SIZES = {
+  metrics: 10,
+  campaigns: 10,
+  flows: 50,
+  events: 200
+};
+
+// Scope each endpoint needs
+const ENDPOINT_SCOPES = {
+  'accounts': 'accounts:read',
+  'metrics': 'metrics:read',
+  'metric-aggregates': 'metrics:read',
+  'campaigns': 'campaigns:read',
+  'campaign-values-reports': 'campaigns:read',
+  'flows': 'flows:read',
+  'flow-values-reports': 'flows:read',
+  'flow-actions': 'flows:read',
+  'events': 'events:read'
+};
+
+const REPORT_STATISTICS = [
+  'recipients', 'delivered', 'delivery_rate', 'bounced', 'bounce_rate',
+  'opens', 'opens_unique', 'open_rate', 'clicks', 'clicks_unique', 'click_rate', 'click_to_open_rate',
+  'conversions', 'conversion_uniques', 'conversion_value', 'conversion_rate',
+  'revenue_per_recipient', 'average_order_value', 'unsubscribes', 'unsubscribe_rate', 'spam_complaints'
+];
+
+// Error sent back in Klaviyo's JSON:API error format
+class MockKlaviyoError extends Error {
+  constructor(status, code, detail, headers = {}) {
+    super(detail);
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+// Helper function to split a filter string on top-level commas
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of value) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// Helper function to read a filter value: quoted string, list, or bare value (dates, numbers)
+function parseFilterValue(value) {
+  const trimmed = value.trim();
+  if (/^(".*"|'.*')$/.test(trimmed)) {
+    return trimmed.slice(1, -1);
+  }
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    return splitTopLevel(trimmed.slice(1, -1)).map(parseFilterValue);
+  }
+  return trimmed;
+}
+
+// Parse a Klaviyo filter (string or array of strings) into [{ negate, operator, field, value }]
+function parseFilter(filter) {
+  const expressions = (Array.isArray(filter) ? filter : [filter])
+    .filter(Boolean)
+    .flatMap(splitTopLevel);
+
+  return expressions.map(expression => {
+    let negate = false;
+    let body = expression;
+    const notMatch = body.match(/^not\((.*)\)$/);
+    if (notMatch) {
+      negate = true;
+      body = notMatch[1];
+    }
+
+    const match = body.match(/^([a-z-]+)\((.*)\)$/);
+    if (!match) {
+      throw new MockKlaviyoError(400, 'invalid', `Invalid filter provided: ${expression}`);
+    }
+    const [field, ...rest] = splitTopLevel(match[2]);
+    return { negate, operator: match[1], field: field.trim(), value: parseFilterValue(rest.join(',')) };
+  });
+}
+
+// Helper function to compare a record value with a filter condition
+function matchesCondition(recordValue, { operator, value }) {
+  const isDate = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value);
+  const left = isDate && recordValue ? new Date(recordValue).getTime() : recordValue;
+  const right = isDate ? new Date(value).getTime() : value;
+
+  switch (operator) {
+    case 'equals': return (left ?? '') === right;
+    case 'any': return Array.isArray(value) && value.includes(recordValue);
+    case 'greater-than': return left !== null && left > right;
+    case 'greater-or-equal': return left !== null && left >= right;
+    case 'less-than': return left !== null && left < right;
+    case 'less-or-equal': return left !== null && left <= right;
+    case 'contains': return typeof recordValue === 'string' && recordValue.includes(value);
+    default:
+      throw new MockKlaviyoError(400, 'invalid', `Unsupported filter operator: ${operator}`);
+  }
+}
+
+// Apply parsed conditions to records; fields maps filter field names to record getters
+function applyFilter(records, conditions, fields) {
+  conditions.forEach(condition => {
+    if (!fields[condition.field]) {
+      throw new MockKlaviyoError(400, 'invalid', `'${condition.field}' is not a valid field for this filter`);
+    }
+  });
+
+  return records.filter(record => conditions.every(condition => {
+    const result = matchesCondition(fields[condition.field](record), condition);
+    return condition.negate ? !result : result;
+  }));
+}
+
+// Helper function to get the datetime range of a parsed filter
+function getDatetimeRange(conditions) {
+  let start = null;
+  let end = null;
+  conditions.filter(condition => condition.field === 'datetime' && !condition.negate).forEach(condition => {
+    const time = new Date(condition.value).getTime();
+    if (condition.operator === 'greater-or-equal' || condition.operator === 'greater-than') start = time;
+    if (condition.operator === 'less-than' || condition.operator === 'less-or-equal') end = time;
+  });
+  return { start, end };
+}
+
+// Helper function to format a timestamp the way Klaviyo does
+function formatDatetime(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+// Bucket start times for a metric-aggregates interval, in the requested timezone
+function getIntervalBuckets(start, end, interval, timezone) {
+  const buckets = [];
+  const first = getZonedParts(new Date(start), timezone);
+
+  if (interval === 'hour') {
+    for (let time = start - (start % (60 * 60 * 1000)); time < end; time += 60 * 60 * 1000) {
+      buckets.push(time);
+    }
+    return buckets;
+  }
+
+  let index = 0;
+  while (true) {
+    let bucket;
+    if (interval === 'month') {
+      bucket = zonedMidnightToUTC(first.year, first.month + index, 1, timezone).getTime();
+    } else {
+      const step = interval === 'week' ? 7 : 1;
+      bucket = zonedMidnightToUTC(first.year, first.month, first.day + index * step, timezone).getTime();
+    }
+    if (bucket >= end) break;
+    buckets.push(bucket);
+    index++;
+  }
+  return buckets;
+}
+
+// Helper function to resolve a values-report timeframe ({ key } or { start, end }) to [start, end)
+function resolveTimeframe(timeframe = {}, now = Date.now()) {
+  if (timeframe.start && timeframe.end) {
+    return { start: new Date(timeframe.start).getTime(), end: new Date(timeframe.end).getTime() };
+  }
+
+  const today = Math.floor(now / DAY_MS) * DAY_MS;
+  const date = new Date(today);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const timeframes = {
+    today: [today, now],
+    yesterday: [today - DAY_MS, today],
+    last_7_days: [today - 7 * DAY_MS, today],
+    last_30_days: [today - 30 * DAY_MS, today],
+    last_90_days: [today - 90 * DAY_MS, today],
+    last_365_days: [today - 365 * DAY_MS, today],
+    last_3_months: [Date.UTC(year, month - 3, 1), Date.UTC(year, month, 1)],
+    last_12_months: [Date.UTC(year, month - 12, 1), Date.UTC(year, month, 1)],
+    this_month: [Date.UTC(year, month, 1), now],
+    last_month: [Date.UTC(year, month - 1, 1), Date.UTC(year, month, 1)],
+    this_year: [Date.UTC(year, 0, 1), now],
+    last_year: [Date.UTC(year - 1, 0, 1), Date.UTC(year, 0, 1)]
+  };
+
+  const range = timeframes[timeframe.key];
+  if (!range) {
+    throw new MockKlaviyoError(400, 'invalid', `'${timeframe.key}' is not a valid timeframe key`);
+  }
+  return { start: range[0], end: range[1] };
+}
+
+// Helper function to apply a sparse fieldset (fields[type]=a,b) to a resource
+function applyFields(resource, fields) {
+  if (!fields) return resource;
+  const names = fields.split(',').map(name => name.trim());
+  const attributes = {};
+  names.forEach(name => {
+    if (resource.attributes[name] !== undefined) attributes[name] = resource.attributes[name];
+  });
+  return { ...resource, attributes };
+}
+
+// Helper function to sort resources by an attribute (sort=name or sort=-name)
+function applySort(resources, sort) {
+  if (!sort) return resources;
+  const descending = sort.startsWith('-');
+  const field = sort.replace(/^-/, '');
+  return [...resources].sort((a, b) => {
+    const left = a.attributes[field] ?? '';
+    const right = b.attributes[field] ?? '';
+    const order = left < right ? -1 : left > right ? 1 : 0;
+    return descending ? -order : order;
+  });
+}
+
+// Resource serializers: fixture records to Klaviyo JSON:API resources
+
+function toAccountResource(account) {
+  return {
+    type: 'account',
+    id: account.id,
+    attributes: {
+      test_account: false,
+      contact_information: {
+        default_sender_name: account.name,
+        default_sender_email: `hello@${account.name.toLowerCase().replace(/[^a-z]+/g, '')}.example`,
+        website_url: `https://${account.name.toLowerCase().replace(/[^a-z]+/g, '')}.example`,
+        organization_name: account.name,
+        street_address: { address1: '1 Main St', address2: '', city: 'Boston', region: 'MA', country: 'US', zip: '02110' }
+      },
+      industry: 'Ecommerce',
+      timezone: account.timezone,
+      preferred_currency: account.currency,
+      public_api_key: account.id
+    },
+    links: { self: `/api/accounts/${account.id}/` }
+  };
+}
+
+function toMetricResource(metric) {
+  return {
+    type: 'metric',
+    id: metric.id,
+    attributes: {
+      name: metric.name,
+      created: '2022-01-01T00:00:00+00:00',
+      updated: '2022-01-01T00:00:00+00:00',
+      integration: { object: 'integration', id: metric.integration.toLowerCase(), key: metric.integration.toLowerCase(), name: metric.integration, category: 'Internal' }
+    }
+  };
+}
+
+function toCampaignResource(campaign) {
+  return {
+    type: 'campaign',
+    id: campaign.id,
+    attributes: {
+      name: campaign.name,
+      status: campaign.status,
+      archived: false,
+      audiences: { included: [], excluded: [] },
+      send_strategy: { method: 'static' },
+      created_at: campaign.createdAt,
+      scheduled_at: campaign.sendTime,
+      updated_at: campaign.updatedAt,
+      send_time: campaign.sendTime
+    },
+    relationships: {
+      'campaign-messages': {
+        data: campaign.messages.map(message => ({ type: 'campaign-message', id: message.id }))
+      }
+    }
+  };
+}
+
+function toCampaignMessageResource(campaign, message) {
+  return {
+    type: 'campaign-message',
+    id: message.id,
+    attributes: {
+      label: message.label,
+      channel: campaign.channel,
+      content: { subject: campaign.name, preview_text: '', from_email: 'hello@example.com' },
+      created_at: campaign.createdAt,
+      updated_at: campaign.updatedAt
+    },
+    relationships: {
+      campaign: { data: { type: 'campaign', id: campaign.id } }
+    }
+  };
+}
+
+// Flow actions of a fixture flow: one send action per message, with a time delay before every message but the first
+// (1 day before the second message, 2 days before later ones)
+function getFlowActions(flow) {
+  return flow.messages.flatMap((message, index) => {
+    const sendAction = { id: `${message.id}S`, type: 'SEND_EMAIL', message };
+    if (index === 0) return [sendAction];
+    return [{ id: `${message.id}D`, type: 'TIME_DELAY', delay: { unit: 'days', value: index === 1 ? 1 : 2 } }, sendAction];
+  });
+}
+
+function toFlowActionResource(flow, action) {
+  return {
+    type: 'flow-action',
+    id: action.id,
+    attributes: {
+      action_type: action.type,
+      status: flow.status,
+      created: flow.createdAt,
+      updated: flow.updatedAt,
+      settings: action.delay ? { ...action.delay, timezone: 'profile' } : {}
+    },
+    relationships: {
+      flow: { data: { type: 'flow', id: flow.id } }
+    }
+  };
+}
+
+function toFlowMessageResource(message) {
+  return {
+    type: 'flow-message',
+    id: message.id,
+    attributes: {
+      name: message.name,
+      channel: 'email',
+      content: { subject: message.name, preview_text: '', from_email: 'hello@example.com' }
+    }
+  };
+}
+
+function toFlowResource(flow) {
+  return {
+    type: 'flow',
+    id: flow.id,
+    attributes: {
+      name: flow.name,
+      status: flow.status,
+      archived: false,
+      created: flow.createdAt,
+      updated: flow.updatedAt,
+      trigger_type: flow.triggerType
+    }
+  };
+}
+
+function toEventResource(event) {
+  const properties = { $value: event.value };
+  if (event.messageId) properties.$message = event.messageId;
+  if (event.flowId) properties.$flow = event.flowId;
+  if (event.attributedMessage) properties.$attributed_message = event.attributedMessage;
+  if (event.attributedFlow) properties.$attributed_flow = event.attributedFlow;
+
+  return {
+    type: 'event',
+    id: event.id,
+    attributes: {
+      timestamp: Math.floor(new Date(event.datetime).getTime() / 1000),
+      event_properties: properties,
+      datetime: event.datetime,
+      uuid: event.id
+    },
+    relationships: {
+      metric: { data: { type: 'metric', id: event.metricId } },
+      profile: { data: { type: 'profile', id: event.profileId } },
+      attributions: { data: [] }
+    }
+  };
+}
+
+// Fields metric-aggregates can filter and group by
+const AGGREGATE_FIELDS = {
+  'datetime': event => event.datetime,
+  '$message': event => event.messageId || '',
+  '$flow': event => event.flowId || '',
+  '$attributed_message': event => event.attributedMessage || '',
+  '$attributed_flow': event => event.attributedFlow || ''
+};
+
+// Compute a metric-aggregates response from the fixture events
+function aggregateMetric(fixtures, attributes = {}) {
+  const { metric_id: metricId, measurements = [], by = [], interval = 'day', timezone = 'UTC' } = attributes;
+
+  if (!fixtures.metrics.some(metric => metric.id === metricId)) {
+    throw new MockKlaviyoError(400, 'invalid', `Metric ${metricId} does not exist`);
+  }
+  const unknownMeasurement = measurements.find(measurement => !['count', 'sum_value', 'unique'].includes(measurement));
+  if (measurements.length === 0 || unknownMeasurement) {
+    throw new MockKlaviyoError(400, 'invalid', `'${unknownMeasurement || ''}' is not a valid measurement`);
+  }
+  const unknownDimension = by.find(dimension => !AGGREGATE_FIELDS[dimension] || dimension === 'datetime');
+  if (unknownDimension) {
+    throw new MockKlaviyoError(400, 'invalid', `'${unknownDimension}' is not a valid grouping`);
+  }
+
+  const conditions = parseFilter(attributes.filter);
+  const { start, end } = getDatetimeRange(conditions);
+  if (start === null || end === null) {
+    throw new MockKlaviyoError(400, 'invalid', 'A datetime range (greater-or-equal and less-than) is required in the filter');
+  }
+  if (end - start > 366 * DAY_MS) {
+    throw new MockKlaviyoError(400, 'invalid', 'The datetime range must be one year or less');
+  }
+
+  const events = applyFilter(fixtures.events.filter(event => event.metricId === metricId), conditions, AGGREGATE_FIELDS);
+  const buckets = getIntervalBuckets(start, end, interval, timezone);
+  const bucketIndex = (time) => {
+    let index = -1;
+    for (let i = 0; i < buckets.length && buckets[i] <= time; i++) index = i;
+    return index;
+  };
+
+  const groups = new Map();
+  events.forEach(event => {
+    const dimensions = by.map(dimension => AGGREGATE_FIELDS[dimension](event));
+    const key = JSON.stringify(dimensions);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        dimensions,
+        count: buckets.map(() => 0),
+        sum_value: buckets.map(() => 0),
+        profiles: buckets.map(() => new Set())
+      });
+    }
+    const group = groups.get(key);
+    const index = bucketIndex(new Date(event.datetime).getTime());
+    if (index === -1) return;
+    group.count[index]++;
+    group.sum_value[index] += event.value || 0;
+    group.profiles[index].add(event.profileId);
+  });
+
+  // Without a grouping Klaviyo still returns one (all-zero) group
+  if (by.length === 0 && groups.size === 0) {
+    groups.set('[]', { dimensions: [], count: buckets.map(() => 0), sum_value: buckets.map(() => 0), profiles: buckets.map(() => new Set()) });
+  }
+
+  const data = [...groups.values()].map(group => {
+    const values = {
+      count: group.count,
+      sum_value: group.sum_value.map(value => Math.round(value * 100) / 100),
+      unique: group.profiles.map(profiles => profiles.size)
+    };
+    const result = {};
+    measurements.forEach(measurement => { result[measurement] = values[measurement]; });
+    return { dimensions: group.dimensions, measurements: result };
+  });
+
+  return {
+    data: {
+      type: 'metric-aggregate',
+      id: `${metricId}-${start}-${end}`,
+      attributes: {
+        dates: buckets.map(formatDatetime),
+        data
+      }
+    },
+    links: { self: '/api/metric-aggregates/' }
+  };
+}
+
+// Helper function to compute report statistics for a set of sends
+function computeStatistics(fixtures, { start, end, conversionMetricId, matchesSend, matchesConversion }, statistics) {
+  const metricId = (name) => fixtures.metrics.find(metric => metric.name === name)?.id;
+  const inRange = (event) => {
+    const time = new Date(event.datetime).getTime();
+    return time >= start && time < end;
+  };
+  const sendEvents = (name) => fixtures.events.filter(event => event.metricId === metricId(name) && inRange(event) && matchesSend(event));
+  const uniqueProfiles = (events) => new Set(events.map(event => event.profileId)).size;
+
+  const received = sendEvents('Received Email');
+  const opened = sendEvents('Opened Email');
+  const clicked = sendEvents('Clicked Email');
+  const conversions = fixtures.events.filter(event => event.metricId === conversionMetricId && inRange(event) && matchesConversion(event));
+  const conversionValue = Math.round(conversions.reduce((sum, event) => sum + (event.value || 0), 0) * 100) / 100;
+
+  const recipients = received.length;
+  const rate = (value) => (recipients > 0 ? value / recipients : 0);
+  const values = {
+    recipients,
+    delivered: recipients,
+    delivery_rate: recipients > 0 ? 1 : 0,
+    bounced: 0,
+    bounce_rate: 0,
+    opens: opened.length,
+    opens_unique: uniqueProfiles(opened),
+    open_rate: rate(uniqueProfiles(opened)),
+    clicks: clicked.length,
+    clicks_unique: uniqueProfiles(clicked),
+    click_rate: rate(uniqueProfiles(clicked)),
+    click_to_open_rate: uniqueProfiles(opened) > 0 ? uniqueProfiles(clicked) / uniqueProfiles(opened) : 0,
+    conversions: conversions.length,
+    conversion_uniques: uniqueProfiles(conversions),
+    conversion_value: conversionValue,
+    conversion_rate: rate(uniqueProfiles(conversions)),
+    revenue_per_recipient: rate(conversionValue),
+    average_order_value: conversions.length > 0 ? conversionValue / conversions.length : 0,
+    unsubscribes: 0,
+    unsubscribe_rate: 0,
+    spam_complaints: 0
+  };
+
+  const result = {};
+  statistics.forEach(statistic => { result[statistic] = values[statistic]; });
+  return result;
+}
+
+// Helper function to validate the attributes shared by both values reports
+function parseReportAttributes(fixtures, attributes = {}) {
+  const statistics = attributes.statistics || [];
+  const unknownStatistic = statistics.find(statistic => !REPORT_STATISTICS.includes(statistic));
+  if (statistics.length === 0 || unknownStatistic) {
+    throw new MockKlaviyoError(400, 'invalid', `'${unknownStatistic || ''}' is not a valid statistic`);
+  }
+  if (!attributes.conversion_metric_id) {
+    throw new MockKlaviyoError(400, 'invalid', 'conversion_metric_id is required');
+  }
+  if (!fixtures.metrics.some(metric => metric.id === attributes.conversion_metric_id)) {
+    throw new MockKlaviyoError(400, 'invalid', `Metric ${attributes.conversion_metric_id} does not exist`);
+  }
+  return {
+    statistics,
+    conversionMetricId: attributes.conversion_metric_id,
+    ...resolveTimeframe(attributes.timeframe)
+  };
+}
+
+// POST /campaign-values-reports/ - one result per email campaign (optionally filtered by campaign_id)
+function campaignValuesReport(fixtures, body = {}) {
+  const attributes = body.data?.attributes || {};
+  const report = parseReportAttributes(fixtures, attributes);
+
+  let campaigns = fixtures.campaigns.filter(campaign => campaign.status === 'Sent');
+  campaigns = applyFilter(campaigns, parseFilter(attributes.filter), {
+    'campaign_id': campaign => campaign.id,
+    'send_channel': campaign => campaign.channel
+  });
+  const relationshipIds = body.data?.relationships?.campaigns?.data?.map(item => item.id);
+  if (relationshipIds) {
+    campaigns = campaigns.filter(campaign => relationshipIds.includes(campaign.id));
+  }
+
+  const results = campaigns.map(campaign => ({
+    groupings: {
+      send_channel: campaign.channel,
+      campaign_id: campaign.id,
+      campaign_message_id: campaign.messages[0]?.id
+    },
+    statistics: computeStatistics(fixtures, {
+      ...report,
+      matchesSend: event => event.campaignId === campaign.id,
+      matchesConversion: event => event.attributedMessage === campaign.id && !event.attributedFlow
+    }, report.statistics)
+  }));
+
+  return {
+    data: {
+      type: 'campaign-values-report',
+      id: `campaign-values-${Date.now()}`,
+      attributes: { results }
+    }
+  };
+}
+
+// POST /flow-values-reports/ - one result per flow message (optionally filtered by flow_id)
+function flowValuesReport(fixtures, body = {}) {
+  const attributes = body.data?.attributes || {};
+  const report = parseReportAttributes(fixtures, attributes);
+
+  const flows = applyFilter(fixtures.flows, parseFilter(attributes.filter), {
+    'flow_id': flow => flow.id
+  });
+
+  const results = flows.flatMap(flow => flow.messages.map(message => ({
+    groupings: {
+      flow_id: flow.id,
+      send_channel: 'email',
+      flow_message_id: message.id
+    },
+    statistics: computeStatistics(fixtures, {
+      ...report,
+      matchesSend: event => event.flowId === flow.id && event.messageId === message.id,
+      matchesConversion: event => event.attributedFlow === flow.id && event.attributedMessage === message.id
+    }, report.statistics)
+  })));
+
+  return {
+    data: {
+      type: 'flow-values-report',
+      id: `flow-values-${Date.now()}`,
+      attributes: { results }
+    }
+  };
+}
+
+// Helper function to send one page of a list, with links.next pointing at the following page
+function sendPage(req, res, resources, { pageSize, included } = {}) {
+  const size = Math.max(1, parseInt(req.query['page[size]']) || pageSize);
+  const offset = req.query['page[cursor]'] ? parseInt(Buffer.from(req.query['page[cursor]'], 'base64url').toString()) || 0 : 0;
+  const page = resources.slice(offset, offset + size);
+
+  const selfUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+  const query = new URLSearchParams(req.query);
+  let next = null;
+  if (offset + size < resources.length) {
+    query.set('page[cursor]', Buffer.from(String(offset + size)).toString('base64url'));
+    next = `${selfUrl}?${query.toString()}`;
+  }
+
+  const body = {
+    data: page,
+    links: { self: `${selfUrl}`, next, prev: null }
+  };
+  if (included) {
+    const pageIds = new Set(page.map(resource => resource.id));
+    body.included = included.filter(item => pageIds.has(item.relationships?.campaign?.data?.id));
+  }
+  res.json(body);
+}
+
+// Create the mock Klaviyo Express app
+// Options:
+// - seed: fixtures are generated per API key from this seed (default 1)
+// - fixtures: fixture object shared by every API key (overrides seed)
+// - keys: per API key behaviour, e.g. { 'bad-key': { invalid: true }, 'limited': { missingScopes: ['flows:read'] } }
+// - pageSize: page size for every list endpoint (default DEFAULT_PAGE_SIZES)
+// - throttle: { every, seconds } - every Nth request is throttled (429) for `seconds`
+// app.locals.mock exposes throttleNext(count, seconds), getFixtures(apiKey) and the request log
+function createMockKlaviyoApp(options = {}) {
+  const app = express();
+  const router = express.Router();
+  const seed = options.seed ?? DEFAULT_SEED;
+  const keys = options.keys || {};
+  const pageSizes = options.pageSize ? Object.fromEntries(Object.keys(DEFAULT_PAGE_SIZES).map(name => [name, options.pageSize])) : DEFAULT_PAGE_SIZES;
+  const throttle = options.throttle || {};
+  const fixturesByKey = new Map();
+  let requestCount = 0;
+  let pendingThrottles = [];
+
+  const mock = {
+    requests: [],
+    getFixtures(apiKey) {
+      if (keys[apiKey]?.fixtures) return keys[apiKey].fixtures;
+      if (options.fixtures) return options.fixtures;
+      if (!fixturesByKey.has(apiKey)) {
+        fixturesByKey.set(apiKey, generateFixtures(`${seed}:${apiKey}`, options.fixtureOptions));
+      }
+      return fixturesByKey.get(apiKey);
+    },
+    // Throttle the next `count` requests
+    throttleNext(count = 1, seconds = 1) {
+      pendingThrottles = pendingThrottles.concat(Array.from({ length: count }, () => seconds));
+    }
+  };
+  app.locals.mock = mock;
+
+  // Keep bracketed parameters (page[cursor], fields[campaign]) as flat keys like Klaviyo does
+  app.set('query parser', 'simple');
+  app.use(express.json({ type: ['application/json', 'application/vnd.api+json'] }));
+
+  // Authentication, revision header, throttling and scopes
+  router.use((req, res, next) => {
+    requestCount++;
+    const endpoint = req.path.split('/').filter(Boolean)[0];
+    mock.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+
+    const authorization = req.get('authorization') || '';
+    const apiKey = authorization.replace(/^Klaviyo-API-Key\s+/i, '').trim();
+    if (!authorization.match(/^Klaviyo-API-Key\s+\S+/i)) {
+      return next(new MockKlaviyoError(401, 'not_authenticated', 'Authentication credentials were not provided.'));
+    }
+    if (keys[apiKey]?.invalid) {
+      return next(new MockKlaviyoError(401, 'authentication_failed', 'Incorrect authentication credentials.'));
+    }
+    if (!req.get('revision')) {
+      return next(new MockKlaviyoError(400, 'invalid', 'The revision header is required.'));
+    }
+
+    let throttleSeconds = pendingThrottles.shift();
+    if (throttleSeconds === undefined && throttle.every && requestCount % throttle.every === 0) {
+      throttleSeconds = throttle.seconds ?? 1;
+    }
+    if (throttleSeconds !== undefined) {
+      return next(new MockKlaviyoError(429, 'throttled', `Request was throttled. Expected available in ${throttleSeconds} seconds.`, { 'Retry-After': String(throttleSeconds) }));
+    }
+
+    if ((keys[apiKey]?.missingScopes || []).includes(ENDPOINT_SCOPES[endpoint])) {
+      return next(new MockKlaviyoError(403, 'permission_denied', 'You do not have permission to perform this action.'));
+    }
+
+    req.fixtures = mock.getFixtures(apiKey);
+    next();
+  });
+
+  router.get('/accounts/', (req, res) => {
+    res.json({ data: [toAccountResource(req.fixtures.account)], links: { self: '/api/accounts/', next: null, prev: null } });
+  });
+
+  router.get('/metrics/', (req, res) => {
+    const metrics = applyFilter(req.fixtures.metrics, parseFilter(req.query.filter), {
+      'integration.name': metric => metric.integration,
+      'integration.category': () => 'Internal'
+    });
+    sendPage(req, res, metrics.map(toMetricResource).map(resource => applyFields(resource, req.query['fields[metric]'])), { pageSize: pageSizes.metrics });
+  });
+
+  router.post('/metric-aggregates/', (req, res) => {
+    res.json(aggregateMetric(req.fixtures, req.body?.data?.attributes));
+  });
+
+  router.get('/campaigns/', (req, res) => {
+    const conditions = parseFilter(req.query.filter);
+    if (!conditions.some(condition => condition.field === 'messages.channel' && condition.operator === 'equals')) {
+      throw new MockKlaviyoError(400, 'invalid', "A channel filter is required. Use equals(messages.channel,'email') or equals(messages.channel,'sms').");
+    }
+
+    const campaigns = applyFilter(req.fixtures.campaigns, conditions, {
+      'messages.channel': campaign => campaign.channel,
+      'name': campaign => campaign.name,
+      'status': campaign => campaign.status,
+      'archived': () => 'false',
+      'created_at': campaign => campaign.createdAt,
+      'updated_at': campaign => campaign.updatedAt,
+      'scheduled_at': campaign => campaign.sendTime
+    });
+
+    const resources = applySort(campaigns.map(toCampaignResource), req.query.sort)
+      .map(resource => applyFields(resource, req.query['fields[campaign]']));
+    const included = (req.query.include || '').split(',').includes('campaign-messages')
+      ? campaigns.flatMap(campaign => campaign.messages.map(message => toCampaignMessageResource(campaign, message)))
+      : null;
+
+    sendPage(req, res, resources, { pageSize: pageSizes.campaigns, included });
+  });
+
+  router.get('/campaigns/:campaignId/', (req, res) => {
+    const campaign = req.fixtures.campaigns.find(candidate => candidate.id === req.params.campaignId);
+    if (!campaign) {
+      throw new MockKlaviyoError(404, 'not_found', `A campaign with id ${req.params.campaignId} does not exist.`);
+    }
+
+    const body = { data: applyFields(toCampaignResource(campaign), req.query['fields[campaign]']) };
+    if ((req.query.include || '').split(',').includes('campaign-messages')) {
+      body.included = campaign.messages.map(message => toCampaignMessageResource(campaign, message));
+    }
+    res.json(body);
+  });
+
+  router.get('/flows/', (req, res) => {
+    const flows = applyFilter(req.fixtures.flows, parseFilter(req.query.filter), {
+      'id': flow => flow.id,
+      'name': flow => flow.name,
+      'status': flow => flow.status,
+      'archived': () => 'false',
+      'created': flow => flow.createdAt,
+      'updated': flow => flow.updatedAt,
+      'trigger_type': flow => flow.triggerType
+    });
+    const resources = applySort(flows.map(toFlowResource), req.query.sort)
+      .map(resource => applyFields(resource, req.query['fields[flow]']));
+    sendPage(req, res, resources, { pageSize: Math.min(pageSizes.flows, 50) });
+  });
+
+  router.get('/flows/:flowId/', (req, res) => {
+    const flow = req.fixtures.flows.find(candidate => candidate.id === req.params.flowId);
+    if (!flow) {
+      throw new MockKlaviyoError(404, 'not_found', `A flow with id ${req.params.flowId} does not exist.`);
+    }
+
+    const actions = getFlowActions(flow);
+    const resource = applyFields(toFlowResource(flow), req.query['fields[flow]']);
+    resource.relationships = {
+      'flow-actions': { data: actions.map(action => ({ type: 'flow-action', id: action.id })) }
+    };
+    const body = { data: resource };
+    if ((req.query.include || '').split(',').includes('flow-actions')) {
+      body.included = actions.map(action => toFlowActionResource(flow, action));
+    }
+    res.json(body);
+  });
+
+  router.get('/flow-actions/:actionId/flow-messages/', (req, res) => {
+    const action = req.fixtures.flows
+      .flatMap(flow => getFlowActions(flow))
+      .find(candidate => candidate.id === req.params.actionId);
+    if (!action) {
+      throw new MockKlaviyoError(404, 'not_found', `A flow action with id ${req.params.actionId} does not exist.`);
+    }
+
+    sendPage(req, res, action.message ? [toFlowMessageResource(action.message)] : [], { pageSize: 50 });
+  });
+
+  router.get('/events/', (req, res) => {
+    const events = applyFilter(req.fixtures.events, parseFilter(req.query.filter), {
+      'metric_id': event => event.metricId,
+      'profile_id': event => event.profileId,
+      'datetime': event => event.datetime,
+      'timestamp': event => event.datetime
+    });
+    const resources = applySort(events.map(toEventResource), req.query.sort)
+      .map(resource => applyFields(resource, req.query['fields[event]']));
+    sendPage(req, res, resources, { pageSize: Math.min(pageSizes.events, 200) });
+  });
+
+  router.post('/campaign-values-reports/', (req, res) => {
+    res.json(campaignValuesReport(req.fixtures, req.body));
+  });
+
+  router.post('/flow-values-reports/', (req, res) => {
+    res.json(flowValuesReport(req.fixtures, req.body));
+  });
+
+  router.use((req, res, next) => {
+    next(new MockKlaviyoError(404, 'not_found', `${req.method} ${req.path} is not supported by the mock Klaviyo server`));
+  });
+
+  // Errors in Klaviyo's JSON:API error format
+  router.use((error, req, res, next) => {
+    const status = error.status || 500;
+    res.set(error.headers || {});
+    res.status(status).json({
+      errors: [{
+        id: `mock-${Date.now()}`,
+        status,
+        code: error.code || 'error',
+        title: status === 429 ? 'Request was throttled.' : 'Error',
+        detail: error.message,
+        source: { pointer: '/data/' }
+      }]
+    });
+  });
+
+  app.use('/api', router);
+  return app;
+}
+
+// Start the mock server, resolving with the http.Server once it listens
+function startMockKlaviyoServer(options = {}) {
+  const app = createMockKlaviyoApp(options);
+  return new Promise(resolve => {
+    const server = app.listen(options.port ?? DEFAULT_PORT, () => resolve(server));
+    server.mock = app.locals.mock;
+  });
+}
+
+module.exports = {
+  createMockKlaviyoApp,
+  startMockKlaviyoServer,
+  parseFilter,
+  aggregateMetric
+};
+
+// Run directly for local development: node mockKlaviyoServer.js
+// MOCK_KLAVIYO_PORT (default 4010), MOCK_KLAVIYO_SEED, MOCK_KLAVIYO_FIXTURES (path to a fixtures JSON file),
+// MOCK_KLAVIYO_PAGE_SIZE, MOCK_KLAVIYO_THROTTLE_EVERY and MOCK_KLAVIYO_THROTTLE_SECONDS
+if (require.main === module) {
+  const fixturesFile = process.env.MOCK_KLAVIYO_FIXTURES;
+  startMockKlaviyoServer({
+    port: parseInt(process.env.MOCK_KLAVIYO_PORT) || DEFAULT_PORT,
+    seed: process.env.MOCK_KLAVIYO_SEED || DEFAULT_SEED,
+    fixtures: fixturesFile ? JSON.parse(fs.readFileSync(path.resolve(fixturesFile), 'utf8')) : undefined,
+    pageSize: parseInt(process.env.MOCK_KLAVIYO_PAGE_SIZE) || undefined,
+    throttle: {
+      every: parseInt(process.env.MOCK_KLAVIYO_THROTTLE_EVERY) || 0,
+      seconds: parseInt(process.env.MOCK_KLAVIYO_THROTTLE_SECONDS) || 1
+    }
+  }).then(server => {
+    console.log(`Mock Klaviyo server running on http://localhost:${server.address().port}/api`);
+    console.log(`Point the backend at it with KLAVIYO_BASE_URL=http://localhost:${server.address().port}/api`);
+  });
+}
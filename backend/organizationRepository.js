@@ -0,0 +1,242 @@
+const { getDb } = require('./db');
+
+// Data access for organizations, their members and invitations
+// An organization owns Klaviyo accounts and has the branding its clients see; a member has a role, an active account
+// and, for client-viewers and clients, the accounts they were given (organization_member_accounts). users.organization_id is the member's current organization
+
+// Helper function to map an organizations row
+function toOrganization(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    logo: row.logo,
+    accentColor: row.accent_color,
+    createdAt: row.created_at
+  };
+}
+
+// Helper function to get the accounts a member was given
+function listMemberAccountIds(organizationId, userId, db = getDb()) {
+  return db.prepare('SELECT account_id FROM organization_member_accounts WHERE organization_id = ? AND user_id = ? ORDER BY account_id')
+    .all(organizationId, userId)
+    .map(row => row.account_id);
+}
+
+// Helper function to map an organization_members row (joined with its organization and user)
+function toMember(row, db = getDb()) {
+  if (!row) return null;
+  return {
+    organizationId: row.organization_id,
+    organizationName: row.organization_name,
+    userId: row.user_id,
+    username: row.username,
+    email: row.email,
+    role: row.role,
+    activeAccountId: row.active_account_id,
+    accountIds: listMemberAccountIds(row.organization_id, row.user_id, db),
+    createdAt: row.created_at
+  };
+}
+
+// Helper function to map an organization_invitations row (the token itself is never stored)
+function toInvitation(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    organizationId: row.organization_id,
+    organizationName: row.organization_name,
+    email: row.email,
+    role: row.role,
+    accountIds: JSON.parse(row.account_ids),
+    invitedBy: row.invited_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    acceptedAt: row.accepted_at,
+    acceptedBy: row.accepted_by
+  };
+}
+
+const MEMBER_QUERY = `
+  SELECT organization_members.*, organizations.name AS organization_name, users.username, users.email
+  FROM organization_members
+  JOIN organizations ON organizations.id = organization_members.organization_id
+  JOIN users ON users.id = organization_members.user_id
+`;
+
+const INVITATION_QUERY = `
+  SELECT organization_invitations.*, organizations.name AS organization_name
+  FROM organization_invitations
+  JOIN organizations ON organizations.id = organization_invitations.organization_id
+`;
+
+// Create an organization with its owner, and make it the owner's current organization
+function createOrganization(organization, ownerId, db = getDb()) {
+  db.transaction(() => {
+    db.prepare('INSERT INTO organizations (id, name, created_at) VALUES (@id, @name, @createdAt)').run(organization);
+    addMember({ organizationId: organization.id, userId: ownerId, role: 'owner', createdAt: organization.createdAt }, db);
+  })();
+}
+
+function findOrganization(organizationId, db = getDb()) {
+  return toOrganization(db.prepare('SELECT * FROM organizations WHERE id = ?').get(organizationId));
+}
+
+// Returns false if the organization does not exist
+function renameOrganization(organizationId, name, db = getDb()) {
+  return db.prepare('UPDATE organizations SET name = ? WHERE id = ?').run(name, organizationId).changes > 0;
+}
+
+function findMembership(organizationId, userId, db = getDb()) {
+  return toMember(db.prepare(`${MEMBER_QUERY} WHERE organization_members.organization_id = ? AND organization_members.user_id = ?`)
+    .get(organizationId, userId), db);
+}
+
+// Memberships of a user, oldest first
+function listMemberships(userId, db = getDb()) {
+  return db.prepare(`${MEMBER_QUERY} WHERE organization_members.user_id = ? ORDER BY organization_members.created_at, organization_members.rowid`)
+    .all(userId)
+    .map(row => toMember(row, db));
+}
+
+// The membership of the user's current organization, or their oldest one
+function findCurrentMembership(userId, db = getDb()) {
+  const user = db.prepare('SELECT organization_id FROM users WHERE id = ?').get(userId);
+  return (user?.organization_id && findMembership(user.organization_id, userId, db)) || listMemberships(userId, db)[0] || null;
+}
+
+// Members of an organization in the order they joined
+function listMembers(organizationId, db = getDb()) {
+  return db.prepare(`${MEMBER_QUERY} WHERE organization_members.organization_id = ? ORDER BY organization_members.created_at, organization_members.rowid`)
+    .all(organizationId)
+    .map(row => toMember(row, db));
+}
+
+// Helper function to replace the accounts a member was given
+function setMemberAccounts(organizationId, userId, accountIds, db = getDb()) {
+  db.prepare('DELETE FROM organization_member_accounts WHERE organization_id = ? AND user_id = ?').run(organizationId, userId);
+  const insert = db.prepare('INSERT INTO organization_member_accounts (organization_id, user_id, account_id) VALUES (?, ?, ?)');
+  [...new Set(accountIds)].forEach(accountId => insert.run(organizationId, userId, accountId));
+}
+
+// Add a member with their role (and given accounts) and make the organization their current one
+function addMember(member, db = getDb()) {
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO organization_members (organization_id, user_id, role, active_account_id, created_at)
+      VALUES (@organizationId, @userId, @role, @activeAccountId, @createdAt)
+    `).run({ activeAccountId: null, ...member });
+    setMemberAccounts(member.organizationId, member.userId, member.accountIds || [], db);
+    setCurrentOrganization(member.userId, member.organizationId, db);
+  })();
+}
+
+// Change a member's role and given accounts
+// Returns false if the member does not exist
+function updateMember(organizationId, userId, { role, accountIds = [] }, db = getDb()) {
+  return db.transaction(() => {
+    const result = db.prepare('UPDATE organization_members SET role = ? WHERE organization_id = ? AND user_id = ?')
+      .run(role, organizationId, userId);
+    if (result.changes === 0) return false;
+
+    setMemberAccounts(organizationId, userId, accountIds, db);
+    return true;
+  })();
+}
+
+// Remove a member; if it was their current organization, their oldest remaining one becomes current
+function removeMember(organizationId, userId, db = getDb()) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?').run(organizationId, userId);
+
+    const user = db.prepare('SELECT organization_id FROM users WHERE id = ?').get(userId);
+    if (user?.organization_id === organizationId) {
+      setCurrentOrganization(userId, listMemberships(userId, db)[0]?.organizationId || null, db);
+    }
+  })();
+}
+
+// Returns false if the organization does not exist
+function updateOrganizationBranding(organizationId, { logo, accentColor }, db = getDb()) {
+  return db.prepare('UPDATE organizations SET logo = ?, accent_color = ? WHERE id = ?').run(logo, accentColor, organizationId).changes > 0;
+}
+
+function setCurrentOrganization(userId, organizationId, db = getDb()) {
+  db.prepare('UPDATE users SET organization_id = ? WHERE id = ?').run(organizationId, userId);
+}
+
+// Set the account a member works in
+function setActiveAccount(organizationId, userId, accountId, db = getDb()) {
+  db.prepare('UPDATE organization_members SET active_account_id = ? WHERE organization_id = ? AND user_id = ?')
+    .run(accountId, organizationId, userId);
+}
+
+// Take a removed account away from every member it was given to
+function deleteAccountGrants(organizationId, accountId, db = getDb()) {
+  db.prepare('DELETE FROM organization_member_accounts WHERE organization_id = ? AND account_id = ?').run(organizationId, accountId);
+}
+
+function insertInvitation(invitation, db = getDb()) {
+  db.prepare(`
+    INSERT INTO organization_invitations (id, organization_id, email, role, account_ids, token_hash, invited_by, created_at, expires_at)
+    VALUES (@id, @organizationId, @email, @role, @accountIds, @tokenHash, @invitedBy, @createdAt, @expiresAt)
+  `).run({
+    ...invitation,
+    accountIds: JSON.stringify(invitation.accountIds || []),
+    invitedBy: invitation.invitedBy || null
+  });
+}
+
+// Invitations of an organization that were not accepted yet and have not expired, newest first
+function listPendingInvitations(organizationId, now = new Date(), db = getDb()) {
+  return db.prepare(`
+    ${INVITATION_QUERY}
+    WHERE organization_invitations.organization_id = ? AND accepted_at IS NULL AND expires_at > ?
+    ORDER BY organization_invitations.created_at DESC, organization_invitations.rowid DESC
+  `).all(organizationId, new Date(now).toISOString()).map(toInvitation);
+}
+
+function findInvitation(organizationId, invitationId, db = getDb()) {
+  return toInvitation(db.prepare(`${INVITATION_QUERY} WHERE organization_invitations.organization_id = ? AND organization_invitations.id = ?`)
+    .get(organizationId, invitationId));
+}
+
+function findInvitationByTokenHash(tokenHash, db = getDb()) {
+  return toInvitation(db.prepare(`${INVITATION_QUERY} WHERE organization_invitations.token_hash = ?`).get(tokenHash));
+}
+
+// Returns false if the invitation was already accepted (by a concurrent request)
+function markInvitationAccepted(invitationId, userId, acceptedAt = new Date().toISOString(), db = getDb()) {
+  const result = db.prepare('UPDATE organization_invitations SET accepted_at = ?, accepted_by = ? WHERE id = ? AND accepted_at IS NULL')
+    .run(acceptedAt, userId, invitationId);
+  return result.changes > 0;
+}
+
+// Returns false if the invitation does not exist
+function deleteInvitation(organizationId, invitationId, db = getDb()) {
+  const result = db.prepare('DELETE FROM organization_invitations WHERE organization_id = ? AND id = ?').run(organizationId, invitationId);
+  return result.changes > 0;
+}
+
+module.exports = {
+  createOrganization,
+  findOrganization,
+  renameOrganization,
+  updateOrganizationBranding,
+  findMembership,
+  listMemberships,
+  findCurrentMembership,
+  listMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  setCurrentOrganization,
+  setActiveAccount,
+  deleteAccountGrants,
+  insertInvitation,
+  listPendingInvitations,
+  findInvitation,
+  findInvitationByTokenHash,
+  markInvitationAccepted,
+  deleteInvitation
+};
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const organizationRepository = require('./organizationRepository');
+const userRepository = require('./userRepository');
+const { parseRecipients } = require('./reportEmail');
+const { validateReportBranding } = require('./pdfReport');
+
+// Organizations own Klaviyo accounts; users are invited into them with a role
+// owner: everything, including the organization and other owners
+// admin: adds and removes accounts, configures them (metrics, branding, schedules, alert rules), manages members
+// and subscribes webhooks to the organization's events
+// analyst: read-only access to every account of the organization (no webhooks: they send its events elsewhere)
+// client-viewer: read-only access to the accounts they were given
+// client: a client portal login pinned to one account: its dashboard only, without the agency's workspace
+// (report schedules, alert rules, alerts, webhooks), under the organization's branding
+
+const ROLES = {
+  owner: 'Owner',
+  admin: 'Admin',
+  analyst: 'Analyst',
+  'client-viewer': 'Client viewer',
+  client: 'Client portal'
+};
+
+const PERMISSIONS = {
+  'accounts:manage': 'Add and remove Klaviyo accounts',
+  'accounts:configure': 'Change account settings, report schedules and alert rules',
+  'members:manage': 'Invite members and change their roles',
+  'organization:manage': 'Rename the organization and change its branding',
+  'workspace:view': 'See report schedules, alert rules and alerts',
+  'webhooks:manage': 'Send the organization\'s events to webhooks'
+};
+
+const ROLE_PERMISSIONS = {
+  owner: ['accounts:manage', 'accounts:configure', 'members:manage', 'organization:manage', 'workspace:view', 'webhooks:manage'],
+  admin: ['accounts:manage', 'accounts:configure', 'members:manage', 'workspace:view', 'webhooks:manage'],
+  analyst: ['workspace:view'],
+  'client-viewer': ['workspace:view'],
+  client: []
+};
+
+// Roles that only see the accounts they were given
+const ACCOUNT_SCOPED_ROLES = ['client-viewer', 'client'];
+
+// Invitation links stay valid for a week
+const INVITATION_TTL_DAYS = 7;
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// Whether a member sees an account: client-viewers and clients only see the accounts they were given
+function canViewAccount(member, accountId) {
+  if (!member || !ROLES[member.role]) return false;
+  return !ACCOUNT_SCOPED_ROLES.includes(member.role) || member.accountIds.includes(accountId);
+}
+
+// The accounts of an organization a member sees
+function getVisibleAccounts(member, accounts) {
+  return accounts.filter(account => canViewAccount(member, account.id));
+}
+
+// Whether a member with actorRole may give targetRole (and, when editing, change a member who has currentRole)
+// Only owners can make owners or change an owner
+function canAssignRole(actorRole, targetRole, currentRole = null) {
+  if (!hasPermission(actorRole, 'members:manage')) return false;
+  if (actorRole === 'owner') return true;
+  return targetRole !== 'owner' && currentRole !== 'owner';
+}
+
+// Validate a role and the accounts given with it against the organization's accounts
+// Returns { role, accountIds } (accountIds only for client-viewers and clients), or { error }
+function validateMemberRole({ role, accountIds }, organizationAccountIds) {
+  if (!ROLES[role]) {
+    return { error: `Invalid role. Supported roles: ${Object.keys(ROLES).join(', ')}` };
+  }
+  if (!ACCOUNT_SCOPED_ROLES.includes(role)) {
+    return { role, accountIds: [] };
+  }
+
+  const ids = [...new Set(Array.isArray(accountIds) ? accountIds.map(String) : [])];
+  if (ids.length === 0) {
+    return { error: `Choose at least one account for a ${ROLES[role].toLowerCase()}` };
+  }
+  if (role === 'client' && ids.length > 1) {
+    return { error: 'A client portal login is pinned to exactly one account' };
+  }
+  const unknown = ids.find(id => !organizationAccountIds.includes(id));
+  if (unknown) {
+    return { error: `Account ${unknown} does not belong to this organization` };
+  }
+  return { role, accountIds: ids };
+}
+
+// Invitation tokens are only ever shown in the invitation link; the database keeps their SHA-256
+function generateInvitationToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Helper function to check that a member may manage other members
+function assertCanManageMembers(member) {
+  if (!hasPermission(member?.role, 'members:manage')) {
+    throw new Error('Your role does not allow managing members');
+  }
+}
+
+// Helper function to get the IDs of an organization's accounts
+function getOrganizationAccountIds(organizationId) {
+  return userRepository.listOrganizationAccounts(organizationId).map(account => account.id);
+}
+
+// Invite someone to the member's organization
+// Returns { invitation, token }; the token goes into the invitation link and cannot be looked up later
+function createInvitation(member, { email, role, accountIds }, now = new Date()) {
+  assertCanManageMembers(member);
+
+  if (!email || !String(email).trim()) {
+    throw new Error('Email is required');
+  }
+  const parsed = parseRecipients([email]);
+  if (parsed.error) {
+    throw new Error(parsed.error);
+  }
+  const address = parsed.recipients[0];
+
+  const validated = validateMemberRole({ role, accountIds }, getOrganizationAccountIds(member.organizationId));
+  if (validated.error) {
+    throw new Error(validated.error);
+  }
+  if (!canAssignRole(member.role, validated.role)) {
+    throw new Error('Only owners can invite owners');
+  }
+  if (organizationRepository.listMembers(member.organizationId).some(entry => entry.email.toLowerCase() === address)) {
+    throw new Error(`${address} is already a member of this organization`);
+  }
+
+  const token = generateInvitationToken();
+  const invitation = {
+    id: crypto.randomUUID(),
+    organizationId: member.organizationId,
+    email: address,
+    role: validated.role,
+    accountIds: validated.accountIds,
+    tokenHash: hashInvitationToken(token),
+    invitedBy: member.userId,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+  organizationRepository.insertInvitation(invitation);
+
+  return {
+    invitation: organizationRepository.findInvitation(member.organizationId, invitation.id),
+    token
+  };
+}
+
+// Find the open invitation of a token
+function getInvitation(token, now = new Date()) {
+  const invitation = token ? organizationRepository.findInvitationByTokenHash(hashInvitationToken(token)) : null;
+
+  if (!invitation) {
+    throw new Error('Invitation not found');
+  }
+  if (invitation.acceptedAt) {
+    throw new Error('This invitation was already used');
+  }
+  if (new Date(invitation.expiresAt) <= now) {
+    throw new Error('This invitation has expired');
+  }
+  return invitation;
+}
+
+// Join the organization of an invitation, with its role, and make it the user's current organization
+// The invitation is for one email address: the user's email must match it
+function acceptInvitation(userId, token, now = new Date()) {
+  const user = userRepository.findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const invitation = getInvitation(token, now);
+  if (invitation.email !== user.email.toLowerCase()) {
+    throw new Error(`This invitation is for ${invitation.email}`);
+  }
+  if (organizationRepository.findMembership(invitation.organizationId, userId)) {
+    throw new Error('You are already a member of this organization');
+  }
+
+  // Accounts removed since the invitation was sent are dropped
+  const organizationAccountIds = getOrganizationAccountIds(invitation.organizationId);
+  const accountIds = invitation.accountIds.filter(id => organizationAccountIds.includes(id));
+  if (ACCOUNT_SCOPED_ROLES.includes(invitation.role) && accountIds.length === 0) {
+    throw new Error('The accounts of this invitation were removed');
+  }
+
+  const db = getDb();
+  db.transaction(() => {
+    if (!organizationRepository.markInvitationAccepted(invitation.id, userId, now.toISOString())) {
+      throw new Error('This invitation was already used');
+    }
+    organizationRepository.addMember({
+      organizationId: invitation.organizationId,
+      userId,
+      role: invitation.role,
+      accountIds,
+      createdAt: now.toISOString()
+    });
+  })();
+
+  return organizationRepository.findMembership(invitation.organizationId, userId);
+}
+
+// Helper function to find another member of the organization for a change by member
+function findManagedMember(member, userId) {
+  assertCanManageMembers(member);
+
+  const target = organizationRepository.findMembership(member.organizationId, userId);
+  if (!target) {
+    throw new Error('Member not found');
+  }
+  return target;
+}
+
+// Helper function to check that a change leaves the organization with an owner
+function assertKeepsAnOwner(target, newRole = null) {
+  if (target.role !== 'owner' || newRole === 'owner') return;
+
+  const owners = organizationRepository.listMembers(target.organizationId).filter(entry => entry.role === 'owner');
+  if (owners.length <= 1) {
+    throw new Error('The organization needs at least one owner');
+  }
+}
+
+// Change the role (and given accounts) of a member
+function updateMemberRole(member, userId, { role, accountIds }) {
+  const target = findManagedMember(member, userId);
+
+  const validated = validateMemberRole({ role, accountIds }, getOrganizationAccountIds(member.organizationId));
+  if (validated.error) {
+    throw new Error(validated.error);
+  }
+  if (!canAssignRole(member.role, validated.role, target.role)) {
+    throw new Error('Only owners can change owners or make someone an owner');
+  }
+  assertKeepsAnOwner(target, validated.role);
+
+  organizationRepository.updateMember(member.organizationId, userId, validated);
+  return organizationRepository.findMembership(member.organizationId, userId);
+}
+
+// Remove a member from the organization
+function removeMember(member, userId) {
+  const target = findManagedMember(member, userId);
+
+  if (!canAssignRole(member.role, target.role, target.role)) {
+    throw new Error('Only owners can remove owners');
+  }
+  assertKeepsAnOwner(target);
+
+  organizationRepository.removeMember(member.organizationId, userId);
+}
+
+// Revoke an invitation that was not accepted yet
+function revokeInvitation(member, invitationId) {
+  assertCanManageMembers(member);
+
+  if (!organizationRepository.deleteInvitation(member.organizationId, invitationId)) {
+    throw new Error('Invitation not found');
+  }
+}
+
+// Rename the member's organization
+function renameOrganization(member, name) {
+  if (!hasPermission(member?.role, 'organization:manage')) {
+    throw new Error('Only owners can rename the organization');
+  }
+  const trimmed = String(name || '').trim();
+  if (!trimmed || trimmed.length > 100) {
+    throw new Error('Organization name is required (at most 100 characters)');
+  }
+
+  organizationRepository.renameOrganization(member.organizationId, trimmed);
+  return organizationRepository.findOrganization(member.organizationId);
+}
+
+// Set the logo (PNG/JPEG data URL) and accent color the organization shows to its clients; null resets either one
+function setOrganizationBranding(member, { logo = null, accentColor = null }) {
+  if (!hasPermission(member?.role, 'organization:manage')) {
+    throw new Error('Only owners can change the organization branding');
+  }
+  const validationError = validateReportBranding({ reportLogo: logo, reportAccentColor: accentColor });
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  organizationRepository.updateOrganizationBranding(member.organizationId, { logo, accentColor });
+  return organizationRepository.findOrganization(member.organizationId);
+}
+
+// Make another of the user's organizations their current one
+function switchOrganization(userId, organizationId) {
+  const membership = organizationRepository.findMembership(organizationId, userId);
+  if (!membership) {
+    throw new Error('Organization not found');
+  }
+
+  organizationRepository.setCurrentOrganization(userId, organizationId);
+  return membership;
+}
+
+// IDs of the members who see an account and may manage webhooks (its webhook events go to each of them)
+// Subscriptions of members whose role no longer allows webhooks stop receiving events
+function listAccountAudience(organizationId, accountId) {
+  return organizationRepository.listMembers(organizationId)
+    .filter(member => canViewAccount(member, accountId) && hasPermission(member.role, 'webhooks:manage'))
+    .map(member => member.userId);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  INVITATION_TTL_DAYS,
+  hasPermission,
+  getRolePermissions,
+  canViewAccount,
+  getVisibleAccounts,
+  canAssignRole,
+  validateMemberRole,
+  generateInvitationToken,
+  hashInvitationToken,
+  createInvitation,
+  getInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  revokeInvitation,
+  renameOrganization,
+  setOrganizationBranding,
+  switchOrganization,
+  listAccountAudience
+};
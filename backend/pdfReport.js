@@ -0,0 +1,422 @@
+const PDFDocument = require('pdfkit');
+const { getZonedParts } = require('./dateRange');
+
+// Branded PDF performance report of a Klaviyo account and date range, rendered with pdfkit (no browser or external service)
+// Sections: summary cards, revenue trend, top campaigns, top flows and the comparison with the previous period
+// Built from the /api/revenue/total and /api/revenue/timeseries payloads
+
+const DEFAULT_ACCENT_COLOR = '#4f46e5';
+const MAX_LOGO_BYTES = 512 * 1024;
+const TOP_ROWS = 10;
+
+const PAGE_MARGIN = 48;
+const TEXT_COLOR = '#111827';
+const MUTED_COLOR = '#6b7280';
+const BORDER_COLOR = '#e5e7eb';
+const UP_COLOR = '#166534';
+const DOWN_COLOR = '#991b1b';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Helper function to read a logo data URL (PNG or JPEG) into a Buffer, null when it is not one
+function parseLogoDataUrl(dataUrl) {
+  const match = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=\s]+)$/.exec(dataUrl || '');
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+// Check the branding of an account's reports: a PNG/JPEG logo data URL and a #rrggbb accent color (both optional)
+// Returns an error message, or null when the branding is valid
+function validateReportBranding({ reportLogo = null, reportAccentColor = null } = {}) {
+  if (reportLogo) {
+    const logo = parseLogoDataUrl(reportLogo);
+    if (!logo) {
+      return 'The logo must be a PNG or JPEG image';
+    }
+    if (logo.length > MAX_LOGO_BYTES) {
+      return `The logo must be at most ${MAX_LOGO_BYTES / 1024} KB`;
+    }
+  }
+  if (reportAccentColor && !/^#[0-9a-fA-F]{6}$/.test(reportAccentColor)) {
+    return 'The accent color must be a hex color such as #4f46e5';
+  }
+  return null;
+}
+
+// Helper function to keep the characters the built-in PDF fonts can draw (Latin-1 and common punctuation)
+function toPdfText(value) {
+  return String(value ?? '').replace(/[^\u0000-\u00ff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026\u20ac]/g, '').trim();
+}
+
+// Helper function to format an amount in the account currency
+// Falls back to the currency code when its symbol cannot be drawn with the built-in fonts
+function formatMoney(value, currency) {
+  const amount = Number(value) || 0;
+  try {
+    const formatted = new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    if (toPdfText(formatted) === formatted) {
+      return formatted;
+    }
+  } catch (error) {
+    // Unknown currency code, use the fallback below
+  }
+  return `${currency} ${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Helper function to format a count
+function formatCount(value) {
+  return Math.round(Number(value) || 0).toLocaleString('en-US');
+}
+
+// Helper function to format a percentage
+function formatPercent(value) {
+  return `${(Number(value) || 0).toFixed(2)}%`;
+}
+
+// Helper function to format a change versus the previous period, e.g. "+12.3%"
+function formatChange(delta) {
+  if (!delta || delta.changePercent === null || delta.changePercent === undefined) {
+    return delta && delta.change > 0 ? 'New' : '–';
+  }
+  const sign = delta.changePercent > 0 ? '+' : '';
+  return `${sign}${delta.changePercent.toFixed(1)}%`;
+}
+
+// Helper function to pick the color of a change (green up, red down)
+function getChangeColor(delta) {
+  if (!delta || !delta.changePercent) return MUTED_COLOR;
+  return delta.changePercent > 0 ? UP_COLOR : DOWN_COLOR;
+}
+
+// Helper function to format a date as "Mar 2, 2024" in a timezone
+function formatDate(value, timezone) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return '';
+  const parts = getZonedParts(date, timezone);
+  return `${MONTHS[parts.month]} ${parts.day}, ${parts.year}`;
+}
+
+// Helper function to format a YYYY-MM-DD calendar day as "Mar 2, 2024"
+function formatCalendarDay(day) {
+  const [year, month, date] = String(day || '').split('-').map(Number);
+  return year ? `${MONTHS[month - 1]} ${date}, ${year}` : '';
+}
+
+// Helper function to get a row's open or click rate (percent of recipients)
+function getRowRate(row, field) {
+  return row.recipients > 0 ? ((row[field] || 0) / row.recipients) * 100 : 0;
+}
+
+// Helper function to start a new page when fewer than `height` points are left
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN - 24) {
+    doc.addPage();
+  }
+}
+
+// Helper function to draw a section title with an accent underline
+function drawSectionTitle(doc, title, accentColor) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8);
+  const y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(TEXT_COLOR).text(title, PAGE_MARGIN, y);
+  doc.rect(PAGE_MARGIN, doc.y + 2, 32, 2).fill(accentColor);
+  doc.y += 12;
+}
+
+// Report header: accent band, logo, account name and date range
+function drawHeader(doc, { accountName, dateRange, comparison, accentColor, logo }) {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  doc.rect(0, 0, doc.page.width, 8).fill(accentColor);
+
+  let textY = PAGE_MARGIN;
+  if (logo) {
+    try {
+      doc.image(logo, PAGE_MARGIN, PAGE_MARGIN, { fit: [140, 48] });
+      textY = PAGE_MARGIN + 60;
+    } catch (error) {
+      // An unreadable logo is left out rather than failing the report
+      console.log('Skipping unreadable report logo:', error.message);
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(TEXT_COLOR)
+    .text('Performance Report', PAGE_MARGIN, textY, { width });
+  doc.font('Helvetica').fontSize(12).fillColor(MUTED_COLOR)
+    .text(toPdfText(accountName), { width });
+  const rangeText = `${toPdfText(dateRange.label)} · ${formatCalendarDay(dateRange.startDate)} – ${formatCalendarDay(dateRange.endDate)}`;
+  doc.text(rangeText, { width });
+  if (comparison) {
+    doc.fontSize(10).text(
+      `Compared with ${toPdfText(comparison.dateRange.label)} (${formatCalendarDay(comparison.dateRange.startDate)} – ${formatCalendarDay(comparison.dateRange.endDate)})`,
+      { width }
+    );
+  }
+  doc.moveDown(0.5);
+}
+
+// Summary cards: revenue, engagement and conversions, with their change versus the previous period
+function drawSummaryCards(doc, { payload, currency, conversionLabel, accentColor }) {
+  const summary = payload.summary || {};
+  const deltas = payload.comparison?.deltas || {};
+  const cards = [
+    { title: 'Total revenue', value: formatMoney(summary.totalRevenue, currency), delta: deltas.totalRevenue },
+    { title: 'Campaign revenue', value: formatMoney(summary.campaignRevenue, currency), delta: deltas.campaignRevenue },
+    { title: 'Flow revenue', value: formatMoney(summary.flowRevenue, currency), delta: deltas.flowRevenue },
+    { title: 'Open rate', value: formatPercent(summary.openRate), delta: deltas.openRate },
+    { title: 'Click rate', value: formatPercent(summary.clickRate), delta: deltas.clickRate },
+    { title: `${conversionLabel} conversions`, value: formatCount(summary.conversions), delta: deltas.conversions }
+  ];
+
+  const columns = 3;
+  const gap = 12;
+  const cardWidth = (doc.page.width - PAGE_MARGIN * 2 - gap * (columns - 1)) / columns;
+  const cardHeight = 70;
+  const top = doc.y + 8;
+
+  cards.forEach((card, index) => {
+    const x = PAGE_MARGIN + (index % columns) * (cardWidth + gap);
+    const y = top + Math.floor(index / columns) * (cardHeight + gap);
+    doc.roundedRect(x, y, cardWidth, cardHeight, 6).lineWidth(1).strokeColor(BORDER_COLOR).stroke();
+    doc.rect(x, y + 6, 3, cardHeight - 12).fill(accentColor);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+      .text(toPdfText(card.title).toUpperCase(), x + 12, y + 10, { width: cardWidth - 20, lineBreak: false, ellipsis: true });
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(TEXT_COLOR)
+      .text(card.value, x + 12, y + 26, { width: cardWidth - 20, lineBreak: false });
+    if (payload.comparison) {
+      doc.font('Helvetica').fontSize(9).fillColor(getChangeColor(card.delta))
+        .text(`${formatChange(card.delta)} vs previous period`, x + 12, y + 50, { width: cardWidth - 20, lineBreak: false });
+    }
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + Math.ceil(cards.length / columns) * (cardHeight + gap);
+}
+
+// Revenue trend: total, campaign and flow revenue per bucket as lines
+function drawRevenueTrend(doc, { trend, currency, timezone, accentColor }) {
+  const buckets = trend?.data || [];
+  if (buckets.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text('No revenue in this date range.', PAGE_MARGIN);
+    return;
+  }
+
+  ensureSpace(doc, 200);
+  const chartLeft = PAGE_MARGIN + 64;
+  const chartWidth = doc.page.width - PAGE_MARGIN - chartLeft;
+  const chartHeight = 140;
+  const top = doc.y + 8;
+  const bottom = top + chartHeight;
+  const maxValue = Math.max(1, ...buckets.map(bucket => bucket.total || 0));
+  const xAt = index => chartLeft + (buckets.length === 1 ? chartWidth / 2 : (index / (buckets.length - 1)) * chartWidth);
+  const yAt = value => bottom - ((value || 0) / maxValue) * chartHeight;
+
+  // Grid lines with their values
+  [0, 0.5, 1].forEach(fraction => {
+    const y = bottom - fraction * chartHeight;
+    doc.moveTo(chartLeft, y).lineTo(chartLeft + chartWidth, y).lineWidth(0.5).strokeColor(BORDER_COLOR).stroke();
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text(formatMoney(maxValue * fraction, currency), PAGE_MARGIN, y - 4, { width: 58, align: 'right', lineBreak: false });
+  });
+
+  const series = [
+    { key: 'total', label: 'Total', color: accentColor, width: 2 },
+    { key: 'campaign', label: 'Campaigns', color: '#0ea5e9', width: 1.2 },
+    { key: 'flow', label: 'Flows', color: '#f59e0b', width: 1.2 }
+  ];
+  series.forEach(line => {
+    buckets.forEach((bucket, index) => {
+      const x = xAt(index);
+      const y = yAt(bucket[line.key]);
+      if (index === 0) doc.moveTo(x, y);
+      else doc.lineTo(x, y);
+    });
+    doc.lineWidth(line.width).strokeColor(line.color).stroke();
+  });
+
+  // First and last bucket dates, and the legend
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+  doc.text(formatDate(buckets[0].date, timezone), chartLeft, bottom + 6, { lineBreak: false });
+  const lastLabel = formatDate(buckets[buckets.length - 1].date, timezone);
+  doc.text(lastLabel, chartLeft + chartWidth - doc.widthOfString(lastLabel), bottom + 6, { lineBreak: false });
+
+  let legendX = chartLeft;
+  const legendY = bottom + 22;
+  series.forEach(line => {
+    doc.rect(legendX, legendY + 2, 10, 3).fill(line.color);
+    doc.fillColor(TEXT_COLOR).text(line.label, legendX + 14, legendY, { lineBreak: false });
+    legendX += 24 + doc.widthOfString(line.label);
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = legendY + 18;
+}
+
+// Table of rows with a header; starts a new page (repeating the header) when the page is full
+// columns: [{ header, width (fraction of the table), align, value: row => text }]
+function drawTable(doc, columns, rows, emptyText) {
+  if (rows.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(emptyText, PAGE_MARGIN);
+    return;
+  }
+
+  const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+  const rowHeight = 22;
+  const drawRow = (values, { bold = false, color = TEXT_COLOR, fill = null } = {}) => {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+    if (fill) {
+      doc.rect(PAGE_MARGIN, y, tableWidth, rowHeight).fill(fill);
+    }
+    let x = PAGE_MARGIN;
+    columns.forEach((column, index) => {
+      const width = column.width * tableWidth;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(values[index]?.color || color)
+        .text(values[index]?.text ?? values[index], x + 6, y + 7, {
+          width: width - 12,
+          align: column.align || 'left',
+          lineBreak: false,
+          ellipsis: true
+        });
+      x += width;
+    });
+    doc.moveTo(PAGE_MARGIN, y + rowHeight).lineTo(PAGE_MARGIN + tableWidth, y + rowHeight).lineWidth(0.5).strokeColor(BORDER_COLOR).stroke();
+    doc.x = PAGE_MARGIN;
+    doc.y = y + rowHeight;
+  };
+
+  const drawHeaderRow = () => drawRow(columns.map(column => column.header.toUpperCase()), { bold: true, color: MUTED_COLOR, fill: '#f3f4f6' });
+
+  drawHeaderRow();
+  rows.forEach(row => {
+    if (doc.y + rowHeight > doc.page.height - PAGE_MARGIN - 24) {
+      doc.addPage();
+      drawHeaderRow();
+    }
+    drawRow(columns.map(column => column.value(row)));
+  });
+}
+
+// Helper function to get the rows with the most revenue
+function getTopRows(rows = []) {
+  return [...rows].sort((a, b) => (b.revenue || 0) - (a.revenue || 0)).slice(0, TOP_ROWS);
+}
+
+// Comparison with the previous period: every summary metric, its previous value and the change
+function drawComparison(doc, { payload, currency, conversionLabel }) {
+  const comparison = payload.comparison;
+  if (!comparison) {
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+      .text('No comparison period was selected for this report.', PAGE_MARGIN);
+    return;
+  }
+
+  const summary = payload.summary || {};
+  const metrics = [
+    { label: 'Total revenue', field: 'totalRevenue', format: value => formatMoney(value, currency) },
+    { label: 'Campaign revenue', field: 'campaignRevenue', format: value => formatMoney(value, currency) },
+    { label: 'Flow revenue', field: 'flowRevenue', format: value => formatMoney(value, currency) },
+    { label: 'Recipients', field: 'recipients', format: formatCount },
+    { label: 'Open rate', field: 'openRate', format: formatPercent },
+    { label: 'Click rate', field: 'clickRate', format: formatPercent },
+    { label: `${conversionLabel} conversions`, field: 'conversions', format: formatCount }
+  ];
+
+  drawTable(doc, [
+    { header: 'Metric', width: 0.34, value: metric => toPdfText(metric.label) },
+    { header: 'This period', width: 0.22, align: 'right', value: metric => metric.format(summary[metric.field]) },
+    { header: 'Previous period', width: 0.22, align: 'right', value: metric => metric.format(comparison.deltas?.[metric.field]?.previous) },
+    {
+      header: 'Change',
+      width: 0.22,
+      align: 'right',
+      value: metric => ({ text: formatChange(comparison.deltas?.[metric.field]), color: getChangeColor(comparison.deltas?.[metric.field]) })
+    }
+  ], metrics, '');
+}
+
+// Footer of every page: generation time and page number
+function drawFooters(doc, { generatedAt, timezone }) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const y = doc.page.height - PAGE_MARGIN;
+    // Writing below the bottom margin would otherwise add a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text(`Generated ${formatDate(generatedAt, timezone)}`, PAGE_MARGIN, y, { lineBreak: false })
+      .text(`Page ${index + 1} of ${range.count}`, PAGE_MARGIN, y, { width: doc.page.width - PAGE_MARGIN * 2, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+// Render the performance report of an account as a PDF
+// payload: /api/revenue/total payload; trend: /api/revenue/timeseries payload
+// branding: { reportLogo, reportAccentColor } of the account
+// Returns a Promise of the PDF Buffer
+function renderPerformanceReport({ payload, trend = null, accountName = '', branding = {}, generatedAt = new Date().toISOString() }) {
+  const currency = payload.currency || 'USD';
+  const dateRange = payload.dateRange || {};
+  const timezone = dateRange.timezone || trend?.timezone || 'UTC';
+  const conversionLabel = toPdfText(payload.conversionMetric?.name || 'Placed Order');
+  const accentColor = branding.reportAccentColor || DEFAULT_ACCENT_COLOR;
+  const logo = parseLogoDataUrl(branding.reportLogo);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `Performance Report - ${toPdfText(accountName)} - ${toPdfText(dateRange.label)}`,
+      Producer: 'Klaviyo Dashboard'
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawHeader(doc, { accountName, dateRange, comparison: payload.comparison, accentColor, logo });
+      drawSummaryCards(doc, { payload, currency, conversionLabel, accentColor });
+
+      drawSectionTitle(doc, 'Revenue Trend', accentColor);
+      drawRevenueTrend(doc, { trend, currency, timezone, accentColor });
+
+      drawSectionTitle(doc, 'Top Campaigns', accentColor);
+      drawTable(doc, [
+        { header: 'Campaign', width: 0.34, value: row => toPdfText(row.name) },
+        { header: 'Sent', width: 0.14, value: row => formatDate(row.sendDate, timezone) },
+        { header: 'Recipients', width: 0.13, align: 'right', value: row => formatCount(row.recipients) },
+        { header: 'Open rate', width: 0.12, align: 'right', value: row => formatPercent(getRowRate(row, 'opens')) },
+        { header: 'Click rate', width: 0.12, align: 'right', value: row => formatPercent(getRowRate(row, 'clicks')) },
+        { header: 'Revenue', width: 0.15, align: 'right', value: row => formatMoney(row.revenue, currency) }
+      ], getTopRows(payload.campaigns), 'No campaigns were sent in this date range.');
+
+      drawSectionTitle(doc, 'Top Flows', accentColor);
+      drawTable(doc, [
+        { header: 'Flow', width: 0.46, value: row => toPdfText(row.name) },
+        { header: 'Recipients', width: 0.14, align: 'right', value: row => formatCount(row.recipients) },
+        { header: 'Open rate', width: 0.12, align: 'right', value: row => formatPercent(getRowRate(row, 'opens')) },
+        { header: 'Click rate', width: 0.12, align: 'right', value: row => formatPercent(getRowRate(row, 'clicks')) },
+        { header: 'Revenue', width: 0.16, align: 'right', value: row => formatMoney(row.revenue, currency) }
+      ], getTopRows(payload.flows), 'No live flows in this date range.');
+
+      drawSectionTitle(doc, 'Period Comparison', accentColor);
+      drawComparison(doc, { payload, currency, conversionLabel });
+
+      drawFooters(doc, { generatedAt, timezone });
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_ACCENT_COLOR,
+  MAX_LOGO_BYTES,
+  validateReportBranding,
+  renderPerformanceReport
+};
@@ -0,0 +1,312 @@
+const nodemailer = require('nodemailer');
+const { getZonedParts } = require('./dateRange');
+
+// Emails sent by the dashboard: scheduled reports (inline HTML summary plus a PDF or CSV attachment),
+// alert notifications, organization invitations, and the SMTP transport
+// SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS configure delivery; a local catcher such as
+// Mailpit or MailHog works with SMTP_HOST=localhost SMTP_PORT=1025. SMTP_TRANSPORT=json builds messages without sending
+
+const REPORT_FORMATS = ['pdf', 'csv', 'html'];
+const DEFAULT_FROM = 'Klaviyo Dashboard <reports@localhost>';
+const DEFAULT_ACCENT_COLOR = '#4f46e5';
+const TOP_ROWS = 10;
+const MAX_RECIPIENTS = 20;
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+// Create the mail transport from the environment, or null when email delivery is not configured
+function createMailTransport(env = process.env) {
+  if (env.SMTP_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  if (!env.SMTP_HOST) {
+    return null;
+  }
+
+  const port = Number(env.SMTP_PORT) || 587;
+  return nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined
+  });
+}
+
+// Normalize a recipient list (array or comma/semicolon/newline separated string)
+// Returns { recipients } or { error } describing the first invalid address
+function parseRecipients(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+  const recipients = [...new Set(list.map(address => String(address).trim().toLowerCase()).filter(Boolean))];
+
+  if (recipients.length === 0) {
+    return { error: 'At least one recipient is required' };
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    return { error: `At most ${MAX_RECIPIENTS} recipients are allowed` };
+  }
+  const invalid = recipients.find(address => !EMAIL_PATTERN.test(address));
+  if (invalid) {
+    return { error: `Invalid email address "${invalid}"` };
+  }
+  return { recipients };
+}
+
+// Helper function to escape text for HTML
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Helper function to format an amount in the account currency
+function formatMoney(value, currency) {
+  const amount = Number(value) || 0;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+}
+
+// Helper function to format a count
+function formatCount(value) {
+  return Math.round(Number(value) || 0).toLocaleString('en-US');
+}
+
+// Helper function to format a percentage
+function formatPercent(value) {
+  return `${(Number(value) || 0).toFixed(2)}%`;
+}
+
+// Helper function to format a change versus the previous period, e.g. "+12.3%"
+function formatChange(delta) {
+  if (!delta || delta.changePercent === null || delta.changePercent === undefined) {
+    return delta && delta.change > 0 ? 'New' : '–';
+  }
+  const sign = delta.changePercent > 0 ? '+' : '';
+  return `${sign}${delta.changePercent.toFixed(1)}%`;
+}
+
+// Helper function to format an instant as YYYY-MM-DD HH:mm in a timezone
+function formatDateTime(value, timezone) {
+  const parts = getZonedParts(new Date(value), timezone);
+  const pad = number => String(number).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month + 1)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+// Helper function to get a row's open or click rate (percent of recipients)
+function getRowRate(row, field) {
+  return row.recipients > 0 ? ((row[field] || 0) / row.recipients) * 100 : 0;
+}
+
+// Helper function to keep the rows with the most revenue
+function getTopRows(rows = []) {
+  return [...rows].sort((a, b) => (b.revenue || 0) - (a.revenue || 0)).slice(0, TOP_ROWS);
+}
+
+// Helper function to render an HTML table with inline styles (email clients ignore style sheets)
+function renderHtmlTable(columns, rows, emptyText) {
+  if (rows.length === 0) {
+    return `<p style="color:#6b7280;font-size:14px;">${escapeHtml(emptyText)}</p>`;
+  }
+
+  const cellStyle = 'padding:8px 10px;border-bottom:1px solid #e5e7eb;font-size:13px;';
+  const header = columns.map(column => (
+    `<th style="${cellStyle}text-align:${column.align || 'left'};color:#6b7280;font-weight:600;">${escapeHtml(column.header)}</th>`
+  )).join('');
+  const body = rows.map(row => `<tr>${columns.map(column => (
+    `<td style="${cellStyle}text-align:${column.align || 'left'};color:#111827;">${escapeHtml(column.value(row))}</td>`
+  )).join('')}</tr>`).join('');
+
+  return `<table role="presentation" cellspacing="0" cellpadding="0" style="width:100%;border-collapse:collapse;"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+// Helper function to render a section title
+function renderSectionTitle(title, accentColor) {
+  return `<h2 style="margin:28px 0 8px;font-size:16px;color:${accentColor};">${escapeHtml(title)}</h2>`;
+}
+
+// Helper function to list the summary metrics of a payload as [label, value, delta]
+function getSummaryRows(payload) {
+  const currency = payload.currency || 'USD';
+  const summary = payload.summary || {};
+  const deltas = payload.comparison?.deltas || {};
+  const conversionLabel = payload.conversionMetric?.name || 'Placed Order';
+
+  return [
+    ['Total revenue', formatMoney(summary.totalRevenue, currency), deltas.totalRevenue],
+    ['Campaign revenue', formatMoney(summary.campaignRevenue, currency), deltas.campaignRevenue],
+    ['Flow revenue', formatMoney(summary.flowRevenue, currency), deltas.flowRevenue],
+    ['Recipients', formatCount(summary.recipients), deltas.recipients],
+    ['Open rate', formatPercent(summary.openRate), deltas.openRate],
+    ['Click rate', formatPercent(summary.clickRate), deltas.clickRate],
+    [`${conversionLabel} conversions`, formatCount(summary.conversions), deltas.conversions]
+  ];
+}
+
+// Build the email of a scheduled report
+// schedule: { name, format }; payload: /api/revenue/total payload; attachment: { filename, content, contentType } for pdf/csv
+// Returns nodemailer message fields without from/to
+function buildReportEmail({ schedule, payload, accountName = '', branding = {}, attachment = null, generatedAt = new Date().toISOString() }) {
+  const currency = payload.currency || 'USD';
+  const dateRange = payload.dateRange || {};
+  const timezone = dateRange.timezone || 'UTC';
+  const comparison = payload.comparison || null;
+  const accentColor = branding.reportAccentColor || DEFAULT_ACCENT_COLOR;
+  const period = `${dateRange.startDate} to ${dateRange.endDate}`;
+  const subject = `${schedule.name}: ${accountName} – ${dateRange.label} (${period})`;
+  const summaryRows = getSummaryRows(payload);
+
+  const summaryColumns = [
+    { header: 'Metric', value: row => row[0] },
+    { header: 'Value', align: 'right', value: row => row[1] },
+    ...(comparison ? [{ header: 'Change', align: 'right', value: row => formatChange(row[2]) }] : [])
+  ];
+
+  const sections = [
+    renderSectionTitle('Summary', accentColor),
+    renderHtmlTable(summaryColumns, summaryRows, '')
+  ];
+
+  if (schedule.format === 'html') {
+    sections.push(
+      renderSectionTitle('Top Campaigns', accentColor),
+      renderHtmlTable([
+        { header: 'Campaign', value: row => row.name },
+        { header: 'Sent', value: row => (row.sendDate ? formatDateTime(row.sendDate, timezone) : '') },
+        { header: 'Recipients', align: 'right', value: row => formatCount(row.recipients) },
+        { header: 'Open rate', align: 'right', value: row => formatPercent(getRowRate(row, 'opens')) },
+        { header: 'Click rate', align: 'right', value: row => formatPercent(getRowRate(row, 'clicks')) },
+        { header: 'Revenue', align: 'right', value: row => formatMoney(row.revenue, currency) }
+      ], getTopRows(payload.campaigns), 'No campaigns were sent in this date range.'),
+      renderSectionTitle('Top Flows', accentColor),
+      renderHtmlTable([
+        { header: 'Flow', value: row => row.name },
+        { header: 'Recipients', align: 'right', value: row => formatCount(row.recipients) },
+        { header: 'Open rate', align: 'right', value: row => formatPercent(getRowRate(row, 'opens')) },
+        { header: 'Click rate', align: 'right', value: row => formatPercent(getRowRate(row, 'clicks')) },
+        { header: 'Revenue', align: 'right', value: row => formatMoney(row.revenue, currency) }
+      ], getTopRows(payload.flows), 'No live flows in this date range.')
+    );
+  } else if (attachment) {
+    sections.push(`<p style="margin-top:20px;font-size:14px;color:#111827;">The full report is attached (${escapeHtml(attachment.filename)}).</p>`);
+  }
+
+  const comparisonText = comparison
+    ? `Compared with ${comparison.dateRange.label} (${comparison.dateRange.startDate} to ${comparison.dateRange.endDate})`
+    : '';
+  const footer = `Generated ${formatDateTime(generatedAt, timezone)} (${timezone}) by the "${schedule.name}" schedule.`;
+
+  const html = [
+    '<!DOCTYPE html><html><body style="margin:0;padding:0;background:#f3f4f6;font-family:Helvetica,Arial,sans-serif;">',
+    '<div style="max-width:680px;margin:0 auto;padding:24px;background:#ffffff;">',
+    `<div style="border-top:6px solid ${accentColor};padding-top:16px;">`,
+    `<h1 style="margin:0;font-size:20px;color:#111827;">${escapeHtml(accountName)} – Performance Report</h1>`,
+    `<p style="margin:6px 0 0;font-size:14px;color:#6b7280;">${escapeHtml(dateRange.label)} (${escapeHtml(period)})${comparisonText ? `<br>${escapeHtml(comparisonText)}` : ''}</p>`,
+    '</div>',
+    ...sections,
+    `<p style="margin-top:28px;font-size:12px;color:#6b7280;">${escapeHtml(footer)}</p>`,
+    '</div></body></html>'
+  ].join('');
+
+  const text = [
+    `${accountName} – Performance Report`,
+    `${dateRange.label} (${period})`,
+    ...(comparisonText ? [comparisonText] : []),
+    '',
+    ...summaryRows.map(([label, value, delta]) => `${label}: ${value}${comparison ? ` (${formatChange(delta)})` : ''}`),
+    '',
+    ...(attachment ? [`The full report is attached (${attachment.filename}).`, ''] : []),
+    footer
+  ].join('\n');
+
+  return {
+    subject,
+    html,
+    text,
+    attachments: attachment ? [attachment] : []
+  };
+}
+
+// Build the email of a fired alert
+// alert: { message, day }; rule: { name }; details: [[label, value]] shown under the message
+// Returns nodemailer message fields without from/to
+function buildAlertEmail({ alert, rule, accountName = '', details = [] }) {
+  const subject = `Alert: ${rule.name} (${accountName})`;
+  const cellStyle = 'padding:6px 10px;border-bottom:1px solid #e5e7eb;font-size:13px;';
+  const rows = details.map(([label, value]) => (
+    `<tr><td style="${cellStyle}color:#6b7280;">${escapeHtml(label)}</td><td style="${cellStyle}color:#111827;">${escapeHtml(value)}</td></tr>`
+  )).join('');
+
+  const html = [
+    '<!DOCTYPE html><html><body style="margin:0;padding:0;background:#f3f4f6;font-family:Helvetica,Arial,sans-serif;">',
+    '<div style="max-width:680px;margin:0 auto;padding:24px;background:#ffffff;">',
+    '<div style="border-top:6px solid #dc2626;padding-top:16px;">',
+    `<h1 style="margin:0;font-size:20px;color:#111827;">${escapeHtml(rule.name)}</h1>`,
+    `<p style="margin:6px 0 0;font-size:14px;color:#6b7280;">${escapeHtml(accountName)}</p>`,
+    '</div>',
+    `<p style="margin:20px 0;font-size:15px;color:#111827;">${escapeHtml(alert.message)}</p>`,
+    rows ? `<table role="presentation" cellspacing="0" cellpadding="0" style="width:100%;border-collapse:collapse;">${rows}</table>` : '',
+    '</div></body></html>'
+  ].join('');
+
+  const text = [
+    `${rule.name} (${accountName})`,
+    '',
+    alert.message,
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`)
+  ].join('\n');
+
+  return { subject, html, text, attachments: [] };
+}
+
+// Build the email inviting someone to an organization
+// accountNames: the accounts a client-viewer or client will see; accentColor: the organization's branding
+function buildInvitationEmail({ invitation, inviteUrl, roleLabel = invitation.role, invitedBy = '', accountNames = [], accentColor = null }) {
+  const color = accentColor || DEFAULT_ACCENT_COLOR;
+  const organizationName = invitation.organizationName;
+  const subject = `You're invited to ${organizationName}`;
+  const intro = `${invitedBy || organizationName} invited you to ${organizationName} (${roleLabel}).`;
+  const scope = accountNames.length > 0 ? `You will see the dashboard of ${accountNames.join(', ')}.` : '';
+  const expires = `The link works once and expires on ${formatDateTime(invitation.expiresAt, 'UTC')} (UTC).`;
+
+  const html = [
+    '<!DOCTYPE html><html><body style="margin:0;padding:0;background:#f3f4f6;font-family:Helvetica,Arial,sans-serif;">',
+    '<div style="max-width:680px;margin:0 auto;padding:24px;background:#ffffff;">',
+    `<div style="border-top:6px solid ${escapeHtml(color)};padding-top:16px;">`,
+    `<h1 style="margin:0;font-size:20px;color:#111827;">${escapeHtml(organizationName)}</h1>`,
+    '</div>',
+    `<p style="margin:20px 0 8px;font-size:15px;color:#111827;">${escapeHtml(intro)}</p>`,
+    scope ? `<p style="margin:0 0 8px;font-size:15px;color:#111827;">${escapeHtml(scope)}</p>` : '',
+    `<p style="margin:24px 0;"><a href="${escapeHtml(inviteUrl)}" style="display:inline-block;padding:10px 18px;background:${escapeHtml(color)};color:#ffffff;text-decoration:none;border-radius:6px;font-size:14px;font-weight:bold;">Accept invitation</a></p>`,
+    `<p style="margin:0;font-size:13px;color:#6b7280;">${escapeHtml(expires)}</p>`,
+    '</div></body></html>'
+  ].join('');
+
+  const text = [intro, ...(scope ? [scope] : []), '', `Accept the invitation: ${inviteUrl}`, '', expires].join('\n');
+
+  return { subject, html, text, attachments: [] };
+}
+
+// Send an email through a transport
+// Returns { messageId }
+async function sendEmail(transport, { to, message, from = process.env.REPORT_EMAIL_FROM || DEFAULT_FROM }) {
+  if (!transport) {
+    throw new Error('Email delivery is not configured. Set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS) on the server');
+  }
+  const info = await transport.sendMail({ ...message, from, to });
+  return { messageId: info.messageId || null };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  createMailTransport,
+  parseRecipients,
+  buildReportEmail,
+  buildAlertEmail,
+  buildInvitationEmail,
+  sendEmail
+};
@@ -0,0 +1,227 @@
+const ExcelJS = require('exceljs');
+const { getZonedParts } = require('./dateRange');
+
+// CSV and Excel exports of the dashboard: summary metrics, campaign table and flow table
+// Built from an /api/revenue/total payload; every file starts with the account, date range, timezone and currency
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Excel number formats per column type
+const XLSX_NUMBER_FORMATS = {
+  integer: '#,##0',
+  currency: '#,##0.00',
+  percent: '0.00'
+};
+
+// Helper function to format an instant as YYYY-MM-DD HH:mm in a timezone
+function formatDateTime(value, timezone) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    return '';
+  }
+  const parts = getZonedParts(date, timezone);
+  const pad = number => String(number).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month + 1)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+// Helper function to round a number for export (currency and rates to 2 decimals)
+function toExportNumber(value, type) {
+  const number = Number(value) || 0;
+  return type === 'integer' ? Math.round(number) : Math.round(number * 100) / 100;
+}
+
+// Helper function to compute a row's open or click rate (percent of recipients)
+function getRowRate(row, field) {
+  return row.recipients > 0 ? ((row[field] || 0) / row.recipients) * 100 : 0;
+}
+
+// Columns shared by the campaign and flow tables, after their own name/status/date columns
+function getMetricColumns(currency, conversionLabel, secondaryMetric) {
+  return [
+    { header: 'Recipients', type: 'integer', value: row => row.recipients },
+    { header: 'Opens', type: 'integer', value: row => row.opens },
+    { header: 'Open rate (%)', type: 'percent', value: row => getRowRate(row, 'opens') },
+    { header: 'Clicks', type: 'integer', value: row => row.clicks },
+    { header: 'Click rate (%)', type: 'percent', value: row => getRowRate(row, 'clicks') },
+    { header: `${conversionLabel} conversions`, type: 'integer', value: row => row.conversions },
+    { header: `${conversionLabel} revenue (${currency})`, type: 'currency', value: row => row.revenue },
+    ...(secondaryMetric ? [
+      { header: `${secondaryMetric.name} conversions`, type: 'integer', value: row => row.secondaryConversions },
+      { header: `${secondaryMetric.name} value (${currency})`, type: 'currency', value: row => row.secondaryRevenue }
+    ] : [])
+  ];
+}
+
+// Build the sections of a report from an /api/revenue/total payload
+// account: { name } of the exported Klaviyo account; generatedAt: ISO timestamp of the export
+// Returns { metadata: [[label, value]], sections: [{ name, columns: [{ header, type }], rows: [[value]] }] }
+function buildReport(payload, { account = {}, generatedAt = new Date().toISOString() } = {}) {
+  const currency = payload.currency || 'USD';
+  const dateRange = payload.dateRange || {};
+  const timezone = dateRange.timezone || 'UTC';
+  const conversionLabel = payload.conversionMetric?.name || 'Placed Order';
+  const secondaryMetric = payload.secondaryMetric || null;
+  const summary = payload.summary || {};
+  const comparison = payload.comparison || null;
+
+  const metadata = [
+    ['Account', account.name || ''],
+    ['Date range', `${dateRange.label || ''} (${dateRange.startDate || ''} to ${dateRange.endDate || ''})`],
+    ['Timezone', timezone],
+    ['Currency', currency],
+    ['Conversion metric', conversionLabel],
+    ...(secondaryMetric ? [['Secondary metric', secondaryMetric.name]] : []),
+    ...(comparison ? [['Compared with', `${comparison.dateRange.label} (${comparison.dateRange.startDate} to ${comparison.dateRange.endDate})`]] : []),
+    ['Generated at', formatDateTime(generatedAt, timezone)]
+  ];
+
+  // Summary: one row per metric, with the comparison period and change when there is one
+  const summaryMetrics = [
+    { label: `Total revenue (${currency})`, field: 'totalRevenue', type: 'currency' },
+    { label: `Campaign revenue (${currency})`, field: 'campaignRevenue', type: 'currency' },
+    { label: `Flow revenue (${currency})`, field: 'flowRevenue', type: 'currency' },
+    { label: 'Sent campaigns', value: payload.totalCampaigns, type: 'integer' },
+    { label: 'Live flows', value: payload.totalFlows, type: 'integer' },
+    { label: 'Recipients', field: 'recipients', type: 'integer' },
+    { label: 'Opens', field: 'opens', type: 'integer' },
+    { label: 'Open rate (%)', field: 'openRate', type: 'percent' },
+    { label: 'Clicks', field: 'clicks', type: 'integer' },
+    { label: 'Click rate (%)', field: 'clickRate', type: 'percent' },
+    { label: `${conversionLabel} conversions`, field: 'conversions', type: 'integer' },
+    ...(secondaryMetric ? [
+      { label: `${secondaryMetric.name} conversions`, field: 'secondaryConversions', type: 'integer' },
+      { label: `${secondaryMetric.name} value (${currency})`, field: 'secondaryRevenue', type: 'currency' }
+    ] : [])
+  ];
+  const summarySection = {
+    name: 'Summary',
+    columns: [
+      { header: 'Metric', type: 'text' },
+      { header: 'Value', type: 'number' },
+      ...(comparison ? [
+        { header: 'Previous period', type: 'number' },
+        { header: 'Change (%)', type: 'percent' }
+      ] : [])
+    ],
+    rows: summaryMetrics.map(metric => {
+      const value = metric.field ? summary[metric.field] : metric.value;
+      const row = [metric.label, toExportNumber(value, metric.type)];
+      if (comparison) {
+        const delta = metric.field ? comparison.deltas?.[metric.field] : null;
+        row.push(
+          delta ? toExportNumber(delta.previous, metric.type) : '',
+          delta && delta.changePercent !== null ? toExportNumber(delta.changePercent, 'percent') : ''
+        );
+      }
+      return row;
+    })
+  };
+
+  const metricColumns = getMetricColumns(currency, conversionLabel, secondaryMetric);
+  const toRows = (rows, columns) => rows.map(row => columns.map(column => {
+    const value = column.value(row);
+    if (column.type === 'date') return formatDateTime(value, timezone);
+    if (column.type === 'text') return value || '';
+    return toExportNumber(value, column.type);
+  }));
+
+  const campaignColumns = [
+    { header: 'Campaign', type: 'text', value: row => row.name },
+    { header: 'Channel', type: 'text', value: row => row.messageType },
+    { header: 'Status', type: 'text', value: row => row.status },
+    { header: 'Send date', type: 'date', value: row => row.sendDate },
+    ...metricColumns
+  ];
+  const flowColumns = [
+    { header: 'Flow', type: 'text', value: row => row.name },
+    { header: 'Status', type: 'text', value: row => row.status },
+    { header: 'Updated', type: 'date', value: row => row.updatedAt },
+    ...metricColumns
+  ];
+
+  return {
+    metadata,
+    sections: [
+      summarySection,
+      { name: 'Campaigns', columns: campaignColumns, rows: toRows(payload.campaigns || [], campaignColumns) },
+      { name: 'Flows', columns: flowColumns, rows: toRows(payload.flows || [], flowColumns) }
+    ]
+  };
+}
+
+// Helper function to quote a CSV field when it contains a separator, quote or line break
+// Text that a spreadsheet would run as a formula (=, +, -, @) is prefixed with an apostrophe
+function toCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write a report as CSV: the metadata lines, then each section under its name, separated by blank lines
+function toCsv(report) {
+  const lines = report.metadata.map(row => row.map(toCsvField).join(','));
+  report.sections.forEach(section => {
+    lines.push('', toCsvField(section.name));
+    lines.push(section.columns.map(column => toCsvField(column.header)).join(','));
+    section.rows.forEach(row => lines.push(row.map(toCsvField).join(',')));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Write a report as an Excel workbook with one sheet per section, each starting with the metadata
+// Returns a Buffer
+async function toXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Klaviyo Dashboard';
+
+  report.sections.forEach(section => {
+    const sheet = workbook.addWorksheet(section.name);
+    report.metadata.forEach(([label, value]) => {
+      const row = sheet.addRow([label, value]);
+      row.getCell(1).font = { bold: true };
+    });
+    sheet.addRow([]);
+
+    const headerRow = sheet.addRow(section.columns.map(column => column.header));
+    headerRow.font = { bold: true };
+    headerRow.eachCell(cell => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF3F4F6' } };
+    });
+    sheet.views = [{ state: 'frozen', ySplit: headerRow.number }];
+
+    section.rows.forEach(values => sheet.addRow(values));
+
+    section.columns.forEach((column, index) => {
+      const sheetColumn = sheet.getColumn(index + 1);
+      sheetColumn.width = Math.max(12, Math.min(48, column.header.length + 4));
+      if (XLSX_NUMBER_FORMATS[column.type]) {
+        sheetColumn.numFmt = XLSX_NUMBER_FORMATS[column.type];
+      }
+    });
+    sheet.getColumn(1).width = Math.max(sheet.getColumn(1).width, 24);
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Helper function to build the file name of an export, e.g. klaviyo-report-my-store-2024-01-01-to-2024-01-31.csv
+function getExportFileName(format, { accountName = '', startDate = '', endDate = '' } = {}) {
+  const slug = String(accountName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `klaviyo-report${slug ? `-${slug}` : ''}-${startDate}-to-${endDate}.${format}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  buildReport,
+  toCsv,
+  toXlsx,
+  getExportFileName
+};
@@ -0,0 +1,73 @@
+const { getNextRunTime } = require('./cronSchedule');
+
+// How often due report schedules are checked (REPORT_SCHEDULER_INTERVAL_SECONDS, 0 disables the scheduler)
+const DEFAULT_SCHEDULER_INTERVAL_SECONDS = 60;
+
+// Periodically sends the report schedules that are due, one schedule at a time
+// listDueSchedules(now) returns schedules whose nextRunAt has passed, markScheduleRun(schedule, { lastRunAt, nextRunAt })
+// stores the next run, deliverSchedule(schedule) sends the report and logs the delivery
+// Anything else with a { cron, timezone } schedule (e.g. alert rules) can be run the same way; name is used in logs
+class ReportScheduler {
+  constructor({ listDueSchedules, markScheduleRun, deliverSchedule, intervalSeconds = DEFAULT_SCHEDULER_INTERVAL_SECONDS, name = 'Report scheduler' }) {
+    this.name = name;
+    this.listDueSchedules = listDueSchedules;
+    this.markScheduleRun = markScheduleRun;
+    this.deliverSchedule = deliverSchedule;
+    this.intervalMs = intervalSeconds * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Whether scheduled delivery is on (an interval of 0 turns it off)
+  isEnabled() {
+    return this.intervalMs > 0;
+  }
+
+  start() {
+    if (this.timer || !this.isEnabled()) {
+      return;
+    }
+
+    console.log(`${this.name} started, checking every ${this.intervalMs / 1000} seconds`);
+    this.timer = setInterval(() => this.runDue(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Send every due schedule; skipped if the previous run is still going
+  // The next run is stored before sending so a slow or failing delivery is not repeated on the next tick;
+  // runs missed while the server was down are sent once
+  async runDue(now = new Date()) {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const schedules = await this.listDueSchedules(now);
+      for (const schedule of schedules) {
+        let nextRunAt = null;
+        try {
+          nextRunAt = getNextRunTime(schedule.cron, now, schedule.timezone).toISOString();
+        } catch (error) {
+          console.error(`${this.name}: invalid schedule ${schedule.id}:`, error.message);
+        }
+        await this.markScheduleRun(schedule, { lastRunAt: now.toISOString(), nextRunAt });
+        await this.deliverSchedule(schedule);
+      }
+    } catch (error) {
+      console.error(`${this.name}: error running schedules:`, error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = {
+  ReportScheduler,
+  DEFAULT_SCHEDULER_INTERVAL_SECONDS
+};
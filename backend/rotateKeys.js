@@ -0,0 +1,71 @@
+const { getDb } = require('./db');
+const userRepository = require('./userRepository');
+const webhookRepository = require('./webhookRepository');
+const { isEncrypted, encryptSecret, rewrapSecret } = require('./keyEncryption');
+
+// Re-encrypt every stored Klaviyo API key with the current master key (API_KEY_ENCRYPTION_KEY)
+// Keys wrapped with an older master key need it in API_KEY_ENCRYPTION_KEY_PREVIOUS
+// Plaintext keys left over from before encryption are encrypted as well
+function rotateApiKeys(db = getDb()) {
+  let rotated = 0;
+  let encrypted = 0;
+  let unchanged = 0;
+
+  db.transaction(() => {
+    userRepository.listEncryptedApiKeys(db).forEach(({ userId, accountId, encryptedApiKey }) => {
+      if (!isEncrypted(encryptedApiKey)) {
+        userRepository.updateEncryptedApiKey(userId, accountId, encryptSecret(encryptedApiKey), db);
+        encrypted++;
+        return;
+      }
+
+      const rewrapped = rewrapSecret(encryptedApiKey);
+      if (rewrapped === encryptedApiKey) {
+        unchanged++;
+        return;
+      }
+      userRepository.updateEncryptedApiKey(userId, accountId, rewrapped, db);
+      rotated++;
+    });
+  })();
+
+  console.log(`Rotated ${rotated} API keys, encrypted ${encrypted} plaintext keys (${unchanged} already up to date)`);
+  return { rotated, encrypted, unchanged };
+}
+
+// Re-encrypt every webhook signing secret with the current master key
+function rotateWebhookSecrets(db = getDb()) {
+  let rotated = 0;
+  let unchanged = 0;
+
+  db.transaction(() => {
+    webhookRepository.listEncryptedSecrets(db).forEach(({ subscriptionId, encryptedSecret }) => {
+      const rewrapped = rewrapSecret(encryptedSecret);
+      if (rewrapped === encryptedSecret) {
+        unchanged++;
+        return;
+      }
+      webhookRepository.updateSubscriptionSecret(subscriptionId, rewrapped, new Date().toISOString(), db);
+      rotated++;
+    });
+  })();
+
+  console.log(`Rotated ${rotated} webhook secrets (${unchanged} already up to date)`);
+  return { rotated, unchanged };
+}
+
+module.exports = {
+  rotateApiKeys,
+  rotateWebhookSecrets
+};
+
+// Run directly after changing API_KEY_ENCRYPTION_KEY: node rotateKeys.js
+if (require.main === module) {
+  try {
+    rotateApiKeys();
+    rotateWebhookSecrets();
+  } catch (error) {
+    console.error('Error rotating API keys:', error.message);
+    process.exit(1);
+  }
+}
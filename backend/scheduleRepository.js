@@ -0,0 +1,150 @@
+const { getDb } = require('./db');
+
+// Data access for scheduled report emails and their delivery log
+// Schedules belong to one Klaviyo account of a user; recipients are stored as a JSON array
+
+// Helper function to map a report_schedules row
+function toSchedule(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    accountId: row.account_id,
+    name: row.name,
+    cron: row.cron,
+    timezone: row.timezone,
+    format: row.format,
+    recipients: JSON.parse(row.recipients),
+    datePreset: row.date_preset,
+    compare: row.compare,
+    enabled: row.enabled === 1,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Helper function to map a report_deliveries row
+function toDelivery(row) {
+  return {
+    id: row.id,
+    scheduleId: row.schedule_id,
+    status: row.status,
+    trigger: row.trigger,
+    recipients: JSON.parse(row.recipients),
+    messageId: row.message_id,
+    error: row.error,
+    sentAt: row.sent_at
+  };
+}
+
+// Helper function to get the named parameters of a schedule
+function toScheduleParams(schedule) {
+  return {
+    id: schedule.id,
+    userId: schedule.userId,
+    accountId: schedule.accountId,
+    name: schedule.name,
+    cron: schedule.cron,
+    timezone: schedule.timezone,
+    format: schedule.format,
+    recipients: JSON.stringify(schedule.recipients),
+    datePreset: schedule.datePreset,
+    compare: schedule.compare,
+    enabled: schedule.enabled ? 1 : 0,
+    nextRunAt: schedule.nextRunAt || null,
+    updatedAt: schedule.updatedAt
+  };
+}
+
+// Schedules of one account, in the order they were created
+function listSchedules(userId, accountId, db = getDb()) {
+  return db.prepare('SELECT * FROM report_schedules WHERE user_id = ? AND account_id = ? ORDER BY created_at, rowid')
+    .all(userId, accountId)
+    .map(toSchedule);
+}
+
+function findSchedule(userId, accountId, scheduleId, db = getDb()) {
+  return toSchedule(db.prepare('SELECT * FROM report_schedules WHERE user_id = ? AND account_id = ? AND id = ?')
+    .get(userId, accountId, scheduleId));
+}
+
+// Enabled schedules of every user whose next run is at or before the given time
+function listDueSchedules(now, db = getDb()) {
+  return db.prepare(`
+    SELECT * FROM report_schedules
+    WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+    ORDER BY next_run_at
+  `).all(new Date(now).toISOString()).map(toSchedule);
+}
+
+function insertSchedule(schedule, db = getDb()) {
+  db.prepare(`
+    INSERT INTO report_schedules (id, user_id, account_id, name, cron, timezone, format, recipients, date_preset, compare, enabled, next_run_at, created_at, updated_at)
+    VALUES (@id, @userId, @accountId, @name, @cron, @timezone, @format, @recipients, @datePreset, @compare, @enabled, @nextRunAt, @createdAt, @updatedAt)
+  `).run({ ...toScheduleParams(schedule), createdAt: schedule.createdAt });
+}
+
+// Replace the editable fields of a schedule
+// Returns false if the schedule does not exist
+function updateSchedule(schedule, db = getDb()) {
+  const result = db.prepare(`
+    UPDATE report_schedules SET name = @name, cron = @cron, timezone = @timezone, format = @format,
+      recipients = @recipients, date_preset = @datePreset, compare = @compare, enabled = @enabled,
+      next_run_at = @nextRunAt, updated_at = @updatedAt
+    WHERE user_id = @userId AND account_id = @accountId AND id = @id
+  `).run(toScheduleParams(schedule));
+  return result.changes > 0;
+}
+
+// Returns false if the schedule does not exist
+function deleteSchedule(userId, accountId, scheduleId, db = getDb()) {
+  const result = db.prepare('DELETE FROM report_schedules WHERE user_id = ? AND account_id = ? AND id = ?')
+    .run(userId, accountId, scheduleId);
+  return result.changes > 0;
+}
+
+// Record a run of a schedule; nextRunAt is only moved for scheduled runs
+function markScheduleRun(scheduleId, { lastRunAt, nextRunAt }, db = getDb()) {
+  if (nextRunAt === undefined) {
+    db.prepare('UPDATE report_schedules SET last_run_at = ? WHERE id = ?').run(lastRunAt, scheduleId);
+  } else {
+    db.prepare('UPDATE report_schedules SET last_run_at = ?, next_run_at = ? WHERE id = ?').run(lastRunAt, nextRunAt, scheduleId);
+  }
+}
+
+function insertDelivery(delivery, db = getDb()) {
+  const result = db.prepare(`
+    INSERT INTO report_deliveries (schedule_id, status, trigger, recipients, message_id, error, sent_at)
+    VALUES (@scheduleId, @status, @trigger, @recipients, @messageId, @error, @sentAt)
+  `).run({
+    scheduleId: delivery.scheduleId,
+    status: delivery.status,
+    trigger: delivery.trigger,
+    recipients: JSON.stringify(delivery.recipients),
+    messageId: delivery.messageId || null,
+    error: delivery.error || null,
+    sentAt: delivery.sentAt
+  });
+  return toDelivery(db.prepare('SELECT * FROM report_deliveries WHERE id = ?').get(result.lastInsertRowid));
+}
+
+// Most recent deliveries of a schedule first
+function listDeliveries(scheduleId, limit = 50, db = getDb()) {
+  return db.prepare('SELECT * FROM report_deliveries WHERE schedule_id = ? ORDER BY sent_at DESC, id DESC LIMIT ?')
+    .all(scheduleId, limit)
+    .map(toDelivery);
+}
+
+module.exports = {
+  listSchedules,
+  findSchedule,
+  listDueSchedules,
+  insertSchedule,
+  updateSchedule,
+  deleteSchedule,
+  markScheduleRun,
+  insertDelivery,
+  listDeliveries
+};
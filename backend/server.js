@@ -1,7 +1,33 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const { registerClient, loginUser, getUserById, getAllUsers, verifyToken, getActiveKlaviyoAccount, addKlaviyoAccount, switchKlaviyoAccount, deleteKlaviyoAccount } = require('./auth');
+const { registerClient, registerInvitedClient, loginUser, createImpersonationSession, getUserById, getAllKlaviyoAccounts, getKlaviyoAccountsByFingerprint, verifyToken, getActiveKlaviyoAccount, getKlaviyoAccount, addKlaviyoAccount, switchKlaviyoAccount, setKlaviyoAccountMetrics, setKlaviyoAccountBranding, deleteKlaviyoAccount } = require('./auth');
+const { resolveDateRange, getComparisonRange, COMPARISON_MODES, DEFAULT_PRESET, DATE_RANGE_PRESETS, isValidTimezone } = require('./dateRange');
+const { summarizeDashboardData, compareSummaries, attachRowComparisons } = require('./comparison');
+const { KlaviyoClient, isValidKlaviyoId } = require('./klaviyoClient');
+const { CACHE_TTLS, ResponseCache, createCacheStore, getAccountCacheKey, getAccountCacheKeyFromFingerprint, buildCacheKey, isRefreshRequested } = require('./cache');
+const { encryptSecret, decryptSecret } = require('./keyEncryption');
+const { validateApiKey } = require('./keyValidation');
+const { SnapshotStore, SyncWorker, DEFAULT_SYNC_INTERVAL_MINUTES } = require('./syncWorker');
+const { importUsersJson } = require('./importUsers');
+const { getCassetteMode, getReplayCassette, isValidCassetteName } = require('./klaviyoCassette');
+const { getAccountMetricSettings, getMetricSettingsKey, resolveConversionMetrics, getMissingConversionMetricError, findConversionMetricByStatus, validateMetricSettings, toMetricInfo } = require('./conversionMetrics');
+const { sumAggregate, sumAggregateByDimension, sumAggregateForDimensionValue, sumCampaignMessageMetrics, calculateEngagementRates } = require('./metricAggregates');
+const { MESSAGE_REPORT_STATISTICS, buildCampaignMessageRows, sumMessageRows, getCampaignMessages, getFlowSteps, buildFlowStepRows } = require('./valuesReports');
+const { EXPORT_FORMATS, CONTENT_TYPES, buildReport, toCsv, toXlsx, getExportFileName } = require('./reportExport');
+const { DEFAULT_ACCENT_COLOR, validateReportBranding, renderPerformanceReport } = require('./pdfReport');
+const scheduleRepository = require('./scheduleRepository');
+const { parseCronExpression, getNextRunTime } = require('./cronSchedule');
+const { REPORT_FORMATS, createMailTransport, parseRecipients, buildReportEmail, buildAlertEmail, buildInvitationEmail, sendEmail } = require('./reportEmail');
+const { ReportScheduler, DEFAULT_SCHEDULER_INTERVAL_SECONDS } = require('./reportScheduler');
+const alertRepository = require('./alertRepository');
+const { formatMetricValue, validateAlertRule, getAlertDateRange, evaluateAlertCondition, describeAlertTarget, describeAlert } = require('./alertRules');
+const webhookRepository = require('./webhookRepository');
+const { WEBHOOK_EVENTS, TEST_EVENT, DEFAULT_RETRY_INTERVAL_SECONDS, validateWebhookSubscription, generateWebhookSecret, WebhookDispatcher } = require('./webhooks');
+const organizationRepository = require('./organizationRepository');
+const userRepository = require('./userRepository');
+const { AUDIT_ACTIONS, listUsers, disableUser, enableUser, resetUserPassword, startImpersonation, listAuditLog } = require('./userAdmin');
+const { ROLES, PERMISSIONS, hasPermission, createInvitation, getInvitation, acceptInvitation, updateMemberRole, removeMember, revokeInvitation, renameOrganization, setOrganizationBranding, switchOrganization, listAccountAudience } = require('./organizations');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -9,11 +35,12 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
-  credentials: true
+  credentials: true,
+  // Lets the dashboard read the file name of report exports
+  exposedHeaders: ['Content-Disposition']
 }));
-app.use(express.json());
-
-const KLAVIYO_BASE_URL = 'https://a.klaviyo.com/api';
+// Report logos are sent as data URLs, larger than the default 100kb limit
+app.use(express.json({ limit: '1mb' }));
 
 // Authentication middleware
 async function authenticate(req, res, next) {
@@ -34,6 +61,22 @@ async function authenticate(req, res, next) {
     if (!user) {
       return res.status(401).json({ success: false, error: 'User not found' });
     }
+    if (user.disabledAt) {
+      return res.status(401).json({ success: false, error: 'This account has been disabled' });
+    }
+    // Tokens issued before a password change (or reset) no longer count
+    if ((decoded.sessionVersion || 0) !== user.sessionVersion) {
+      return res.status(401).json({ success: false, error: 'Your password was changed, please log in again' });
+    }
+    
+    // Support sessions end as soon as the administrator behind them loses access
+    if (decoded.impersonatorId) {
+      const impersonator = await getUserById(decoded.impersonatorId);
+      if (!impersonator || impersonator.disabledAt || !impersonator.isAdmin) {
+        return res.status(401).json({ success: false, error: 'The support session has ended' });
+      }
+      req.impersonator = { id: impersonator.id, username: impersonator.username, email: impersonator.email };
+    }
     
     req.user = user;
     next();
@@ -42,10 +85,48 @@ async function authenticate(req, res, next) {
   }
 }
 
+// Authorization middleware (after authenticate): only members whose role in their current organization has the permission
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Your role (${ROLES[req.user.role] || 'none'}) does not allow this: ${PERMISSIONS[permission]}`
+      });
+    }
+    next();
+  };
+}
+
+// Validation middleware: the Klaviyo ID in a URL parameter, e.g. requireKlaviyoId('campaignId', 'campaign')
+// Route IDs end up in Klaviyo filter strings, where a quote would change the filter
+function requireKlaviyoId(param, label) {
+  return (req, res, next) => {
+    if (!isValidKlaviyoId(req.params[param])) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${label} ID`
+      });
+    }
+    next();
+  };
+}
+
+// Authorization middleware (after authenticate): only administrators (npm run grant-admin), and not during a support session
+function requireAdmin(req, res, next) {
+  if (!req.user.isAdmin || req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only administrators can manage users'
+    });
+  }
+  next();
+}
+
 // Auth Routes
 app.post('/api/auth/register', async (req, res) => {
   try {
-    const { username, email, password, klaviyoApiKey, accountName } = req.body;
+    const { username, email, password, klaviyoApiKey, accountName, inviteToken } = req.body;
     
     if (!username || !email || !password) {
       return res.status(400).json({
@@ -54,11 +135,36 @@ app.post('/api/auth/register', async (req, res) => {
       });
     }
     
-    const user = await registerClient(username, email, password, klaviyoApiKey || null, accountName);
+    // Invited users join the inviting organization and its accounts, so they need no API key
+    if (inviteToken) {
+      const user = await registerInvitedClient(username, email, password, inviteToken);
+      return res.json({
+        success: true,
+        message: 'Client registered successfully',
+        user,
+        warnings: []
+      });
+    }
+    
+    // Check the API key against Klaviyo before storing it
+    let validation = null;
+    if (klaviyoApiKey) {
+      validation = await validateApiKey(klaviyoApiKey);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.error,
+          missingScopes: validation.missingScopes
+        });
+      }
+    }
+    
+    const user = await registerClient(username, email, password, klaviyoApiKey ? klaviyoApiKey.trim() : null, accountName, validation?.klaviyoAccount);
     res.json({
       success: true,
       message: 'Client registered successfully',
-      user
+      user,
+      warnings: validation?.warnings || []
     });
   } catch (error) {
     res.status(400).json({
@@ -101,18 +207,118 @@ app.get('/api/auth/me', authenticate, async (req, res) => {
       id: fullUser.id,
       username: fullUser.username,
       email: fullUser.email,
-      klaviyoAccounts: fullUser.klaviyoAccounts || []
+      isAdmin: fullUser.isAdmin,
+      // The administrator signed in as this user for support, if any
+      impersonator: req.impersonator || null,
+      organization: fullUser.organization,
+      role: fullUser.role,
+      permissions: fullUser.permissions,
+      organizations: fullUser.organizations,
+      klaviyoAccounts: (fullUser.klaviyoAccounts || []).map(toPublicAccount)
     }
   });
 });
 
-// Endpoint to get all registered clients (public, no auth required for registration page)
-app.get('/api/auth/clients', async (req, res) => {
+// User administration (administrators only): users, their status and the audit log of what administrators did
+// Helper function to describe an audit log entry in API responses
+function toPublicAuditEntry(entry) {
+  return {
+    id: entry.id,
+    action: entry.action,
+    description: AUDIT_ACTIONS[entry.action] || entry.action,
+    actor: { id: entry.actorId, email: entry.actorEmail },
+    target: entry.targetUserId ? { id: entry.targetUserId, email: entry.targetEmail } : null,
+    details: entry.details,
+    createdAt: entry.createdAt
+  };
+}
+
+// Endpoint to list every user with their organizations, Klaviyo account count, last login and status
+app.get('/api/admin/users', authenticate, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      users: listUsers()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to disable a user; Body: { reason? } (kept in the audit log)
+app.post('/api/admin/users/:userId/disable', authenticate, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: disableUser(req.user, req.params.userId, { reason: req.body?.reason })
+    });
+  } catch (error) {
+    res.status(error.message === 'User not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to enable a disabled user again
+app.post('/api/admin/users/:userId/enable', authenticate, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: enableUser(req.user, req.params.userId)
+    });
+  } catch (error) {
+    res.status(error.message === 'User not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to replace a user's password with a temporary one, returned only in this response
+app.post('/api/admin/users/:userId/reset-password', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { user, temporaryPassword } = await resetUserPassword(req.user, req.params.userId);
+    res.json({
+      success: true,
+      user,
+      temporaryPassword
+    });
+  } catch (error) {
+    res.status(error.message === 'User not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to sign in as a user for support: returns a session token for them that expires within the hour
+app.post('/api/admin/users/:userId/impersonate', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { user, expiresAt } = startImpersonation(req.user, req.params.userId);
+    const session = await createImpersonationSession(user.id, req.user.id);
+    res.json({
+      success: true,
+      ...session,
+      expiresAt
+    });
+  } catch (error) {
+    res.status(error.message === 'User not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to get the audit log, newest first; Query: userId (only entries about that user), limit (default 100, at most 500)
+app.get('/api/admin/audit-log', authenticate, requireAdmin, async (req, res) => {
   try {
-    const clients = await getAllUsers();
     res.json({
       success: true,
-      data: clients
+      entries: listAuditLog({ userId: req.query.userId, limit: req.query.limit }).map(toPublicAuditEntry)
     });
   } catch (error) {
     res.status(500).json({
@@ -123,12 +329,28 @@ app.get('/api/auth/clients', async (req, res) => {
 });
 
 // Klaviyo Account Management Endpoints
+// Helper function to strip the (encrypted) API key from an account before sending it to the client
+function toPublicAccount(account) {
+  return {
+    id: account.id,
+    name: account.name,
+    klaviyoAccountId: account.klaviyoAccountId,
+    klaviyoAccountName: account.klaviyoAccountName,
+    isActive: account.isActive,
+    conversionMetricId: account.conversionMetricId || null,
+    secondaryMetricId: account.secondaryMetricId || null,
+    reportAccentColor: account.reportAccentColor || null,
+    hasReportLogo: !!account.reportLogo,
+    createdAt: account.createdAt
+  };
+}
+
 app.get('/api/klaviyo-accounts', authenticate, async (req, res) => {
   try {
     const user = await getUserById(req.user.id);
     res.json({
       success: true,
-      accounts: user.klaviyoAccounts || []
+      accounts: (user.klaviyoAccounts || []).map(toPublicAccount)
     });
   } catch (error) {
     res.status(500).json({
@@ -138,7 +360,7 @@ app.get('/api/klaviyo-accounts', authenticate, async (req, res) => {
   }
 });
 
-app.post('/api/klaviyo-accounts', authenticate, async (req, res) => {
+app.post('/api/klaviyo-accounts', authenticate, requirePermission('accounts:manage'), async (req, res) => {
   try {
     const { accountName, apiKey } = req.body;
     
@@ -149,10 +371,28 @@ app.post('/api/klaviyo-accounts', authenticate, async (req, res) => {
       });
     }
     
-    const account = await addKlaviyoAccount(req.user.id, accountName, apiKey);
+    // Check the API key against Klaviyo before storing it
+    const validation = await validateApiKey(apiKey);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        missingScopes: validation.missingScopes
+      });
+    }
+    
+    const account = await addKlaviyoAccount(req.user.id, accountName, apiKey.trim(), validation.klaviyoAccount);
+    
+    // Pre-compute the new account's dashboard in the background
+    if (syncWorker.isEnabled()) {
+      syncWorker.runAccount(toSyncAccount(account));
+    }
+    emitWebhookEvent(getAccountAudience(account), 'account.added', { account: toPublicAccount(account) });
+    
     res.json({
       success: true,
-      account
+      account: toPublicAccount(account),
+      warnings: validation.warnings
     });
   } catch (error) {
     res.status(400).json({
@@ -173,6 +413,14 @@ app.put('/api/klaviyo-accounts/:accountId/switch', authenticate, async (req, res
       });
     }
     
+    // Client viewers can only switch to the accounts they were given
+    if (!req.user.klaviyoAccounts.some(acc => acc.id === accountId) && userRepository.findOrganizationAccount(req.user.organization?.id, accountId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this account'
+      });
+    }
+    
     const account = await switchKlaviyoAccount(req.user.id, accountId);
     
     if (!account) {
@@ -184,14 +432,14 @@ app.put('/api/klaviyo-accounts/:accountId/switch', authenticate, async (req, res
     
     res.json({
       success: true,
-      account
+      account: toPublicAccount(account)
     });
   } catch (error) {
     console.error('Error switching account:', error);
     
     // Ensure response hasn't been sent
     if (!res.headersSent) {
-      res.status(400).json({
+      res.status(error.message === 'Account not found' ? 404 : 400).json({
         success: false,
         error: error.message || 'Failed to switch account'
       });
@@ -199,10 +447,21 @@ app.put('/api/klaviyo-accounts/:accountId/switch', authenticate, async (req, res
   }
 });
 
-app.delete('/api/klaviyo-accounts/:accountId', authenticate, async (req, res) => {
+app.delete('/api/klaviyo-accounts/:accountId', authenticate, requirePermission('accounts:manage'), async (req, res) => {
   try {
     const { accountId } = req.params;
+    const account = (req.user.klaviyoAccounts || []).find(acc => acc.id === accountId);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+    
+    // The members who saw the account are looked up before it is taken away from them
+    const audience = getAccountAudience(account);
     await deleteKlaviyoAccount(req.user.id, accountId);
+    emitWebhookEvent(audience, 'account.removed', { account: { id: account.id, name: account.name } });
     res.json({
       success: true,
       message: 'Account deleted successfully'
@@ -215,157 +474,414 @@ app.delete('/api/klaviyo-accounts/:accountId', authenticate, async (req, res) =>
   }
 });
 
-// Helper function to add 0.1s delay between API calls
-const delay = (ms = 100) => new Promise(resolve => setTimeout(resolve, ms));
+// Organizations: Klaviyo accounts belong to an organization, whose members are invited with a role
+// Helper function to describe an organization in API responses (the logo itself comes from the branding endpoint)
+function toPublicOrganization(organization) {
+  return {
+    id: organization.id,
+    name: organization.name,
+    accentColor: organization.accentColor || null,
+    hasLogo: !!organization.logo,
+    createdAt: organization.createdAt
+  };
+}
 
-// Helper function to retry API calls on rate limit (429) errors
-async function retryApiCall(apiCall, maxRetries = 3, retryDelay = 1000) {
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await apiCall();
-    } catch (error) {
-      // Check if it's a rate limit error (429)
-      const isRateLimit = error.response?.status === 429 || 
-                         error.response?.data?.errors?.[0]?.code === 'throttled';
-      
-      if (isRateLimit && attempt < maxRetries) {
-        // Extract retry delay from error message if available
-        let waitTime = retryDelay;
-        const errorDetail = error.response?.data?.errors?.[0]?.detail || '';
-        const match = errorDetail.match(/Expected available in (\d+) second/i);
-        if (match) {
-          waitTime = parseInt(match[1]) * 1000; // Convert seconds to milliseconds
-          // Add a small buffer (500ms) to be safe
-          waitTime += 500;
-        }
-        
-        console.log(`Rate limited (429). Retrying in ${waitTime}ms (attempt ${attempt + 1}/${maxRetries})...`);
-        await delay(waitTime);
-        continue;
-      }
-      
-      // If not a rate limit error, or max retries reached, throw the error
-      throw error;
-    }
-  }
+// Helper function to describe a member in API responses
+function toPublicMember(member) {
+  return {
+    userId: member.userId,
+    username: member.username,
+    email: member.email,
+    role: member.role,
+    accountIds: member.accountIds,
+    createdAt: member.createdAt
+  };
 }
 
-// Helper function to fetch account timezone from Klaviyo
-async function getKlaviyoAccountTimezone(userApiKey) {
-  if (!userApiKey) {
-    console.log('No API key provided, using default timezone: UTC');
-    return 'UTC';
-  }
+// Helper function to describe an invitation in API responses
+function toPublicInvitation(invitation) {
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    role: invitation.role,
+    accountIds: invitation.accountIds,
+    createdAt: invitation.createdAt,
+    expiresAt: invitation.expiresAt
+  };
+}
+
+// Helper function to get the registration link of an invitation token (needs FRONTEND_URL)
+function getInviteUrl(token) {
+  const frontendUrl = process.env.FRONTEND_URL;
+  return frontendUrl && frontendUrl !== '*' ? `${frontendUrl.replace(/\/$/, '')}/register?invite=${token}` : null;
+}
+
+// Helper function to email an invitation link (needs email delivery and FRONTEND_URL)
+// Returns whether it was sent; when it was not, the link is shared by hand
+async function emailInvitation(invitation, inviteUrl, invitedBy) {
+  const transport = createMailTransport();
+  if (!transport || !inviteUrl) return false;
   
   try {
-    const accountsResponse = await axios.get(`${KLAVIYO_BASE_URL}/accounts/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
+    const organization = organizationRepository.findOrganization(invitation.organizationId);
+    const accountNames = invitation.accountIds
+      .map(id => userRepository.findOrganizationAccount(invitation.organizationId, id)?.name)
+      .filter(Boolean);
+    const message = buildInvitationEmail({
+      invitation,
+      inviteUrl,
+      roleLabel: ROLES[invitation.role],
+      invitedBy,
+      accountNames,
+      accentColor: organization?.accentColor
     });
-    
-    // Extract timezone from account data
-    const accountData = accountsResponse.data?.data;
-    if (accountData && accountData.length > 0) {
-      const timezone = accountData[0]?.attributes?.timezone;
-      if (timezone) {
-        console.log(`Fetched Klaviyo account timezone: ${timezone}`);
-        return timezone;
-      }
-    }
-    
-    // Fallback to UTC if timezone not found
-    return 'UTC';
+    await sendEmail(transport, { to: [invitation.email], message });
+    return true;
   } catch (error) {
-    console.log(`Error fetching account timezone: ${error.response?.data || error.message}, using default: UTC`);
-    // Fallback to UTC if API call fails
-    return 'UTC';
+    console.error('Error emailing invitation:', error.message);
+    return false;
   }
 }
 
-// Helper function to fetch account currency from Klaviyo
-async function getKlaviyoAccountCurrency(userApiKey) {
-  await delay(1000); // 0.1s delay
-  if (!userApiKey) {
-    console.log('No API key provided, using default currency: USD');
-    return 'USD';
+// Endpoint to get the user's current organization with its members, pending invitations and the roles
+app.get('/api/organization', authenticate, requirePermission('members:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      organization: toPublicOrganization(organizationRepository.findOrganization(req.user.organization.id)),
+      role: req.user.role,
+      members: organizationRepository.listMembers(req.user.organization.id).map(toPublicMember),
+      invitations: organizationRepository.listPendingInvitations(req.user.organization.id).map(toPublicInvitation),
+      roles: Object.entries(ROLES).map(([role, label]) => ({ role, label }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-  
+});
+
+// Endpoint to rename the user's current organization
+app.put('/api/organization', authenticate, requirePermission('organization:manage'), async (req, res) => {
   try {
-    const accountsResponse = await axios.get(`${KLAVIYO_BASE_URL}/accounts/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
+    res.json({
+      success: true,
+      organization: toPublicOrganization(renameOrganization(req.user.membership, req.body.name))
     });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to get the organization's branding (name, logo, accent color), which client portal logins see
+app.get('/api/organization/branding', authenticate, async (req, res) => {
+  try {
+    const organization = req.user.organization && organizationRepository.findOrganization(req.user.organization.id);
     
-    // Log full response for debugging
-    console.log('=== ACCOUNT DATA DEBUG ===');
-    console.log('Full accounts response:', JSON.stringify(accountsResponse.data, null, 2));
-    
-    // Extract currency from account data
-    const accountData = accountsResponse.data?.data;
-    console.log('Account data array:', accountData);
-    console.log('Account data length:', accountData?.length);
-    
-    if (accountData && accountData.length > 0) {
-      const account = accountData[0];
-      console.log('First account object:', JSON.stringify(account, null, 2));
-      console.log('Account attributes keys:', Object.keys(account?.attributes || {}));
-      
-      if (account?.attributes) {
-        console.log('Full account attributes:', JSON.stringify(account.attributes, null, 2));
-      }
-      
-      // Try different possible paths for currency (Klaviyo uses 'preferredCurrency' in attributes)
-      const currency = account?.attributes?.preferredCurrency || 
-                       account?.attributes?.preferred_currency ||
-                       account?.attributes?.currency ||
-                       account?.attributes?.contact_information?.currency ||
-                       account?.currency ||
-                       account?.attributes?.contact_information?.default_currency;
-      
-      console.log('Extracted currency value:', currency);
-      
-      if (currency) {
-        console.log(`✓ Fetched Klaviyo account currency: ${currency}`);
-        console.log('=== END ACCOUNT DATA DEBUG ===');
-        return currency;
-      } else {
-        // Log available attributes for debugging
-        console.log('✗ Currency not found. Checking all possible paths...');
-        console.log('  account?.attributes?.preferredCurrency:', account?.attributes?.preferredCurrency);
-        console.log('  account?.attributes?.preferred_currency:', account?.attributes?.preferred_currency);
-        console.log('  account?.attributes?.currency:', account?.attributes?.currency);
-        console.log('  account?.attributes?.contact_information?.currency:', account?.attributes?.contact_information?.currency);
-        console.log('  account?.currency:', account?.currency);
-        console.log('  account?.attributes?.contact_information?.default_currency:', account?.attributes?.contact_information?.default_currency);
-      }
-    } else {
-      console.log('✗ No account data found in response');
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
     }
     
-    console.log('=== END ACCOUNT DATA DEBUG ===');
-    
-    // Fallback to USD if currency not found
-    console.log('Using default currency: USD');
-    return 'USD';
+    res.json({
+      success: true,
+      name: organization.name,
+      logo: organization.logo || null,
+      accentColor: organization.accentColor || null,
+      defaultAccentColor: DEFAULT_ACCENT_COLOR
+    });
   } catch (error) {
-    console.log('=== ERROR FETCHING ACCOUNT CURRENCY ===');
-    console.log('Error message:', error.message);
-    console.log('Error response status:', error.response?.status);
-    console.log('Error response data:', JSON.stringify(error.response?.data || {}, null, 2));
-    console.log('Full error object:', error);
-    console.log('=== END ERROR DEBUG ===');
-    // Fallback to USD if API call fails
-    return 'USD';
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
+});
+
+// Endpoint to set the organization's logo (PNG/JPEG data URL) and accent color; null resets either one
+app.put('/api/organization/branding', authenticate, requirePermission('organization:manage'), async (req, res) => {
+  try {
+    const organization = setOrganizationBranding(req.user.membership, {
+      logo: req.body.logo || null,
+      accentColor: req.body.accentColor || null
+    });
+    res.json({
+      success: true,
+      organization: toPublicOrganization(organization)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to invite someone to the organization
+// Body: { email, role, accountIds? } (accountIds: the accounts a client-viewer sees, or the one account of a client)
+// The token is only returned here: it goes into the invitation link (inviteUrl when FRONTEND_URL is set),
+// which is also emailed to the invitee when email delivery is configured (emailed)
+app.post('/api/organization/invitations', authenticate, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { invitation, token } = createInvitation(req.user.membership, req.body);
+    const inviteUrl = getInviteUrl(token);
+    res.status(201).json({
+      success: true,
+      invitation: toPublicInvitation(invitation),
+      token,
+      inviteUrl,
+      emailed: await emailInvitation(invitation, inviteUrl, req.user.username)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to revoke an invitation that was not accepted yet
+app.delete('/api/organization/invitations/:invitationId', authenticate, requirePermission('members:manage'), async (req, res) => {
+  try {
+    revokeInvitation(req.user.membership, req.params.invitationId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to change a member's role; Body: { role, accountIds? }
+app.put('/api/organization/members/:userId', authenticate, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const member = updateMemberRole(req.user.membership, req.params.userId, req.body);
+    res.json({
+      success: true,
+      member: toPublicMember(member)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to remove a member from the organization (the accounts they added stay)
+app.delete('/api/organization/members/:userId', authenticate, requirePermission('members:manage'), async (req, res) => {
+  try {
+    removeMember(req.user.membership, req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to look up an invitation before registering or accepting it (public, the token is the secret)
+app.get('/api/invitations/:token', async (req, res) => {
+  try {
+    const invitation = getInvitation(req.params.token);
+    res.json({
+      success: true,
+      invitation: {
+        organizationName: invitation.organizationName,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to accept an invitation with an existing login; the organization becomes the user's current one
+app.post('/api/invitations/:token/accept', authenticate, async (req, res) => {
+  try {
+    const membership = acceptInvitation(req.user.id, req.params.token);
+    res.json({
+      success: true,
+      organization: { id: membership.organizationId, name: membership.organizationName },
+      role: membership.role
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to switch to another organization the user is a member of
+app.put('/api/organizations/:organizationId/switch', authenticate, async (req, res) => {
+  try {
+    const membership = switchOrganization(req.user.id, req.params.organizationId);
+    res.json({
+      success: true,
+      organization: { id: membership.organizationId, name: membership.organizationName },
+      role: membership.role
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Cache for Klaviyo responses, shared by all requests (in memory unless CACHE_STORE=file)
+const responseCache = new ResponseCache(createCacheStore());
+setInterval(() => responseCache.prune(), 10 * 60 * 1000).unref();
+
+// Helper function to create a Klaviyo client for a request
+// Metric IDs and account details come from the cache unless the request has ?refresh=true
+function createKlaviyoClient(apiKey, req) {
+  return new KlaviyoClient(apiKey, {
+    cache: responseCache,
+    refresh: isRefreshRequested(req)
+  });
+}
+
+// Helper function to add 0.1s delay between API calls
+const delay = (ms = 100) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to fetch account timezone from Klaviyo
+async function getKlaviyoAccountTimezone(klaviyo) {
+  if (!klaviyo) {
+    console.log('No Klaviyo client provided, using default timezone: UTC');
+    return 'UTC';
+  }
+  
+  try {
+    const accountsResponse = await klaviyo.getAccounts();
+    
+    // Extract timezone from account data
+    const accountData = accountsResponse?.data;
+    if (accountData && accountData.length > 0) {
+      const timezone = accountData[0]?.attributes?.timezone;
+      if (timezone) {
+        console.log(`Fetched Klaviyo account timezone: ${timezone}`);
+        return timezone;
+      }
+    }
+    
+    // Fallback to UTC if timezone not found
+    return 'UTC';
+  } catch (error) {
+    console.log(`Error fetching account timezone: ${error.response?.data || error.message}, using default: UTC`);
+    // Fallback to UTC if API call fails
+    return 'UTC';
+  }
+}
+
+// Helper function to resolve the requested date range (?start=&end= or ?preset=) in the account timezone
+// Sends a 400 response and returns null if the range is invalid
+function getRequestDateRange(req, res, timezone, now = new Date()) {
+  try {
+    return resolveDateRange(req.query, timezone, now);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// Helper function to check if a campaign was sent within a date range
+function isCampaignInDateRange(campaign, dateRange) {
+  const attributes = campaign.attributes || {};
+  const campaignDate = new Date(attributes.send_time || attributes.updated_at || attributes.created_at);
+  return campaignDate >= new Date(dateRange.start) && campaignDate < new Date(dateRange.end);
+}
+
+// Helper function to fetch account currency from Klaviyo
+async function getKlaviyoAccountCurrency(klaviyo) {
+  await delay(1000); // 0.1s delay
+  if (!klaviyo) {
+    console.log('No Klaviyo client provided, using default currency: USD');
+    return 'USD';
+  }
+  
+  try {
+    const accountsResponse = await klaviyo.getAccounts();
+    
+    // Log full response for debugging
+    console.log('=== ACCOUNT DATA DEBUG ===');
+    console.log('Full accounts response:', JSON.stringify(accountsResponse, null, 2));
+    
+    // Extract currency from account data
+    const accountData = accountsResponse?.data;
+    console.log('Account data array:', accountData);
+    console.log('Account data length:', accountData?.length);
+    
+    if (accountData && accountData.length > 0) {
+      const account = accountData[0];
+      console.log('First account object:', JSON.stringify(account, null, 2));
+      console.log('Account attributes keys:', Object.keys(account?.attributes || {}));
+      
+      if (account?.attributes) {
+        console.log('Full account attributes:', JSON.stringify(account.attributes, null, 2));
+      }
+      
+      // Try different possible paths for currency (Klaviyo uses 'preferredCurrency' in attributes)
+      const currency = account?.attributes?.preferredCurrency || 
+                       account?.attributes?.preferred_currency ||
+                       account?.attributes?.currency ||
+                       account?.attributes?.contact_information?.currency ||
+                       account?.currency ||
+                       account?.attributes?.contact_information?.default_currency;
+      
+      console.log('Extracted currency value:', currency);
+      
+      if (currency) {
+        console.log(`✓ Fetched Klaviyo account currency: ${currency}`);
+        console.log('=== END ACCOUNT DATA DEBUG ===');
+        return currency;
+      } else {
+        // Log available attributes for debugging
+        console.log('✗ Currency not found. Checking all possible paths...');
+        console.log('  account?.attributes?.preferredCurrency:', account?.attributes?.preferredCurrency);
+        console.log('  account?.attributes?.preferred_currency:', account?.attributes?.preferred_currency);
+        console.log('  account?.attributes?.currency:', account?.attributes?.currency);
+        console.log('  account?.attributes?.contact_information?.currency:', account?.attributes?.contact_information?.currency);
+        console.log('  account?.currency:', account?.currency);
+        console.log('  account?.attributes?.contact_information?.default_currency:', account?.attributes?.contact_information?.default_currency);
+      }
+    } else {
+      console.log('✗ No account data found in response');
+    }
+    
+    console.log('=== END ACCOUNT DATA DEBUG ===');
+    
+    // Fallback to USD if currency not found
+    console.log('Using default currency: USD');
+    return 'USD';
+  } catch (error) {
+    console.log('=== ERROR FETCHING ACCOUNT CURRENCY ===');
+    console.log('Error message:', error.message);
+    console.log('Error response status:', error.response?.status);
+    console.log('Error response data:', JSON.stringify(error.response?.data || {}, null, 2));
+    console.log('Full error object:', error);
+    console.log('=== END ERROR DEBUG ===');
+    // Fallback to USD if API call fails
+    return 'USD';
+  }
+}
 
 // Helper function to format currency
 function formatCurrency(amount, currency = 'USD') {
@@ -483,1365 +999,2677 @@ function formatCurrency(amount, currency = 'USD') {
   return `${symbol}${formattedAmount}`;
 }
 
-// Endpoint to get total revenue from all Placed Order events in last 30 days
-app.get('/api/revenue/total', authenticate, async (req, res) => {
+// Build the dashboard data (total revenue, campaign and flow tables) for a date range
+// Revenue and conversions come from the account's conversion metric (metricSettings, see conversionMetrics.js)
+// Returns null if the account's conversion metric does not exist
+async function buildDashboardData(klaviyo, dateRange, accountTimezone, metricSettings = {}) {
+  const { start, end } = dateRange;
+  
+  console.log('Fetching total revenue, campaigns, and flows using metric-aggregates API...');
+  
+  // Get all metrics
+  const metrics = await klaviyo.getMetrics();
+  await delay(); // 0.1s delay
+  
+  const { conversion: conversionMetric, secondary: secondaryMetric } = resolveConversionMetrics(metrics, metricSettings);
+  
+  const sentEmailMetric = metrics.find(m => 
+    m.attributes?.name === 'Sent Email' ||
+    m.attributes?.name === 'sent-email'
+  );
+  
+  if (!conversionMetric) {
+    return null;
+  }
+  
+  const conversionMetricId = conversionMetric.id;
+  const sentEmailMetricId = sentEmailMetric?.id;
+  
+  console.log(`Using conversion metric ${conversionMetric.name} (${conversionMetricId})`);
+  if (sentEmailMetricId) {
+    console.log(`Using Sent Email metric ID: ${sentEmailMetricId}`);
+  }
+  
+  // Format dates for filter (remove milliseconds and ensure proper format)
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  const startStr = startDate.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const endStr = endDate.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  
+  // Build date filters - datetime values should NOT be in quotes per Klaviyo API requirements
+  const filters = [
+    `greater-or-equal(datetime,${startStr})`,
+    `less-than(datetime,${endStr})`
+  ];
+  
+  // Process filters to ensure datetime values are not quoted
+  const processedFilters = filters.map(filter => {
+    let processed = filter;
+    // Remove quotes (both double and single) from datetime values
+    processed = processed.replace(/datetime,\s*"([^"]+)"/g, 'datetime,$1');
+    processed = processed.replace(/datetime,\s*'([^']+)'/g, 'datetime,$1');
+    // Remove any extra spaces around datetime values
+    processed = processed.replace(/datetime,\s+/g, 'datetime,');
+    processed = processed.replace(/datetime,\s*([^,)]+)\s*\)/g, 'datetime,$1)');
+    return processed;
+  });
+  
+  // Join filters with comma (Klaviyo API expects comma-separated string)
+  const filterString = processedFilters.join(',');
+  
+  // 1. Get total revenue from the conversion metric (MUST be fetched first)
+  const revenueAggregateResponse = await klaviyo.queryMetricAggregate({
+    metricId: conversionMetricId,
+    measurements: ['sum_value'],
+    filter: filterString,
+    timezone: accountTimezone
+  });
+  await delay(); // 0.1s delay
+  
+  // Extract total revenue (sum_value across all groups and intervals)
+  const totalRevenue = sumAggregate(revenueAggregateResponse);
+  
+  console.log(`Total revenue: ${totalRevenue.toFixed(2)}`);
+  
+  // Look up metric IDs early so they're available for both flow and campaign metrics
+  let openedEmailMetricId = null;
+  let clickedEmailMetricId = null;
+  let receivedEmailMetricId = null;
+  
   try {
-    const userApiKey = await getUserApiKey(req);
+    // Find Opened Email metric
+    const openedMetric = metrics.find(
+      m => m.attributes?.name === 'Opened Email'
+    );
+    if (openedMetric?.id) {
+      openedEmailMetricId = openedMetric.id;
+      console.log(`Opened Email metric ID: ${openedEmailMetricId}`);
+    }
     
-    if (!userApiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'No Klaviyo API key found. Please add a Klaviyo account.'
-      });
+    // Find Clicked Email metric
+    const clickedMetric = metrics.find(
+      m => m.attributes?.name === 'Clicked Email'
+    );
+    if (clickedMetric?.id) {
+      clickedEmailMetricId = clickedMetric.id;
+      console.log(`Clicked Email metric ID: ${clickedEmailMetricId}`);
     }
     
-    // Fetch account timezone and currency from Klaviyo
-    const accountTimezone = await getKlaviyoAccountTimezone(userApiKey);
-    await delay(); // 0.1s delay
-    const accountCurrency = await getKlaviyoAccountCurrency(userApiKey);
+    // Find Received Email metric
+    const receivedMetric = metrics.find(
+      m => m.attributes?.name === 'Received Email'
+    );
+    if (receivedMetric?.id) {
+      receivedEmailMetricId = receivedMetric.id;
+      console.log(`Received Email metric ID: ${receivedEmailMetricId}`);
+    }
+  } catch (error) {
+    console.log(`Error fetching metrics:`, error.response?.data || error.message);
+  }
+  
+  // Get attributed flow revenue grouped by flow
+  let attributedFlowRevenue = {};
+  
+  try {
+    const flowRevenueAggregateResponse = await klaviyo.queryMetricAggregate({
+      metricId: conversionMetricId,
+      measurements: ['sum_value'],
+      by: ['$attributed_flow'],
+      filter: [
+        ...processedFilters,
+        `not(equals($attributed_flow,""))`
+      ],
+      timezone: accountTimezone
+    });
     await delay(); // 0.1s delay
     
-    const { start, end } = getLast30Days(accountTimezone);
+    // Extract grouped flow revenue: flowId -> revenue
+    attributedFlowRevenue = sumAggregateByDimension(flowRevenueAggregateResponse, '$attributed_flow', { keepZero: true });
     
-    console.log(`Using account timezone: ${accountTimezone}, currency: ${accountCurrency}`);
-    console.log('Fetching total revenue, campaigns, and flows using metric-aggregates API...');
-    
-    // Get all metrics
-    const metricsResponse = await axios.get(`${KLAVIYO_BASE_URL}/metrics/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      }
+    console.log(`Attributed Flow Revenue: ${JSON.stringify(attributedFlowRevenue, null, 2)}`);
+  } catch (error) {
+    console.log('Error fetching attributed flow revenue:', error.response?.data || error.message);
+  }
+  
+  // Get flow conversions (count of conversion metric events) grouped by flow
+  let flowConversionsFromRevenue = {}; // flowId -> conversions count
+  try {
+    const flowConversionsAggregateResponse = await klaviyo.queryMetricAggregate({
+      metricId: conversionMetricId,
+      measurements: ['count'],
+      by: ['$attributed_flow'],
+      filter: [
+        ...processedFilters,
+        `not(equals($attributed_flow,""))`
+      ],
+      timezone: accountTimezone
     });
     await delay(); // 0.1s delay
     
-    const metrics = metricsResponse.data?.data || [];
-    const placedOrderMetric = metrics.find(m => 
-      m.attributes?.name === 'Placed Order' ||
-      m.attributes?.name === 'placed-order'
-    );
-    
-    const sentEmailMetric = metrics.find(m => 
-      m.attributes?.name === 'Sent Email' ||
-      m.attributes?.name === 'sent-email'
-    );
+    // Extract flow conversions count
+    flowConversionsFromRevenue = sumAggregateByDimension(flowConversionsAggregateResponse, '$attributed_flow', { measurement: 'count', keepZero: true });
     
-    if (!placedOrderMetric) {
-      return res.json({
-        success: false,
-        error: 'Placed Order metric not found'
+    console.log(`Flow Conversions: ${JSON.stringify(flowConversionsFromRevenue, null, 2)}`);
+  } catch (error) {
+    console.log('Error fetching flow conversions:', error.response?.data || error.message);
+  }
+  
+  // Secondary metric (optional): total, and conversions and value attributed to each campaign and flow
+  // One grouped call each; campaign sends are attributed with the campaign ID as $attributed_message
+  let secondaryTotals = null;
+  const secondaryByMessage = { conversions: {}, value: {} };
+  const secondaryByFlow = { conversions: {}, value: {} };
+  if (secondaryMetric) {
+    try {
+      const secondaryTotalResponse = await klaviyo.queryMetricAggregate({
+        metricId: secondaryMetric.id,
+        measurements: ['count', 'sum_value'],
+        filter: processedFilters,
+        timezone: accountTimezone
       });
-    }
-    
-    const placedOrderMetricId = placedOrderMetric.id;
-    const sentEmailMetricId = sentEmailMetric?.id;
-    
-    console.log(`Using Placed Order metric ID: ${placedOrderMetricId}`);
-    if (sentEmailMetricId) {
-      console.log(`Using Sent Email metric ID: ${sentEmailMetricId}`);
-    }
-    
-    // Format dates for filter (remove milliseconds and ensure proper format)
-    const startDate = new Date(start);
-    const endDate = new Date(end);
-    const startStr = startDate.toISOString().replace(/\.\d{3}Z$/, 'Z');
-    const endStr = endDate.toISOString().replace(/\.\d{3}Z$/, 'Z');
-    
-    // Build date filters - datetime values should NOT be in quotes per Klaviyo API requirements
-    const filters = [
-      `greater-or-equal(datetime,${startStr})`,
-      `less-than(datetime,${endStr})`
-    ];
-    
-    // Process filters to ensure datetime values are not quoted
-    const processedFilters = filters.map(filter => {
-      let processed = filter;
-      // Remove quotes (both double and single) from datetime values
-      processed = processed.replace(/datetime,\s*"([^"]+)"/g, 'datetime,$1');
-      processed = processed.replace(/datetime,\s*'([^']+)'/g, 'datetime,$1');
-      // Remove any extra spaces around datetime values
-      processed = processed.replace(/datetime,\s+/g, 'datetime,');
-      processed = processed.replace(/datetime,\s*([^,)]+)\s*\)/g, 'datetime,$1)');
-      return processed;
-    });
-    
-    // Join filters with comma (Klaviyo API expects comma-separated string)
-    const filterString = processedFilters.join(',');
-    
-    // 1. Get total revenue from Placed Order metric (MUST be fetched first)
-    const revenueAggregateResponse = await retryApiCall(async () => {
-      return await axios.post(
-        `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-        {
-          data: {
-            type: 'metric-aggregate',
-            attributes: {
-              metric_id: placedOrderMetricId,
-              measurements: ['sum_value'],
-              filter: filterString,
-              timezone: accountTimezone
-            }
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-            'revision': '2024-10-15',
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          }
-        }
-      );
-    });
-    await delay(); // 0.1s delay
-    
-    // Extract total revenue using the proper response structure
-    // Response structure: response.data.attributes.data (array of groups)
-    let totalRevenue = 0;
-    if (revenueAggregateResponse.data?.data?.attributes?.data) {
-      revenueAggregateResponse.data.data.attributes.data.forEach(group => {
-        const measurements = group?.measurements;
-        const measurementKey = measurements?.sum_value ? 'sum_value' : null;
-        
-        if (measurementKey && measurements[measurementKey] !== undefined) {
-          let value = 0;
-          if (Array.isArray(measurements[measurementKey])) {
-            // Sum all values in the array
-            value = measurements[measurementKey].reduce((acc, val) => {
-              const num = parseFloat(val);
-              return acc + (isNaN(num) ? 0 : num);
-            }, 0);
-          } else {
-            // Single value
-            const num = parseFloat(measurements[measurementKey]);
-            value = isNaN(num) ? 0 : num;
-          }
-          totalRevenue += value;
-        }
-      });
-    }
-    
-    console.log(`Revenue Response: ${JSON.stringify(revenueAggregateResponse.data, null, 2)}`);
-    console.log(`Total revenue: ${totalRevenue.toFixed(2)}`);
-    
-    // Fetch metric IDs early so they're available for both flow and campaign metrics
-    let openedEmailMetricId = null;
-    let clickedEmailMetricId = null;
-    let receivedEmailMetricId = null;
-    
-    try {
-      const metricsResponse = await axios.get(
-        `${KLAVIYO_BASE_URL}/metrics/`,
-        {
-          headers: {
-            'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-            'revision': '2024-10-15',
-            'Accept': 'application/json'
-          }
-        }
-      );
       await delay(); // 0.1s delay
+      secondaryTotals = {
+        conversions: sumAggregate(secondaryTotalResponse, 'count'),
+        value: sumAggregate(secondaryTotalResponse)
+      };
       
-      // Find Opened Email metric
-      const openedMetric = metricsResponse.data.data.find(
-        m => m.attributes.name === 'Opened Email'
-      );
-      if (openedMetric?.id) {
-        openedEmailMetricId = openedMetric.id;
-        console.log(`Opened Email metric ID: ${openedEmailMetricId}`);
-      }
-      
-      // Find Clicked Email metric
-      const clickedMetric = metricsResponse.data.data.find(
-        m => m.attributes.name === 'Clicked Email'
-      );
-      if (clickedMetric?.id) {
-        clickedEmailMetricId = clickedMetric.id;
-        console.log(`Clicked Email metric ID: ${clickedEmailMetricId}`);
-      }
-      
-      // Find Received Email metric
-      const receivedMetric = metricsResponse.data.data.find(
-        m => m.attributes.name === 'Received Email'
-      );
-      if (receivedMetric?.id) {
-        receivedEmailMetricId = receivedMetric.id;
-        console.log(`Received Email metric ID: ${receivedEmailMetricId}`);
-      }
-    } catch (error) {
-      console.log(`Error fetching metrics:`, error.response?.data || error.message);
-    }
-    
-    // Get attributed flow revenue grouped by flow
-    // Get attributed flow revenue grouped by flow
-    let attributedFlowRevenue = {};
-    
-    try {
-      const flowRevenueAggregateResponse = await retryApiCall(async () => {
-        return await axios.post(
-          `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-          {
-            data: {
-              type: 'metric-aggregate',
-              attributes: {
-                metric_id: placedOrderMetricId,
-                measurements: ['sum_value'],
-                by: ['$attributed_flow'],
-                filter: [
-                  ...processedFilters,
-                  `not(equals($attributed_flow,""))`
-                ],
-                timezone: accountTimezone
-              }
-            }
-          },
-          {
-            headers: {
-              'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-              'revision': '2024-10-15',
-              'Content-Type': 'application/json',
-              'Accept': 'application/json'
-            }
-          }
-        );
+      const secondaryMessageResponse = await klaviyo.queryMetricAggregate({
+        metricId: secondaryMetric.id,
+        measurements: ['count', 'sum_value'],
+        by: ['$attributed_message'],
+        filter: [...processedFilters, `not(equals($attributed_message,""))`],
+        timezone: accountTimezone
       });
       await delay(); // 0.1s delay
+      secondaryByMessage.conversions = sumAggregateByDimension(secondaryMessageResponse, '$attributed_message', { measurement: 'count' });
+      secondaryByMessage.value = sumAggregateByDimension(secondaryMessageResponse, '$attributed_message');
       
-      // Extract grouped flow revenue and count recipients (non-zero sum_value entries)
-      console.log(`Flow Revenue Response: ${JSON.stringify(flowRevenueAggregateResponse.data, null, 2)}`);
-      if (flowRevenueAggregateResponse.data?.data?.attributes?.data) {
-        flowRevenueAggregateResponse.data.data.attributes.data.forEach(group => {
-          const measurements = group?.measurements;
-          const measurementKey = measurements?.sum_value ? 'sum_value' : null;
-          
-          if (measurementKey && measurements[measurementKey] !== undefined && group?.dimensions) {
-            // Extract flow ID from dimensions - dimensions is an array, access first element
-            const flowId = group.dimensions?.[0] || 'unknown';
-            console.log(`Extracted flow ID from dimensions: ${flowId}, dimensions structure: ${JSON.stringify(group.dimensions)}`);
-            
-            let value = 0;
-            if (Array.isArray(measurements[measurementKey])) {
-              // Sum all values for revenue
-              value = measurements[measurementKey].reduce((acc, val) => {
-                const num = parseFloat(val);
-                return acc + (isNaN(num) ? 0 : num);
-              }, 0);
-            } else {
-              const num = parseFloat(measurements[measurementKey]);
-              value = isNaN(num) ? 0 : num;
-            }
-            
-            attributedFlowRevenue[flowId] = (attributedFlowRevenue[flowId] || 0) + value;
-          }
-        });
-      }
+      const secondaryFlowResponse = await klaviyo.queryMetricAggregate({
+        metricId: secondaryMetric.id,
+        measurements: ['count', 'sum_value'],
+        by: ['$attributed_flow'],
+        filter: [...processedFilters, `not(equals($attributed_flow,""))`],
+        timezone: accountTimezone
+      });
+      await delay(); // 0.1s delay
+      secondaryByFlow.conversions = sumAggregateByDimension(secondaryFlowResponse, '$attributed_flow', { measurement: 'count' });
+      secondaryByFlow.value = sumAggregateByDimension(secondaryFlowResponse, '$attributed_flow');
       
-      console.log(`Attributed Flow Revenue: ${JSON.stringify(attributedFlowRevenue, null, 2)}`);
+      console.log(`Secondary metric ${secondaryMetric.name}: ${secondaryTotals.conversions} conversions, value ${secondaryTotals.value.toFixed(2)}`);
     } catch (error) {
-      console.log('Error fetching attributed flow revenue:', error.response?.data || error.message);
+      console.log('Error fetching secondary metric:', error.response?.data || error.message);
     }
+  }
+  
+  // Flow metrics (opens, clicks, recipients) will be fetched per flow in the flow table building section
+  // Similar to how campaign revenue is fetched per campaign using equals($attributed_flow,"<flowId>")
+  
+  // Get attributed campaign revenue: collect message IDs per campaign, then sum per campaign
+  let attributedCampaignRevenue = {};
+  let filteredCampaigns = [];
+  let campaignMetrics = {};
+  
+  // Message maps for opens/clicks/recipients - used by both campaigns AND flows
+  // These are populated by 3 metric-aggregates calls and then used for local aggregation
+  const messageOpensMap = {}; // messageId -> opens count
+  const messageClicksMap = {}; // messageId -> clicks count
+  const messageRecipientsMap = {}; // messageId -> recipients count
+  
+  try {
+    // First, fetch campaigns to get message IDs
+    // Campaigns sent in the range were last updated after its start
+    const startTimestamp = new Date(start).toISOString();
     
-    // Get flow conversions (count of Placed Order events) grouped by flow
-    const flowConversionsFromRevenue = {}; // flowId -> conversions count
+    // Fetch email campaigns (channel filter is required by API, filter for active status)
+    const emailResponse = await klaviyo.listCampaigns({
+      channel: 'email',
+      filter: `greater-than(updated_at,${startTimestamp})`,
+      fields: 'name,status,created_at,updated_at,send_time',
+      include: 'campaign-messages',
+      sort: '-updated_at'
+    });
+    await delay(); // 0.1s delay
+    
+    // Fetch SMS campaigns (channel filter is required by API, filter for active status)
+    let smsResponse;
     try {
-      const flowConversionsAggregateResponse = await retryApiCall(async () => {
-        return await axios.post(
-          `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-          {
-            data: {
-              type: 'metric-aggregate',
-              attributes: {
-                metric_id: placedOrderMetricId,
-                measurements: ['count'],
-                by: ['$attributed_flow'],
-                filter: [
-                  ...processedFilters,
-                  `not(equals($attributed_flow,""))`
-                ],
-                timezone: accountTimezone
-              }
-            }
-          },
-          {
-            headers: {
-              'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-              'revision': '2024-10-15',
-              'Content-Type': 'application/json',
-              'Accept': 'application/json'
-            }
-          }
-        );
+      smsResponse = await klaviyo.listCampaigns({
+        channel: 'sms',
+        filter: `greater-than(updated_at,${startTimestamp})`,
+        fields: 'name,status,created_at,updated_at,send_time',
+        include: 'campaign-messages',
+        sort: '-updated_at'
       });
       await delay(); // 0.1s delay
-      
-      // Extract flow conversions count
-      if (flowConversionsAggregateResponse.data?.data?.attributes?.data) {
-        flowConversionsAggregateResponse.data.data.attributes.data.forEach(group => {
-          const measurements = group?.measurements;
-          const count = measurements?.count;
-          
-          if (count !== undefined && group?.dimensions) {
-            const flowId = group.dimensions?.[0] || 'unknown';
-            let conversions = 0;
-            
-            if (Array.isArray(count)) {
-              conversions = count.reduce((acc, val) => {
-                const num = parseInt(val);
-                return acc + (isNaN(num) ? 0 : num);
-              }, 0);
-            } else {
-              const num = parseInt(count);
-              conversions = isNaN(num) ? 0 : num;
-            }
-            
-            flowConversionsFromRevenue[flowId] = (flowConversionsFromRevenue[flowId] || 0) + conversions;
-          }
-        });
-      }
-      
-      console.log(`Flow Conversions: ${JSON.stringify(flowConversionsFromRevenue, null, 2)}`);
     } catch (error) {
-      console.log('Error fetching flow conversions:', error.response?.data || error.message);
+      smsResponse = { data: [], included: [] };
+      console.log(`SMS Campaigns API Error: ${error.response?.data || error.message}`);
     }
     
-    // Flow metrics (opens, clicks, recipients) will be fetched per flow in the flow table building section
-    // Similar to how campaign revenue is fetched per campaign using equals($attributed_flow,"<flowId>")
+    const emailCampaigns = emailResponse.data || [];
+    const smsCampaigns = smsResponse.data || [];
+    const allCampaigns = [...emailCampaigns, ...smsCampaigns];
+    const included = [...(emailResponse.included || []), ...(smsResponse.included || [])];
     
-    // Get attributed campaign revenue: collect message IDs per campaign, then sum per campaign
-    let attributedCampaignRevenue = {};
-    let filteredCampaigns = [];
-    let campaignMetrics = {};
+    // Filter campaigns sent in the date range (reuse the filteredCampaigns variable declared at top)
+    filteredCampaigns = allCampaigns.filter(campaign => {
+      const status = campaign.attributes?.status || '';
+      // Only include "Sent" status campaigns from the date range
+      return status.toLowerCase() === 'sent' && isCampaignInDateRange(campaign, dateRange);
+    });
     
-    // Message maps for opens/clicks/recipients - used by both campaigns AND flows
-    // These are populated by 3 metric-aggregates calls and then used for local aggregation
-    const messageOpensMap = {}; // messageId -> opens count
-    const messageClicksMap = {}; // messageId -> clicks count
-    const messageRecipientsMap = {}; // messageId -> recipients count
+    // Map campaign ID to message IDs, message labels, and message type
+    const campaignToMessageIds = {}; // Map campaign ID to array of message IDs
+    const campaignToMessageLabels = {};
+    const campaignToMessageType = {};
+    const messageIdToCampaignId = {}; // Map message ID to campaign ID for local filtering
     
-    try {
-      // First, fetch campaigns to get message IDs
-      // Use the account timezone that was fetched earlier
-      const { start, end } = getLast30Days(accountTimezone);
-      const startTimestamp = new Date(start).toISOString();
-      const endTimestamp = new Date(end).toISOString();
-      
-      // Fetch email campaigns (channel filter is required by API, filter for active status)
-      const emailResponse = await axios.get(`${KLAVIYO_BASE_URL}/campaigns/`, {
-        headers: {
-          'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-          'revision': '2024-10-15',
-          'Accept': 'application/json'
-        },
-        params: {
-          'filter': `equals(messages.channel,'email'),greater-than(updated_at,${startTimestamp})`,
-          'fields[campaign]': 'name,status,created_at,updated_at',
-          'include': 'campaign-messages',
-          'sort': '-updated_at'
-        }
-      });
-      await delay(); // 0.1s delay
-      
-      // Fetch SMS campaigns (channel filter is required by API, filter for active status)
-      let smsResponse;
-      try {
-        smsResponse = await axios.get(`${KLAVIYO_BASE_URL}/campaigns/`, {
-          headers: {
-            'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-            'revision': '2024-10-15',
-            'Accept': 'application/json'
-          },
-          params: {
-            'filter': `equals(messages.channel,'sms'),greater-than(updated_at,${startTimestamp})`,
-            'fields[campaign]': 'name,status,created_at,updated_at',
-            'include': 'campaign-messages',
-            'sort': '-updated_at'
-          }
-        });
-        await delay(); // 0.1s delay
-      } catch (error) {
-        smsResponse = { data: { data: [], included: [] } };
-        console.log(`SMS Campaigns API Error: ${error.response?.data || error.message}`);
-      }
-      
-      const emailCampaigns = emailResponse.data.data || [];
-      const smsCampaigns = smsResponse.data.data || [];
-      const allCampaigns = [...emailCampaigns, ...smsCampaigns];
-      const included = [...(emailResponse.data.included || []), ...(smsResponse.data.included || [])];
+    filteredCampaigns.forEach(campaign => {
+      const campaignId = campaign.id;
+      const messageIds = [];
+      const messageLabels = [];
+      let messageType = null;
       
-      // Filter campaigns from last 30 days (reuse the filteredCampaigns variable declared at top)
-      filteredCampaigns = allCampaigns.filter(campaign => {
-        const status = campaign.attributes?.status || '';
-        const campaignDate = new Date(campaign.attributes?.updated_at || campaign.attributes?.created_at);
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        // Only include "Sent" status campaigns from last 30 days
-        return status.toLowerCase() === 'sent' && campaignDate >= thirtyDaysAgo;
-      });
-      
-      // Map campaign ID to message IDs, message labels, and message type
-      const campaignToMessageIds = {}; // Map campaign ID to array of message IDs
-      const campaignToMessageLabels = {};
-      const campaignToMessageType = {};
-      const messageIdToCampaignId = {}; // Map message ID to campaign ID for local filtering
+      // Get message IDs from relationships
+      const messageRelationships = campaign.relationships?.campaign_messages?.data || [];
+      const messageIdToLabel = {};
       
-      filteredCampaigns.forEach(campaign => {
-        const campaignId = campaign.id;
-        const messageIds = [];
-        const messageLabels = [];
-        let messageType = null;
-        
-        // Get message IDs from relationships
-        const messageRelationships = campaign.relationships?.campaign_messages?.data || [];
-        const messageIdToLabel = {};
-        
-  
-        // Build map of message ID to message label from included messages
-        // Campaign messages don't have a status field - include all messages
-        included.forEach(item => {
-          if (item.type === 'campaign-message') {
-            const messageCampaignId = item.relationships?.campaign?.data?.id;
-            if (messageCampaignId === campaignId) {
-              const messageId = item.id;
-              // Use label field for filtering (e.g., "Gift Ideas - 9th Dec")
-              const messageLabel = item.attributes?.label || item.attributes?.name || messageId;
-              messageIdToLabel[messageId] = messageLabel;
-              messageIdToCampaignId[messageId] = campaignId;
-              
-              // Get message type (channel: email, sms, etc.)
-              // Campaign messages don't have a status field - use channel directly
-              if (!messageType && item.attributes?.channel) {
-                messageType = item.attributes.channel;
-              }
-            }
-          }
-        });
-        
-        // Collect message IDs and labels from relationships
-        messageRelationships.forEach(rel => {
-          if (rel.type === 'campaign-message') {
-            const messageId = rel.id;
-            const messageLabel = messageIdToLabel[messageId] || messageId;
+
+      // Build map of message ID to message label from included messages
+      // Campaign messages don't have a status field - include all messages
+      included.forEach(item => {
+        if (item.type === 'campaign-message') {
+          const messageCampaignId = item.relationships?.campaign?.data?.id;
+          if (messageCampaignId === campaignId) {
+            const messageId = item.id;
+            // Use label field for filtering (e.g., "Gift Ideas - 9th Dec")
+            const messageLabel = item.attributes?.label || item.attributes?.name || messageId;
+            messageIdToLabel[messageId] = messageLabel;
+            messageIdToCampaignId[messageId] = campaignId;
             
-            // Always include the message ID; fall back to the ID if label is missing
-            messageIds.push(messageId);
-            if (!messageLabels.includes(messageLabel)) {
-              messageLabels.push(messageLabel);
+            // Get message type (channel: email, sms, etc.)
+            // Campaign messages don't have a status field - use channel directly
+            if (!messageType && item.attributes?.channel) {
+              messageType = item.attributes.channel;
             }
-            
-            // Ensure reverse mapping exists even when label was missing from included
-            messageIdToCampaignId[messageId] = campaignId;
           }
-        });
-        
-        console.log(`Campaign ${campaignId}: collected ${messageIds.length} message IDs`);
-        
-        // DO NOT fallback to campaignId - campaign IDs are NOT message IDs
-        
-        campaignToMessageIds[campaignId] = messageIds;
-        campaignToMessageLabels[campaignId] = messageLabels;
-        campaignToMessageType[campaignId] = messageType || 'unknown';
+        }
       });
       
-      console.log(`Campaign to Message Labels mapping: ${JSON.stringify(campaignToMessageLabels, null, 2)}`);
-      console.log(`Campaign to Message Type mapping: ${JSON.stringify(campaignToMessageType, null, 2)}`);
-      
-      // STEP 3: Make 3 TOTAL metric-aggregates API calls (opens, clicks, recipients) BEFORE the loop
-      // NOTE: Metric IDs (openedEmailMetricId, clickedEmailMetricId, receivedEmailMetricId) 
-      // are already fetched earlier, before flow metrics
-      // Store results in maps: messageId -> count
-      // NOTE: Maps are declared at higher scope (above this try block) so flows can access them
-      
-      // Fetch opens using metric-aggregates with by: [0] (ONLY date filters, NO campaign filter)
-      if (openedEmailMetricId) {
-        try {
-          const opensPayload = {
-            data: {
-              type: 'metric-aggregate',
-              attributes: {
-                metric_id: openedEmailMetricId,
-                measurements: ['count'],
-                by: ['$message'],
-                filter: processedFilters, // Only date filters, NO campaign filter
-                timezone: accountTimezone
-              }
-            }
-          };
-          
-          const opensResponse = await retryApiCall(async () => {
-            return await axios.post(
-              `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-              opensPayload,
-              {
-                headers: {
-                  'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-                  'revision': '2024-10-15',
-                  'Content-Type': 'application/json',
-                  'Accept': 'application/json'
-                }
-              }
-            );
-          });
-          await delay(); // 0.1s delay
+      // Collect message IDs and labels from relationships
+      messageRelationships.forEach(rel => {
+        if (rel.type === 'campaign-message') {
+          const messageId = rel.id;
+          const messageLabel = messageIdToLabel[messageId] || messageId;
           
-          // Store opens per message ID
-          if (opensResponse.data?.data?.attributes?.data) {
-            console.log(`Opens response sample: ${JSON.stringify(opensResponse.data?.data?.attributes?.data?.[0], null, 2)}`);
-            opensResponse.data.data.attributes.data.forEach(group => {
-              // Handle both array and object dimensions formats
-              let messageId = null;
-              if (Array.isArray(group.dimensions)) {
-                messageId = group.dimensions[0];
-              } else if (group.dimensions && typeof group.dimensions === 'object') {
-                messageId = group.dimensions["$message"];
-              }
-              
-              if (messageId) {
-                const measurements = group?.measurements;
-                console.log(`Message ${messageId} measurements: ${JSON.stringify(measurements)}`);
-                // Check for both count and unique measurements
-                let count = 0;
-                if (measurements?.count !== undefined) {
-                  if (Array.isArray(measurements.count)) {
-                    count = measurements.count.reduce((acc, val) => acc + (parseInt(val) || 0), 0);
-                  } else {
-                    count = parseInt(measurements.count) || 0;
-                  }
-                } else if (measurements?.unique !== undefined) {
-                  if (Array.isArray(measurements.unique)) {
-                    count = measurements.unique.reduce((acc, val) => acc + (parseInt(val) || 0), 0);
-                  } else {
-                    count = parseInt(measurements.unique) || 0;
-                  }
-                }
-                if (count > 0) {
-                  messageOpensMap[messageId] = (messageOpensMap[messageId] || 0) + count;
-                }
-              }
-            });
+          // Always include the message ID; fall back to the ID if label is missing
+          messageIds.push(messageId);
+          if (!messageLabels.includes(messageLabel)) {
+            messageLabels.push(messageLabel);
           }
-          console.log(`Opens map: ${JSON.stringify(messageOpensMap, null, 2)}`);
-        } catch (error) {
-          console.log(`Error fetching opens:`, error.response?.data || error.message);
-        }
-      }
-      
-      // Fetch clicks using metric-aggregates with by: [0] (ONLY date filters, NO campaign filter)
-      if (clickedEmailMetricId) {
-        try {
-          const clicksPayload = {
-            data: {
-              type: 'metric-aggregate',
-              attributes: {
-                metric_id: clickedEmailMetricId,
-                measurements: ['count'],
-                by: ['$message'],
-                filter: processedFilters, // Only date filters, NO campaign filter
-                timezone: accountTimezone
-              }
-            }
-          };
-          
-          const clicksResponse = await retryApiCall(async () => {
-            return await axios.post(
-              `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-              clicksPayload,
-              {
-                headers: {
-                  'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-                  'revision': '2024-10-15',
-                  'Content-Type': 'application/json',
-                  'Accept': 'application/json'
-                }
-              }
-            );
-          });
-          await delay(); // 0.1s delay
           
-          // Store clicks per message ID
-          if (clicksResponse.data?.data?.attributes?.data) {
-            console.log(`Clicks response sample: ${JSON.stringify(clicksResponse.data?.data?.attributes?.data?.[0], null, 2)}`);
-            clicksResponse.data.data.attributes.data.forEach(group => {
-              // Handle both array and object dimensions formats
-              let messageId = null;
-              if (Array.isArray(group.dimensions)) {
-                messageId = group.dimensions[0];
-              } else if (group.dimensions && typeof group.dimensions === 'object') {
-                messageId = group.dimensions["$message"];
-              }
-              
-              if (messageId) {
-                const measurements = group?.measurements;
-                console.log(`Message ${messageId} measurements: ${JSON.stringify(measurements)}`);
-                // Check for both count and unique measurements
-                let count = 0;
-                if (measurements?.count !== undefined) {
-                  if (Array.isArray(measurements.count)) {
-                    count = measurements.count.reduce((acc, val) => acc + (parseInt(val) || 0), 0);
-                  } else {
-                    count = parseInt(measurements.count) || 0;
-                  }
-                } else if (measurements?.unique !== undefined) {
-                  if (Array.isArray(measurements.unique)) {
-                    count = measurements.unique.reduce((acc, val) => acc + (parseInt(val) || 0), 0);
-                  } else {
-                    count = parseInt(measurements.unique) || 0;
-                  }
-                }
-                if (count > 0) {
-                  messageClicksMap[messageId] = (messageClicksMap[messageId] || 0) + count;
-                }
-              }
-            });
-          }
-          console.log(`Clicks map: ${JSON.stringify(messageClicksMap, null, 2)}`);
-        } catch (error) {
-          console.log(`Error fetching clicks:`, error.response?.data || error.message);
+          // Ensure reverse mapping exists even when label was missing from included
+          messageIdToCampaignId[messageId] = campaignId;
         }
-      }
+      });
       
-      // Fetch recipients using metric-aggregates with by: [0] (ONLY date filters, NO campaign filter)
-      if (receivedEmailMetricId) {
-        try {
-          const recipientsPayload = {
-            data: {
-              type: 'metric-aggregate',
-              attributes: {
-                metric_id: receivedEmailMetricId,
-                measurements: ['count'],
-                by: ['$message'],
-                filter: processedFilters, // Only date filters, NO campaign filter
-                timezone: accountTimezone
-              }
-            }
-          };
-          
-          const recipientsResponse = await retryApiCall(async () => {
-            return await axios.post(
-              `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-              recipientsPayload,
-              {
-                headers: {
-                  'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-                  'revision': '2024-10-15',
-                  'Content-Type': 'application/json',
-                  'Accept': 'application/json'
-                }
-              }
-            );
-          });
-          await delay(); // 0.1s delay
-          
-          // Store recipients per message ID
-          if (recipientsResponse.data?.data?.attributes?.data) {
-            console.log(`Recipients response sample: ${JSON.stringify(recipientsResponse.data?.data?.attributes?.data?.[0], null, 2)}`);
-            recipientsResponse.data.data.attributes.data.forEach(group => {
-              // Handle both array and object dimensions formats
-              let messageId = null;
-              if (Array.isArray(group.dimensions)) {
-                messageId = group.dimensions[0];
-              } else if (group.dimensions && typeof group.dimensions === 'object') {
-                messageId = group.dimensions["$message"];
-              }
-              
-              if (messageId) {
-                const measurements = group?.measurements;
-                console.log(`Message ${messageId} measurements: ${JSON.stringify(measurements)}`);
-                // Check for both count and unique measurements
-                let count = 0;
-                if (measurements?.count !== undefined) {
-                  if (Array.isArray(measurements.count)) {
-                    count = measurements.count.reduce((acc, val) => acc + (parseInt(val) || 0), 0);
-                  } else {
-                    count = parseInt(measurements.count) || 0;
-                  }
-                } else if (measurements?.unique !== undefined) {
-                  if (Array.isArray(measurements.unique)) {
-                    count = measurements.unique.reduce((acc, val) => acc + (parseInt(val) || 0), 0);
-                  } else {
-                    count = parseInt(measurements.unique) || 0;
-                  }
-                }
-                if (count > 0) {
-                  messageRecipientsMap[messageId] = (messageRecipientsMap[messageId] || 0) + count;
-                }
-              }
-            });
-          }
-          console.log(`Recipients map: ${JSON.stringify(messageRecipientsMap, null, 2)}`);
-        } catch (error) {
-          console.log(`Error fetching recipients:`, error.response?.data || error.message);
-        }
-      }
+      console.log(`Campaign ${campaignId}: collected ${messageIds.length} message IDs`);
       
-      // STEP 4: For each campaign, fetch revenue and aggregate opens/clicks/recipients locally
-      // Initialize campaignMetrics (reuse the variable declared at top)
-      campaignMetrics = {}; // Store all metrics per campaign
-      console.log(`Campaign to Message IDs: ${JSON.stringify(campaignToMessageIds, null, 2)}`);
-      // FIX: Loop over campaignToMessageIds, not campaignToMessageLabels
-      // NOTE: We still process campaigns even if they have no message IDs (for revenue)
-      for (const [campaignId, messageIds] of Object.entries(campaignToMessageIds)) {
-        // Don't skip campaigns with no message IDs - they can still have revenue
-        // We'll just have 0 opens/clicks/recipients for them
-        
-        const messageType = campaignToMessageType[campaignId] || 'unknown';
-        
-        // Initialize campaign metrics
-        campaignMetrics[campaignId] = {
-          messageType: messageType,
-          revenue: 0,
-          recipients: 0, // From Received Email metric (for open/click rates)
-          opens: 0,
-          clicks: 0,
-          conversions: 0, // Count of Placed Order events (for PLACED ORDER cell)
-          openRate: 0,
-          clickRate: 0
-        };
-        
-        // 1. Fetch revenue using metric-aggregates (one call per campaign)
-        // IMPORTANT: Revenue uses $attributed_message with campaign ID, NOT $message
-        // $attributed_message returns the campaign ID for campaign sends
-        const revenuePayload = {
-          data: {
-            type: 'metric-aggregate',
-            attributes: {
-              metric_id: placedOrderMetricId,
-              measurements: ['sum_value'],
-              by: ['$attributed_message'], // IMPORTANT: Revenue attribution uses $attributed_message
-              filter: [...processedFilters, `equals($attributed_message,"${campaignId}")`],
-              timezone: accountTimezone
-            }
-          }
+      // DO NOT fallback to campaignId - campaign IDs are NOT message IDs
+      
+      campaignToMessageIds[campaignId] = messageIds;
+      campaignToMessageLabels[campaignId] = messageLabels;
+      campaignToMessageType[campaignId] = messageType || 'unknown';
+    });
+    
+    console.log(`Campaign to Message Labels mapping: ${JSON.stringify(campaignToMessageLabels, null, 2)}`);
+    console.log(`Campaign to Message Type mapping: ${JSON.stringify(campaignToMessageType, null, 2)}`);
+    
+    // STEP 3: Make 3 TOTAL metric-aggregates API calls (opens, clicks, recipients) BEFORE the loop
+    // NOTE: Metric IDs (openedEmailMetricId, clickedEmailMetricId, receivedEmailMetricId) 
+    // are already fetched earlier, before flow metrics
+    // Store results in maps: messageId -> count
+    // NOTE: Maps are declared at higher scope (above this try block) so flows can access them
+    
+    // Fetch opens using metric-aggregates with by: [0] (ONLY date filters, NO campaign filter)
+    if (openedEmailMetricId) {
+      try {
+        const opensPayload = {
+          metricId: openedEmailMetricId,
+          measurements: ['count'],
+          by: ['$message'],
+          filter: processedFilters, // Only date filters, NO campaign filter
+          timezone: accountTimezone
         };
         
-        try {
-          const campaignRevenueResponse = await retryApiCall(async () => {
-            return await axios.post(
-              `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-              revenuePayload,
-              {
-                headers: {
-                  'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-                  'revision': '2024-10-15',
-                  'Content-Type': 'application/json',
-                  'Accept': 'application/json'
-                }
-              }
-            );
-          });
-          await delay(); // 0.1s delay
-          
-          // Extract revenue for this campaign with dimension validation
-          let campaignRevenue = 0;
-          const rows = campaignRevenueResponse.data?.data?.attributes?.data || [];
-          console.log(`Campaign ${campaignId} revenue rows: ${JSON.stringify(rows, null, 2)}`);
-          for (const row of rows) {
-            // FIX: Dimensions can be an array when using by: ['$attributed_message']
-            // The first element of the array is the $attributed_message value
-            let attributedMessage = null;
-            if (Array.isArray(row.dimensions)) {
-              attributedMessage = row.dimensions[0];
-            } else if (row.dimensions && typeof row.dimensions === 'object') {
-              attributedMessage = row.dimensions["$attributed_message"];
-            }
-            
-            if (attributedMessage !== campaignId) {
-              console.log(`Warning: Skipping revenue row with $attributed_message="${attributedMessage}" (expected "${campaignId}")`);
-              continue;
-            }
-            
-            const val = row.measurements?.sum_value;
-            if (val !== undefined) {
-              if (Array.isArray(val)) {
-                // Sum all values for revenue
-                campaignRevenue += val.reduce((acc, v) => acc + (parseFloat(v) || 0), 0);
-              } else {
-                campaignRevenue += parseFloat(val) || 0;
-              }
-            }
-          }
-          
-          campaignMetrics[campaignId].revenue = campaignRevenue;
-          attributedCampaignRevenue[campaignId] = campaignRevenue;
-        } catch (error) {
-          console.log(`Error fetching revenue for campaign ${campaignId}:`, error.response?.data || error.message);
-        }
-        
-        // 1b. Fetch conversions (count of Placed Order events) for this campaign
-        try {
-          const campaignConversionsPayload = {
-            data: {
-              type: 'metric-aggregate',
-              attributes: {
-                metric_id: placedOrderMetricId,
-                measurements: ['count'],
-                by: ['$attributed_message'],
-                filter: [
-                  ...processedFilters,
-                  `equals($attributed_message,"${campaignId}")`
-                ],
-                timezone: accountTimezone
-              }
-            }
-          };
-          
-          const campaignConversionsResponse = await retryApiCall(async () => {
-            return await axios.post(
-              `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-              campaignConversionsPayload,
-              {
-                headers: {
-                  'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-                  'revision': '2024-10-15',
-                  'Accept': 'application/json',
-                  'Content-Type': 'application/json'
-                }
-              }
-            );
-          });
-          await delay(); // 0.1s delay
-          
-          // Extract conversions count for this campaign
-          let campaignConversions = 0;
-          const conversionRows = campaignConversionsResponse.data?.data?.attributes?.data || [];
-          for (const row of conversionRows) {
-            let attributedMessage = null;
-            if (Array.isArray(row.dimensions)) {
-              attributedMessage = row.dimensions[0];
-            } else if (row.dimensions && typeof row.dimensions === 'object') {
-              attributedMessage = row.dimensions["$attributed_message"];
-            }
-            
-            if (attributedMessage !== campaignId) continue;
-            
-            const count = row.measurements?.count;
-            if (count !== undefined) {
-              if (Array.isArray(count)) {
-                campaignConversions += count.reduce((acc, v) => acc + (parseInt(v) || 0), 0);
-              } else {
-                campaignConversions += parseInt(count) || 0;
-              }
-            }
-          }
-          
-          campaignMetrics[campaignId].conversions = campaignConversions;
-        } catch (error) {
-          console.log(`Error fetching conversions for campaign ${campaignId}:`, error.response?.data || error.message);
-        }
+        const opensResponse = await klaviyo.queryMetricAggregate(opensPayload);
+        await delay(); // 0.1s delay
         
-        // 2. Aggregate opens, clicks, and recipients locally from the maps
-        let opens = 0;
-        let clicks = 0;
-        let recipients = 0;
+        // Store opens per message ID (count, or unique when count is missing)
+        Object.assign(messageOpensMap, sumAggregateByDimension(opensResponse, '$message', { measurement: 'count' }));
+        console.log(`Opens map: ${JSON.stringify(messageOpensMap, null, 2)}`);
+      } catch (error) {
+        console.log(`Error fetching opens:`, error.response?.data || error.message);
+      }
+    }
+    
+    // Fetch clicks using metric-aggregates with by: [0] (ONLY date filters, NO campaign filter)
+    if (clickedEmailMetricId) {
+      try {
+        const clicksPayload = {
+          metricId: clickedEmailMetricId,
+          measurements: ['count'],
+          by: ['$message'],
+          filter: processedFilters, // Only date filters, NO campaign filter
+          timezone: accountTimezone
+        };
         
-        // Sum metrics for all messages belonging to this campaign
-        // NOTE: If messageIds is empty, check if campaignId itself is in the maps
-        // (For some campaigns, the campaign ID IS the message ID)
-        if (messageIds.length > 0) {
-          for (const messageId of messageIds) {
-            opens += messageOpensMap[messageId] || 0;
-            clicks += messageClicksMap[messageId] || 0;
-            recipients += messageRecipientsMap[messageId] || 0;
-          }
-        } else {
-          // Fallback: Check if campaignId itself is a message ID (common for campaigns)
-          opens += messageOpensMap[campaignId] || 0;
-          clicks += messageClicksMap[campaignId] || 0;
-          recipients += messageRecipientsMap[campaignId] || 0;
-        }
+        const clicksResponse = await klaviyo.queryMetricAggregate(clicksPayload);
+        await delay(); // 0.1s delay
         
-        // Update campaign metrics
-        campaignMetrics[campaignId].opens = opens;
-        campaignMetrics[campaignId].clicks = clicks;
-        campaignMetrics[campaignId].recipients = recipients; // From Received Email metric (for open/click rates)
-        // conversions is already set from conversions API call above (for PLACED ORDER cell)
+        // Store clicks per message ID (count, or unique when count is missing)
+        Object.assign(messageClicksMap, sumAggregateByDimension(clicksResponse, '$message', { measurement: 'count' }));
+        console.log(`Clicks map: ${JSON.stringify(messageClicksMap, null, 2)}`);
+      } catch (error) {
+        console.log(`Error fetching clicks:`, error.response?.data || error.message);
+      }
+    }
+    
+    // Fetch recipients using metric-aggregates with by: [0] (ONLY date filters, NO campaign filter)
+    if (receivedEmailMetricId) {
+      try {
+        const recipientsPayload = {
+          metricId: receivedEmailMetricId,
+          measurements: ['count'],
+          by: ['$message'],
+          filter: processedFilters, // Only date filters, NO campaign filter
+          timezone: accountTimezone
+        };
         
-        // Calculate rates
-        if (recipients > 0) {
-          campaignMetrics[campaignId].openRate = (opens / recipients) * 100;
-          campaignMetrics[campaignId].clickRate = (clicks / recipients) * 100;
-        }
+        const recipientsResponse = await klaviyo.queryMetricAggregate(recipientsPayload);
+        await delay(); // 0.1s delay
         
-        console.log(`Campaign ${campaignId} - Metrics: ${JSON.stringify(campaignMetrics[campaignId], null, 2)}`);
+        // Store recipients per message ID (count, or unique when count is missing)
+        Object.assign(messageRecipientsMap, sumAggregateByDimension(recipientsResponse, '$message', { measurement: 'count' }));
+        console.log(`Recipients map: ${JSON.stringify(messageRecipientsMap, null, 2)}`);
+      } catch (error) {
+        console.log(`Error fetching recipients:`, error.response?.data || error.message);
       }
-      
-      console.log(`Campaign Metrics: ${JSON.stringify(campaignMetrics, null, 2)}`);
-      
-      console.log(`Attributed Campaign Revenue: ${JSON.stringify(attributedCampaignRevenue, null, 2)}`);
-    } catch (error) {
-      console.log('Error fetching attributed campaign revenue:', error.response?.data || error.message);
     }
     
-    // 2. Get total campaigns count (same as /api/campaigns endpoint) - fetched second
-    let totalCampaigns = 0;
-    try {
-      const { start } = getLast30Days();
-      const startTimestamp = new Date(start).toISOString();
+    // STEP 4: For each campaign, fetch revenue and aggregate opens/clicks/recipients locally
+    // Initialize campaignMetrics (reuse the variable declared at top)
+    campaignMetrics = {}; // Store all metrics per campaign
+    console.log(`Campaign to Message IDs: ${JSON.stringify(campaignToMessageIds, null, 2)}`);
+    // FIX: Loop over campaignToMessageIds, not campaignToMessageLabels
+    // NOTE: We still process campaigns even if they have no message IDs (for revenue)
+    for (const [campaignId, messageIds] of Object.entries(campaignToMessageIds)) {
+      // Don't skip campaigns with no message IDs - they can still have revenue
+      // We'll just have 0 opens/clicks/recipients for them
       
-      // Fetch email campaigns (channel filter is required by API)
-      const emailResponse = await axios.get(`${KLAVIYO_BASE_URL}/campaigns/`, {
-        headers: {
-          'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-          'revision': '2024-10-15',
-          'Accept': 'application/json'
-        },
-        params: {
-          'filter': `equals(messages.channel,'email'),greater-than(updated_at,${startTimestamp})`,
-          'fields[campaign]': 'name,status,created_at,updated_at',
-          'include': 'campaign-messages',
-          'sort': '-updated_at'
-        }
-      });
-      await delay(); // 0.1s delay
+      const messageType = campaignToMessageType[campaignId] || 'unknown';
+      
+      // Initialize campaign metrics
+      campaignMetrics[campaignId] = {
+        messageType: messageType,
+        revenue: 0,
+        recipients: 0, // From Received Email metric (for open/click rates)
+        opens: 0,
+        clicks: 0,
+        conversions: 0, // Count of conversion metric events (for the conversions cell)
+        openRate: 0,
+        clickRate: 0
+      };
+      
+      // 1. Fetch revenue using metric-aggregates (one call per campaign)
+      // IMPORTANT: Revenue uses $attributed_message with campaign ID, NOT $message
+      // $attributed_message returns the campaign ID for campaign sends
+      const revenuePayload = {
+        metricId: conversionMetricId,
+        measurements: ['sum_value'],
+        by: ['$attributed_message'], // IMPORTANT: Revenue attribution uses $attributed_message
+        filter: [...processedFilters, `equals($attributed_message,"${campaignId}")`],
+        timezone: accountTimezone
+      };
       
-      // Fetch SMS campaigns (channel filter is required by API)
-      let smsResponse;
       try {
-        smsResponse = await axios.get(`${KLAVIYO_BASE_URL}/campaigns/`, {
-          headers: {
-            'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-            'revision': '2024-10-15',
-            'Accept': 'application/json'
-          },
-          params: {
-            'filter': `equals(messages.channel,'sms'),greater-than(updated_at,${startTimestamp})`,
-            'fields[campaign]': 'name,status,created_at,updated_at',
-            'include': 'campaign-messages',
-            'sort': '-updated_at'
-          }
-        });
+        const campaignRevenueResponse = await klaviyo.queryMetricAggregate(revenuePayload);
         await delay(); // 0.1s delay
+        
+        // Extract revenue for this campaign, ignoring rows attributed to other messages
+        const campaignRevenue = sumAggregateForDimensionValue(campaignRevenueResponse, '$attributed_message', campaignId);
+        
+        campaignMetrics[campaignId].revenue = campaignRevenue;
+        attributedCampaignRevenue[campaignId] = campaignRevenue;
       } catch (error) {
-        smsResponse = { data: { data: [] } };
+        console.log(`Error fetching revenue for campaign ${campaignId}:`, error.response?.data || error.message);
       }
       
-      // Reuse filteredCampaigns and campaignMetrics from attributed revenue section
-      // If they're not available, fetch and filter campaigns here
-      if (filteredCampaigns.length === 0) {
-        const emailCampaigns = emailResponse.data.data || [];
-        const smsCampaigns = smsResponse.data.data || [];
-        const allCampaigns = [...emailCampaigns, ...smsCampaigns];
-        filteredCampaigns = allCampaigns.filter(campaign => {
-          const campaignDate = new Date(campaign.attributes?.updated_at || campaign.attributes?.created_at);
-          const thirtyDaysAgo = new Date();
-          thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-          return campaignDate >= thirtyDaysAgo;
-        });
+      // 1b. Fetch conversions (count of conversion metric events) for this campaign
+      try {
+        const campaignConversionsPayload = {
+          metricId: conversionMetricId,
+          measurements: ['count'],
+          by: ['$attributed_message'],
+          filter: [
+            ...processedFilters,
+            `equals($attributed_message,"${campaignId}")`
+          ],
+          timezone: accountTimezone
+        };
+        
+        const campaignConversionsResponse = await klaviyo.queryMetricAggregate(campaignConversionsPayload);
+        await delay(); // 0.1s delay
+        
+        // Extract conversions count for this campaign
+        const campaignConversions = sumAggregateForDimensionValue(campaignConversionsResponse, '$attributed_message', campaignId, 'count');
+        
+        campaignMetrics[campaignId].conversions = campaignConversions;
+      } catch (error) {
+        console.log(`Error fetching conversions for campaign ${campaignId}:`, error.response?.data || error.message);
       }
       
-      totalCampaigns = filteredCampaigns.length;
-      console.log(`Total campaigns: ${totalCampaigns}`);
-    } catch (error) {
-      console.log('Error fetching campaigns count:', error.response?.data || error.message);
+      // 2. Aggregate opens, clicks, and recipients locally from the maps
+      // Recipients come from the Received Email metric (for open/click rates)
+      // conversions is already set from conversions API call above (for the conversions cell)
+      const engagement = sumCampaignMessageMetrics(campaignId, messageIds, {
+        opens: messageOpensMap,
+        clicks: messageClicksMap,
+        recipients: messageRecipientsMap
+      });
+      Object.assign(campaignMetrics[campaignId], engagement, calculateEngagementRates(engagement));
+      
+      console.log(`Campaign ${campaignId} - Metrics: ${JSON.stringify(campaignMetrics[campaignId], null, 2)}`);
     }
     
-    // 3. Get total flows count (same as /api/flows endpoint) - fetched third
-    let totalFlows = 0;
+    console.log(`Campaign Metrics: ${JSON.stringify(campaignMetrics, null, 2)}`);
+    
+    console.log(`Attributed Campaign Revenue: ${JSON.stringify(attributedCampaignRevenue, null, 2)}`);
+  } catch (error) {
+    console.log('Error fetching attributed campaign revenue:', error.response?.data || error.message);
+  }
+  
+  // 2. Get total campaigns count (same as /api/campaigns endpoint) - fetched second
+  let totalCampaigns = 0;
+  try {
+    const startTimestamp = new Date(start).toISOString();
+    
+    // Fetch email campaigns (channel filter is required by API)
+    const emailResponse = await klaviyo.listCampaigns({
+      channel: 'email',
+      filter: `greater-than(updated_at,${startTimestamp})`,
+      fields: 'name,status,created_at,updated_at,send_time',
+      include: 'campaign-messages',
+      sort: '-updated_at'
+    });
+    await delay(); // 0.1s delay
+    
+    // Fetch SMS campaigns (channel filter is required by API)
+    let smsResponse;
     try {
-      // Fetch all flows from Klaviyo
-      const flowsResponse = await axios.get(`${KLAVIYO_BASE_URL}/flows/`, {
-        headers: {
-          "Authorization": `Klaviyo-API-Key ${userApiKey}`,
-          "revision": "2024-10-15",
-          "Accept": "application/json"
-        }
+      smsResponse = await klaviyo.listCampaigns({
+        channel: 'sms',
+        filter: `greater-than(updated_at,${startTimestamp})`,
+        fields: 'name,status,created_at,updated_at,send_time',
+        include: 'campaign-messages',
+        sort: '-updated_at'
       });
       await delay(); // 0.1s delay
-      
-      const allFlows = flowsResponse.data.data || [];
-      
-      // Filter flows: only include "Live" flows
-      const filteredFlows = allFlows.filter(flow => {
-        const status = flow.attributes?.status || '';
-        return status.toLowerCase() === 'live';
-      });
-      
-      totalFlows = filteredFlows.length;
-      console.log(`Total flows: ${totalFlows}`);
     } catch (error) {
-      console.log('Error fetching flows count:', error.response?.data || error.message);
+      smsResponse = { data: [] };
     }
     
-    // 4. Build campaign table data (combine campaign info with metrics)
-    const campaignsTable = [];
-    try {
-      // Use the filteredCampaigns and campaignMetrics we already have
-      filteredCampaigns.forEach(campaign => {
-        const campaignId = campaign.id;
-        const attributes = campaign.attributes;
-        const metrics = campaignMetrics[campaignId] || {
-          messageType: 'unknown',
-          revenue: 0,
-          recipients: 0,
-          opens: 0,
-          clicks: 0,
-          openRate: 0,
-          clickRate: 0
-        };
-        
-        campaignsTable.push({
-          id: campaignId,
-          name: attributes.name || 'Unnamed Campaign',
-          status: attributes.status || 'unknown',
-          sendDate: attributes.send_time || attributes.scheduled_at || attributes.created_at,
-          createdAt: attributes.created_at,
-          updatedAt: attributes.updated_at,
-          messageType: metrics.messageType,
-          recipients: metrics.recipients,
-          opens: metrics.opens,
-          clicks: metrics.clicks,
-          revenue: metrics.revenue,
-          conversions: metrics.conversions || 0, // Count of Placed Order events (for PLACED ORDER cell)
-          openRate: metrics.openRate,
-          clickRate: metrics.clickRate
-        });
-      });
-    } catch (error) {
-      console.log('Error building campaigns table:', error.message);
+    // Reuse filteredCampaigns and campaignMetrics from attributed revenue section
+    // If they're not available, fetch and filter campaigns here
+    if (filteredCampaigns.length === 0) {
+      const emailCampaigns = emailResponse.data || [];
+      const smsCampaigns = smsResponse.data || [];
+      const allCampaigns = [...emailCampaigns, ...smsCampaigns];
+      filteredCampaigns = allCampaigns.filter(campaign => isCampaignInDateRange(campaign, dateRange));
     }
     
-    // 5. Build flow table data with metrics (opens, clicks, recipients)
-    const flowsTable = [];
-    try {
-      // Step 1: Fetch all flows from Klaviyo
-      const flowsResponse = await axios.get(`${KLAVIYO_BASE_URL}/flows/`, {
-        headers: {
-          "Authorization": `Klaviyo-API-Key ${userApiKey}`,
-          "revision": "2024-10-15",
-          "Accept": "application/json"
-        }
-      });
-      await delay(); // 0.1s delay
-      
-      const allFlows = flowsResponse.data.data || [];
-      
-      // Filter flows: only include "Live" flows
-      const activeFlows = allFlows.filter(flow => {
-        const status = flow.attributes?.status || '';
-        return status.toLowerCase() === 'live';
-      });
-      
-      // Step 2: Fetch flow-level metrics directly using by: ['$flow']
-      // This gives us opens/clicks/recipients per flow ID directly
-      const flowOpensMap = {}; // flowId → opens count
-      const flowClicksMap = {}; // flowId → clicks count
-      const flowRecipientsMap = {}; // flowId → recipients count
-      
-      // Fetch opens per flow using by: ['$flow']
-      if (openedEmailMetricId) {
-        try {
-          const flowOpensPayload = {
-            data: {
-              type: 'metric-aggregate',
-              attributes: {
-                metric_id: openedEmailMetricId,
-                measurements: ['count'],
-                by: ['$flow'],
-                filter: [
-                  ...processedFilters,
-                  `not(equals($flow,""))`
-                ],
-                timezone: accountTimezone
-              }
-            }
-          };
-          
-          const flowOpensResponse = await retryApiCall(async () => {
-            return await axios.post(
-              `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-              flowOpensPayload,
-              {
-                headers: {
-                  'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-                  'revision': '2024-10-15',
-                  'Content-Type': 'application/json',
-                  'Accept': 'application/json'
-                }
-              }
-            );
-          });
-          await delay(); // 0.1s delay
-          
-          // Sum the count arrays for each flow
-          if (flowOpensResponse.data?.data?.attributes?.data) {
-            flowOpensResponse.data.data.attributes.data.forEach(group => {
-              let flowId = null;
-              if (Array.isArray(group.dimensions)) {
-                flowId = group.dimensions[0];
-              } else if (group.dimensions && typeof group.dimensions === 'object') {
-                flowId = group.dimensions["$flow"];
-              }
-              
-              if (flowId) {
-                const measurements = group?.measurements;
-                if (measurements?.count !== undefined) {
-                  let count = 0;
-                  if (Array.isArray(measurements.count)) {
-                    // Sum all values in the array (daily counts)
-                    count = measurements.count.reduce((acc, val) => acc + (parseInt(val) || 0), 0);
-                  } else {
-                    count = parseInt(measurements.count) || 0;
-                  }
-                  flowOpensMap[flowId] = (flowOpensMap[flowId] || 0) + count;
-                }
-              }
-            });
-          }
-        } catch (error) {
-          console.log(`Error fetching flow opens:`, error.response?.data || error.message);
-        }
-      }
-      
-      // Fetch clicks per flow using by: ['$flow']
-      if (clickedEmailMetricId) {
-        try {
-          const flowClicksPayload = {
-            data: {
-              type: 'metric-aggregate',
-              attributes: {
-                metric_id: clickedEmailMetricId,
-                measurements: ['count'],
-                by: ['$flow'],
-                filter: [
-                  ...processedFilters,
-                  `not(equals($flow,""))`
-                ],
-                timezone: accountTimezone
-              }
-            }
-          };
-          
-          const flowClicksResponse = await retryApiCall(async () => {
-            return await axios.post(
-              `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-              flowClicksPayload,
-              {
-                headers: {
-                  'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-                  'revision': '2024-10-15',
-                  'Content-Type': 'application/json',
-                  'Accept': 'application/json'
-                }
-              }
-            );
-          });
-          await delay(); // 0.1s delay
-          
-          // Sum the count arrays for each flow
-          if (flowClicksResponse.data?.data?.attributes?.data) {
-            flowClicksResponse.data.data.attributes.data.forEach(group => {
-              let flowId = null;
-              if (Array.isArray(group.dimensions)) {
-                flowId = group.dimensions[0];
-              } else if (group.dimensions && typeof group.dimensions === 'object') {
-                flowId = group.dimensions["$flow"];
-              }
-              
-              if (flowId) {
-                const measurements = group?.measurements;
-                if (measurements?.count !== undefined) {
-                  let count = 0;
-                  if (Array.isArray(measurements.count)) {
-                    count = measurements.count.reduce((acc, val) => acc + (parseInt(val) || 0), 0);
-                  } else {
-                    count = parseInt(measurements.count) || 0;
-                  }
-                  flowClicksMap[flowId] = (flowClicksMap[flowId] || 0) + count;
-                }
-              }
-            });
-          }
-        } catch (error) {
-          console.log(`Error fetching flow clicks:`, error.response?.data || error.message);
-        }
-      }
+    totalCampaigns = filteredCampaigns.length;
+    console.log(`Total campaigns: ${totalCampaigns}`);
+  } catch (error) {
+    console.log('Error fetching campaigns count:', error.response?.data || error.message);
+  }
+  
+  // 3. Get total flows count (same as /api/flows endpoint) - fetched third
+  let totalFlows = 0;
+  try {
+    // Fetch all flows from Klaviyo
+    const flowsResponse = await klaviyo.listFlows();
+    await delay(); // 0.1s delay
+    
+    const allFlows = flowsResponse.data || [];
+    
+    // Filter flows: only include "Live" flows
+    const filteredFlows = allFlows.filter(flow => {
+      const status = flow.attributes?.status || '';
+      return status.toLowerCase() === 'live';
+    });
+    
+    totalFlows = filteredFlows.length;
+    console.log(`Total flows: ${totalFlows}`);
+  } catch (error) {
+    console.log('Error fetching flows count:', error.response?.data || error.message);
+  }
+  
+  // 4. Build campaign table data (combine campaign info with metrics)
+  const campaignsTable = [];
+  try {
+    // Use the filteredCampaigns and campaignMetrics we already have
+    filteredCampaigns.forEach(campaign => {
+      const campaignId = campaign.id;
+      const attributes = campaign.attributes;
+      const metrics = campaignMetrics[campaignId] || {
+        messageType: 'unknown',
+        revenue: 0,
+        recipients: 0,
+        opens: 0,
+        clicks: 0,
+        openRate: 0,
+        clickRate: 0
+      };
       
-      // Fetch recipients per flow using by: ['$flow']
-      if (receivedEmailMetricId) {
-        try {
-          const flowRecipientsPayload = {
-            data: {
-              type: 'metric-aggregate',
-              attributes: {
-                metric_id: receivedEmailMetricId,
-                measurements: ['count'],
-                by: ['$flow'],
-                filter: [
-                  ...processedFilters,
-                  `not(equals($flow,""))`
-                ],
-                timezone: accountTimezone
-              }
-            }
-          };
-          
-          const flowRecipientsResponse = await retryApiCall(async () => {
-            return await axios.post(
-              `${KLAVIYO_BASE_URL}/metric-aggregates/`,
-              flowRecipientsPayload,
-              {
-                headers: {
-                  'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-                  'revision': '2024-10-15',
-                  'Content-Type': 'application/json',
-                  'Accept': 'application/json'
-                }
-              }
-            );
-          });
-          await delay(); // 0.1s delay
-          
-          // Sum the count arrays for each flow
-          if (flowRecipientsResponse.data?.data?.attributes?.data) {
-            flowRecipientsResponse.data.data.attributes.data.forEach(group => {
-              let flowId = null;
-              if (Array.isArray(group.dimensions)) {
-                flowId = group.dimensions[0];
-              } else if (group.dimensions && typeof group.dimensions === 'object') {
-                flowId = group.dimensions["$flow"];
-              }
-              
-              if (flowId) {
-                const measurements = group?.measurements;
-                if (measurements?.count !== undefined) {
-                  let count = 0;
-                  if (Array.isArray(measurements.count)) {
-                    count = measurements.count.reduce((acc, val) => acc + (parseInt(val) || 0), 0);
-                  } else {
-                    count = parseInt(measurements.count) || 0;
-                  }
-                  flowRecipientsMap[flowId] = (flowRecipientsMap[flowId] || 0) + count;
-                }
-              }
-            });
-          }
-        } catch (error) {
-          console.log(`Error fetching flow recipients:`, error.response?.data || error.message);
-        }
+      campaignsTable.push({
+        id: campaignId,
+        name: attributes.name || 'Unnamed Campaign',
+        status: attributes.status || 'unknown',
+        sendDate: attributes.send_time || attributes.scheduled_at || attributes.created_at,
+        createdAt: attributes.created_at,
+        updatedAt: attributes.updated_at,
+        messageType: metrics.messageType,
+        recipients: metrics.recipients,
+        opens: metrics.opens,
+        clicks: metrics.clicks,
+        revenue: metrics.revenue,
+        conversions: metrics.conversions || 0, // Count of conversion metric events (for the conversions cell)
+        secondaryConversions: secondaryByMessage.conversions[campaignId] || 0,
+        secondaryRevenue: secondaryByMessage.value[campaignId] || 0,
+        openRate: metrics.openRate,
+        clickRate: metrics.clickRate
+      });
+    });
+  } catch (error) {
+    console.log('Error building campaigns table:', error.message);
+  }
+  
+  // 5. Build flow table data with metrics (opens, clicks, recipients)
+  const flowsTable = [];
+  try {
+    // Step 1: Fetch all flows from Klaviyo
+    const flowsResponse = await klaviyo.listFlows();
+    await delay(); // 0.1s delay
+    
+    const allFlows = flowsResponse.data || [];
+    
+    // Filter flows: only include "Live" flows
+    const activeFlows = allFlows.filter(flow => {
+      const status = flow.attributes?.status || '';
+      return status.toLowerCase() === 'live';
+    });
+    
+    // Step 2: Fetch flow-level metrics directly using by: ['$flow']
+    // This gives us opens/clicks/recipients per flow ID directly
+    const flowOpensMap = {}; // flowId → opens count
+    const flowClicksMap = {}; // flowId → clicks count
+    const flowRecipientsMap = {}; // flowId → recipients count
+    
+    // Fetch opens per flow using by: ['$flow']
+    if (openedEmailMetricId) {
+      try {
+        const flowOpensPayload = {
+          metricId: openedEmailMetricId,
+          measurements: ['count'],
+          by: ['$flow'],
+          filter: [
+            ...processedFilters,
+            `not(equals($flow,""))`
+          ],
+          timezone: accountTimezone
+        };
+        
+        const flowOpensResponse = await klaviyo.queryMetricAggregate(flowOpensPayload);
+        await delay(); // 0.1s delay
+        
+        // Sum the count arrays for each flow
+        Object.assign(flowOpensMap, sumAggregateByDimension(flowOpensResponse, '$flow', { measurement: 'count' }));
+      } catch (error) {
+        console.log(`Error fetching flow opens:`, error.response?.data || error.message);
       }
-      
-      console.log(`Flow Opens Map: ${JSON.stringify(flowOpensMap, null, 2)}`);
-      console.log(`Flow Clicks Map: ${JSON.stringify(flowClicksMap, null, 2)}`);
-      console.log(`Flow Recipients Map: ${JSON.stringify(flowRecipientsMap, null, 2)}`);
-      console.log(`Attributed Flow Revenue: ${JSON.stringify(attributedFlowRevenue, null, 2)}`);
-      
-      // Step 3: Use the flow-level maps directly (no need to map to messages)
-      for (const flow of activeFlows) {
-        const flowId = flow.id;
-        const attributes = flow.attributes;
-        const flowRevenue = attributedFlowRevenue[flowId] || 0;
+    }
+    
+    // Fetch clicks per flow using by: ['$flow']
+    if (clickedEmailMetricId) {
+      try {
+        const flowClicksPayload = {
+          metricId: clickedEmailMetricId,
+          measurements: ['count'],
+          by: ['$flow'],
+          filter: [
+            ...processedFilters,
+            `not(equals($flow,""))`
+          ],
+          timezone: accountTimezone
+        };
         
-        // Get opens, clicks, and recipients from flow-level maps
-        const opens = flowOpensMap[flowId] || 0;
-        const clicks = flowClicksMap[flowId] || 0;
-        const recipients = flowRecipientsMap[flowId] || 0; // From Received Email metric (for open/click rates)
-        const conversions = flowConversionsFromRevenue[flowId] || 0; // Count of Placed Order events (for PLACED ORDER cell)
+        const flowClicksResponse = await klaviyo.queryMetricAggregate(flowClicksPayload);
+        await delay(); // 0.1s delay
         
-        // Calculate rates using recipients from Received Email metric
-        let openRate = 0;
-        let clickRate = 0;
-        if (recipients > 0) {
-          openRate = (opens / recipients) * 100;
-          clickRate = (clicks / recipients) * 100;
-        }
+        // Sum the count arrays for each flow
+        Object.assign(flowClicksMap, sumAggregateByDimension(flowClicksResponse, '$flow', { measurement: 'count' }));
+      } catch (error) {
+        console.log(`Error fetching flow clicks:`, error.response?.data || error.message);
+      }
+    }
+    
+    // Fetch recipients per flow using by: ['$flow']
+    if (receivedEmailMetricId) {
+      try {
+        const flowRecipientsPayload = {
+          metricId: receivedEmailMetricId,
+          measurements: ['count'],
+          by: ['$flow'],
+          filter: [
+            ...processedFilters,
+            `not(equals($flow,""))`
+          ],
+          timezone: accountTimezone
+        };
         
-        flowsTable.push({
-          id: flowId,
-          name: attributes.name || 'Unnamed Flow',
-          status: attributes.status || 'unknown',
-          createdAt: attributes.created,
-          updatedAt: attributes.updated,
-          recipients: recipients, // From Received Email metric (for rates)
-          opens: opens,
-          clicks: clicks,
-          revenue: flowRevenue,
-          conversions: conversions, // Count of non-zero sum_value entries (for PLACED ORDER cell)
-          openRate: openRate,
-          clickRate: clickRate
-        });
+        const flowRecipientsResponse = await klaviyo.queryMetricAggregate(flowRecipientsPayload);
+        await delay(); // 0.1s delay
+        
+        // Sum the count arrays for each flow
+        Object.assign(flowRecipientsMap, sumAggregateByDimension(flowRecipientsResponse, '$flow', { measurement: 'count' }));
+      } catch (error) {
+        console.log(`Error fetching flow recipients:`, error.response?.data || error.message);
       }
-    } catch (error) {
-      console.log('Error building flows table:', error.response?.data || error.message);
     }
     
-    console.log(`Total revenue: ${totalRevenue.toFixed(2)}, Total campaigns: ${totalCampaigns}, Total flows: ${totalFlows}`);
-    console.log(`Campaigns table: ${campaignsTable.length} campaigns`);
-    console.log(`Flows table: ${flowsTable.length} flows`);
+    console.log(`Flow Opens Map: ${JSON.stringify(flowOpensMap, null, 2)}`);
+    console.log(`Flow Clicks Map: ${JSON.stringify(flowClicksMap, null, 2)}`);
+    console.log(`Flow Recipients Map: ${JSON.stringify(flowRecipientsMap, null, 2)}`);
+    console.log(`Attributed Flow Revenue: ${JSON.stringify(attributedFlowRevenue, null, 2)}`);
+    
+    // Step 3: Use the flow-level maps directly (no need to map to messages)
+    for (const flow of activeFlows) {
+      const flowId = flow.id;
+      const attributes = flow.attributes;
+      const flowRevenue = attributedFlowRevenue[flowId] || 0;
+      
+      // Get opens, clicks, and recipients from flow-level maps
+      const opens = flowOpensMap[flowId] || 0;
+      const clicks = flowClicksMap[flowId] || 0;
+      const recipients = flowRecipientsMap[flowId] || 0; // From Received Email metric (for open/click rates)
+      const conversions = flowConversionsFromRevenue[flowId] || 0; // Count of conversion metric events (for the conversions cell)
+      
+      // Calculate rates using recipients from Received Email metric
+      const { openRate, clickRate } = calculateEngagementRates({ opens, clicks, recipients });
+      
+      flowsTable.push({
+        id: flowId,
+        name: attributes.name || 'Unnamed Flow',
+        status: attributes.status || 'unknown',
+        createdAt: attributes.created,
+        updatedAt: attributes.updated,
+        recipients: recipients, // From Received Email metric (for rates)
+        opens: opens,
+        clicks: clicks,
+        revenue: flowRevenue,
+        conversions: conversions, // Count of conversion metric events (for the conversions cell)
+        secondaryConversions: secondaryByFlow.conversions[flowId] || 0,
+        secondaryRevenue: secondaryByFlow.value[flowId] || 0,
+        openRate: openRate,
+        clickRate: clickRate
+      });
+    }
+  } catch (error) {
+    console.log('Error building flows table:', error.response?.data || error.message);
+  }
+  
+  console.log(`Total revenue: ${totalRevenue.toFixed(2)}, Total campaigns: ${totalCampaigns}, Total flows: ${totalFlows}`);
+  console.log(`Campaigns table: ${campaignsTable.length} campaigns`);
+  console.log(`Flows table: ${flowsTable.length} flows`);
+  
+  return {
+    totalRevenue: totalRevenue,
+    totalCampaigns: totalCampaigns,
+    totalFlows: totalFlows,
+    attributedCampaignRevenue: attributedCampaignRevenue,
+    attributedFlowRevenue: attributedFlowRevenue,
+    conversionMetric: conversionMetric,
+    secondaryMetric: secondaryMetric ? { ...secondaryMetric, ...(secondaryTotals || { conversions: 0, value: 0 }) } : null,
+    campaigns: campaignsTable,
+    flows: flowsTable
+  };
+}
+
+// Build the /api/revenue/total payload for a date range and comparison mode
+// Returns null when the account's conversion metric is missing
+// Used by the endpoint and by the background sync worker
+async function buildRevenueTotalPayload(klaviyo, dateRange, comparisonMode, accountTimezone, accountCurrency, metricSettings = {}) {
+  const current = await buildDashboardData(klaviyo, dateRange, accountTimezone, metricSettings);
+  if (!current) {
+    return null;
+  }
+  
+  const summary = summarizeDashboardData(current);
+  
+  // Compute the same metrics for the comparison window and attach deltas
+  let comparison = null;
+  if (comparisonMode !== 'none') {
+    const comparisonRange = getComparisonRange(dateRange, comparisonMode);
+    console.log(`Fetching comparison data for ${comparisonRange.label} (${comparisonRange.start} - ${comparisonRange.end})`);
+    const previous = await buildDashboardData(klaviyo, comparisonRange, accountTimezone, metricSettings);
+  
+    if (previous) {
+      const previousSummary = summarizeDashboardData(previous);
+      comparison = {
+        mode: comparisonMode,
+        dateRange: comparisonRange,
+        summary: previousSummary,
+        deltas: compareSummaries(summary, previousSummary)
+      };
+      attachRowComparisons(current.campaigns, previous.campaigns);
+      attachRowComparisons(current.flows, previous.flows);
+    }
+  }
+  
+  return {
+    ...current,
+    summary: summary,
+    comparison: comparison,
+    currency: accountCurrency,
+    timeframe: dateRange.label,
+    dateRange: dateRange,
+    ...klaviyo.getTruncation()
+  };
+}
+
+// Intervals supported by the revenue time series endpoint
+const TIMESERIES_INTERVALS = ['day', 'week', 'month'];
+
+// Helper function to read a metric-aggregates response as one series of values per date
+// Sums the measurement across all groups, keeping the per-interval breakdown
+function getAggregateSeries(aggregateResponse, measurement = 'sum_value') {
+  const attributes = aggregateResponse.data?.attributes || {};
+  const dates = attributes.dates || [];
+  const values = dates.map(() => 0);
+  
+  (attributes.data || []).forEach(group => {
+    const series = group?.measurements?.[measurement];
+    if (!Array.isArray(series)) return;
+    series.forEach((val, index) => {
+      const num = parseFloat(val);
+      if (index < values.length && !isNaN(num)) {
+        values[index] += num;
+      }
+    });
+  });
+  
+  return { dates, values };
+}
+
+// Build the /api/revenue/timeseries payload for a date range and interval
+// Returns null when the account's conversion metric is missing
+// Used by the endpoint and by the background sync worker
+async function buildRevenueTimeseriesPayload(klaviyo, dateRange, interval, accountTimezone, metricSettings = {}) {
+  // Get the conversion metric ID
+  const metrics = await klaviyo.getMetrics();
+  await delay(); // 0.1s delay
+  
+  const { conversion: conversionMetric } = resolveConversionMetrics(metrics, metricSettings);
+  
+  if (!conversionMetric) {
+    return null;
+  }
+  
+  const startStr = new Date(dateRange.start).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const endStr = new Date(dateRange.end).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const dateFilters = [
+    `greater-or-equal(datetime,${startStr})`,
+    `less-than(datetime,${endStr})`
+  ];
+  
+  // Total, campaign-attributed and flow-attributed revenue, one metric-aggregates call each
+  // Campaign sends are attributed via $attributed_message with no $attributed_flow
+  const seriesFilters = {
+    total: dateFilters,
+    campaign: [...dateFilters, `not(equals($attributed_message,""))`, `equals($attributed_flow,"")`],
+    flow: [...dateFilters, `not(equals($attributed_flow,""))`]
+  };
+  
+  const series = {};
+  for (const [key, filter] of Object.entries(seriesFilters)) {
+    const aggregateResponse = await klaviyo.queryMetricAggregate({
+      metricId: conversionMetric.id,
+      measurements: ['sum_value'],
+      interval: interval,
+      filter: filter,
+      timezone: accountTimezone
+    });
+    await delay(); // 0.1s delay
+  
+    series[key] = getAggregateSeries(aggregateResponse);
+  }
+  
+  // Align the three series on the dates of the total series
+  const buckets = series.total.dates.map((date, index) => {
+    const valueAt = (key) => {
+      const position = series[key].dates.indexOf(date);
+      return position === -1 ? 0 : series[key].values[position];
+    };
+    return {
+      date: date,
+      total: series.total.values[index],
+      campaign: valueAt('campaign'),
+      flow: valueAt('flow')
+    };
+  });
+  
+  console.log(`Revenue time series: ${buckets.length} ${interval} buckets for ${dateRange.label}`);
+  
+  return {
+    interval: interval,
+    conversionMetric: conversionMetric,
+    data: buckets,
+    timezone: accountTimezone,
+    timeframe: dateRange.label,
+    dateRange: dateRange,
+    ...klaviyo.getTruncation()
+  };
+}
+
+// Helper function to check if the user may replay a cassette, since it holds an account's Klaviyo data
+// Administrators may replay any (e.g. one copied from a production incident), other users only their accounts'
+function canReplayCassette(req, cassetteName) {
+  if (req.user.isAdmin && !req.impersonator) {
+    return true;
+  }
+  return (req.user.klaviyoAccounts || []).some(account => (
+    account.apiKeyFingerprint && getAccountCacheKeyFromFingerprint(account.apiKeyFingerprint) === cassetteName
+  ));
+}
+
+// Helper function to answer /api/revenue/total from a recorded cassette (KLAVIYO_CASSETTE_MODE=replay)
+// ?cassette=<name> picks the cassette, by default the active account's recordings are used
+// A cassette the user may not replay (see canReplayCassette) is ignored in favour of the active account's
+// Nothing is read from or written to the cache or snapshots, and Klaviyo is never called
+// Presets are resolved relative to the last recording, so last_30_days replays the recorded range
+async function sendReplayedRevenueTotal(req, res) {
+  let cassetteName = req.query.cassette;
+  if (cassetteName && !canReplayCassette(req, cassetteName)) {
+    cassetteName = null;
+  }
+  if (!cassetteName) {
+    const userApiKey = await getUserApiKey(req);
+    if (!userApiKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'No cassette given and no active Klaviyo account to replay'
+      });
+    }
+    cassetteName = getAccountCacheKey(userApiKey);
+  }
+  
+  if (!isValidCassetteName(cassetteName)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid cassette name "${cassetteName}"`
+    });
+  }
+  
+  const cassette = getReplayCassette(cassetteName);
+  const manifest = cassette.readManifest();
+  if (!manifest) {
+    return res.status(404).json({
+      success: false,
+      error: `Cassette "${cassetteName}" not found`
+    });
+  }
+  
+  const klaviyo = new KlaviyoClient(null, { cassette });
+  const metricSettings = await getUserMetricSettings(req);
+  const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+  const accountCurrency = await getKlaviyoAccountCurrency(klaviyo);
+  
+  const dateRange = getRequestDateRange(req, res, accountTimezone, new Date(manifest.lastRecordedAt));
+  if (!dateRange) return;
+  
+  const comparisonMode = req.query.compare || 'none';
+  if (!COMPARISON_MODES.includes(comparisonMode)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown comparison "${comparisonMode}". Supported values: ${COMPARISON_MODES.join(', ')}`
+    });
+  }
+  
+  console.log(`Replaying revenue total from cassette ${cassetteName} (recorded ${manifest.lastRecordedAt}), date range: ${dateRange.label} (${dateRange.start} - ${dateRange.end})`);
+  const payload = await buildRevenueTotalPayload(klaviyo, dateRange, comparisonMode, accountTimezone, accountCurrency, metricSettings);
+  
+  // Requests missing from the cassette are reported, since the dashboard code falls back to partial data on errors
+  const replay = {
+    cassette: cassetteName,
+    recordedAt: manifest.lastRecordedAt,
+    missingRequests: [...new Set(cassette.misses)]
+  };
+  
+  if (!payload) {
+    return res.json({
+      success: false,
+      error: getMissingConversionMetricError(metricSettings),
+      replay
+    });
+  }
+  
+  res.json({
+    success: true,
+    ...payload,
+    lastUpdated: manifest.lastRecordedAt,
+    cached: false,
+    replay
+  });
+}
+
+// Helper function to load the /api/revenue/total payload of a request (snapshot, cache or Klaviyo)
+// query: the view's date range/comparison/refresh parameters (default: the request query)
+// Returns { payload, lastUpdated, cached }, or null after sending the error response
+async function loadRevenueTotal(req, res, query = req.query) {
+  const userApiKey = await getUserApiKey(req);
+  
+  if (!userApiKey) {
+    res.status(400).json({
+      success: false,
+      error: 'No Klaviyo API key found. Please add a Klaviyo account.'
+    });
+    return null;
+  }
+  
+  const klaviyo = createKlaviyoClient(userApiKey, req);
+  const metricSettings = await getUserMetricSettings(req);
+  
+  // Serve the sync worker's pre-computed snapshot straight away when there is one
+  const snapshot = await getRequestSnapshot(req, klaviyo, 'revenue-total', metricSettings, query);
+  if (snapshot) {
+    return { payload: snapshot.value, lastUpdated: snapshot.syncedAt, cached: true };
+  }
+  
+  // Fetch account timezone and currency from Klaviyo
+  const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+  await delay(); // 0.1s delay
+  const accountCurrency = await getKlaviyoAccountCurrency(klaviyo);
+  await delay(); // 0.1s delay
+  
+  const dateRange = getRequestDateRange(req, res, accountTimezone);
+  if (!dateRange) return null;
+  const { start, end } = dateRange;
+  
+  console.log(`Using account timezone: ${accountTimezone}, currency: ${accountCurrency}, date range: ${dateRange.label} (${start} - ${end})`);
+  
+  // Optional comparison window: previous_period or previous_year
+  const comparisonMode = query.compare || 'none';
+  if (!COMPARISON_MODES.includes(comparisonMode)) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown comparison "${comparisonMode}". Supported values: ${COMPARISON_MODES.join(', ')}`
+    });
+    return null;
+  }
+  
+  // Dashboard data is served from the cache unless ?refresh=true
+  const cacheKey = buildCacheKey(klaviyo.accountKey, 'revenue-total', getViewQuery(query, metricSettings));
+  const { value: payload, cachedAt, fromCache } = await responseCache.wrap(cacheKey, CACHE_TTLS.aggregates, () => (
+    buildRevenueTotalPayload(klaviyo, dateRange, comparisonMode, accountTimezone, accountCurrency, metricSettings)
+  ), { refresh: isRefreshRequested(req) });
+  
+  if (!payload) {
+    res.json({
+      success: false,
+      error: getMissingConversionMetricError(metricSettings)
+    });
+    return null;
+  }
+  
+  if (!fromCache) {
+    await updateRequestSnapshot(req, klaviyo, 'revenue-total', payload, cachedAt, metricSettings, query);
+  }
+  
+  return { payload, lastUpdated: cachedAt, cached: fromCache };
+}
+
+// Endpoint to get total revenue from the account's conversion metric in the requested date range (default: last 30 days)
+app.get('/api/revenue/total', authenticate, async (req, res) => {
+  try {
+    // Replay mode: computed from a recorded cassette instead of Klaviyo (see klaviyoCassette.js)
+    if (getCassetteMode() === 'replay') {
+      return await sendReplayedRevenueTotal(req, res);
+    }
+    
+    const result = await loadRevenueTotal(req, res);
+    if (!result) return;
+    
+    res.json({
+      success: true,
+      ...result.payload,
+      lastUpdated: result.lastUpdated,
+      cached: result.cached
+    });
+  } catch (error) {
+    console.error('Error fetching aggregate data:', error.response?.data || error.message);
+    console.error('Full error:', error);
+    
+    // Ensure response hasn't been sent yet
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.response?.data?.errors?.[0]?.detail || error.response?.data?.errors || error.message || 'An error occurred while fetching data'
+      });
+    }
+  }
+});
+
+// Endpoint to download the dashboard (summary metrics, campaign table and flow table) as CSV or Excel
+// Accepts the date range and comparison parameters of /api/revenue/total, and shares its cache and snapshots
+app.get('/api/reports/export', authenticate, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown export format "${format}". Supported formats: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+    
+    const viewQuery = { ...req.query };
+    delete viewQuery.format;
+    const result = await loadRevenueTotal(req, res, viewQuery);
+    if (!result) return;
+    
+    const account = await getUserAccount(req);
+    const report = buildReport(result.payload, { account: { name: account?.name } });
+    const fileName = getExportFileName(format, {
+      accountName: account?.name,
+      startDate: result.payload.dateRange.startDate,
+      endDate: result.payload.dateRange.endDate
+    });
+    
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(format === 'xlsx' ? await toXlsx(report) : toCsv(report));
+  } catch (error) {
+    console.error('Error exporting report:', error.response?.data || error.message);
     
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.response?.data?.errors?.[0]?.detail || error.message || 'An error occurred while exporting the report'
+      });
+    }
+  }
+});
+
+// Helper function to load the /api/revenue/timeseries payload of a request (snapshot, cache or Klaviyo)
+// query: the view's date range/interval/refresh parameters (default: the request query)
+// Returns { payload, lastUpdated, cached }, or null after sending the error response
+async function loadRevenueTimeseries(req, res, query = req.query) {
+  const userApiKey = await getUserApiKey(req);
+  
+  if (!userApiKey) {
+    res.status(400).json({
+      success: false,
+      error: 'No Klaviyo API key found. Please add a Klaviyo account.'
+    });
+    return null;
+  }
+  
+  const klaviyo = createKlaviyoClient(userApiKey, req);
+  const metricSettings = await getUserMetricSettings(req);
+  
+  // Serve the sync worker's pre-computed snapshot straight away when there is one
+  const snapshot = await getRequestSnapshot(req, klaviyo, 'revenue-timeseries', metricSettings, query);
+  if (snapshot) {
+    return { payload: snapshot.value, lastUpdated: snapshot.syncedAt, cached: true };
+  }
+  
+  const interval = query.interval || 'day';
+  if (!TIMESERIES_INTERVALS.includes(interval)) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown interval "${interval}". Supported intervals: ${TIMESERIES_INTERVALS.join(', ')}`
+    });
+    return null;
+  }
+  
+  const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+  await delay(); // 0.1s delay
+  
+  const dateRange = getRequestDateRange(req, res, accountTimezone);
+  if (!dateRange) return null;
+  
+  // Dashboard data is served from the cache unless ?refresh=true
+  const cacheKey = buildCacheKey(klaviyo.accountKey, 'revenue-timeseries', getViewQuery(query, metricSettings));
+  const { value: payload, cachedAt, fromCache } = await responseCache.wrap(cacheKey, CACHE_TTLS.aggregates, () => (
+    buildRevenueTimeseriesPayload(klaviyo, dateRange, interval, accountTimezone, metricSettings)
+  ), { refresh: isRefreshRequested(req) });
+  
+  if (!payload) {
+    res.json({
+      success: false,
+      error: getMissingConversionMetricError(metricSettings)
+    });
+    return null;
+  }
+  
+  if (!fromCache) {
+    await updateRequestSnapshot(req, klaviyo, 'revenue-timeseries', payload, cachedAt, metricSettings, query);
+  }
+  
+  return { payload, lastUpdated: cachedAt, cached: fromCache };
+}
+
+// Endpoint to get total, campaign-attributed and flow-attributed revenue per day/week/month
+app.get('/api/revenue/timeseries', authenticate, async (req, res) => {
+  try {
+    const result = await loadRevenueTimeseries(req, res);
+    if (!result) return;
+    
+    res.json({
+      success: true,
+      ...result.payload,
+      lastUpdated: result.lastUpdated,
+      cached: result.cached
+    });
+  } catch (error) {
+    console.error('Error fetching revenue time series:', error.response?.data || error.message);
+    res.status(500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.detail || error.response?.data?.errors || error.message
+    });
+  }
+});
+
+// Longest date range (in days) whose PDF revenue trend is drawn per day; longer ranges are drawn per week
+const PDF_DAILY_TREND_MAX_DAYS = 92;
+
+// Endpoint to download the branded PDF performance report of the active account
+// Accepts the date range and comparison parameters of /api/revenue/total (comparison defaults to the previous period)
+// and shares the cache and snapshots of the dashboard endpoints
+app.get('/api/reports/pdf', authenticate, async (req, res) => {
+  try {
+    const { preset, start, end, refresh } = req.query;
+    const totalQuery = { preset, start, end, refresh, compare: req.query.compare || 'previous_period' };
+    const total = await loadRevenueTotal(req, res, totalQuery);
+    if (!total) return;
+    
+    const dateRange = total.payload.dateRange;
+    const interval = getReportTrendInterval(dateRange);
+    const trend = await loadRevenueTimeseries(req, res, { preset, start, end, refresh, interval });
+    if (!trend) return;
+    
+    const account = await getUserAccount(req);
+    const pdf = await renderPerformanceReport({
+      payload: total.payload,
+      trend: trend.payload,
+      accountName: account?.name || '',
+      branding: { reportLogo: account?.reportLogo, reportAccentColor: account?.reportAccentColor }
+    });
+    const fileName = getExportFileName('pdf', {
+      accountName: account?.name,
+      startDate: dateRange.startDate,
+      endDate: dateRange.endDate
+    });
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating PDF report:', error.response?.data || error.message);
+    
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.response?.data?.errors?.[0]?.detail || error.message || 'An error occurred while generating the report'
+      });
+    }
+  }
+});
+
+// Background sync: pre-computes the dashboard's default views for every registered account
+const SYNC_INTERVAL_MINUTES = process.env.SYNC_INTERVAL_MINUTES !== undefined
+  ? parseInt(process.env.SYNC_INTERVAL_MINUTES)
+  : DEFAULT_SYNC_INTERVAL_MINUTES;
+// Snapshots older than two sync intervals are ignored (the sync is failing or the worker is off)
+const SNAPSHOT_MAX_AGE = 2 * SYNC_INTERVAL_MINUTES * 60 * 1000;
+
+// Requests the dashboard makes on load, keyed like the endpoints' cache keys
+const SYNCED_VIEWS = {
+  'revenue-total': { preset: DEFAULT_PRESET, compare: 'previous_period' },
+  'revenue-timeseries': { preset: DEFAULT_PRESET, interval: 'day' }
+};
+
+const snapshotStore = new SnapshotStore();
+
+// Sync one account: compute every synced view (for the account's conversion metric) and replace the account's snapshots
+async function syncAccountSnapshots(account) {
+  const metricSettings = account.metricSettings || {};
+  const klaviyo = new KlaviyoClient(account.apiKey, { cache: responseCache });
+  
+  const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+  await delay(); // 0.1s delay
+  const accountCurrency = await getKlaviyoAccountCurrency(klaviyo);
+  await delay(); // 0.1s delay
+  
+  const totalQuery = SYNCED_VIEWS['revenue-total'];
+  const timeseriesQuery = SYNCED_VIEWS['revenue-timeseries'];
+  const dateRange = resolveDateRange({ preset: totalQuery.preset }, accountTimezone);
+  
+  const total = await buildRevenueTotalPayload(klaviyo, dateRange, totalQuery.compare, accountTimezone, accountCurrency, metricSettings);
+  if (!total) {
+    throw new Error(getMissingConversionMetricError(metricSettings));
+  }
+  const timeseries = await buildRevenueTimeseriesPayload(klaviyo, dateRange, timeseriesQuery.interval, accountTimezone, metricSettings);
+  
+  const syncedAt = new Date().toISOString();
+  await snapshotStore.save(klaviyo.accountKey, {
+    [buildCacheKey(klaviyo.accountKey, 'revenue-total', getViewQuery(totalQuery, metricSettings))]: { value: total, syncedAt },
+    [buildCacheKey(klaviyo.accountKey, 'revenue-timeseries', getViewQuery(timeseriesQuery, metricSettings))]: { value: timeseries, syncedAt }
+  });
+}
+
+// Helper function to describe a Klaviyo account as a sync job
+// Jobs are tracked per Klaviyo account (hash of the API key), so users sharing an account share its status
+function toSyncAccount(account) {
+  return {
+    id: getAccountCacheKeyFromFingerprint(account.apiKeyFingerprint),
+    name: account.name,
+    apiKeyFingerprint: account.apiKeyFingerprint,
+    apiKey: decryptAccountApiKey(account),
+    metricSettings: getAccountMetricSettings(account)
+  };
+}
+
+// Helper function to send sync.completed or sync.failed to every member who sees the synced account, in every organization
+async function emitSyncWebhookEvents(syncAccount, status) {
+  const accounts = await getKlaviyoAccountsByFingerprint(syncAccount.apiKeyFingerprint);
+  accounts.forEach(account => {
+    emitWebhookEvent(getAccountAudience(account), status.status === 'ok' ? 'sync.completed' : 'sync.failed', {
+      account: { id: account.id, name: account.name },
+      sync: {
+        status: status.status,
+        lastRunAt: status.lastRunAt,
+        lastSuccessAt: status.lastSuccessAt || null,
+        durationMs: status.durationMs,
+        error: status.error
+      }
+    });
+  });
+}
+
+const syncWorker = new SyncWorker({
+  intervalMinutes: SYNC_INTERVAL_MINUTES,
+  listAccounts: async () => (await getAllKlaviyoAccounts()).map(toSyncAccount),
+  syncAccount: syncAccountSnapshots,
+  onAccountSynced: emitSyncWebhookEvents
+});
+
+// Helper function to get the sync job status of a user's Klaviyo account
+function getAccountSyncStatus(account) {
+  return {
+    ...syncWorker.getStatus(getAccountCacheKeyFromFingerprint(account.apiKeyFingerprint)),
+    accountId: account.id,
+    accountName: account.name
+  };
+}
+
+// Helper function to get the cache and snapshot key query of a view: the request query plus the metric choice
+function getViewQuery(query, metricSettings) {
+  return { ...query, ...getMetricSettingsKey(metricSettings) };
+}
+
+// Helper function to read the pre-computed snapshot matching a request
+// Returns null with ?refresh=true or when there is no recent snapshot
+async function getRequestSnapshot(req, klaviyo, name, metricSettings, query = req.query) {
+  if (isRefreshRequested(req) || !syncWorker.isEnabled()) {
+    return null;
+  }
+  return snapshotStore.get(klaviyo.accountKey, buildCacheKey(klaviyo.accountKey, name, getViewQuery(query, metricSettings)), SNAPSHOT_MAX_AGE);
+}
+
+// Helper function to replace a snapshot when its view was just recomputed (e.g. after ?refresh=true)
+async function updateRequestSnapshot(req, klaviyo, name, payload, syncedAt, metricSettings, query = req.query) {
+  const key = buildCacheKey(klaviyo.accountKey, name, getViewQuery(query, metricSettings));
+  if (key !== buildCacheKey(klaviyo.accountKey, name, getViewQuery(SYNCED_VIEWS[name], metricSettings))) {
+    return;
+  }
+  await snapshotStore.set(klaviyo.accountKey, key, { value: payload, syncedAt });
+}
+
+// Endpoint to get the background sync status of each of the user's Klaviyo accounts
+app.get('/api/sync/status', authenticate, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    const accounts = (user?.klaviyoAccounts || []).filter(account => account.encryptedApiKey);
+    
+    res.json({
+      success: true,
+      intervalMinutes: SYNC_INTERVAL_MINUTES,
+      accounts: accounts.map(getAccountSyncStatus)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to sync one of the user's Klaviyo accounts now (runs in the background)
+app.post('/api/klaviyo-accounts/:accountId/sync', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    const account = (user?.klaviyoAccounts || []).find(acc => acc.id === req.params.accountId);
+    
+    if (!account || !account.encryptedApiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+    
+    syncWorker.runAccount(toSyncAccount(account));
+    
+    res.status(202).json({
+      success: true,
+      status: getAccountSyncStatus(account)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Helper function to find one of the user's Klaviyo accounts by ID
+async function findUserAccount(req, accountId) {
+  const user = await getUserById(req.user.id);
+  const account = (user?.klaviyoAccounts || []).find(acc => acc.id === accountId);
+  return account?.encryptedApiKey ? account : null;
+}
+
+// Endpoint to list the metrics of one of the user's Klaviyo accounts with its conversion metric choice
+app.get('/api/klaviyo-accounts/:accountId/metrics', authenticate, async (req, res) => {
+  try {
+    const account = await findUserAccount(req, req.params.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    const klaviyo = createKlaviyoClient(decryptAccountApiKey(account), req);
+    const metrics = await klaviyo.getMetrics();
+    const metricSettings = getAccountMetricSettings(account);
+    const conversionMetrics = resolveConversionMetrics(metrics, metricSettings);
+
+    res.json({
+      success: true,
+      metrics: metrics.map(toMetricInfo).sort((a, b) => a.name.localeCompare(b.name)),
+      ...metricSettings,
+      conversionMetric: conversionMetrics.conversion,
+      secondaryMetric: conversionMetrics.secondary
+    });
+  } catch (error) {
+    console.error('Error fetching account metrics:', error.response?.data || error.message);
+    res.status(500).json({
+      success: false,
+      error: error.response?.data?.errors || error.message
+    });
+  }
+});
+
+// Endpoint to choose the conversion metric (and optional secondary metric) of one of the user's Klaviyo accounts
+// Body: { conversionMetricId, secondaryMetricId }; null or empty uses "Placed Order" / no secondary metric
+app.put('/api/klaviyo-accounts/:accountId/metrics', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const account = await findUserAccount(req, req.params.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    const metricSettings = {
+      conversionMetricId: req.body.conversionMetricId || null,
+      secondaryMetricId: req.body.secondaryMetricId || null
+    };
+
+    // Check the chosen metrics against the account's metric list before storing them
+    const klaviyo = createKlaviyoClient(decryptAccountApiKey(account), req);
+    const metrics = await klaviyo.getMetrics();
+    const validationError = validateMetricSettings(metrics, metricSettings);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const updatedAccount = await setKlaviyoAccountMetrics(req.user.id, account.id, metricSettings);
+
+    // Pre-compute the dashboard for the new conversion metric in the background
+    if (syncWorker.isEnabled()) {
+      syncWorker.runAccount(toSyncAccount(updatedAccount));
+    }
+
+    const conversionMetrics = resolveConversionMetrics(metrics, metricSettings);
+    res.json({
+      success: true,
+      account: toPublicAccount(updatedAccount),
+      conversionMetric: conversionMetrics.conversion,
+      secondaryMetric: conversionMetrics.secondary
+    });
+  } catch (error) {
+    console.error('Error updating account metrics:', error.response?.data || error.message);
+    res.status(500).json({
+      success: false,
+      error: error.response?.data?.errors || error.message
+    });
+  }
+});
+
+// Endpoint to get the logo and accent color of an account's PDF reports
+app.get('/api/klaviyo-accounts/:accountId/branding', authenticate, async (req, res) => {
+  try {
+    const account = await findUserAccount(req, req.params.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      reportLogo: account.reportLogo || null,
+      reportAccentColor: account.reportAccentColor || null,
+      defaultAccentColor: DEFAULT_ACCENT_COLOR
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to set the logo (PNG/JPEG data URL) and accent color of an account's PDF reports
+// null resets either one to the default (no logo, the dashboard's indigo)
+app.put('/api/klaviyo-accounts/:accountId/branding', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const account = await findUserAccount(req, req.params.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    const branding = {
+      reportLogo: req.body.reportLogo || null,
+      reportAccentColor: req.body.reportAccentColor || null
+    };
+    const validationError = validateReportBranding(branding);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const updatedAccount = await setKlaviyoAccountBranding(req.user.id, account.id, branding);
+    res.json({
+      success: true,
+      account: toPublicAccount(updatedAccount)
+    });
+  } catch (error) {
+    console.error('Error updating report branding:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Scheduled report emails: due schedules are checked every REPORT_SCHEDULER_INTERVAL_SECONDS (0 turns it off)
+const REPORT_SCHEDULER_INTERVAL_SECONDS = process.env.REPORT_SCHEDULER_INTERVAL_SECONDS !== undefined
+  ? parseInt(process.env.REPORT_SCHEDULER_INTERVAL_SECONDS)
+  : DEFAULT_SCHEDULER_INTERVAL_SECONDS;
+
+// Helper function to describe a report schedule in API responses
+function toPublicSchedule(schedule) {
+  const { userId, ...publicSchedule } = schedule;
+  return publicSchedule;
+}
+
+// Helper function to validate the fields of a report schedule, applied over the current values when editing
+// Returns { schedule } with the validated fields and next run, or { error }
+function validateReportSchedule(body, current, now = new Date()) {
+  const fields = { ...current, ...body };
+  const name = String(fields.name || '').trim();
+
+  if (!name || name.length > 100) {
+    return { error: 'Schedule name is required (at most 100 characters)' };
+  }
+  if (!REPORT_FORMATS.includes(fields.format)) {
+    return { error: `Invalid format. Supported formats: ${REPORT_FORMATS.join(', ')}` };
+  }
+  if (!Object.keys(DATE_RANGE_PRESETS).includes(fields.datePreset)) {
+    return { error: `Invalid date range. Supported presets: ${Object.keys(DATE_RANGE_PRESETS).join(', ')}` };
+  }
+  if (!COMPARISON_MODES.includes(fields.compare)) {
+    return { error: `Invalid comparison. Supported values: ${COMPARISON_MODES.join(', ')}` };
+  }
+  if (!isValidTimezone(fields.timezone)) {
+    return { error: `Unknown timezone "${fields.timezone}"` };
+  }
+
+  const { recipients, error: recipientsError } = parseRecipients(fields.recipients);
+  if (recipientsError) {
+    return { error: recipientsError };
+  }
+
+  const cron = String(fields.cron || '').trim().replace(/\s+/g, ' ');
+  const enabled = fields.enabled !== false;
+  let nextRunAt;
+  try {
+    nextRunAt = getNextRunTime(parseCronExpression(cron), now, fields.timezone).toISOString();
+  } catch (error) {
+    return { error: `Invalid schedule: ${error.message}` };
+  }
+
+  return {
+    schedule: {
+      name,
+      cron,
+      timezone: fields.timezone,
+      format: fields.format,
+      recipients,
+      datePreset: fields.datePreset,
+      compare: fields.compare,
+      enabled,
+      nextRunAt: enabled ? nextRunAt : null
+    }
+  };
+}
+
+// Helper function to pick the interval of a report's revenue trend: daily, or weekly for long ranges
+function getReportTrendInterval(dateRange) {
+  const days = (new Date(dateRange.end) - new Date(dateRange.start)) / (24 * 60 * 60 * 1000);
+  return days > PDF_DAILY_TREND_MAX_DAYS ? 'week' : 'day';
+}
+
+// Build the email of a report schedule from fresh Klaviyo data (no request, so no snapshots)
+async function buildScheduledReportEmail(schedule, account) {
+  const syncAccount = toSyncAccount(account);
+  const klaviyo = new KlaviyoClient(syncAccount.apiKey, { cache: responseCache });
+  
+  const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+  await delay(); // 0.1s delay
+  const accountCurrency = await getKlaviyoAccountCurrency(klaviyo);
+  await delay(); // 0.1s delay
+  
+  const dateRange = resolveDateRange({ preset: schedule.datePreset }, accountTimezone);
+  const payload = await buildRevenueTotalPayload(klaviyo, dateRange, schedule.compare, accountTimezone, accountCurrency, syncAccount.metricSettings);
+  if (!payload) {
+    throw new Error(getMissingConversionMetricError(syncAccount.metricSettings));
+  }
+  
+  const branding = { reportLogo: account.reportLogo, reportAccentColor: account.reportAccentColor };
+  let attachment = null;
+  if (schedule.format === 'pdf') {
+    const trend = await buildRevenueTimeseriesPayload(klaviyo, dateRange, getReportTrendInterval(dateRange), accountTimezone, syncAccount.metricSettings);
+    attachment = {
+      filename: getExportFileName('pdf', { accountName: account.name, startDate: dateRange.startDate, endDate: dateRange.endDate }),
+      content: await renderPerformanceReport({ payload, trend, accountName: account.name, branding }),
+      contentType: 'application/pdf'
+    };
+  } else if (schedule.format === 'csv') {
+    attachment = {
+      filename: getExportFileName('csv', { accountName: account.name, startDate: dateRange.startDate, endDate: dateRange.endDate }),
+      content: toCsv(buildReport(payload, { account })),
+      contentType: CONTENT_TYPES.csv
+    };
+  }
+  
+  return buildReportEmail({ schedule, payload, accountName: account.name, branding, attachment });
+}
+
+// Send a schedule's report to its recipients and log the delivery, successful or not
+// trigger is 'scheduled' or 'manual'; returns the logged delivery
+async function deliverReportSchedule(schedule, trigger = 'scheduled') {
+  const delivery = {
+    scheduleId: schedule.id,
+    trigger,
+    recipients: schedule.recipients,
+    sentAt: new Date().toISOString()
+  };
+  
+  try {
+    const account = await getKlaviyoAccount(schedule.userId, schedule.accountId);
+    if (!account?.encryptedApiKey) {
+      throw new Error('Account not found');
+    }
+    
+    const message = await buildScheduledReportEmail(schedule, account);
+    const { messageId } = await sendEmail(createMailTransport(), { to: schedule.recipients, message });
+    delivery.status = 'sent';
+    delivery.messageId = messageId;
+    console.log(`Report schedule ${schedule.name} (${schedule.id}) sent to ${schedule.recipients.length} recipients`);
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.error = error.response?.data?.errors?.[0]?.detail || error.message;
+    console.error(`Report schedule ${schedule.name} (${schedule.id}) failed:`, delivery.error);
+  }
+  
+  return scheduleRepository.insertDelivery(delivery);
+}
+
+const reportScheduler = new ReportScheduler({
+  intervalSeconds: REPORT_SCHEDULER_INTERVAL_SECONDS,
+  listDueSchedules: async (now) => scheduleRepository.listDueSchedules(now),
+  markScheduleRun: async (schedule, run) => scheduleRepository.markScheduleRun(schedule.id, run),
+  deliverSchedule: schedule => deliverReportSchedule(schedule, 'scheduled')
+});
+
+// Helper function to find a report schedule of one of the user's accounts
+// Schedules are shared by the organization: they refer to the account by the member who added it
+// Sends a 404 and returns null when the account or schedule does not exist
+async function findRequestSchedule(req, res) {
+  const account = await findUserAccount(req, req.params.accountId);
+  const schedule = account && scheduleRepository.findSchedule(account.userId, account.id, req.params.scheduleId);
+  
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      error: account ? 'Schedule not found' : 'Account not found'
+    });
+    return null;
+  }
+  return schedule;
+}
+
+// Endpoint to list the report schedules of an account
+app.get('/api/klaviyo-accounts/:accountId/schedules', authenticate, requirePermission('workspace:view'), async (req, res) => {
+  try {
+    const account = await findUserAccount(req, req.params.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      schedules: scheduleRepository.listSchedules(account.userId, account.id).map(toPublicSchedule),
+      emailConfigured: !!createMailTransport(),
+      schedulerEnabled: reportScheduler.isEnabled()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to create a report schedule
+// Body: { name, cron, timezone?, format: pdf|csv|html, recipients, datePreset?, compare?, enabled? }
+// The timezone defaults to the Klaviyo account's timezone
+app.post('/api/klaviyo-accounts/:accountId/schedules', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const account = await findUserAccount(req, req.params.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    let timezone = req.body.timezone;
+    if (!timezone) {
+      const klaviyo = createKlaviyoClient(decryptAccountApiKey(account), req);
+      timezone = await getKlaviyoAccountTimezone(klaviyo);
+    }
+
+    const { schedule, error } = validateReportSchedule({ ...req.body, timezone }, {
+      datePreset: 'last_7_days',
+      compare: 'previous_period'
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const now = new Date().toISOString();
+    const newSchedule = {
+      ...schedule,
+      id: crypto.randomUUID(),
+      userId: account.userId,
+      accountId: account.id,
+      createdAt: now,
+      updatedAt: now
+    };
+    scheduleRepository.insertSchedule(newSchedule);
+
+    res.status(201).json({
+      success: true,
+      schedule: toPublicSchedule(scheduleRepository.findSchedule(account.userId, account.id, newSchedule.id))
+    });
+  } catch (error) {
+    console.error('Error creating report schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to edit a report schedule; omitted fields keep their values
+app.put('/api/klaviyo-accounts/:accountId/schedules/:scheduleId', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const current = await findRequestSchedule(req, res);
+    if (!current) return;
+
+    const { schedule, error } = validateReportSchedule(req.body, current);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    scheduleRepository.updateSchedule({ ...current, ...schedule, updatedAt: new Date().toISOString() });
+    res.json({
+      success: true,
+      schedule: toPublicSchedule(scheduleRepository.findSchedule(current.userId, current.accountId, current.id))
+    });
+  } catch (error) {
+    console.error('Error updating report schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to delete a report schedule and its delivery log
+app.delete('/api/klaviyo-accounts/:accountId/schedules/:scheduleId', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const schedule = await findRequestSchedule(req, res);
+    if (!schedule) return;
+
+    scheduleRepository.deleteSchedule(schedule.userId, schedule.accountId, schedule.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to get the delivery log of a report schedule, most recent first
+app.get('/api/klaviyo-accounts/:accountId/schedules/:scheduleId/deliveries', authenticate, requirePermission('workspace:view'), async (req, res) => {
+  try {
+    const schedule = await findRequestSchedule(req, res);
+    if (!schedule) return;
+
+    res.json({
+      success: true,
+      deliveries: scheduleRepository.listDeliveries(schedule.id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to send a schedule's report now, without changing its next run
+// Failed deliveries are logged like scheduled ones and answered with 502
+app.post('/api/klaviyo-accounts/:accountId/schedules/:scheduleId/send', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const schedule = await findRequestSchedule(req, res);
+    if (!schedule) return;
+
+    const delivery = await deliverReportSchedule(schedule, 'manual');
+    scheduleRepository.markScheduleRun(schedule.id, { lastRunAt: delivery.sentAt });
+
+    if (delivery.status !== 'sent') {
+      return res.status(502).json({
+        success: false,
+        error: delivery.error,
+        delivery
+      });
+    }
+    res.json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    console.error('Error sending report schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Alert rules: evaluated every ALERT_EVALUATOR_INTERVAL_SECONDS for the rules that are due (0 turns it off)
+const ALERT_EVALUATOR_INTERVAL_SECONDS = process.env.ALERT_EVALUATOR_INTERVAL_SECONDS !== undefined
+  ? parseInt(process.env.ALERT_EVALUATOR_INTERVAL_SECONDS)
+  : DEFAULT_SCHEDULER_INTERVAL_SECONDS;
+
+// Klaviyo metric behind each alert metric; revenue and conversions use the account's conversion metric
+const ALERT_EVENT_METRICS = {
+  recipients: 'Received Email',
+  opens: 'Opened Email',
+  clicks: 'Clicked Email'
+};
+
+// Helper function to describe an alert rule in API responses
+function toPublicAlertRule(rule) {
+  const { userId, ...publicRule } = rule;
+  return publicRule;
+}
+
+// Helper function to get the metric-aggregates filters selecting a rule's campaign or flow
+// Conversions carry the attribution ($attributed_message is the campaign ID for campaign sends),
+// engagement events carry the message ($message, the campaign ID for campaigns) or the flow
+function getAlertScopeFilters(rule, attributed) {
+  if (rule.scopeType === 'campaign') {
+    return [`equals(${attributed ? '$attributed_message' : '$message'},"${rule.scopeId}")`];
+  }
+  if (rule.scopeType === 'flow') {
+    return [`equals(${attributed ? '$attributed_flow' : '$flow'},"${rule.scopeId}")`];
+  }
+  return [];
+}
+
+// Build the daily series of an alert rule's metric over a date range (one value per day, oldest first)
+// Rates are computed per day from opens or clicks and recipients
+async function buildAlertMetricSeries(klaviyo, rule, dateRange, accountTimezone, metricSettings = {}) {
+  const metrics = await klaviyo.getMetrics();
+  await delay(); // 0.1s delay
+  
+  const startStr = new Date(dateRange.start).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const endStr = new Date(dateRange.end).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const dateFilters = [
+    `greater-or-equal(datetime,${startStr})`,
+    `less-than(datetime,${endStr})`
+  ];
+  
+  const querySeries = async (metricId, measurement, attributed) => {
+    const aggregateResponse = await klaviyo.queryMetricAggregate({
+      metricId,
+      measurements: [measurement],
+      interval: 'day',
+      filter: [...dateFilters, ...getAlertScopeFilters(rule, attributed)],
+      timezone: accountTimezone
+    });
+    await delay(); // 0.1s delay
+    return getAggregateSeries(aggregateResponse, measurement).values;
+  };
+  const queryEventSeries = async (key) => {
+    const metric = metrics.find(m => m.attributes?.name === ALERT_EVENT_METRICS[key]);
+    if (!metric) {
+      throw new Error(`The "${ALERT_EVENT_METRICS[key]}" metric was not found in this Klaviyo account`);
+    }
+    return querySeries(metric.id, 'count', false);
+  };
+  
+  if (rule.metric === 'revenue' || rule.metric === 'conversions') {
+    const { conversion: conversionMetric } = resolveConversionMetrics(metrics, metricSettings);
+    if (!conversionMetric) {
+      throw new Error(getMissingConversionMetricError(metricSettings));
+    }
+    return querySeries(conversionMetric.id, rule.metric === 'revenue' ? 'sum_value' : 'count', true);
+  }
+  
+  if (rule.metric === 'open_rate' || rule.metric === 'click_rate') {
+    const events = await queryEventSeries(rule.metric === 'open_rate' ? 'opens' : 'clicks');
+    const recipients = await queryEventSeries('recipients');
+    return events.map((count, index) => (recipients[index] > 0 ? (count / recipients[index]) * 100 : 0));
+  }
+  
+  return queryEventSeries(rule.metric);
+}
+
+// The webhook URL of an alert rule is posted to by the webhook dispatcher, like the webhooks page's subscriptions:
+// signed with a secret of the rule, retried and logged. Each such rule has a subscription of its own (alertRuleId)
+// Helper function to create, move or remove the webhook subscription of an alert rule once the rule is saved
+// Returns the signing secret when a subscription was created (it is shown once), otherwise null
+function syncAlertRuleWebhook(rule) {
+  const current = webhookRepository.findAlertRuleSubscription(rule.id);
+  const now = new Date().toISOString();
+  
+  if (!rule.webhookUrl) {
+    if (current) {
+      webhookRepository.deleteSubscription(current.userId, current.id);
+    }
+    return null;
+  }
+  
+  if (current) {
+    if (current.url !== rule.webhookUrl) {
+      webhookRepository.updateSubscription({ ...current, url: rule.webhookUrl, updatedAt: now });
+    }
+    return null;
+  }
+  
+  const secret = generateWebhookSecret();
+  webhookRepository.insertSubscription({
+    id: crypto.randomUUID(),
+    userId: rule.userId,
+    alertRuleId: rule.id,
+    url: rule.webhookUrl,
+    description: `Alert rule: ${rule.name}`,
+    events: ['alert.fired'],
+    encryptedSecret: encryptSecret(secret),
+    enabled: true,
+    createdAt: now,
+    updatedAt: now
+  });
+  return secret;
+}
+
+// Helper function to send a fired alert by email and webhook
+// Returns one { channel, status, error } entry per channel of the rule; a webhook still being retried is pending
+async function deliverAlert(alert, rule, account, details) {
+  const deliveries = [];
+  
+  if (rule.emailRecipients.length > 0) {
+    try {
+      const message = buildAlertEmail({ alert, rule, accountName: account.name, details });
+      await sendEmail(createMailTransport(), { to: rule.emailRecipients, message });
+      deliveries.push({ channel: 'email', status: 'sent', error: null });
+    } catch (error) {
+      deliveries.push({ channel: 'email', status: 'failed', error: error.message });
+    }
+  }
+  
+  if (rule.webhookUrl) {
+    try {
+      // Rules saved before their webhooks were signed get their subscription here (a new secret is one rotation away)
+      syncAlertRuleWebhook(rule);
+      const [delivery] = await webhookDispatcher.deliverEvent([webhookRepository.findAlertRuleSubscription(rule.id)], 'alert.fired', {
+        alert,
+        rule: toPublicAlertRule(rule),
+        account: { id: account.id, name: account.name }
+      });
+      deliveries.push({ channel: 'webhook', status: delivery.status, error: delivery.error });
+    } catch (error) {
+      deliveries.push({ channel: 'webhook', status: 'failed', error: error.message });
+    }
+  }
+  
+  return deliveries;
+}
+
+// Evaluate an alert rule on the last complete day and fire an alert when its condition starts to hold
+// An alert fires once per incident: while the rule stays 'firing' no new alert is created
+// Returns { state, day, value, baseline, triggered, alert }
+async function evaluateAlertRule(rule, now = new Date()) {
+  const evaluatedAt = now.toISOString();
+  
+  try {
+    const account = await getKlaviyoAccount(rule.userId, rule.accountId);
+    if (!account?.encryptedApiKey) {
+      throw new Error('Account not found');
+    }
+    
+    const syncAccount = toSyncAccount(account);
+    const klaviyo = new KlaviyoClient(syncAccount.apiKey, { cache: responseCache });
+    const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+    await delay(); // 0.1s delay
+    const accountCurrency = await getKlaviyoAccountCurrency(klaviyo);
+    await delay(); // 0.1s delay
+    
+    const dateRange = resolveDateRange(getAlertDateRange(rule.lookbackDays, accountTimezone, now), accountTimezone);
+    const values = await buildAlertMetricSeries(klaviyo, rule, dateRange, accountTimezone, syncAccount.metricSettings);
+    const result = evaluateAlertCondition(rule, values);
+    const day = dateRange.endDate;
+    
+    let alert = null;
+    if (result.triggered && rule.state !== 'firing') {
+      const format = value => formatMetricValue(rule.metric, value, accountCurrency);
+      alert = {
+        id: crypto.randomUUID(),
+        ruleId: rule.id,
+        userId: rule.userId,
+        accountId: rule.accountId,
+        message: describeAlert(rule, result, { day, currency: accountCurrency }),
+        value: result.value,
+        baseline: result.baseline,
+        day,
+        deliveries: [],
+        firedAt: evaluatedAt
+      };
+      alertRepository.insertAlert(alert);
+      console.log(`Alert rule ${rule.name} (${rule.id}) fired: ${alert.message}`);
+      
+      const { userId, ...publicAlert } = alert;
+      alert = publicAlert;
+      alert.deliveries = await deliverAlert(alert, rule, account, [
+        ['Metric', describeAlertTarget(rule)],
+        ['Day', `${day} (${accountTimezone})`],
+        ['Value', format(result.value)],
+        ...(result.baseline !== null ? [[`${rule.lookbackDays}-day average`, format(result.baseline)]] : [])
+      ]);
+      alertRepository.updateAlertDeliveries(alert.id, alert.deliveries);
+      emitWebhookEvent(getAccountAudience(account), 'alert.fired', {
+        alert,
+        rule: toPublicAlertRule(rule),
+        account: { id: account.id, name: account.name }
+      });
+    }
+    
+    const state = result.triggered ? 'firing' : 'ok';
+    alertRepository.markRuleEvaluated(rule.id, { state, lastValue: result.value, lastEvaluatedAt: evaluatedAt });
+    return { state, day, value: result.value, baseline: result.baseline, triggered: result.triggered, alert };
+  } catch (error) {
+    const lastError = error.response?.data?.errors?.[0]?.detail || error.message;
+    console.error(`Alert rule ${rule.name} (${rule.id}) could not be evaluated:`, lastError);
+    alertRepository.markRuleFailed(rule.id, { lastError, lastEvaluatedAt: evaluatedAt });
+    throw new Error(lastError);
+  }
+}
+
+const alertEvaluator = new ReportScheduler({
+  name: 'Alert evaluator',
+  intervalSeconds: ALERT_EVALUATOR_INTERVAL_SECONDS,
+  listDueSchedules: async (now) => alertRepository.listDueRules(now),
+  markScheduleRun: async (rule, { nextRunAt }) => alertRepository.setRuleNextRun(rule.id, nextRunAt),
+  // Failures are recorded on the rule (lastError)
+  deliverSchedule: rule => evaluateAlertRule(rule).catch(() => null)
+});
+
+// Helper function to find an alert rule of one of the user's accounts
+// Like schedules, rules refer to the account by the member who added it
+// Sends a 404 and returns null when the account or rule does not exist
+async function findRequestAlertRule(req, res) {
+  const account = await findUserAccount(req, req.params.accountId);
+  const rule = account && alertRepository.findRule(account.userId, account.id, req.params.ruleId);
+  
+  if (!rule) {
+    res.status(404).json({
+      success: false,
+      error: account ? 'Alert rule not found' : 'Account not found'
+    });
+    return null;
+  }
+  return rule;
+}
+
+// Endpoint to list the alert rules of an account
+app.get('/api/klaviyo-accounts/:accountId/alert-rules', authenticate, requirePermission('workspace:view'), async (req, res) => {
+  try {
+    const account = await findUserAccount(req, req.params.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      rules: alertRepository.listRules(account.userId, account.id).map(toPublicAlertRule),
+      emailConfigured: !!createMailTransport(),
+      evaluatorEnabled: alertEvaluator.isEnabled()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to list the campaigns and flows an alert rule can be scoped to
+app.get('/api/klaviyo-accounts/:accountId/alert-scopes', authenticate, requirePermission('workspace:view'), async (req, res) => {
+  try {
+    const account = await findUserAccount(req, req.params.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    const klaviyo = createKlaviyoClient(decryptAccountApiKey(account), req);
+    const campaigns = [];
+    for (const channel of ['email', 'sms']) {
+      try {
+        const response = await klaviyo.listCampaigns({ channel, fields: 'name,status' });
+        (response.data || [])
+          .filter(campaign => (campaign.attributes?.status || '').toLowerCase() !== 'draft')
+          .forEach(campaign => campaigns.push({ id: campaign.id, name: campaign.attributes?.name || 'Unnamed Campaign', channel }));
+      } catch (error) {
+        console.log(`Error listing ${channel} campaigns for alert scopes:`, error.response?.data || error.message);
+      }
+      await delay(); // 0.1s delay
+    }
+    const flowsResponse = await klaviyo.listFlows();
+    const flows = (flowsResponse.data || [])
+      .filter(flow => (flow.attributes?.status || '').toLowerCase() !== 'draft')
+      .map(flow => ({ id: flow.id, name: flow.attributes?.name || 'Unnamed Flow' }));
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    res.json({
+      success: true,
+      campaigns: campaigns.sort(byName),
+      flows: flows.sort(byName)
+    });
+  } catch (error) {
+    console.error('Error listing alert scopes:', error.response?.data || error.message);
+    res.status(500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.detail || error.message
+    });
+  }
+});
+
+// Endpoint to create an alert rule
+// Body: { name, metric, scopeType, scopeId?, scopeName?, condition, threshold, lookbackDays?, cron?, timezone?, emailRecipients?, webhookUrl?, enabled? }
+// The timezone defaults to the Klaviyo account's timezone
+app.post('/api/klaviyo-accounts/:accountId/alert-rules', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const account = await findUserAccount(req, req.params.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    let timezone = req.body.timezone;
+    if (!timezone) {
+      const klaviyo = createKlaviyoClient(decryptAccountApiKey(account), req);
+      timezone = await getKlaviyoAccountTimezone(klaviyo);
+    }
+
+    const { rule, error } = validateAlertRule({ ...req.body, timezone });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const now = new Date().toISOString();
+    const newRule = {
+      ...rule,
+      id: crypto.randomUUID(),
+      userId: account.userId,
+      accountId: account.id,
+      createdAt: now,
+      updatedAt: now
+    };
+    alertRepository.insertRule(newRule);
+    const webhookSecret = syncAlertRuleWebhook(newRule);
+
+    res.status(201).json({
+      success: true,
+      rule: toPublicAlertRule(alertRepository.findRule(account.userId, account.id, newRule.id)),
+      webhookSecret
+    });
+  } catch (error) {
+    console.error('Error creating alert rule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to edit an alert rule; omitted fields keep their values
+app.put('/api/klaviyo-accounts/:accountId/alert-rules/:ruleId', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const current = await findRequestAlertRule(req, res);
+    if (!current) return;
+
+    const { rule, error } = validateAlertRule(req.body, current);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const updated = { ...current, ...rule, updatedAt: new Date().toISOString() };
+    alertRepository.updateRule(updated);
+    const webhookSecret = syncAlertRuleWebhook(updated);
+    res.json({
+      success: true,
+      rule: toPublicAlertRule(alertRepository.findRule(current.userId, current.accountId, current.id)),
+      webhookSecret
+    });
+  } catch (error) {
+    console.error('Error updating alert rule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to delete an alert rule and its alerts
+app.delete('/api/klaviyo-accounts/:accountId/alert-rules/:ruleId', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const rule = await findRequestAlertRule(req, res);
+    if (!rule) return;
+
+    alertRepository.deleteRule(rule.userId, rule.accountId, rule.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to replace the signing secret of an alert rule's webhook; returns the new secret
+app.post('/api/klaviyo-accounts/:accountId/alert-rules/:ruleId/webhook-secret', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const rule = await findRequestAlertRule(req, res);
+    if (!rule) return;
+
+    if (!rule.webhookUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'This alert rule has no webhook URL'
+      });
+    }
+
+    const secret = syncAlertRuleWebhook(rule) || generateWebhookSecret();
+    webhookRepository.updateSubscriptionSecret(webhookRepository.findAlertRuleSubscription(rule.id).id, encryptSecret(secret));
+    res.json({
+      success: true,
+      secret
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to get the webhook delivery log of an alert rule: its last 50 deliveries, most recent first
+app.get('/api/klaviyo-accounts/:accountId/alert-rules/:ruleId/webhook-deliveries', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const rule = await findRequestAlertRule(req, res);
+    if (!rule) return;
+
+    const subscription = webhookRepository.findAlertRuleSubscription(rule.id);
+    res.json({
+      success: true,
+      deliveries: subscription ? webhookRepository.listDeliveries(subscription.id).map(toPublicWebhookDelivery) : []
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to evaluate an alert rule now, without changing its next scheduled evaluation
+app.post('/api/klaviyo-accounts/:accountId/alert-rules/:ruleId/evaluate', authenticate, requirePermission('accounts:configure'), async (req, res) => {
+  try {
+    const rule = await findRequestAlertRule(req, res);
+    if (!rule) return;
+
+    let evaluation;
+    try {
+      evaluation = await evaluateAlertRule(rule);
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      evaluation,
+      rule: toPublicAlertRule(alertRepository.findRule(rule.userId, rule.accountId, rule.id))
+    });
+  } catch (error) {
+    console.error('Error evaluating alert rule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to get the alert inbox: the alerts of the accounts the user sees, most recent first, and the number of unread alerts
+// Query: accountId to show one account's alerts, unread=true for unread alerts only
+app.get('/api/alerts', authenticate, requirePermission('workspace:view'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      alerts: alertRepository.listAlerts(req.user.klaviyoAccounts, {
+        accountId: req.query.accountId || null,
+        unreadOnly: req.query.unread === 'true'
+      }),
+      unreadCount: alertRepository.countUnreadAlerts(req.user.klaviyoAccounts)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to mark an alert as read
+app.put('/api/alerts/:alertId/read', authenticate, requirePermission('workspace:view'), async (req, res) => {
+  try {
+    alertRepository.markAlertsRead(req.user.klaviyoAccounts, req.params.alertId);
+    res.json({
+      success: true,
+      unreadCount: alertRepository.countUnreadAlerts(req.user.klaviyoAccounts)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to mark every alert of the accounts the user sees as read
+app.post('/api/alerts/read-all', authenticate, requirePermission('workspace:view'), async (req, res) => {
+  try {
+    alertRepository.markAlertsRead(req.user.klaviyoAccounts);
+    res.json({
+      success: true,
+      unreadCount: 0
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Outbound webhooks: failed deliveries are retried every WEBHOOK_RETRY_INTERVAL_SECONDS (0 turns retries off)
+const WEBHOOK_RETRY_INTERVAL_SECONDS = process.env.WEBHOOK_RETRY_INTERVAL_SECONDS !== undefined
+  ? parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS)
+  : DEFAULT_RETRY_INTERVAL_SECONDS;
+
+const webhookDispatcher = new WebhookDispatcher({
+  repository: webhookRepository,
+  intervalSeconds: WEBHOOK_RETRY_INTERVAL_SECONDS
+});
+
+// Send an event to the webhook subscriptions of each user in the background (see WEBHOOK_EVENTS)
+// Safe to call from any route or job: it never throws and does not delay the caller
+function emitWebhookEvent(userIds, type, data) {
+  userIds.forEach(userId => webhookDispatcher.emit(userId, type, data));
+}
+
+// Helper function to get the users an account's events go to: the members of its organization who see it
+function getAccountAudience(account) {
+  return listAccountAudience(account.organizationId, account.id);
+}
+
+// Helper function to describe a webhook subscription in API responses (never with its secret)
+function toPublicWebhook(subscription) {
+  const { userId, encryptedSecret, alertRuleId, ...publicSubscription } = subscription;
+  return publicSubscription;
+}
+
+// Helper function to describe a delivery in API responses, with its event parsed
+function toPublicWebhookDelivery(delivery) {
+  const { payload, ...publicDelivery } = delivery;
+  return { ...publicDelivery, event: JSON.parse(payload) };
+}
+
+// Helper function to find one of the user's webhook subscriptions
+// Sends a 404 and returns null when it does not exist
+function findRequestWebhook(req, res) {
+  const subscription = webhookRepository.findSubscription(req.user.id, req.params.webhookId);
+  if (!subscription) {
+    res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+  return subscription;
+}
+
+// Endpoint to list the user's webhook subscriptions and the events they can receive
+app.get('/api/webhooks', authenticate, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      webhooks: webhookRepository.listSubscriptions(req.user.id).map(toPublicWebhook),
+      events: Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to subscribe a URL to events
+// Body: { url, events, description?, enabled? }
+// The response includes the signing secret; it is not shown again (rotate it to get a new one)
+app.post('/api/webhooks', authenticate, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { subscription, error } = validateWebhookSubscription(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    const now = new Date().toISOString();
+    const newSubscription = {
+      ...subscription,
+      id: crypto.randomUUID(),
+      userId: req.user.id,
+      encryptedSecret: encryptSecret(secret),
+      createdAt: now,
+      updatedAt: now
+    };
+    webhookRepository.insertSubscription(newSubscription);
+
+    res.status(201).json({
+      success: true,
+      webhook: toPublicWebhook(newSubscription),
+      secret
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to edit a webhook subscription; omitted fields keep their values
+app.put('/api/webhooks/:webhookId', authenticate, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const current = findRequestWebhook(req, res);
+    if (!current) return;
+
+    const { subscription, error } = validateWebhookSubscription(req.body, current);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const updated = { ...current, ...subscription, updatedAt: new Date().toISOString() };
+    webhookRepository.updateSubscription(updated);
+    res.json({
+      success: true,
+      webhook: toPublicWebhook(updated)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to replace the signing secret of a webhook subscription; returns the new secret
+app.post('/api/webhooks/:webhookId/rotate-secret', authenticate, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const subscription = findRequestWebhook(req, res);
+    if (!subscription) return;
+
+    const secret = generateWebhookSecret();
+    webhookRepository.updateSubscriptionSecret(subscription.id, encryptSecret(secret));
+    res.json({
+      success: true,
+      secret
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to delete a webhook subscription and its delivery log
+app.delete('/api/webhooks/:webhookId', authenticate, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const subscription = findRequestWebhook(req, res);
+    if (!subscription) return;
+
+    webhookRepository.deleteSubscription(req.user.id, subscription.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to send a webhook.test event to one subscription and wait for the first attempt
+app.post('/api/webhooks/:webhookId/test', authenticate, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const subscription = findRequestWebhook(req, res);
+    if (!subscription) return;
+
+    const [delivery] = await webhookDispatcher.deliverEvent([subscription], TEST_EVENT, {
+      webhook: { id: subscription.id, url: subscription.url },
+      message: 'This is a test event'
+    });
     res.json({
       success: true,
-      totalRevenue: totalRevenue,
-      totalCampaigns: totalCampaigns,
-      totalFlows: totalFlows,
-      attributedCampaignRevenue: attributedCampaignRevenue,
-      attributedFlowRevenue: attributedFlowRevenue,
-      campaigns: campaignsTable,
-      flows: flowsTable,
-      currency: accountCurrency,
-      timeframe: 'Last 30 days'
+      delivery: toPublicWebhookDelivery(delivery)
     });
   } catch (error) {
-    console.error('Error fetching aggregate data:', error.response?.data || error.message);
-    console.error('Full error:', error);
-    
-    // Ensure response hasn't been sent yet
-    if (!res.headersSent) {
-      res.status(500).json({
+    console.error('Error sending test webhook:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to get the delivery log of a webhook subscription: its last 50 deliveries, most recent first
+// status is pending (waiting for a retry at nextAttemptAt), sent or failed (no retries left)
+app.get('/api/webhooks/:webhookId/deliveries', authenticate, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const subscription = findRequestWebhook(req, res);
+    if (!subscription) return;
+
+    res.json({
+      success: true,
+      deliveries: webhookRepository.listDeliveries(subscription.id).map(toPublicWebhookDelivery)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Endpoint to send a delivery again now; a failed redelivery starts a new series of retries
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authenticate, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const subscription = findRequestWebhook(req, res);
+    if (!subscription) return;
+
+    const delivery = webhookRepository.findDelivery(subscription.id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
         success: false,
-        error: error.response?.data?.errors?.[0]?.detail || error.response?.data?.errors || error.message || 'An error occurred while fetching data'
+        error: 'Delivery not found'
       });
     }
+
+    const result = await webhookDispatcher.attempt({ ...delivery, attempts: 0 }, subscription);
+    res.json({
+      success: true,
+      delivery: toPublicWebhookDelivery(result)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 });
 
-// Helper function to check if API key is public
-function isPublicKey(apiKey) {
-  return apiKey && apiKey.startsWith('pk_');
-}
-
-// Helper function to get date 30 days ago
+// Helper function to get the last 30 days in the specified timezone (default: UTC)
 function getLast30Days(timezone = 'UTC') {
-  // Get current date in specified timezone (default: UTC)
-  const now = new Date();
-  
-  // Convert to specified timezone
-  // Get time in the specified timezone by using toLocaleString
-  const timezoneTimeString = now.toLocaleString('en-US', { timeZone: timezone });
-  const timezoneDate = new Date(timezoneTimeString);
-  
-  // Calculate offset between UTC and timezone time
-  const utcTime = now.getTime();
-  const timezoneTime = new Date(timezoneTimeString).getTime();
-  const offset = timezoneTime - utcTime;
-  
-  // Create dates in the specified timezone
-  const endDate = new Date(now.getTime() + offset);
-  const startDate = new Date(now.getTime() + offset);
-  startDate.setDate(startDate.getDate() - 30);
-  
-  // Set time to 00:00:00.000 for both dates in the specified timezone
-  startDate.setHours(0, 0, 0, 0);
-  endDate.setHours(0, 0, 0, 0);
-  
-  // Set end date to start of next day to cover the full last day
-  endDate.setDate(endDate.getDate() + 1);
-  
-  // Convert timezone dates back to UTC for ISO string format
-  // Since we added offset to get timezone time, we subtract it to get back to UTC
-  const startUTC = new Date(startDate.getTime() - offset);
-  const endUTC = new Date(endDate.getTime() - offset);
-  
-  return {
-    start: startUTC.toISOString(),
-    end: endUTC.toISOString()
-  };
+  return resolveDateRange({ preset: 'last_30_days' }, timezone);
 }
 
-// Revenue extraction function for Placed Order events
+// Revenue extraction function for conversion events (Placed Order, Ordered Product, ...)
 function extractRevenue(props, eventId = 'unknown') {
   if (!props) return 0;
 
-  // Klaviyo provides revenue in $value for Placed Order events
+  // Klaviyo provides revenue in $value for order events
   if (props['$value'] !== undefined && props['$value'] !== null) {
     const revenue = Number(props['$value']);
     return revenue;
@@ -1862,32 +3690,33 @@ function extractRevenue(props, eventId = 'unknown') {
   return 0;
 }
 
+// Helper function to decrypt a stored account's API key
+// Keys stay encrypted everywhere else; only getUserApiKey and the sync worker need the plaintext
+function decryptAccountApiKey(account) {
+  return decryptSecret(account.encryptedApiKey);
+}
+
+// Helper function to get user's active Klaviyo account (the first one if none is active)
+async function getUserAccount(req) {
+  const user = await getUserById(req.user.id);
+  
+  if (!user) {
+    console.error('User not found in getUserAccount');
+    return null;
+  }
+  
+  if (user.klaviyoAccounts && user.klaviyoAccounts.length > 0) {
+    return user.klaviyoAccounts.find(acc => acc.isActive) || user.klaviyoAccounts[0];
+  }
+  return null;
+}
+
 // Helper function to get user's Klaviyo API key
 async function getUserApiKey(req) {
   try {
-    // Try to get active account from klaviyoAccounts array
-    const user = await getUserById(req.user.id);
-    
-    if (!user) {
-      console.error('User not found in getUserApiKey');
-      return null;
-    }
-    
-    if (user.klaviyoAccounts && user.klaviyoAccounts.length > 0) {
-      const activeAccount = user.klaviyoAccounts.find(acc => acc.isActive);
-      if (activeAccount && activeAccount.apiKey) {
-        return activeAccount.apiKey;
-      }
-      // If no active account, use the first one
-      if (user.klaviyoAccounts[0] && user.klaviyoAccounts[0].apiKey) {
-        return user.klaviyoAccounts[0].apiKey;
-      }
-    }
-    
-    // Fallback to legacy klaviyoApiKey
-    const legacyKey = req.user?.klaviyoApiKey || user?.klaviyoApiKey;
-    if (legacyKey) {
-      return legacyKey;
+    const account = await getUserAccount(req);
+    if (account?.encryptedApiKey) {
+      return decryptAccountApiKey(account);
     }
     
     console.error('No API key found for user:', req.user.id);
@@ -1898,6 +3727,41 @@ async function getUserApiKey(req) {
   }
 }
 
+// Helper function to get the conversion metric choice of the user's active account
+async function getUserMetricSettings(req) {
+  return getAccountMetricSettings(await getUserAccount(req));
+}
+
+// Helper function to get the metric a by-status or attribution request is about
+// ?status= names the account's conversion metric or its secondary metric (by name or ID), default: the conversion metric
+// Sends the error response and returns null when the metric does not exist or is not one of the two
+async function getRequestConversionMetric(req, res, klaviyo) {
+  const metricSettings = await getUserMetricSettings(req);
+  const conversionMetrics = resolveConversionMetrics(await klaviyo.getMetrics(), metricSettings);
+
+  if (!conversionMetrics.conversion) {
+    res.json({
+      success: false,
+      error: getMissingConversionMetricError(metricSettings)
+    });
+    return null;
+  }
+
+  const metric = findConversionMetricByStatus(conversionMetrics, req.query.status);
+  if (!metric) {
+    const supported = [conversionMetrics.conversion, conversionMetrics.secondary]
+      .filter(Boolean)
+      .map(supportedMetric => `"${supportedMetric.name}"`);
+    res.json({
+      success: false,
+      error: `Only ${supported.join(' or ')} status is supported for this account`
+    });
+    return null;
+  }
+
+  return metric;
+}
+
 // Endpoint to fetch campaigns - DEPRECATED: Use /api/revenue/total instead
 app.get('/api/campaigns', authenticate, async (req, res) => {
   try {
@@ -1907,43 +3771,32 @@ app.get('/api/campaigns', authenticate, async (req, res) => {
     console.log('Fetching campaigns created after:', startTimestamp);
     
     const userApiKey = await getUserApiKey(req);
+    const klaviyo = createKlaviyoClient(userApiKey, req);
     
     // Fetch email campaigns from Klaviyo
-    const emailResponse = await axios.get(`${KLAVIYO_BASE_URL}/campaigns/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      },
-      params: {
-        'filter': `equals(messages.channel,'email'),greater-than(updated_at,${startTimestamp})`,
-        'fields[campaign]': 'name,status,created_at,updated_at,scheduled_at,send_time,archived',
-        'sort': '-updated_at'
-      }
+    const emailResponse = await klaviyo.listCampaigns({
+      channel: 'email',
+      filter: `greater-than(updated_at,${startTimestamp})`,
+      fields: 'name,status,created_at,updated_at,scheduled_at,send_time,archived',
+      sort: '-updated_at'
     });
 
     // Fetch SMS campaigns from Klaviyo
     let smsResponse;
     try {
-      smsResponse = await axios.get(`${KLAVIYO_BASE_URL}/campaigns/`, {
-        headers: {
-          'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-          'revision': '2024-10-15',
-          'Accept': 'application/json'
-        },
-        params: {
-          'filter': `equals(messages.channel,'sms'),greater-than(updated_at,${startTimestamp})`,
-          'fields[campaign]': 'name,status,created_at,updated_at,scheduled_at,send_time,archived',
-          'sort': '-updated_at'
-        }
+      smsResponse = await klaviyo.listCampaigns({
+        channel: 'sms',
+        filter: `greater-than(updated_at,${startTimestamp})`,
+        fields: 'name,status,created_at,updated_at,scheduled_at,send_time,archived',
+        sort: '-updated_at'
       });
     } catch (error) {
       console.log('No SMS campaigns or error fetching SMS:', error.message);
-      smsResponse = { data: { data: [] } };
+      smsResponse = { data: [] };
     }
 
-    const emailCampaigns = emailResponse.data.data || [];
-    const smsCampaigns = smsResponse.data.data || [];
+    const emailCampaigns = emailResponse.data || [];
+    const smsCampaigns = smsResponse.data || [];
     
     // Remove duplicates by campaign ID
     const allCampaigns = [...emailCampaigns, ...smsCampaigns];
@@ -1957,28 +3810,17 @@ app.get('/api/campaigns', authenticate, async (req, res) => {
 
     console.log(`Found ${emailCampaigns.length} email campaigns and ${smsCampaigns.length} SMS campaigns (${campaigns.length} unique)`);
 
-    // Get Placed Order metric ID
-    let placedOrderMetricId = null;
+    // Get the account's conversion metric ID
+    let conversionMetricId = null;
     try {
-      const metricsListResponse = await axios.get(`${KLAVIYO_BASE_URL}/metrics/`, {
-        headers: {
-          'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-          'revision': '2024-10-15',
-          'Accept': 'application/json'
-        }
-      });
-
-      const metrics = metricsListResponse.data?.data || [];
-      const placedOrderMetric = metrics.find(m => 
-        m.attributes?.name === 'Placed Order' || 
-        m.attributes?.name?.toLowerCase().includes('placed order')
-      );
+      const metrics = await klaviyo.getMetrics();
+      const { conversion: conversionMetric } = resolveConversionMetrics(metrics, await getUserMetricSettings(req));
       
-      if (placedOrderMetric) {
-        placedOrderMetricId = placedOrderMetric.id;
-        console.log(`✓ Using Placed Order metric ID: ${placedOrderMetricId}`);
+      if (conversionMetric) {
+        conversionMetricId = conversionMetric.id;
+        console.log(`✓ Using conversion metric ${conversionMetric.name} (${conversionMetricId})`);
       } else {
-        console.log('Warning: Could not find Placed Order metric. Campaign metrics may be limited.');
+        console.log('Warning: Could not find the conversion metric. Campaign metrics may be limited.');
       }
     } catch (error) {
       console.log('Warning: Could not fetch metrics list:', error.message);
@@ -2027,42 +3869,26 @@ app.get('/api/campaigns', authenticate, async (req, res) => {
 
       // Fetch real metrics for sent campaigns
       if (attributes.status === 'Sent' || attributes.status === 'sent') {
-        if (placedOrderMetricId) {
+        if (conversionMetricId) {
           try {
             // Fetch all metrics in one request with conversion_metric_id
-            const metricsResponse = await axios.post(
-              `${KLAVIYO_BASE_URL}/campaign-values-reports/`,
-              {
-                data: {
-                  type: 'campaign-values-report',
-                  attributes: {
-                    statistics: [
-                      'recipients',
-                      'opens',
-                      'clicks',
-                      'conversions',
-                      'conversion_value',
-                      'conversion_uniques'
-                    ],
-                    timeframe: {
-                      key: 'this_year'
-                    },
-                    conversion_metric_id: placedOrderMetricId,
-                    filter: `equals(campaign_id,"${campaign.id}")`
-                  }
-                }
+            const metricsResponse = await klaviyo.campaignValuesReport({
+              statistics: [
+                'recipients',
+                'opens',
+                'clicks',
+                'conversions',
+                'conversion_value',
+                'conversion_uniques'
+              ],
+              timeframe: {
+                key: 'this_year'
               },
-              {
-                headers: {
-                  'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-                  'revision': '2024-10-15',
-                  'Accept': 'application/json',
-                  'Content-Type': 'application/json'
-                }
-              }
-            );
+              conversion_metric_id: conversionMetricId,
+              filter: `equals(campaign_id,"${campaign.id}")`
+            });
             console.log('Metrics response:', JSON.stringify(metricsResponse.data, null, 2));
-            const results = metricsResponse.data?.data?.attributes?.results || [];
+            const results = metricsResponse.data?.attributes?.results || [];
             if (results.length > 0) {
               const stats = results[0].statistics;
               campaignData.recipients = stats.recipients || 0;
@@ -2089,7 +3915,7 @@ app.get('/api/campaigns', authenticate, async (req, res) => {
             await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
           }
         } else {
-           console.log(`  Skipping metrics (no Placed Order metric ID available)`);
+           console.log(`  Skipping metrics (no conversion metric ID available)`);
         }
       }
 
@@ -2109,7 +3935,8 @@ app.get('/api/campaigns', authenticate, async (req, res) => {
     res.json({
       success: true,
       data: filteredCampaigns,
-      total: filteredCampaigns.length
+      total: filteredCampaigns.length,
+      ...klaviyo.getTruncation()
     });
 
   } catch (error) {
@@ -2125,18 +3952,13 @@ app.get('/api/campaigns', authenticate, async (req, res) => {
 app.get('/api/flows', authenticate, async (req, res) => {
   try {
     const userApiKey = await getUserApiKey(req);
+    const klaviyo = createKlaviyoClient(userApiKey, req);
     console.log('Fetching all flows...');
     
     // Fetch all flows from Klaviyo
-    const response = await axios.get(`${KLAVIYO_BASE_URL}/flows/`, {
-      headers: {
-        "Authorization": `Klaviyo-API-Key ${userApiKey}`,
-        "revision": "2024-10-15",
-        "Accept": "application/json"
-      }
-    });
+    const response = await klaviyo.listFlows();
     
-    const allFlows = response.data.data || [];
+    const allFlows = response.data || [];
     console.log(`Total flows fetched from API: ${allFlows.length}`);
     
     // Filter out draft flows only
@@ -2148,23 +3970,12 @@ app.get('/api/flows', authenticate, async (req, res) => {
     
     console.log(`Filtered to ${filteredFlows.length} active flows (excluding ${beforeDraftFilter - filteredFlows.length} drafts)`);
     
-    // Get Placed Order metric ID for revenue calculation
-    let placedOrderMetricId = null;
+    // Get the account's conversion metric ID for revenue calculation
+    let conversionMetricId = null;
     try {
-      const metricsResponse = await axios.get(`${KLAVIYO_BASE_URL}/metrics/`, {
-        headers: {
-          'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-          'revision': '2024-10-15',
-          'Accept': 'application/json'
-        }
-      });
-      
-      const allMetrics = metricsResponse.data?.data || [];
+      const allMetrics = await klaviyo.getMetrics();
       
-      placedOrderMetricId = allMetrics.find(m => 
-        m.attributes?.name === 'Placed Order' || 
-        m.attributes?.name?.toLowerCase().includes('placed order')
-      )?.id;
+      conversionMetricId = resolveConversionMetrics(allMetrics, await getUserMetricSettings(req)).conversion?.id || null;
     } catch (error) {
       console.log('Warning: Could not fetch metrics list:', error.message);
     }
@@ -2194,39 +4005,23 @@ app.get('/api/flows', authenticate, async (req, res) => {
         console.log(`Fetching metrics for flow: ${flow.attributes.name} (${flow.id})`);
         
         // Fetch basic metrics (recipients, opens, clicks) from flow-values-reports
-        const metricsResponse = await axios.post(
-          `${KLAVIYO_BASE_URL}/flow-values-reports/`,
-          {
-            data: {
-              type: 'flow-values-report',
-              attributes: {
-                statistics: [
-                  'recipients',
-                  'opens',
-                  'clicks',
-                  'conversions',
-                      'conversion_value',
-                      'conversion_uniques'
-                ],
-                timeframe: {
-                  key: 'last_30_days'
-                },
-                conversion_metric_id: placedOrderMetricId,
-                filter: `equals(flow_id,"${flow.id}")`
-              }
-            }
+        const metricsResponse = await klaviyo.flowValuesReport({
+          statistics: [
+            'recipients',
+            'opens',
+            'clicks',
+            'conversions',
+            'conversion_value',
+            'conversion_uniques'
+          ],
+          timeframe: {
+            key: 'last_30_days'
           },
-          {
-            headers: {
-              'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-              'revision': '2024-10-15',
-              'Accept': 'application/json',
-              'Content-Type': 'application/json'
-            }
-          }
-        );
+          conversion_metric_id: conversionMetricId,
+          filter: `equals(flow_id,"${flow.id}")`
+        });
         console.log('Metrics response:', JSON.stringify(metricsResponse.data, null, 2));
-        const results = metricsResponse.data?.data?.attributes?.results || [];
+        const results = metricsResponse.data?.attributes?.results || [];
         if (results.length > 0) {
           // Sum up all statistics across all flow messages (results are grouped by flow_message_id)
           const aggregatedStats = {
@@ -2280,7 +4075,8 @@ app.get('/api/flows', authenticate, async (req, res) => {
     res.json({
       success: true,
       data: flowsWithMetrics,
-      total: flowsWithMetrics.length
+      total: flowsWithMetrics.length,
+      ...klaviyo.getTruncation()
     });
     
   } catch (error) {
@@ -2292,66 +4088,36 @@ app.get('/api/flows', authenticate, async (req, res) => {
   }
 });
 
-// Endpoint to fetch Placed Order events by campaign
+// Endpoint to fetch conversion events by campaign
 app.get('/api/campaigns/by-status', authenticate, async (req, res) => {
   try {
     const userApiKey = await getUserApiKey(req);
-    const { status } = req.query;
-    const { start } = getLast30Days();
-    const startTimestamp = new Date(start).toISOString();
-    
-    // Only support Placed Order
-    if (status !== 'Placed Order') {
-      return res.json({
-        success: false,
-        error: 'Only "Placed Order" status is supported'
-      });
-    }
-    
-    console.log('Fetching Placed Order events...');
+    const klaviyo = createKlaviyoClient(userApiKey, req);
+    const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+    const dateRange = getRequestDateRange(req, res, accountTimezone);
+    if (!dateRange) return;
+    const startTimestamp = new Date(dateRange.start).toISOString();
+    const endTimestamp = new Date(dateRange.end).toISOString();
     
-    // Get Placed Order metric ID
-    const metricsResponse = await axios.get(`${KLAVIYO_BASE_URL}/metrics/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      }
-    });
-    
-    const metrics = metricsResponse.data?.data || [];
-    const placedOrderMetric = metrics.find(m => 
-      m.attributes?.name === 'Placed Order' ||
-      m.attributes?.name?.toLowerCase() === 'placed order'
-    );
+    console.log('Fetching conversion events...');
     
-    if (!placedOrderMetric) {
-      return res.json({
-        success: false,
-        error: 'Placed Order metric not found'
-      });
-    }
+    // Get the conversion metric (or the secondary metric named by ?status=)
+    const conversionMetric = await getRequestConversionMetric(req, res, klaviyo);
+    if (!conversionMetric) return;
     
-    console.log(`Using Placed Order metric ID: ${placedOrderMetric.id}`);
+    console.log(`Using ${conversionMetric.name} metric ID: ${conversionMetric.id}`);
     
-    // Fetch Placed Order events
-    const response = await axios.get(`${KLAVIYO_BASE_URL}/events/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      },
-      params: {
-        'filter': `equals(metric_id,"${placedOrderMetric.id}"),greater-or-equal(datetime,${startTimestamp}, less-than(datetime,${endTimestamp}))`,
-        'fields[event]': 'datetime,event_properties',
-        'include': 'attributions'
-      }
+    // Fetch conversion events
+    const response = await klaviyo.listEvents({
+      'filter': `equals(metric_id,"${conversionMetric.id}"),greater-or-equal(datetime,${startTimestamp}),less-than(datetime,${endTimestamp})`,
+      'fields[event]': 'datetime,event_properties',
+      'include': 'attributions'
     });
 
-    const events = response.data.data || [];
-    const included = response.data.included || [];
+    const events = response.data || [];
+    const included = response.included || [];
     
-    console.log(`Processing ${events.length} Placed Order events`);
+    console.log(`Processing ${events.length} ${conversionMetric.name} events`);
     
     // Process events to extract attribution data
     const processedEvents = events.map(event => {
@@ -2393,7 +4159,7 @@ app.get('/api/campaigns/by-status', authenticate, async (req, res) => {
         attributes: {
           datetime: attrs.datetime,
           event_properties: eventProps,
-          metric_id: placedOrderMetric.id
+          metric_id: conversionMetric.id
         },
         campaignId: campaignId,
         revenue: revenue
@@ -2405,7 +4171,7 @@ app.get('/api/campaigns/by-status', authenticate, async (req, res) => {
     const eventsWithRevenue = processedEvents.filter(e => e.revenue > 0).length;
     const eventsWithCampaign = processedEvents.filter(e => e.campaignId).length;
     
-    console.log(`\n[Summary] Placed Order Events`);
+    console.log(`\n[Summary] ${conversionMetric.name} Events`);
     console.log(`[Summary] Event Sample: ${processedEvents[0]}`);
     console.log(`[Summary] Total events: ${processedEvents.length}`);
     console.log(`[Summary] Events with revenue: ${eventsWithRevenue}`);
@@ -2433,8 +4199,10 @@ app.get('/api/campaigns/by-status', authenticate, async (req, res) => {
       success: true,
       data: processedEvents,
       total: processedEvents.length,
-      metricName: 'Placed Order',
-      metricId: placedOrderMetric.id
+      metricName: conversionMetric.name,
+      metricId: conversionMetric.id,
+      dateRange: dateRange,
+      ...klaviyo.getTruncation()
     });
 
   } catch (error) {
@@ -2446,58 +4214,71 @@ app.get('/api/campaigns/by-status', authenticate, async (req, res) => {
   }
 });
 
-// Endpoint to fetch campaign values/metrics (aggregate data)
-app.get('/api/campaigns/:campaignId/values', authenticate, async (req, res) => {
+// Endpoint to fetch campaign values/metrics per campaign message (A/B variations, email and SMS messages)
+// Accepts the same date range parameters as /api/revenue/total; conversions and revenue use the account's conversion metric
+app.get('/api/campaigns/:campaignId/values', authenticate, requireKlaviyoId('campaignId', 'campaign'), async (req, res) => {
   try {
     const userApiKey = await getUserApiKey(req);
+    const klaviyo = createKlaviyoClient(userApiKey, req);
     const { campaignId } = req.params;
+    const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+    const dateRange = getRequestDateRange(req, res, accountTimezone);
+    if (!dateRange) return;
     
     console.log(`Fetching values for campaign: ${campaignId}`);
     
-    // Get campaign values using the reporting endpoint
-    const valuesResponse = await axios.post(
-      `${KLAVIYO_BASE_URL}/campaign-values-reports/`,
-      {
-        data: {
-          type: 'campaign-values-report',
-          attributes: {
-            statistics: [
-              'opens',
-              'unique_opens', 
-              'clicks',
-              'unique_clicks',
-              'bounces',
-              'recipients'
-            ],
-            timeframe: {
-              key: 'last_30_days'
-            }
-          },
-          relationships: {
-            campaigns: {
-              data: [
-                {
-                  type: 'campaign',
-                  id: campaignId
-                }
-              ]
-            }
-          }
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-          'revision': '2024-10-15',
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        }
+    const metricSettings = await getUserMetricSettings(req);
+    const { conversion: conversionMetric } = resolveConversionMetrics(await klaviyo.getMetrics(), metricSettings);
+    if (!conversionMetric) {
+      return res.json({
+        success: false,
+        error: getMissingConversionMetricError(metricSettings)
+      });
+    }
+    
+    let campaignResponse;
+    try {
+      campaignResponse = await klaviyo.getCampaign(campaignId);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
       }
-    );
-
+      throw error;
+    }
+    const campaign = campaignResponse.data;
+    const messages = getCampaignMessages(campaignResponse);
+    
+    // Get campaign values per message using the reporting endpoint
+    const valuesResponse = await klaviyo.campaignValuesReport({
+      statistics: MESSAGE_REPORT_STATISTICS,
+      timeframe: {
+        start: dateRange.start,
+        end: dateRange.end
+      },
+      conversion_metric_id: conversionMetric.id,
+      filter: `equals(campaign_id,"${campaignId}")`
+    });
+    const results = valuesResponse.data?.attributes?.results || [];
+    const messageRows = buildCampaignMessageRows(messages, results);
+    
     res.json({
       success: true,
-      data: valuesResponse.data
+      campaign: {
+        id: campaign.id,
+        name: campaign.attributes?.name || campaign.id,
+        status: campaign.attributes?.status || 'unknown',
+        sendTime: campaign.attributes?.send_time || campaign.attributes?.scheduled_at || null,
+        channels: [...new Set(messageRows.map(row => row.channel))]
+      },
+      messages: messageRows,
+      totals: sumMessageRows(messageRows),
+      conversionMetric,
+      currency: await getKlaviyoAccountCurrency(klaviyo),
+      dateRange: dateRange,
+      ...klaviyo.getTruncation()
     });
 
   } catch (error) {
@@ -2509,25 +4290,17 @@ app.get('/api/campaigns/:campaignId/values', authenticate, async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
-
 // Helper endpoint to get all available metrics (for debugging)
 app.get('/api/metrics', authenticate, async (req, res) => {
   try {
     const userApiKey = await getUserApiKey(req);
-    const response = await axios.get(`${KLAVIYO_BASE_URL}/metrics/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      }
-    });
+    const klaviyo = createKlaviyoClient(userApiKey, req);
+    const metrics = await klaviyo.getMetrics();
 
     res.json({
       success: true,
-      data: response.data.data || []
+      data: metrics,
+      ...klaviyo.getTruncation()
     });
   } catch (error) {
     console.error('Error fetching metrics:', error.response?.data || error.message);
@@ -2538,39 +4311,76 @@ app.get('/api/metrics', authenticate, async (req, res) => {
   }
 });
 
+// Helper function to get the campaign message a conversion event is attributed to
+// Klaviyo attributes campaign conversions to the campaign ($attributed_message is the campaign ID), so the message
+// comes from the event's included attribution (campaign message relationship or message_id), when there is one
+function getEventAttributedMessageId(event, included) {
+  const attributionRefs = event.relationships?.attributions?.data || [];
+  for (const attributionRef of attributionRefs) {
+    const attribution = included.find(inc => inc.id === attributionRef.id && inc.type === 'attribution');
+    const messageId = attribution?.relationships?.['attributed-message']?.data?.id ||
+                      attribution?.relationships?.['campaign-message']?.data?.id ||
+                      attribution?.attributes?.message_id;
+    if (messageId) {
+      return messageId;
+    }
+  }
+  return event.attributes?.event_properties?.['$attributed_message_id'] || null;
+}
+
 // Endpoint to fetch attribution data for a campaign
-app.get('/api/campaigns/:campaignId/attribution', authenticate, async (req, res) => {
+app.get('/api/campaigns/:campaignId/attribution', authenticate, requireKlaviyoId('campaignId', 'campaign'), async (req, res) => {
   try {
     const userApiKey = await getUserApiKey(req);
+    const klaviyo = createKlaviyoClient(userApiKey, req);
     const { campaignId } = req.params;
-    const { start } = getLast30Days();
-    const startTimestamp = new Date(start).toISOString();
+    const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+    const dateRange = getRequestDateRange(req, res, accountTimezone);
+    if (!dateRange) return;
+    const startTimestamp = new Date(dateRange.start).toISOString();
+    const endTimestamp = new Date(dateRange.end).toISOString();
     
     console.log(`Fetching attribution for campaign: ${campaignId}`);
-    
-    // Get Placed Order events attributed to this campaign
-    const response = await axios.get(`${KLAVIYO_BASE_URL}/events/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      },
-      params: {
-        'filter': `greater-than(datetime,${startTimestamp})`,
-        'fields[event]': 'datetime,event_properties'
-      }
+
+    // Get the conversion metric (or the secondary metric named by ?status=)
+    const conversionMetric = await getRequestConversionMetric(req, res, klaviyo);
+    if (!conversionMetric) return;
+
+    // Get conversion events attributed to this campaign
+    const response = await klaviyo.listEvents({
+      'filter': `equals(metric_id,"${conversionMetric.id}"),greater-or-equal(datetime,${startTimestamp}),less-than(datetime,${endTimestamp})`,
+      'fields[event]': 'datetime,event_properties',
+      'include': 'attributions'
     });
+    const included = response.included || [];
 
-    const events = response.data.data || [];
-    
-    // Calculate revenue and conversions from events
+    const events = (response.data || []).filter(event => {
+      const eventProps = event.attributes?.event_properties || {};
+      const eventCampaignId = eventProps['$attributed_campaign'] ||
+                              eventProps['$attributed_message'] ||
+                              eventProps.campaign_id ||
+                              eventProps['Campaign ID'];
+      return eventCampaignId === campaignId;
+    });
+
+    // Calculate revenue and conversions from events, in total and per campaign message
     let revenue = 0;
     let conversions = 0;
-    
+    const messageStats = {};
+
     events.forEach(event => {
-      if (event.attributes?.event_properties?.value) {
-        revenue += parseFloat(event.attributes.event_properties.value);
+      const eventRevenue = extractRevenue(event.attributes?.event_properties || {}, event.id);
+      const messageId = getEventAttributedMessageId(event, included);
+      const key = messageId || '';
+      if (!messageStats[key]) {
+        messageStats[key] = { messageId, revenue: 0, conversions: 0, events: 0 };
+      }
+      messageStats[key].events++;
+      if (eventRevenue > 0) {
+        revenue += eventRevenue;
         conversions++;
+        messageStats[key].revenue += eventRevenue;
+        messageStats[key].conversions++;
       }
     });
 
@@ -2579,8 +4389,14 @@ app.get('/api/campaigns/:campaignId/attribution', authenticate, async (req, res)
       data: {
         revenue,
         conversions,
-        events: events.length
-      }
+        events: events.length,
+        // Events whose attribution names no campaign message have messageId null
+        messages: Object.values(messageStats)
+      },
+      metricName: conversionMetric.name,
+      metricId: conversionMetric.id,
+      dateRange: dateRange,
+      ...klaviyo.getTruncation()
     });
 
   } catch (error) {
@@ -2592,66 +4408,36 @@ app.get('/api/campaigns/:campaignId/attribution', authenticate, async (req, res)
   }
 });
 
-// Endpoint to fetch Placed Order events by flow
+// Endpoint to fetch conversion events by flow
 app.get('/api/flows/by-status', authenticate, async (req, res) => {
   try {
     const userApiKey = await getUserApiKey(req);
-    const { status } = req.query;
-    const { start } = getLast30Days();
-    const startTimestamp = new Date(start).toISOString();
-    
-    // Only support Placed Order
-    if (status !== 'Placed Order') {
-      return res.json({
-        success: false,
-        error: 'Only "Placed Order" status is supported'
-      });
-    }
-    
-    console.log('Fetching Placed Order events for flows...');
-    
-    // Get Placed Order metric ID
-    const metricsResponse = await axios.get(`${KLAVIYO_BASE_URL}/metrics/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      }
-    });
+    const klaviyo = createKlaviyoClient(userApiKey, req);
+    const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+    const dateRange = getRequestDateRange(req, res, accountTimezone);
+    if (!dateRange) return;
+    const startTimestamp = new Date(dateRange.start).toISOString();
+    const endTimestamp = new Date(dateRange.end).toISOString();
     
-    const metrics = metricsResponse.data?.data || [];
-    const placedOrderMetric = metrics.find(m => 
-      m.attributes?.name === 'Placed Order' ||
-      m.attributes?.name?.toLowerCase() === 'placed order'
-    );
+    console.log('Fetching conversion events for flows...');
     
-    if (!placedOrderMetric) {
-      return res.json({
-        success: false,
-        error: 'Placed Order metric not found'
-      });
-    }
+    // Get the conversion metric (or the secondary metric named by ?status=)
+    const conversionMetric = await getRequestConversionMetric(req, res, klaviyo);
+    if (!conversionMetric) return;
     
-    console.log(`Using Placed Order metric ID: ${placedOrderMetric.id}`);
+    console.log(`Using ${conversionMetric.name} metric ID: ${conversionMetric.id}`);
     
-    // Fetch Placed Order events
-    const response = await axios.get(`${KLAVIYO_BASE_URL}/events/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      },
-      params: {
-        'filter': `equals(metric_id,"${placedOrderMetric.id}"),greater-than(datetime,${startTimestamp})`,
-        'fields[event]': 'datetime,event_properties',
-        'include': 'attributions'
-      }
+    // Fetch conversion events
+    const response = await klaviyo.listEvents({
+      'filter': `equals(metric_id,"${conversionMetric.id}"),greater-or-equal(datetime,${startTimestamp}),less-than(datetime,${endTimestamp})`,
+      'fields[event]': 'datetime,event_properties',
+      'include': 'attributions'
     });
 
-    const events = response.data.data || [];
-    const included = response.data.included || [];
+    const events = response.data || [];
+    const included = response.included || [];
     
-    console.log(`Processing ${events.length} Placed Order events`);
+    console.log(`Processing ${events.length} ${conversionMetric.name} events`);
     
     // Process events to extract attribution data
     const processedEvents = events.map(event => {
@@ -2693,7 +4479,7 @@ app.get('/api/flows/by-status', authenticate, async (req, res) => {
         attributes: {
           datetime: attrs.datetime,
           event_properties: eventProps,
-          metric_id: placedOrderMetric.id
+          metric_id: conversionMetric.id
         },
         flowId: flowId,
         revenue: revenue
@@ -2713,7 +4499,9 @@ app.get('/api/flows/by-status', authenticate, async (req, res) => {
       summary: {
         totalRevenue,
         eventsWithRevenue
-      }
+      },
+      dateRange: dateRange,
+      ...klaviyo.getTruncation()
     });
 
   } catch (error) {
@@ -2725,54 +4513,126 @@ app.get('/api/flows/by-status', authenticate, async (req, res) => {
   }
 });
 
-// Endpoint to fetch attribution data for a flow
-app.get('/api/flows/:flowId/attribution', authenticate, async (req, res) => {
+// Endpoint to fetch the performance of each step (flow message) of a flow, in flow order with its time delays
+// Accepts the same date range parameters as /api/revenue/total; conversions and revenue use the account's conversion metric
+app.get('/api/flows/:flowId/values', authenticate, requireKlaviyoId('flowId', 'flow'), async (req, res) => {
   try {
     const userApiKey = await getUserApiKey(req);
+    const klaviyo = createKlaviyoClient(userApiKey, req);
     const { flowId } = req.params;
-    const { start } = getLast30Days();
-    const startTimestamp = new Date(start).toISOString();
-    
-    console.log(`Fetching attribution for flow: ${flowId}`);
+    const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+    const dateRange = getRequestDateRange(req, res, accountTimezone);
+    if (!dateRange) return;
     
-    // Get Placed Order metric ID
-    const metricsResponse = await axios.get(`${KLAVIYO_BASE_URL}/metrics/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      }
-    });
-    
-    const metrics = metricsResponse.data?.data || [];
-    const placedOrderMetric = metrics.find(m => 
-      m.attributes?.name === 'Placed Order' ||
-      m.attributes?.name?.toLowerCase() === 'placed order'
-    );
+    console.log(`Fetching values for flow: ${flowId}`);
     
-    if (!placedOrderMetric) {
+    const metricSettings = await getUserMetricSettings(req);
+    const { conversion: conversionMetric } = resolveConversionMetrics(await klaviyo.getMetrics(), metricSettings);
+    if (!conversionMetric) {
       return res.json({
         success: false,
-        error: 'Placed Order metric not found'
+        error: getMissingConversionMetricError(metricSettings)
       });
     }
     
-    // Get Placed Order events attributed to this flow
-    const response = await axios.get(`${KLAVIYO_BASE_URL}/events/`, {
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${userApiKey}`,
-        'revision': '2024-10-15',
-        'Accept': 'application/json'
-      },
-      params: {
-        'filter': `equals(metric_id,"${placedOrderMetric.id}"),greater-than(datetime,${startTimestamp})`,
-        'fields[event]': 'datetime,event_properties',
-        'include': 'attributions'
+    let flowResponse;
+    try {
+      flowResponse = await klaviyo.getFlow(flowId);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: 'Flow not found'
+        });
       }
+      throw error;
+    }
+    const flow = flowResponse.data;
+    
+    // Get the messages of each send action (one request per action)
+    const sendActions = (flowResponse.included || [])
+      .filter(item => item.type === 'flow-action' && (item.attributes?.action_type || '').startsWith('SEND_'));
+    const messagesByAction = {};
+    for (const action of sendActions) {
+      try {
+        const messagesResponse = await klaviyo.listFlowActionMessages(action.id);
+        messagesByAction[action.id] = (messagesResponse.data || []).map(message => ({
+          id: message.id,
+          name: message.attributes?.name || message.id,
+          channel: message.attributes?.channel || null
+        }));
+        await delay(); // 0.1s delay
+      } catch (error) {
+        console.log(`Error fetching messages of flow action ${action.id}:`, error.response?.data || error.message);
+      }
+    }
+    
+    // Get flow values per flow message using the reporting endpoint
+    const valuesResponse = await klaviyo.flowValuesReport({
+      statistics: MESSAGE_REPORT_STATISTICS,
+      timeframe: {
+        start: dateRange.start,
+        end: dateRange.end
+      },
+      conversion_metric_id: conversionMetric.id,
+      filter: `equals(flow_id,"${flowId}")`
+    });
+    const results = valuesResponse.data?.attributes?.results || [];
+    const steps = buildFlowStepRows(getFlowSteps(flowResponse, messagesByAction), results);
+    
+    res.json({
+      success: true,
+      flow: {
+        id: flow.id,
+        name: flow.attributes?.name || flow.id,
+        status: flow.attributes?.status || 'unknown',
+        triggerType: flow.attributes?.trigger_type || null,
+        updatedAt: flow.attributes?.updated || null
+      },
+      steps,
+      totals: sumMessageRows(steps),
+      conversionMetric,
+      currency: await getKlaviyoAccountCurrency(klaviyo),
+      dateRange: dateRange,
+      ...klaviyo.getTruncation()
+    });
+
+  } catch (error) {
+    console.error('Error fetching flow values:', error.response?.data || error.message);
+    res.status(500).json({
+      success: false,
+      error: error.response?.data?.errors || error.message
+    });
+  }
+});
+
+// Endpoint to fetch attribution data for a flow
+app.get('/api/flows/:flowId/attribution', authenticate, requireKlaviyoId('flowId', 'flow'), async (req, res) => {
+  try {
+    const userApiKey = await getUserApiKey(req);
+    const klaviyo = createKlaviyoClient(userApiKey, req);
+    const { flowId } = req.params;
+    const accountTimezone = await getKlaviyoAccountTimezone(klaviyo);
+    const dateRange = getRequestDateRange(req, res, accountTimezone);
+    if (!dateRange) return;
+    const startTimestamp = new Date(dateRange.start).toISOString();
+    const endTimestamp = new Date(dateRange.end).toISOString();
+    
+    console.log(`Fetching attribution for flow: ${flowId}`);
+    
+    // Get the conversion metric (or the secondary metric named by ?status=)
+    const conversionMetric = await getRequestConversionMetric(req, res, klaviyo);
+    if (!conversionMetric) return;
+    
+    // Get conversion events attributed to this flow
+    const response = await klaviyo.listEvents({
+      'filter': `equals(metric_id,"${conversionMetric.id}"),greater-or-equal(datetime,${startTimestamp}),less-than(datetime,${endTimestamp})`,
+      'fields[event]': 'datetime,event_properties',
+      'include': 'attributions'
     });
 
-    const events = response.data.data || [];
-    const included = response.data.included || [];
+    const events = response.data || [];
+    const included = response.included || [];
     
     // Filter events attributed to this flow and calculate revenue
     let revenue = 0;
@@ -2832,7 +4692,11 @@ app.get('/api/flows/:flowId/attribution', authenticate, async (req, res) => {
         revenue,
         conversions,
         events: attributedEvents.length
-      }
+      },
+      metricName: conversionMetric.name,
+      metricId: conversionMetric.id,
+      dateRange: dateRange,
+      ...klaviyo.getTruncation()
     });
 
   } catch (error) {
@@ -2844,3 +4708,18 @@ app.get('/api/flows/:flowId/attribution', authenticate, async (req, res) => {
   }
 });
 
+// Start the server when run directly; tests require the app without listening
+if (require.main === module) {
+  // One-time import of a users.json file left over from before the database
+  importUsersJson();
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    syncWorker.start();
+    reportScheduler.start();
+    alertEvaluator.start();
+    webhookDispatcher.start();
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,158 @@
+const { getDb } = require('./db');
+
+// How often every account is synced (SYNC_INTERVAL_MINUTES, 0 disables the worker)
+const DEFAULT_SYNC_INTERVAL_MINUTES = 30;
+
+// Pre-computed dashboard responses, stored in the snapshots table
+// Snapshots are keyed by account and snapshot key (see buildCacheKey) and read as { value, syncedAt }
+class SnapshotStore {
+  constructor(db = getDb()) {
+    this.db = db;
+  }
+
+  // Get a snapshot no older than maxAge milliseconds, or null
+  async get(accountKey, key, maxAge) {
+    const row = this.db.prepare('SELECT value, synced_at FROM snapshots WHERE account_key = ? AND key = ?').get(accountKey, key);
+    if (!row) return null;
+
+    if (maxAge && Date.now() - new Date(row.synced_at).getTime() > maxAge) {
+      return null;
+    }
+    return { value: JSON.parse(row.value), syncedAt: row.synced_at };
+  }
+
+  // Replace all snapshots of an account
+  async save(accountKey, snapshots) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM snapshots WHERE account_key = ?').run(accountKey);
+      Object.entries(snapshots).forEach(([key, snapshot]) => this.insert(accountKey, key, snapshot));
+    })();
+  }
+
+  // Replace a single snapshot of an account
+  async set(accountKey, key, snapshot) {
+    this.insert(accountKey, key, snapshot);
+  }
+
+  insert(accountKey, key, snapshot) {
+    this.db.prepare('INSERT OR REPLACE INTO snapshots (account_key, key, value, synced_at) VALUES (?, ?, ?, ?)')
+      .run(accountKey, key, JSON.stringify(snapshot.value), snapshot.syncedAt);
+  }
+}
+
+// Periodically runs syncAccount for every registered account, one account at a time
+// listAccounts() returns [{ id, name, ... }], syncAccount(account) does the work for one account
+// onAccountSynced(account, status), if given, is called after each job (successful or not)
+class SyncWorker {
+  constructor({ listAccounts, syncAccount, onAccountSynced = null, intervalMinutes = DEFAULT_SYNC_INTERVAL_MINUTES }) {
+    this.listAccounts = listAccounts;
+    this.syncAccount = syncAccount;
+    this.onAccountSynced = onAccountSynced;
+    this.intervalMs = intervalMinutes * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    // Job status per account ID
+    this.statuses = new Map();
+  }
+
+  // Whether periodic syncing is on (an interval of 0 turns it off)
+  isEnabled() {
+    return this.intervalMs > 0;
+  }
+
+  start() {
+    if (this.timer || !this.isEnabled()) {
+      return;
+    }
+
+    console.log(`Sync worker started, syncing every ${this.intervalMs / 60000} minutes`);
+    // First run shortly after startup, then on the interval
+    setTimeout(() => this.runAll(), 5000).unref();
+    this.timer = setInterval(() => this.runAll(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Sync every account; skipped if the previous run is still going
+  async runAll() {
+    if (this.running) {
+      console.log('Sync worker: previous run still in progress, skipping');
+      return;
+    }
+
+    this.running = true;
+    try {
+      const accounts = await this.listAccounts();
+      for (const account of accounts) {
+        await this.runAccount(account);
+      }
+    } catch (error) {
+      console.error('Sync worker: error listing accounts:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Sync one account and record its job status
+  async runAccount(account) {
+    const current = this.statuses.get(account.id);
+    if (current?.status === 'running') {
+      return current;
+    }
+
+    const startedAt = Date.now();
+    const status = {
+      ...current,
+      accountId: account.id,
+      accountName: account.name,
+      status: 'running',
+      lastRunAt: new Date(startedAt).toISOString()
+    };
+    this.statuses.set(account.id, status);
+
+    try {
+      await this.syncAccount(account);
+      status.status = 'ok';
+      status.lastSuccessAt = new Date().toISOString();
+      status.error = null;
+    } catch (error) {
+      status.status = 'error';
+      status.error = error.response?.data?.errors?.[0]?.detail || error.message;
+      console.error(`Sync worker: error syncing account ${account.name} (${account.id}):`, status.error);
+    }
+
+    status.durationMs = Date.now() - startedAt;
+    console.log(`Sync worker: account ${account.name} (${account.id}) ${status.status} in ${status.durationMs}ms`);
+    
+    if (this.onAccountSynced) {
+      try {
+        await this.onAccountSynced(account, { ...status });
+      } catch (error) {
+        console.error(`Sync worker: error after syncing account ${account.name} (${account.id}):`, error.message);
+      }
+    }
+    return status;
+  }
+
+  // Job status for an account (never-synced accounts report 'pending')
+  getStatus(accountId) {
+    return this.statuses.get(accountId) || {
+      accountId,
+      status: 'pending',
+      lastRunAt: null,
+      lastSuccessAt: null,
+      durationMs: null,
+      error: null
+    };
+  }
+}
+
+module.exports = {
+  SnapshotStore,
+  SyncWorker,
+  DEFAULT_SYNC_INTERVAL_MINUTES
+};
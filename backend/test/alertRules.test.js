@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateAlertRule, getAlertDateRange, evaluateAlertCondition, describeAlert } = require('../alertRules');
+
+const BASE_RULE = {
+  name: 'Revenue dip',
+  metric: 'revenue',
+  scopeType: 'total',
+  condition: 'drop',
+  threshold: 30,
+  timezone: 'UTC'
+};
+
+test('validateAlertRule applies defaults and the next evaluation', () => {
+  const { rule, error } = validateAlertRule(BASE_RULE, {}, new Date('2024-03-06T12:00:00Z'));
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(rule.lookbackDays, 7);
+  assert.strictEqual(rule.cron, '0 9 * * *');
+  assert.strictEqual(rule.nextRunAt, '2024-03-07T09:00:00.000Z');
+  assert.strictEqual(rule.scopeId, null);
+  assert.deepStrictEqual(rule.emailRecipients, []);
+  assert.strictEqual(rule.webhookUrl, null);
+});
+
+test('validateAlertRule rejects invalid rules', () => {
+  assert.match(validateAlertRule({ ...BASE_RULE, metric: 'bounces' }).error, /Invalid metric/);
+  assert.match(validateAlertRule({ ...BASE_RULE, scopeType: 'flow' }).error, /A flow is required/);
+  assert.match(validateAlertRule({ ...BASE_RULE, scopeType: 'campaign', scopeId: 'C1"),equals($flow,"F1' }).error, /Invalid campaign ID/);
+  assert.match(validateAlertRule({ ...BASE_RULE, threshold: 120 }).error, /between 0 and 100/);
+  assert.match(validateAlertRule({ ...BASE_RULE, condition: 'anomaly', threshold: 0 }).error, /z-score above 0/);
+  assert.match(validateAlertRule({ ...BASE_RULE, lookbackDays: 2 }).error, /between 3 and 60 days/);
+  assert.match(validateAlertRule({ ...BASE_RULE, webhookUrl: 'ftp://example.com' }).error, /http or https/);
+  assert.match(validateAlertRule({ ...BASE_RULE, emailRecipients: 'not-an-email' }).error, /not-an-email/);
+  assert.match(validateAlertRule({ ...BASE_RULE, cron: '0 9 * *' }).error, /Invalid schedule/);
+});
+
+test('getAlertDateRange ends on the last complete day of the timezone', () => {
+  const now = new Date('2024-03-10T02:00:00Z');
+  assert.deepStrictEqual(getAlertDateRange(7, 'UTC', now), { start: '2024-03-02', end: '2024-03-09' });
+  // Still March 9 in Los Angeles
+  assert.deepStrictEqual(getAlertDateRange(3, 'America/Los_Angeles', now), { start: '2024-03-05', end: '2024-03-08' });
+});
+
+test('evaluateAlertCondition checks thresholds, drops and anomalies', () => {
+  const history = [100, 110, 90, 100, 105, 95, 100];
+
+  assert.strictEqual(evaluateAlertCondition({ condition: 'below', threshold: 50 }, [...history, 40]).triggered, true);
+  assert.strictEqual(evaluateAlertCondition({ condition: 'below', threshold: 50 }, [...history, 60]).triggered, false);
+
+  const drop = evaluateAlertCondition({ condition: 'drop', threshold: 30 }, [...history, 60]);
+  assert.strictEqual(drop.baseline, 100);
+  assert.strictEqual(drop.changePercent, -40);
+  assert.strictEqual(drop.triggered, true);
+  assert.strictEqual(evaluateAlertCondition({ condition: 'drop', threshold: 50 }, [...history, 60]).triggered, false);
+
+  const spike = evaluateAlertCondition({ condition: 'anomaly', threshold: 3 }, [...history, 200]);
+  assert.ok(spike.zScore > 3);
+  assert.strictEqual(spike.triggered, true);
+  assert.strictEqual(evaluateAlertCondition({ condition: 'anomaly', threshold: 3 }, [...history, 104]).triggered, false);
+
+  // A flat history makes any change an anomaly
+  const flat = evaluateAlertCondition({ condition: 'anomaly', threshold: 3 }, [0, 0, 0, 5]);
+  assert.strictEqual(flat.zScore, Infinity);
+  assert.strictEqual(flat.triggered, true);
+});
+
+test('describeAlert explains why the rule fired', () => {
+  const rule = { ...BASE_RULE, scopeType: 'flow', scopeId: 'F1', scopeName: 'Abandoned Cart', lookbackDays: 7 };
+  const result = evaluateAlertCondition(rule, [500, 500, 500, 500, 500, 500, 500, 0]);
+  assert.strictEqual(
+    describeAlert(rule, result, { day: '2024-03-09', currency: 'USD' }),
+    'Revenue of flow Abandoned Cart was $0.00 on 2024-03-09, 100.0% below the 7-day average of $500.00'
+  );
+
+  const anomaly = { ...rule, metric: 'open_rate', condition: 'anomaly', threshold: 3 };
+  assert.match(
+    describeAlert(anomaly, evaluateAlertCondition(anomaly, [20, 22, 21, 40]), { day: '2024-03-09' }),
+    /^Open rate of flow Abandoned Cart was 40\.00% on 2024-03-09, unusually above the 7-day average of 21\.00% \(z-score 19\.0\)$/
+  );
+});
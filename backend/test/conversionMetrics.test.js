@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getMetricSettingsKey,
+  resolveConversionMetrics,
+  findConversionMetricByStatus,
+  validateMetricSettings
+} = require('../conversionMetrics');
+
+// Metric resources as listed by GET /api/metrics/
+const METRICS = [
+  { id: 'PLACED', attributes: { name: 'Placed Order', integration: { name: 'Shopify' } } },
+  { id: 'ORDERED', attributes: { name: 'Ordered Product', integration: { name: 'Shopify' } } },
+  { id: 'CHECKOUT', attributes: { name: 'Started Checkout', integration: { name: 'Shopify' } } }
+];
+
+test('resolveConversionMetrics defaults to Placed Order without a secondary metric', () => {
+  assert.deepStrictEqual(resolveConversionMetrics(METRICS), {
+    conversion: { id: 'PLACED', name: 'Placed Order', integration: 'Shopify' },
+    secondary: null
+  });
+  assert.strictEqual(resolveConversionMetrics(METRICS.slice(1)).conversion, null);
+});
+
+test('resolveConversionMetrics uses the chosen metrics and drops missing ones', () => {
+  const chosen = resolveConversionMetrics(METRICS, { conversionMetricId: 'ORDERED', secondaryMetricId: 'CHECKOUT' });
+  assert.strictEqual(chosen.conversion.name, 'Ordered Product');
+  assert.strictEqual(chosen.secondary.name, 'Started Checkout');
+
+  const deleted = resolveConversionMetrics(METRICS, { conversionMetricId: 'GONE', secondaryMetricId: 'GONE' });
+  assert.deepStrictEqual(deleted, { conversion: null, secondary: null });
+});
+
+test('findConversionMetricByStatus accepts the two metrics by name or ID', () => {
+  const conversionMetrics = resolveConversionMetrics(METRICS, { conversionMetricId: 'ORDERED', secondaryMetricId: 'CHECKOUT' });
+  assert.strictEqual(findConversionMetricByStatus(conversionMetrics, undefined).id, 'ORDERED');
+  assert.strictEqual(findConversionMetricByStatus(conversionMetrics, 'Started Checkout').id, 'CHECKOUT');
+  assert.strictEqual(findConversionMetricByStatus(conversionMetrics, 'ORDERED').id, 'ORDERED');
+  assert.strictEqual(findConversionMetricByStatus(conversionMetrics, 'Placed Order'), null);
+});
+
+test('validateMetricSettings rejects unknown and identical metrics', () => {
+  assert.strictEqual(validateMetricSettings(METRICS, { conversionMetricId: 'ORDERED', secondaryMetricId: null }), null);
+  assert.strictEqual(validateMetricSettings(METRICS, { conversionMetricId: null, secondaryMetricId: null }), null);
+  assert.match(validateMetricSettings(METRICS, { conversionMetricId: 'GONE' }), /Unknown conversion metric/);
+  assert.match(validateMetricSettings(METRICS, { secondaryMetricId: 'GONE' }), /Unknown secondary metric/);
+  assert.match(validateMetricSettings(METRICS, { conversionMetricId: 'ORDERED', secondaryMetricId: 'ORDERED' }), /must differ/);
+});
+
+test('getMetricSettingsKey separates the default from a chosen metric', () => {
+  assert.deepStrictEqual(getMetricSettingsKey({}), { conversionMetric: 'default', secondaryMetric: 'none' });
+  assert.deepStrictEqual(getMetricSettingsKey({ conversionMetricId: 'ORDERED', secondaryMetricId: 'CHECKOUT' }), {
+    conversionMetric: 'ORDERED',
+    secondaryMetric: 'CHECKOUT'
+  });
+});
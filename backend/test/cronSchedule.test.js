@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCronExpression, getNextRunTime } = require('../cronSchedule');
+const { ReportScheduler } = require('../reportScheduler');
+
+test('parseCronExpression expands lists, ranges and steps', () => {
+  const schedule = parseCronExpression('*/15 8-10 1,15 * 7');
+  assert.deepStrictEqual(schedule.minutes, [0, 15, 30, 45]);
+  assert.deepStrictEqual(schedule.hours, [8, 9, 10]);
+  assert.deepStrictEqual(schedule.daysOfMonth, [1, 15]);
+  assert.deepStrictEqual(schedule.daysOfWeek, [0]);
+});
+
+test('parseCronExpression rejects invalid expressions', () => {
+  assert.throws(() => parseCronExpression('0 8 * *'), /5 fields/);
+  assert.throws(() => parseCronExpression('0 24 * * *'), /hour field "24" must be between 0 and 23/);
+  assert.throws(() => parseCronExpression('0 8 * * mon'), /Invalid day of week field/);
+  assert.throws(() => parseCronExpression('*/0 8 * * *'), /Invalid step/);
+});
+
+test('getNextRunTime finds the next weekly and monthly run', () => {
+  // Wednesday 2024-03-06 12:00 UTC
+  const after = new Date('2024-03-06T12:00:00Z');
+  assert.strictEqual(getNextRunTime('0 8 * * 1', after).toISOString(), '2024-03-11T08:00:00.000Z');
+  assert.strictEqual(getNextRunTime('0 8 1 * *', after).toISOString(), '2024-04-01T08:00:00.000Z');
+  assert.strictEqual(getNextRunTime('0 8 1 * *', new Date('2024-04-01T08:00:00Z')).toISOString(), '2024-05-01T08:00:00.000Z');
+  assert.strictEqual(getNextRunTime('0 8 29 2 *', after).toISOString(), '2028-02-29T08:00:00.000Z');
+});
+
+test('getNextRunTime uses the wall clock of the timezone across DST changes', () => {
+  // New York switches to daylight time on 2024-03-10
+  const saturday = getNextRunTime('0 8 * * *', new Date('2024-03-09T00:00:00Z'), 'America/New_York');
+  const sunday = getNextRunTime('0 8 * * *', saturday, 'America/New_York');
+  assert.strictEqual(saturday.toISOString(), '2024-03-09T13:00:00.000Z');
+  assert.strictEqual(sunday.toISOString(), '2024-03-10T12:00:00.000Z');
+});
+
+test('getNextRunTime matches either day field when both are restricted', () => {
+  // The 15th or any Monday
+  const next = getNextRunTime('0 8 15 * 1', new Date('2024-03-12T00:00:00Z'));
+  assert.strictEqual(next.toISOString(), '2024-03-15T08:00:00.000Z');
+  assert.throws(() => getNextRunTime('0 8 31 2 *', new Date()), /never matches/);
+});
+
+test('ReportScheduler stores the next run before delivering each due schedule', async () => {
+  const calls = [];
+  const scheduler = new ReportScheduler({
+    intervalSeconds: 0,
+    listDueSchedules: async () => [{ id: 's1', cron: '0 8 * * 1', timezone: 'UTC' }],
+    markScheduleRun: async (schedule, run) => calls.push(['mark', schedule.id, run]),
+    deliverSchedule: async schedule => calls.push(['deliver', schedule.id])
+  });
+
+  await scheduler.runDue(new Date('2024-03-11T08:00:30Z'));
+  assert.strictEqual(scheduler.isEnabled(), false);
+  assert.deepStrictEqual(calls, [
+    ['mark', 's1', { lastRunAt: '2024-03-11T08:00:30.000Z', nextRunAt: '2024-03-18T08:00:00.000Z' }],
+    ['deliver', 's1']
+  ]);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KlaviyoCassette, CassetteMissError, normalizeRequest, scrubApiKey, isValidCassetteName } = require('../klaviyoCassette');
+const { KlaviyoClient } = require('../klaviyoClient');
+const { startMockKlaviyoServer } = require('../mockKlaviyoServer');
+
+const API_KEY = 'pk_0123456789abcdef0123456789abcdef01';
+
+test('normalizeRequest ignores the server and the query order', () => {
+  const relative = normalizeRequest('https://a.klaviyo.com/api', 'get', '/metrics/', { 'page[size]': 10, filter: 'x' });
+  const absolute = normalizeRequest('http://localhost:4010/api', 'GET', 'https://a.klaviyo.com/api/metrics/?filter=x&page%5Bsize%5D=10');
+
+  assert.deepStrictEqual(relative, {
+    method: 'GET',
+    path: '/metrics/',
+    query: { filter: 'x', 'page[size]': '10' },
+    body: null
+  });
+  assert.deepStrictEqual(absolute, relative);
+});
+
+test('scrubApiKey removes the API key and other private keys', () => {
+  const scrubbed = scrubApiKey({
+    detail: `Key ${API_KEY} is invalid`,
+    other: 'pk_ffffffffffffffffffffffffffffffffff'
+  }, API_KEY);
+
+  assert.deepStrictEqual(scrubbed, {
+    detail: 'Key [SCRUBBED] is invalid',
+    other: '[SCRUBBED]'
+  });
+});
+
+test('isValidCassetteName rejects paths', () => {
+  assert.strictEqual(isValidCassetteName('af50b29575a86b60'), true);
+  assert.strictEqual(isValidCassetteName('../data'), false);
+  assert.strictEqual(isValidCassetteName('a/b'), false);
+  assert.strictEqual(isValidCassetteName(undefined), false);
+});
+
+test('recorded Klaviyo calls replay without the API or the key', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+  const mockServer = await startMockKlaviyoServer({ port: 0, pageSize: 5, fixtureOptions: { days: 10, campaigns: 2 } });
+  t.after(() => {
+    mockServer.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const baseUrl = `http://127.0.0.1:${mockServer.address().port}/api`;
+  const recording = new KlaviyoCassette(directory, { mode: 'record', apiKey: API_KEY });
+  const live = new KlaviyoClient(API_KEY, { baseUrl, cassette: recording });
+  const liveAccounts = await live.getAccounts();
+  const liveMetrics = await live.getMetrics();
+  await assert.rejects(live.get('/campaigns/'));
+
+  const files = fs.readdirSync(directory);
+  assert.ok(files.includes('cassette.json'));
+  assert.ok(files.some(file => file.startsWith('get-metrics-')));
+  files.forEach(file => {
+    assert.ok(!fs.readFileSync(path.join(directory, file), 'utf8').includes(API_KEY), `${file} contains the API key`);
+  });
+  assert.strictEqual(recording.readManifest().klaviyoAccount.id, liveAccounts.data[0].id);
+
+  const replaying = new KlaviyoCassette(directory, { mode: 'replay' });
+  const replay = new KlaviyoClient(null, { cassette: replaying });
+  assert.deepStrictEqual(await replay.getAccounts(), liveAccounts);
+  assert.deepStrictEqual(await replay.getMetrics(), liveMetrics);
+
+  // Klaviyo errors are replayed as errors, unrecorded requests fail and are reported
+  await assert.rejects(replay.get('/campaigns/'), error => error.response?.status === 400);
+  await assert.rejects(replay.get('/flows/'), CassetteMissError);
+  assert.deepStrictEqual(replaying.misses, ['GET /flows/']);
+});
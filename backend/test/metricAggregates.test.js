@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+  sumMeasurement,
+  getGroupDimension,
+  getGroupCount,
+  sumAggregate,
+  sumAggregateByDimension,
+  sumAggregateForDimensionValue,
+  sumCampaignMessageMetrics,
+  calculateEngagementRates
+} = require('../metricAggregates');
+
+// Recorded metric-aggregates responses (Klaviyo revision 2024-10-15)
+function loadFixture(name) {
+  return require(path.join(__dirname, 'fixtures', `${name}.json`));
+}
+
+const CAMPAIGN_A = '01JA1CAMPAIGNAAAAAAAAAAAAA';
+const CAMPAIGN_B = '01JA1CAMPAIGNBBBBBBBBBBBBB';
+
+test('sumMeasurement adds per-interval arrays and single values', () => {
+  assert.strictEqual(sumMeasurement([1.5, '2.5', null, 'n/a']), 4);
+  assert.strictEqual(sumMeasurement(7), 7);
+  assert.strictEqual(sumMeasurement(['3.9', 2], parseInt), 5);
+  assert.strictEqual(sumMeasurement(undefined), 0);
+});
+
+test('getGroupDimension reads array and object dimensions', () => {
+  assert.strictEqual(getGroupDimension({ dimensions: ['abc'] }, '$message'), 'abc');
+  assert.strictEqual(getGroupDimension({ dimensions: ['abc', 'def'] }, '$flow', ['$message', '$flow']), 'def');
+  assert.strictEqual(getGroupDimension({ dimensions: { $message: 'abc' } }, '$message'), 'abc');
+  assert.strictEqual(getGroupDimension({ dimensions: { $flow: 'abc' } }, '$message'), undefined);
+  assert.strictEqual(getGroupDimension({}, '$message'), undefined);
+});
+
+test('getGroupCount falls back to the unique measurement', () => {
+  assert.strictEqual(getGroupCount({ measurements: { count: [2, 3] } }), 5);
+  assert.strictEqual(getGroupCount({ measurements: { unique: ['4', 1] } }), 5);
+  assert.strictEqual(getGroupCount({ measurements: { count: [1], unique: [9] } }), 1);
+  assert.strictEqual(getGroupCount({ measurements: {} }), 0);
+});
+
+test('sumAggregate totals revenue across intervals', () => {
+  assert.strictEqual(sumAggregate(loadFixture('total-revenue')), 2099.75);
+  assert.strictEqual(sumAggregate({}), 0);
+  assert.strictEqual(sumAggregate({ data: { attributes: { data: [] } } }), 0);
+});
+
+test('sumAggregateByDimension counts opens per message with object dimensions', () => {
+  const opens = sumAggregateByDimension(loadFixture('opens-by-message'), '$message', { measurement: 'count' });
+  assert.deepStrictEqual(opens, {
+    [CAMPAIGN_A]: 160,
+    [CAMPAIGN_B]: 18,
+    FLOWMSG1: 16
+  });
+});
+
+test('sumAggregateByDimension counts unique clicks and skips empty dimensions', () => {
+  const clicks = sumAggregateByDimension(loadFixture('clicks-by-message-unique'), '$message', { measurement: 'count' });
+  assert.deepStrictEqual(clicks, {
+    [CAMPAIGN_A]: 18,
+    [CAMPAIGN_B]: 3
+  });
+});
+
+test('sumAggregateByDimension drops zero totals unless keepZero is set', () => {
+  const recipients = loadFixture('recipients-by-message');
+  assert.deepStrictEqual(sumAggregateByDimension(recipients, '$message', { measurement: 'count' }), {
+    [CAMPAIGN_A]: 500,
+    FLOWMSG1: 40
+  });
+
+  const flowRevenue = sumAggregateByDimension(loadFixture('flow-revenue'), '$attributed_flow', { keepZero: true });
+  assert.deepStrictEqual(flowRevenue, { WELCOME: 200.5, CART: 0 });
+
+  const flowConversions = sumAggregateByDimension(loadFixture('flow-revenue'), '$attributed_flow', { measurement: 'count', keepZero: true });
+  assert.deepStrictEqual(flowConversions, { WELCOME: 3, CART: 0 });
+});
+
+test('sumAggregateForDimensionValue ignores rows for other messages', () => {
+  const response = loadFixture('campaign-revenue');
+  assert.strictEqual(sumAggregateForDimensionValue(response, '$attributed_message', CAMPAIGN_A), 400);
+  assert.strictEqual(sumAggregateForDimensionValue(response, '$attributed_message', CAMPAIGN_A, 'count'), 5);
+  assert.strictEqual(sumAggregateForDimensionValue(response, '$attributed_message', CAMPAIGN_B), 0);
+});
+
+test('sumCampaignMessageMetrics falls back to the campaign ID as message ID', () => {
+  const maps = {
+    opens: sumAggregateByDimension(loadFixture('opens-by-message'), '$message', { measurement: 'count' }),
+    clicks: sumAggregateByDimension(loadFixture('clicks-by-message-unique'), '$message', { measurement: 'count' }),
+    recipients: sumAggregateByDimension(loadFixture('recipients-by-message'), '$message', { measurement: 'count' })
+  };
+
+  assert.deepStrictEqual(sumCampaignMessageMetrics(CAMPAIGN_A, [], maps), {
+    opens: 160,
+    clicks: 18,
+    recipients: 500
+  });
+
+  // Message IDs are used when the campaign has them
+  assert.deepStrictEqual(sumCampaignMessageMetrics('other', [CAMPAIGN_A, CAMPAIGN_B], maps), {
+    opens: 178,
+    clicks: 21,
+    recipients: 500
+  });
+
+  assert.deepStrictEqual(sumCampaignMessageMetrics('unknown', [], maps), { opens: 0, clicks: 0, recipients: 0 });
+});
+
+test('calculateEngagementRates returns percentages of recipients', () => {
+  const rates = calculateEngagementRates({ opens: 160, clicks: 18, recipients: 500 });
+  assert.strictEqual(rates.openRate, 32);
+  assert.ok(Math.abs(rates.clickRate - 3.6) < 1e-9);
+  assert.deepStrictEqual(calculateEngagementRates({ opens: 5, clicks: 1, recipients: 0 }), {
+    openRate: 0,
+    clickRate: 0
+  });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hasPermission, getVisibleAccounts, canAssignRole, validateMemberRole, hashInvitationToken } = require('../organizations');
+
+const ACCOUNTS = [{ id: 'a1' }, { id: 'a2' }, { id: 'a3' }];
+
+test('hasPermission follows the role', () => {
+  assert.strictEqual(hasPermission('owner', 'organization:manage'), true);
+  assert.strictEqual(hasPermission('admin', 'accounts:manage'), true);
+  assert.strictEqual(hasPermission('admin', 'organization:manage'), false);
+  assert.strictEqual(hasPermission('analyst', 'accounts:configure'), false);
+  assert.strictEqual(hasPermission('client-viewer', 'accounts:manage'), false);
+  assert.strictEqual(hasPermission('admin', 'webhooks:manage'), true);
+  assert.strictEqual(hasPermission('analyst', 'webhooks:manage'), false);
+  assert.strictEqual(hasPermission('client-viewer', 'webhooks:manage'), false);
+  assert.strictEqual(hasPermission(null, 'accounts:manage'), false);
+});
+
+test('getVisibleAccounts limits client viewers to their accounts', () => {
+  assert.deepStrictEqual(getVisibleAccounts({ role: 'analyst', accountIds: [] }, ACCOUNTS), ACCOUNTS);
+  assert.deepStrictEqual(getVisibleAccounts({ role: 'client-viewer', accountIds: ['a2', 'gone'] }, ACCOUNTS), [{ id: 'a2' }]);
+  assert.deepStrictEqual(getVisibleAccounts({ role: 'unknown', accountIds: [] }, ACCOUNTS), []);
+});
+
+test('canAssignRole keeps owners to owners', () => {
+  assert.strictEqual(canAssignRole('owner', 'owner'), true);
+  assert.strictEqual(canAssignRole('admin', 'analyst', 'client-viewer'), true);
+  assert.strictEqual(canAssignRole('admin', 'owner'), false);
+  assert.strictEqual(canAssignRole('admin', 'analyst', 'owner'), false);
+  assert.strictEqual(canAssignRole('analyst', 'analyst'), false);
+});
+
+test('validateMemberRole checks the accounts of client viewers', () => {
+  assert.deepStrictEqual(validateMemberRole({ role: 'admin', accountIds: ['a1'] }, ['a1']), { role: 'admin', accountIds: [] });
+  assert.deepStrictEqual(validateMemberRole({ role: 'client-viewer', accountIds: ['a1', 'a1'] }, ['a1']), { role: 'client-viewer', accountIds: ['a1'] });
+  assert.match(validateMemberRole({ role: 'viewer' }, []).error, /Invalid role/);
+  assert.match(validateMemberRole({ role: 'client-viewer' }, ['a1']).error, /at least one account/);
+  assert.match(validateMemberRole({ role: 'client-viewer', accountIds: ['a9'] }, ['a1']).error, /does not belong/);
+});
+
+test('validateMemberRole pins clients to exactly one account', () => {
+  assert.deepStrictEqual(validateMemberRole({ role: 'client', accountIds: ['a2'] }, ['a1', 'a2']), { role: 'client', accountIds: ['a2'] });
+  assert.match(validateMemberRole({ role: 'client', accountIds: [] }, ['a1']).error, /at least one account/);
+  assert.match(validateMemberRole({ role: 'client', accountIds: ['a1', 'a2'] }, ['a1', 'a2']).error, /exactly one account/);
+  assert.deepStrictEqual(getVisibleAccounts({ role: 'client', accountIds: ['a3'] }, ACCOUNTS), [{ id: 'a3' }]);
+  assert.strictEqual(hasPermission('client', 'workspace:view'), false);
+  assert.strictEqual(hasPermission('client-viewer', 'workspace:view'), true);
+});
+
+test('hashInvitationToken is stable and does not reveal the token', () => {
+  assert.strictEqual(hashInvitationToken('abc'), hashInvitationToken('abc'));
+  assert.notStrictEqual(hashInvitationToken('abc'), hashInvitationToken('abd'));
+  assert.ok(!hashInvitationToken('abc').includes('abc'));
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateReportBranding, renderPerformanceReport } = require('../pdfReport');
+
+// 1x1 PNG
+const LOGO = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+// Helper function for campaign/flow rows
+function rows(count, prefix) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `${prefix}${index}`,
+    name: `${prefix} ${index}`,
+    sendDate: '2024-03-02T10:00:00Z',
+    recipients: 1000 + index,
+    opens: 400,
+    clicks: 40,
+    conversions: 3,
+    revenue: 100 * index
+  }));
+}
+
+const PAYLOAD = {
+  currency: 'USD',
+  conversionMetric: { id: 'M1', name: 'Placed Order' },
+  dateRange: { label: 'Last 30 days', timezone: 'UTC', startDate: '2024-03-01', endDate: '2024-03-30' },
+  summary: { totalRevenue: 5000, campaignRevenue: 3000, flowRevenue: 1500, recipients: 20000, openRate: 40, clickRate: 4, conversions: 50 },
+  comparison: {
+    dateRange: { label: 'Previous period', startDate: '2024-01-31', endDate: '2024-02-29' },
+    deltas: { totalRevenue: { previous: 4000, change: 1000, changePercent: 25 } }
+  },
+  campaigns: rows(30, 'Campaign'),
+  flows: rows(5, 'Flow')
+};
+
+const TREND = {
+  data: Array.from({ length: 30 }, (_, index) => ({
+    date: new Date(Date.UTC(2024, 2, 1 + index)).toISOString(),
+    total: 150 + index,
+    campaign: 100,
+    flow: 50
+  }))
+};
+
+test('validateReportBranding accepts a PNG logo and a hex accent color', () => {
+  assert.strictEqual(validateReportBranding({ reportLogo: LOGO, reportAccentColor: '#E11D48' }), null);
+  assert.strictEqual(validateReportBranding({}), null);
+});
+
+test('validateReportBranding rejects other images, oversized logos and invalid colors', () => {
+  assert.match(validateReportBranding({ reportLogo: 'data:image/svg+xml;base64,PHN2Zz4=' }), /PNG or JPEG/);
+  assert.match(validateReportBranding({ reportLogo: `data:image/png;base64,${'A'.repeat(800 * 1024)}` }), /at most 512 KB/);
+  assert.match(validateReportBranding({ reportAccentColor: 'red' }), /hex color/);
+});
+
+test('renderPerformanceReport renders a branded PDF', async () => {
+  const pdf = await renderPerformanceReport({
+    payload: PAYLOAD,
+    trend: TREND,
+    accountName: 'My Store',
+    branding: { reportLogo: LOGO, reportAccentColor: '#e11d48' },
+    generatedAt: '2024-03-31T08:00:00Z'
+  });
+
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pdf.includes('/Subtype /Image'));
+});
+
+test('renderPerformanceReport renders without data, comparison or branding', async () => {
+  const pdf = await renderPerformanceReport({
+    payload: { ...PAYLOAD, comparison: null, campaigns: [], flows: [] },
+    trend: { data: [] }
+  });
+  assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+});
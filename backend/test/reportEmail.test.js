@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMailTransport, parseRecipients, buildReportEmail, buildInvitationEmail, sendEmail } = require('../reportEmail');
+
+const PAYLOAD = {
+  currency: 'USD',
+  conversionMetric: { id: 'M1', name: 'Placed Order' },
+  dateRange: { label: 'Last 7 days', timezone: 'UTC', startDate: '2024-03-04', endDate: '2024-03-10' },
+  summary: { totalRevenue: 5000, campaignRevenue: 3000, flowRevenue: 1500, recipients: 20000, openRate: 40, clickRate: 4, conversions: 50 },
+  comparison: {
+    dateRange: { label: 'Previous period', startDate: '2024-02-26', endDate: '2024-03-03' },
+    deltas: { totalRevenue: { previous: 4000, change: 1000, changePercent: 25 } }
+  },
+  campaigns: [{ name: '<b>Spring</b> Sale', sendDate: '2024-03-05T10:00:00Z', recipients: 1000, opens: 400, clicks: 40, revenue: 3000 }],
+  flows: []
+};
+
+test('parseRecipients splits, lowercases and deduplicates addresses', () => {
+  assert.deepStrictEqual(parseRecipients('Ann@Example.com, bob@example.com;\nann@example.com').recipients, ['ann@example.com', 'bob@example.com']);
+  assert.match(parseRecipients([]).error, /At least one recipient/);
+  assert.match(parseRecipients(['ann@example.com', 'not-an-email']).error, /Invalid email address "not-an-email"/);
+});
+
+test('buildReportEmail renders an inline HTML report with escaped content', () => {
+  const message = buildReportEmail({
+    schedule: { name: 'Weekly', format: 'html' },
+    payload: PAYLOAD,
+    accountName: 'My Store',
+    branding: { reportAccentColor: '#e11d48' },
+    generatedAt: '2024-03-11T08:00:00Z'
+  });
+
+  assert.strictEqual(message.subject, 'Weekly: My Store – Last 7 days (2024-03-04 to 2024-03-10)');
+  assert.ok(message.html.includes('&lt;b&gt;Spring&lt;/b&gt; Sale'));
+  assert.ok(message.html.includes('#e11d48'));
+  assert.ok(message.html.includes('+25.0%'));
+  assert.ok(message.html.includes('No live flows in this date range.'));
+  assert.ok(message.text.includes('Total revenue: $5,000.00 (+25.0%)'));
+  assert.deepStrictEqual(message.attachments, []);
+});
+
+test('buildReportEmail attaches the PDF or CSV report', () => {
+  const attachment = { filename: 'report.csv', content: 'a,b\r\n', contentType: 'text/csv; charset=utf-8' };
+  const message = buildReportEmail({ schedule: { name: 'Monthly', format: 'csv' }, payload: { ...PAYLOAD, comparison: null }, attachment });
+
+  assert.deepStrictEqual(message.attachments, [attachment]);
+  assert.ok(message.html.includes('The full report is attached (report.csv).'));
+  assert.ok(!message.html.includes('Top Campaigns'));
+});
+
+test('buildInvitationEmail links to the invitation with the organization branding', () => {
+  const message = buildInvitationEmail({
+    invitation: { organizationName: 'Acme & Co', email: 'client@example.com', role: 'client', expiresAt: '2024-03-18T08:00:00Z' },
+    inviteUrl: 'https://dash.example.com/register?invite=abc',
+    roleLabel: 'Client portal',
+    invitedBy: 'ann',
+    accountNames: ['My Store'],
+    accentColor: '#0f766e'
+  });
+
+  assert.strictEqual(message.subject, "You're invited to Acme & Co");
+  assert.match(message.html, /Acme &amp; Co/);
+  assert.match(message.html, /href="https:\/\/dash\.example\.com\/register\?invite=abc"/);
+  assert.match(message.html, /#0f766e/);
+  assert.match(message.text, /ann invited you to Acme & Co \(Client portal\)\.\nYou will see the dashboard of My Store\./);
+  assert.match(message.text, /expires on 2024-03-18 08:00 \(UTC\)/);
+});
+
+test('createMailTransport reads SMTP settings from the environment', async () => {
+  assert.strictEqual(createMailTransport({}), null);
+  assert.strictEqual(createMailTransport({ SMTP_HOST: 'localhost', SMTP_PORT: '1025' }).options.port, 1025);
+
+  const message = buildReportEmail({ schedule: { name: 'Weekly', format: 'html' }, payload: PAYLOAD, accountName: 'My Store' });
+  const { messageId } = await sendEmail(createMailTransport({ SMTP_TRANSPORT: 'json' }), { to: ['ann@example.com'], message });
+  assert.ok(messageId);
+
+  await assert.rejects(sendEmail(null, { to: ['ann@example.com'], message }), /Email delivery is not configured/);
+});
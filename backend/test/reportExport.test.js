@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { buildReport, toCsv, toXlsx, getExportFileName } = require('../reportExport');
+
+const PAYLOAD = {
+  currency: 'EUR',
+  totalCampaigns: 1,
+  totalFlows: 1,
+  conversionMetric: { id: 'M1', name: 'Placed Order' },
+  secondaryMetric: null,
+  dateRange: {
+    label: 'Last 7 days',
+    timezone: 'Europe/Paris',
+    startDate: '2024-03-01',
+    endDate: '2024-03-07'
+  },
+  summary: {
+    totalRevenue: 1234.567,
+    campaignRevenue: 1000,
+    flowRevenue: 200,
+    recipients: 300,
+    opens: 120,
+    clicks: 30,
+    openRate: 40,
+    clickRate: 10,
+    conversions: 12
+  },
+  comparison: null,
+  campaigns: [
+    { name: 'Spring, "Big" Sale', messageType: 'email', status: 'Sent', sendDate: '2024-03-02T23:30:00Z', recipients: 200, opens: 100, clicks: 25, conversions: 10, revenue: 1000 }
+  ],
+  flows: [
+    { name: '=Welcome', status: 'live', updatedAt: '2024-02-01T08:00:00Z', recipients: 100, opens: 20, clicks: 5, conversions: 2, revenue: 200 }
+  ]
+};
+
+test('buildReport writes the currency and timezone into the metadata', () => {
+  const report = buildReport(PAYLOAD, { account: { name: 'My Store' }, generatedAt: '2024-03-08T12:00:00Z' });
+  const metadata = Object.fromEntries(report.metadata);
+
+  assert.strictEqual(metadata.Account, 'My Store');
+  assert.strictEqual(metadata.Currency, 'EUR');
+  assert.strictEqual(metadata.Timezone, 'Europe/Paris');
+  assert.strictEqual(metadata['Date range'], 'Last 7 days (2024-03-01 to 2024-03-07)');
+  assert.strictEqual(metadata['Generated at'], '2024-03-08 13:00');
+  assert.deepStrictEqual(report.sections.map(section => section.name), ['Summary', 'Campaigns', 'Flows']);
+});
+
+test('buildReport lists table rows with rates and dates in the account timezone', () => {
+  const report = buildReport(PAYLOAD);
+  const campaigns = report.sections[1];
+
+  assert.deepStrictEqual(campaigns.rows[0].slice(0, 8), ['Spring, "Big" Sale', 'email', 'Sent', '2024-03-03 00:30', 200, 100, 50, 25]);
+  assert.ok(campaigns.columns.some(column => column.header === 'Placed Order revenue (EUR)'));
+  assert.deepStrictEqual(report.sections[0].rows[0], ['Total revenue (EUR)', 1234.57]);
+});
+
+test('buildReport adds the previous period and change to the summary with a comparison', () => {
+  const report = buildReport({
+    ...PAYLOAD,
+    comparison: {
+      dateRange: { label: 'Previous period', startDate: '2024-02-23', endDate: '2024-02-29' },
+      deltas: { totalRevenue: { previous: 1000, change: 234.567, changePercent: 23.4567 } }
+    }
+  });
+  const summary = report.sections[0];
+
+  assert.deepStrictEqual(summary.columns.map(column => column.header), ['Metric', 'Value', 'Previous period', 'Change (%)']);
+  assert.deepStrictEqual(summary.rows[0], ['Total revenue (EUR)', 1234.57, 1000, 23.46]);
+  assert.deepStrictEqual(summary.rows[1].slice(2), ['', '']);
+});
+
+test('toCsv quotes fields and neutralizes formulas', () => {
+  const csv = toCsv(buildReport(PAYLOAD));
+  const lines = csv.split('\r\n');
+
+  assert.strictEqual(lines[0], 'Account,');
+  assert.ok(lines.includes('Currency,EUR'));
+  assert.ok(lines.includes('Timezone,Europe/Paris'));
+  assert.ok(lines.some(line => line.startsWith('"Spring, ""Big"" Sale",email,Sent,2024-03-03 00:30,200')));
+  assert.ok(lines.some(line => line.startsWith("'=Welcome,live,")));
+});
+
+test('toXlsx writes one sheet per section, each starting with the metadata', async () => {
+  const buffer = await toXlsx(buildReport(PAYLOAD, { account: { name: 'My Store' } }));
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name), ['Summary', 'Campaigns', 'Flows']);
+  const sheet = workbook.getWorksheet('Campaigns');
+  assert.strictEqual(sheet.getCell('A1').value, 'Account');
+  assert.strictEqual(sheet.getCell('B1').value, 'My Store');
+  assert.strictEqual(sheet.getCell('B4').value, 'EUR');
+
+  const headerRow = sheet.getRow(8);
+  assert.strictEqual(headerRow.getCell(1).value, 'Campaign');
+  assert.strictEqual(sheet.getRow(9).getCell(5).value, 200);
+});
+
+test('getExportFileName includes the account and date range', () => {
+  assert.strictEqual(
+    getExportFileName('xlsx', { accountName: 'My Store (EU)', startDate: '2024-03-01', endDate: '2024-03-07' }),
+    'klaviyo-report-my-store-eu-2024-03-01-to-2024-03-07.xlsx'
+  );
+});
@@ -0,0 +1,919 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { startMockKlaviyoServer } = require('../mockKlaviyoServer');
+const { getAccountCacheKey } = require('../cache');
+
+// End-to-end tests of the API routes against the mock Klaviyo server
+// The app is loaded with a throwaway database, no background sync and the mock as Klaviyo base URL
+
+const PRIMARY_KEY = 'pk_test_primary_0001';
+const SECOND_KEY = 'pk_test_second_0002';
+const INVALID_KEY = 'pk_test_revoked_0003';
+const NO_FLOWS_KEY = 'pk_test_noflows_0004';
+
+let mockServer;
+let apiServer;
+let baseUrl;
+
+// Helper function to call the API and parse the JSON response
+async function request(method, path, { token, body } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Helper function to format a date as YYYY-MM-DD (UTC, the mock account timezone)
+function toDateString(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+test.before(async () => {
+  mockServer = await startMockKlaviyoServer({
+    port: 0,
+    fixtureOptions: { days: 60, campaigns: 8, profiles: 100 },
+    keys: {
+      [INVALID_KEY]: { invalid: true },
+      [NO_FLOWS_KEY]: { missingScopes: ['flows:read'] }
+    }
+  });
+
+  process.env.KLAVIYO_BASE_URL = `http://127.0.0.1:${mockServer.address().port}/api`;
+  process.env.DATABASE_PATH = ':memory:';
+  process.env.SYNC_INTERVAL_MINUTES = '0';
+  process.env.REPORT_SCHEDULER_INTERVAL_SECONDS = '0';
+  process.env.ALERT_EVALUATOR_INTERVAL_SECONDS = '0';
+  process.env.WEBHOOK_RETRY_INTERVAL_SECONDS = '0';
+  process.env.CACHE_STORE = 'memory';
+  process.env.JWT_SECRET = 'test-secret';
+  process.env.API_KEY_ENCRYPTION_KEY = '0'.repeat(64);
+
+  // The dashboard endpoints log every step; keep the test output readable
+  console.log = () => {};
+
+  const app = require('../server');
+  await new Promise(resolve => {
+    apiServer = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise(resolve => apiServer.close(resolve));
+  await new Promise(resolve => mockServer.close(resolve));
+});
+
+test('auth, account switching and dashboard endpoints', async (t) => {
+  let token;
+  let primaryAccount;
+  let secondAccount;
+
+  await t.test('register rejects an invalid API key', async () => {
+    const { status, body } = await request('POST', '/api/auth/register', {
+      body: { username: 'invalid', email: 'invalid@example.com', password: 'secret123', klaviyoApiKey: INVALID_KEY }
+    });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+    assert.match(body.error, /Invalid Klaviyo API key/);
+  });
+
+  await t.test('register rejects a key without a required scope', async () => {
+    const { status, body } = await request('POST', '/api/auth/register', {
+      body: { username: 'noflows', email: 'noflows@example.com', password: 'secret123', klaviyoApiKey: NO_FLOWS_KEY }
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.missingScopes, ['flows:read']);
+  });
+
+  await t.test('register stores the account with its Klaviyo name', async () => {
+    const { status, body } = await request('POST', '/api/auth/register', {
+      body: { username: 'client', email: 'client@example.com', password: 'secret123', klaviyoApiKey: PRIMARY_KEY }
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.deepStrictEqual(body.warnings, []);
+  });
+
+  await t.test('register rejects a public API key before calling Klaviyo', async () => {
+    const { status, body } = await request('POST', '/api/auth/register', {
+      body: { username: 'public', email: 'public@example.com', password: 'secret123', klaviyoApiKey: 'AbC123' }
+    });
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /public API key/);
+  });
+
+  await t.test('login rejects a wrong password', async () => {
+    const { status, body } = await request('POST', '/api/auth/login', {
+      body: { email: 'client@example.com', password: 'wrong-password' }
+    });
+    assert.strictEqual(status, 401);
+    assert.strictEqual(body.success, false);
+  });
+
+  await t.test('login returns a token', async () => {
+    const { status, body } = await request('POST', '/api/auth/login', {
+      body: { email: 'client@example.com', password: 'secret123' }
+    });
+    assert.strictEqual(status, 200);
+    assert.ok(body.token);
+    token = body.token;
+  });
+
+  await t.test('protected routes require a token', async () => {
+    const { status } = await request('GET', '/api/auth/me');
+    assert.strictEqual(status, 401);
+  });
+
+  await t.test('me returns the accounts without API keys', async () => {
+    const { body } = await request('GET', '/api/auth/me', { token });
+    const expectedName = mockServer.mock.getFixtures(PRIMARY_KEY).account.name;
+
+    assert.strictEqual(body.user.email, 'client@example.com');
+    assert.strictEqual(body.user.klaviyoAccounts.length, 1);
+    primaryAccount = body.user.klaviyoAccounts[0];
+    assert.strictEqual(primaryAccount.name, expectedName);
+    assert.strictEqual(primaryAccount.klaviyoAccountName, expectedName);
+    assert.strictEqual(primaryAccount.isActive, true);
+    assert.ok(!JSON.stringify(body).includes(PRIMARY_KEY));
+  });
+
+  await t.test('adding a second account makes it the active one', async () => {
+    const { status, body } = await request('POST', '/api/klaviyo-accounts', {
+      token,
+      body: { accountName: 'Second store', apiKey: SECOND_KEY }
+    });
+    assert.strictEqual(status, 200);
+    secondAccount = body.account;
+    assert.strictEqual(secondAccount.name, 'Second store');
+
+    const duplicate = await request('POST', '/api/klaviyo-accounts', {
+      token,
+      body: { accountName: 'Again', apiKey: SECOND_KEY }
+    });
+    assert.strictEqual(duplicate.status, 400);
+
+    const { body: list } = await request('GET', '/api/klaviyo-accounts', { token });
+    assert.strictEqual(list.accounts.length, 2);
+    assert.strictEqual(list.accounts.find(account => account.isActive).id, secondAccount.id);
+  });
+
+  await t.test('switching accounts changes the active account', async () => {
+    const { body } = await request('PUT', `/api/klaviyo-accounts/${primaryAccount.id}/switch`, { token });
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.account.id, primaryAccount.id);
+
+    const { body: list } = await request('GET', '/api/klaviyo-accounts', { token });
+    assert.deepStrictEqual(list.accounts.filter(account => account.isActive).map(account => account.id), [primaryAccount.id]);
+
+    const missing = await request('PUT', '/api/klaviyo-accounts/unknown/switch', { token });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.error, 'Account not found');
+
+    await request('PUT', `/api/klaviyo-accounts/${secondAccount.id}/switch`, { token });
+  });
+
+  await t.test('revenue total matches the Klaviyo data of the active account', async () => {
+    const now = Date.now();
+    const start = toDateString(now - 14 * 24 * 60 * 60 * 1000);
+    const end = toDateString(now - 24 * 60 * 60 * 1000);
+
+    const fixtures = mockServer.mock.getFixtures(SECOND_KEY);
+    const placedOrder = fixtures.metrics.find(metric => metric.name === 'Placed Order');
+    const expectedRevenue = fixtures.events
+      .filter(event => event.metricId === placedOrder.id)
+      .filter(event => event.datetime.slice(0, 10) >= start && event.datetime.slice(0, 10) <= end)
+      .reduce((sum, event) => sum + event.value, 0);
+
+    const { status, body } = await request('GET', `/api/revenue/total?start=${start}&end=${end}`, { token });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.ok(Math.abs(body.totalRevenue - expectedRevenue) < 0.01, `${body.totalRevenue} != ${expectedRevenue}`);
+    const attributedRevenue = [...body.campaigns, ...body.flows].reduce((sum, row) => sum + row.revenue, 0);
+    assert.ok(attributedRevenue <= body.totalRevenue + 0.01);
+    assert.ok(Array.isArray(body.campaigns));
+    assert.strictEqual(body.flows.length, fixtures.flows.filter(flow => flow.status === 'live').length);
+    assert.strictEqual(body.cached, false);
+
+    // The second request is served from the cache
+    const { body: cachedBody } = await request('GET', `/api/revenue/total?start=${start}&end=${end}`, { token });
+    assert.strictEqual(cachedBody.cached, true);
+    assert.strictEqual(cachedBody.totalRevenue, body.totalRevenue);
+  });
+
+  await t.test('revenue total rejects an unknown comparison mode', async () => {
+    const { status } = await request('GET', '/api/revenue/total?preset=last_7_days&compare=last_decade', { token });
+    assert.strictEqual(status, 400);
+  });
+
+  await t.test('revenue timeseries returns one bucket per day', async () => {
+    const now = Date.now();
+    const start = toDateString(now - 7 * 24 * 60 * 60 * 1000);
+    const end = toDateString(now - 24 * 60 * 60 * 1000);
+
+    const { status, body } = await request('GET', `/api/revenue/timeseries?interval=day&start=${start}&end=${end}`, { token });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.interval, 'day');
+    assert.strictEqual(body.data.length, 7);
+    body.data.forEach(bucket => {
+      assert.ok(bucket.campaign + bucket.flow <= bucket.total + 0.01);
+    });
+  });
+
+  await t.test('the conversion metric of an account can be changed', async () => {
+    const now = Date.now();
+    const start = toDateString(now - 14 * 24 * 60 * 60 * 1000);
+    const end = toDateString(now - 24 * 60 * 60 * 1000);
+
+    const { body: metricList } = await request('GET', `/api/klaviyo-accounts/${secondAccount.id}/metrics`, { token });
+    assert.strictEqual(metricList.conversionMetricId, null);
+    assert.strictEqual(metricList.conversionMetric.name, 'Placed Order');
+    const placedOrder = metricList.metrics.find(metric => metric.name === 'Placed Order');
+    const orderedProduct = metricList.metrics.find(metric => metric.name === 'Ordered Product');
+
+    const unknown = await request('PUT', `/api/klaviyo-accounts/${secondAccount.id}/metrics`, {
+      token,
+      body: { conversionMetricId: 'NOPE' }
+    });
+    assert.strictEqual(unknown.status, 400);
+
+    const { body: before } = await request('GET', `/api/revenue/total?start=${start}&end=${end}`, { token });
+
+    // The mock only has order values on "Placed Order": as the secondary metric it keeps its revenue
+    const { body: updated } = await request('PUT', `/api/klaviyo-accounts/${secondAccount.id}/metrics`, {
+      token,
+      body: { conversionMetricId: orderedProduct.id, secondaryMetricId: placedOrder.id }
+    });
+    assert.strictEqual(updated.success, true);
+    assert.strictEqual(updated.account.conversionMetricId, orderedProduct.id);
+
+    const { body: after } = await request('GET', `/api/revenue/total?start=${start}&end=${end}`, { token });
+    assert.strictEqual(after.cached, false);
+    assert.strictEqual(after.conversionMetric.name, 'Ordered Product');
+    assert.strictEqual(after.totalRevenue, 0);
+    assert.strictEqual(after.secondaryMetric.name, 'Placed Order');
+    assert.ok(Math.abs(after.secondaryMetric.value - before.totalRevenue) < 0.01);
+
+    const rejected = await request('GET', `/api/campaigns/by-status?status=Opened%20Email&start=${start}&end=${end}`, { token });
+    assert.strictEqual(rejected.body.success, false);
+
+    await request('PUT', `/api/klaviyo-accounts/${secondAccount.id}/metrics`, { token, body: {} });
+  });
+
+  await t.test('campaign values are broken down per campaign message', async () => {
+    const fixtures = mockServer.mock.getFixtures(SECOND_KEY);
+    const campaign = fixtures.campaigns.find(candidate => candidate.status === 'Sent' && candidate.channel === 'email');
+    const now = Date.now();
+    const range = `start=${toDateString(now - 59 * 24 * 60 * 60 * 1000)}&end=${toDateString(now)}`;
+
+    const { status, body } = await request('GET', `/api/campaigns/${campaign.id}/values?${range}`, { token });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.campaign.name, campaign.name);
+    assert.deepStrictEqual(body.messages.map(message => message.label), campaign.messages.map(message => message.label));
+    assert.ok(body.totals.recipients > 0);
+    assert.strictEqual(body.conversionMetric.name, 'Placed Order');
+    assert.strictEqual(body.truncated, false);
+
+    const { body: attribution } = await request('GET', `/api/campaigns/${campaign.id}/attribution?${range}`, { token });
+    assert.strictEqual(attribution.success, true);
+    assert.ok(Array.isArray(attribution.data.messages));
+
+    const missing = await request('GET', '/api/campaigns/01UNKNOWNCAMPAIGN/values', { token });
+    assert.strictEqual(missing.status, 404);
+
+    // A quote in the ID would change the Klaviyo filter
+    const injected = await request('GET', `/api/campaigns/${encodeURIComponent(`${campaign.id}"),or(equals(campaign_id,"x`)}/values`, { token });
+    assert.strictEqual(injected.status, 400);
+    assert.strictEqual(injected.body.error, 'Invalid campaign ID');
+  });
+
+  await t.test('flow values list every flow step in order', async () => {
+    const fixtures = mockServer.mock.getFixtures(SECOND_KEY);
+    const flow = fixtures.flows.find(candidate => candidate.status === 'live' && candidate.messages.length > 1);
+    const now = Date.now();
+    const range = `start=${toDateString(now - 59 * 24 * 60 * 60 * 1000)}&end=${toDateString(now)}`;
+
+    const { status, body } = await request('GET', `/api/flows/${flow.id}/values?${range}`, { token });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.flow.name, flow.name);
+    assert.deepStrictEqual(body.steps.map(step => step.name), flow.messages.map(message => message.name));
+    // The mock waits 1 day before the second message
+    assert.strictEqual(body.steps[0].delayMinutes, 0);
+    assert.strictEqual(body.steps[1].delayMinutes, 24 * 60);
+    assert.strictEqual(body.steps[0].funnelPercent, 100);
+    assert.ok(Math.abs(body.totals.revenue - body.steps.reduce((sum, step) => sum + step.revenue, 0)) < 0.01);
+
+    const missing = await request('GET', '/api/flows/NOFLOW/values', { token });
+    assert.strictEqual(missing.status, 404);
+    const injected = await request('GET', `/api/flows/${encodeURIComponent(`${flow.id}'`)}/values`, { token });
+    assert.strictEqual(injected.status, 400);
+    assert.strictEqual(injected.body.error, 'Invalid flow ID');
+  });
+
+  await t.test('the dashboard can be exported as CSV and Excel', async () => {
+    const now = Date.now();
+    const range = `start=${toDateString(now - 14 * 24 * 60 * 60 * 1000)}&end=${toDateString(now - 24 * 60 * 60 * 1000)}`;
+    const headers = { Authorization: `Bearer ${token}` };
+
+    const csvResponse = await fetch(`${baseUrl}/api/reports/export?format=csv&${range}`, { headers });
+    assert.strictEqual(csvResponse.status, 200);
+    assert.match(csvResponse.headers.get('content-type'), /text\/csv/);
+    assert.match(csvResponse.headers.get('content-disposition'), /attachment; filename="klaviyo-report-.*\.csv"/);
+    const csv = await csvResponse.text();
+    assert.ok(csv.includes('Timezone,UTC'));
+    assert.ok(csv.includes('Currency,USD'));
+    assert.ok(csv.includes('\r\nCampaigns\r\n'));
+    assert.ok(csv.includes('\r\nFlows\r\n'));
+
+    const xlsxResponse = await fetch(`${baseUrl}/api/reports/export?format=xlsx&${range}`, { headers });
+    assert.strictEqual(xlsxResponse.status, 200);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.from(await xlsxResponse.arrayBuffer()));
+    assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name), ['Summary', 'Campaigns', 'Flows']);
+
+    const { status } = await request('GET', `/api/reports/export?format=pdf&${range}`, { token });
+    assert.strictEqual(status, 400);
+  });
+
+  await t.test('the PDF report uses the branding of the account', async () => {
+    const logo = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+    const invalid = await request('PUT', `/api/klaviyo-accounts/${secondAccount.id}/branding`, {
+      token,
+      body: { reportAccentColor: 'teal' }
+    });
+    assert.strictEqual(invalid.status, 400);
+
+    const { status, body } = await request('PUT', `/api/klaviyo-accounts/${secondAccount.id}/branding`, {
+      token,
+      body: { reportLogo: logo, reportAccentColor: '#0f766e' }
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.account.hasReportLogo, true);
+    assert.strictEqual(body.account.reportAccentColor, '#0f766e');
+
+    const { body: branding } = await request('GET', `/api/klaviyo-accounts/${secondAccount.id}/branding`, { token });
+    assert.strictEqual(branding.reportLogo, logo);
+
+    const now = Date.now();
+    const range = `start=${toDateString(now - 14 * 24 * 60 * 60 * 1000)}&end=${toDateString(now - 24 * 60 * 60 * 1000)}`;
+    const response = await fetch(`${baseUrl}/api/reports/pdf?${range}`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/pdf');
+    assert.match(response.headers.get('content-disposition'), /klaviyo-report-second-store-.*\.pdf/);
+    const pdf = Buffer.from(await response.arrayBuffer());
+    assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  await t.test('report schedules can be managed, sent and logged', async () => {
+    const path = `/api/klaviyo-accounts/${secondAccount.id}/schedules`;
+
+    const invalid = await request('POST', path, {
+      token,
+      body: { name: 'Weekly', cron: '0 25 * * 1', format: 'csv', recipients: 'team@example.com' }
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.body.error, /Invalid schedule/);
+
+    const created = await request('POST', path, {
+      token,
+      body: { name: 'Weekly', cron: '0 8 * * 1', format: 'csv', recipients: 'Team@example.com, boss@example.com' }
+    });
+    assert.strictEqual(created.status, 201);
+    const schedule = created.body.schedule;
+    assert.strictEqual(schedule.timezone, 'UTC');
+    assert.strictEqual(schedule.datePreset, 'last_7_days');
+    assert.deepStrictEqual(schedule.recipients, ['team@example.com', 'boss@example.com']);
+    assert.strictEqual(new Date(schedule.nextRunAt).getUTCDay(), 1);
+
+    const updated = await request('PUT', `${path}/${schedule.id}`, { token, body: { cron: '0 8 1 * *', datePreset: 'last_month' } });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.schedule.format, 'csv');
+    assert.strictEqual(new Date(updated.body.schedule.nextRunAt).getUTCDate(), 1);
+
+    // No SMTP settings: the send fails and is logged
+    const failed = await request('POST', `${path}/${schedule.id}/send`, { token });
+    assert.strictEqual(failed.status, 502);
+    assert.match(failed.body.error, /Email delivery is not configured/);
+
+    process.env.SMTP_TRANSPORT = 'json';
+    try {
+      const sent = await request('POST', `${path}/${schedule.id}/send`, { token });
+      assert.strictEqual(sent.status, 200);
+      assert.strictEqual(sent.body.delivery.status, 'sent');
+      assert.ok(sent.body.delivery.messageId);
+    } finally {
+      delete process.env.SMTP_TRANSPORT;
+    }
+
+    const { body: log } = await request('GET', `${path}/${schedule.id}/deliveries`, { token });
+    assert.deepStrictEqual(log.deliveries.map(delivery => delivery.status), ['sent', 'failed']);
+    assert.ok(log.deliveries.every(delivery => delivery.trigger === 'manual'));
+
+    const otherAccount = await request('GET', `/api/klaviyo-accounts/${primaryAccount.id}/schedules`, { token });
+    assert.deepStrictEqual(otherAccount.body.schedules, []);
+
+    const deleted = await request('DELETE', `${path}/${schedule.id}`, { token });
+    assert.strictEqual(deleted.status, 200);
+    const { body: list } = await request('GET', path, { token });
+    assert.deepStrictEqual(list.schedules, []);
+  });
+
+  await t.test('alert rules fire once into the alert inbox and the webhook', async () => {
+    const path = `/api/klaviyo-accounts/${secondAccount.id}/alert-rules`;
+    const webhookCalls = [];
+    const webhookServer = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => {
+        webhookCalls.push({ headers: req.headers, rawBody: data, body: JSON.parse(data) });
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => webhookServer.listen(0, resolve));
+
+    try {
+      const invalid = await request('POST', path, {
+        token,
+        body: { name: 'Dip', metric: 'revenue', scopeType: 'total', condition: 'drop', threshold: 150 }
+      });
+      assert.strictEqual(invalid.status, 400);
+      assert.match(invalid.body.error, /between 0 and 100/);
+
+      const { body: scopes } = await request('GET', `/api/klaviyo-accounts/${secondAccount.id}/alert-scopes`, { token });
+      assert.ok(scopes.campaigns.length > 0);
+      assert.ok(scopes.flows.length > 0);
+
+      // No day of the mock account has this much revenue
+      const created = await request('POST', path, {
+        token,
+        body: {
+          name: 'Revenue floor',
+          metric: 'revenue',
+          scopeType: 'total',
+          condition: 'below',
+          threshold: 1000000000,
+          webhookUrl: `http://127.0.0.1:${webhookServer.address().port}/hooks/alerts`
+        }
+      });
+      assert.strictEqual(created.status, 201);
+      const rule = created.body.rule;
+      assert.match(created.body.webhookSecret, /^whsec_/);
+      assert.strictEqual(rule.timezone, 'UTC');
+      assert.strictEqual(rule.state, 'ok');
+
+      const first = await request('POST', `${path}/${rule.id}/evaluate`, { token });
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(first.body.evaluation.state, 'firing');
+      assert.strictEqual(first.body.evaluation.day, toDateString(Date.now() - 24 * 60 * 60 * 1000));
+      assert.deepStrictEqual(first.body.evaluation.alert.deliveries, [{ channel: 'webhook', status: 'sent', error: null }]);
+      assert.strictEqual(first.body.rule.state, 'firing');
+      assert.strictEqual(webhookCalls.length, 1);
+      assert.strictEqual(webhookCalls[0].body.type, 'alert.fired');
+      assert.strictEqual(webhookCalls[0].body.data.alert.id, first.body.evaluation.alert.id);
+
+      // Signed like every other webhook, and logged
+      const { headers, rawBody } = webhookCalls[0];
+      const expected = crypto.createHmac('sha256', created.body.webhookSecret).update(`${headers['x-webhook-timestamp']}.${rawBody}`).digest('hex');
+      assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+      const { body: log } = await request('GET', `${path}/${rule.id}/webhook-deliveries`, { token });
+      assert.deepStrictEqual(log.deliveries.map(delivery => [delivery.status, delivery.event.id]), [['sent', webhookCalls[0].body.id]]);
+      const { body: ownWebhooks } = await request('GET', '/api/webhooks', { token });
+      assert.deepStrictEqual(ownWebhooks.webhooks, []);
+      const rotated = await request('POST', `${path}/${rule.id}/webhook-secret`, { token });
+      assert.match(rotated.body.secret, /^whsec_/);
+      assert.notStrictEqual(rotated.body.secret, created.body.webhookSecret);
+
+      // Still firing: no second alert
+      const second = await request('POST', `${path}/${rule.id}/evaluate`, { token });
+      assert.strictEqual(second.body.evaluation.state, 'firing');
+      assert.strictEqual(second.body.evaluation.alert, null);
+      assert.strictEqual(webhookCalls.length, 1);
+
+      const { body: inbox } = await request('GET', `/api/alerts?accountId=${secondAccount.id}`, { token });
+      assert.strictEqual(inbox.unreadCount, 1);
+      assert.strictEqual(inbox.alerts.length, 1);
+      assert.strictEqual(inbox.alerts[0].ruleName, 'Revenue floor');
+      assert.match(inbox.alerts[0].message, /^Revenue \(all campaigns and flows\) was .* below the threshold of/);
+
+      const read = await request('PUT', `/api/alerts/${inbox.alerts[0].id}/read`, { token });
+      assert.strictEqual(read.body.unreadCount, 0);
+      const { body: unread } = await request('GET', '/api/alerts?unread=true', { token });
+      assert.deepStrictEqual(unread.alerts, []);
+
+      // Editing a rule resets its state
+      const updated = await request('PUT', `${path}/${rule.id}`, { token, body: { enabled: false } });
+      assert.strictEqual(updated.body.rule.state, 'ok');
+      assert.strictEqual(updated.body.webhookSecret, null);
+      assert.strictEqual(updated.body.rule.nextRunAt, null);
+
+      const deleted = await request('DELETE', `${path}/${rule.id}`, { token });
+      assert.strictEqual(deleted.status, 200);
+      const { body: afterDelete } = await request('GET', '/api/alerts', { token });
+      assert.deepStrictEqual(afterDelete.alerts, []);
+    } finally {
+      await new Promise(resolve => webhookServer.close(resolve));
+    }
+  });
+
+  await t.test('webhooks receive signed account events and log their deliveries', async () => {
+    const received = [];
+    let failNext = true;
+    const webhookServer = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: data });
+        // The first request fails so it can be redelivered
+        res.statusCode = failNext ? 500 : 200;
+        failNext = false;
+        res.end();
+      });
+    });
+    await new Promise(resolve => webhookServer.listen(0, resolve));
+
+    // Helper function to wait until a webhook's log has the expected number of finished deliveries
+    const waitForDeliveries = async (webhookId, count) => {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const { body } = await request('GET', `/api/webhooks/${webhookId}/deliveries`, { token });
+        if (body.deliveries.filter(delivery => delivery.attempts > 0).length >= count) return body.deliveries;
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      throw new Error('Timed out waiting for webhook deliveries');
+    };
+
+    try {
+      const invalid = await request('POST', '/api/webhooks', {
+        token,
+        body: { url: 'https://hooks.example.com', events: ['account.renamed'] }
+      });
+      assert.strictEqual(invalid.status, 400);
+      assert.match(invalid.body.error, /Unknown event/);
+
+      const created = await request('POST', '/api/webhooks', {
+        token,
+        body: { url: `http://127.0.0.1:${webhookServer.address().port}/hooks`, events: ['account.added', 'account.removed'] }
+      });
+      assert.strictEqual(created.status, 201);
+      const { webhook, secret } = created.body;
+      assert.match(secret, /^whsec_/);
+      assert.strictEqual(webhook.secret, undefined);
+      assert.strictEqual(webhook.encryptedSecret, undefined);
+
+      const { body: list } = await request('GET', '/api/webhooks', { token });
+      assert.deepStrictEqual(list.webhooks.map(entry => entry.id), [webhook.id]);
+      assert.ok(list.events.some(event => event.type === 'sync.completed'));
+
+      const added = await request('POST', '/api/klaviyo-accounts', {
+        token,
+        body: { accountName: 'Webhook store', apiKey: 'pk_test_webhooks_0005' }
+      });
+      assert.strictEqual(added.status, 200);
+      await request('DELETE', `/api/klaviyo-accounts/${added.body.account.id}`, { token });
+      await request('PUT', `/api/klaviyo-accounts/${secondAccount.id}/switch`, { token });
+
+      const deliveries = await waitForDeliveries(webhook.id, 2);
+      assert.deepStrictEqual(deliveries.map(delivery => delivery.eventType), ['account.removed', 'account.added']);
+      const failed = deliveries[1];
+      assert.strictEqual(failed.status, 'pending');
+      assert.strictEqual(failed.responseStatus, 500);
+      assert.ok(failed.nextAttemptAt);
+      assert.strictEqual(deliveries[0].status, 'sent');
+      assert.strictEqual(deliveries[0].event.data.account.id, added.body.account.id);
+
+      // Every request is signed with the subscription secret
+      assert.strictEqual(received.length, 2);
+      received.forEach(({ headers, body }) => {
+        const expected = crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+      });
+
+      const redelivered = await request('POST', `/api/webhooks/${webhook.id}/deliveries/${failed.id}/redeliver`, { token });
+      assert.strictEqual(redelivered.body.delivery.status, 'sent');
+      assert.strictEqual(received[2].headers['x-webhook-id'], failed.eventId);
+
+      const rotated = await request('POST', `/api/webhooks/${webhook.id}/rotate-secret`, { token });
+      const tested = await request('POST', `/api/webhooks/${webhook.id}/test`, { token });
+      assert.strictEqual(tested.body.delivery.status, 'sent');
+      assert.strictEqual(tested.body.delivery.event.type, 'webhook.test');
+      const testRequest = received[3];
+      const expected = crypto.createHmac('sha256', rotated.body.secret)
+        .update(`${testRequest.headers['x-webhook-timestamp']}.${testRequest.body}`).digest('hex');
+      assert.strictEqual(testRequest.headers['x-webhook-signature'], `sha256=${expected}`);
+
+      const paused = await request('PUT', `/api/webhooks/${webhook.id}`, { token, body: { enabled: false } });
+      assert.strictEqual(paused.body.webhook.enabled, false);
+      assert.deepStrictEqual(paused.body.webhook.events, ['account.added', 'account.removed']);
+
+      const deleted = await request('DELETE', `/api/webhooks/${webhook.id}`, { token });
+      assert.strictEqual(deleted.status, 200);
+      const missing = await request('GET', `/api/webhooks/${webhook.id}/deliveries`, { token });
+      assert.strictEqual(missing.status, 404);
+    } finally {
+      await new Promise(resolve => webhookServer.close(resolve));
+    }
+  });
+
+  await t.test('organization roles limit what invited members can do', async () => {
+    // Helper function to register an invited member and log them in
+    const joinWithInvite = async (username, email, inviteToken) => {
+      const registered = await request('POST', '/api/auth/register', {
+        body: { username, email, password: 'secret123', inviteToken }
+      });
+      assert.strictEqual(registered.status, 200);
+      const { body } = await request('POST', '/api/auth/login', { body: { email, password: 'secret123' } });
+      return body.token;
+    };
+
+    const { body: me } = await request('GET', '/api/auth/me', { token });
+    assert.strictEqual(me.user.role, 'owner');
+    assert.ok(me.user.permissions.includes('accounts:manage'));
+    const organizationAccountIds = me.user.klaviyoAccounts.map(account => account.id);
+
+    const missingAccounts = await request('POST', '/api/organization/invitations', {
+      token,
+      body: { email: 'viewer@example.com', role: 'client-viewer' }
+    });
+    assert.strictEqual(missingAccounts.status, 400);
+
+    const analystInvite = await request('POST', '/api/organization/invitations', {
+      token,
+      body: { email: 'Analyst@Example.com', role: 'analyst' }
+    });
+    assert.strictEqual(analystInvite.status, 201);
+    assert.strictEqual(analystInvite.body.invitation.email, 'analyst@example.com');
+    const viewerInvite = await request('POST', '/api/organization/invitations', {
+      token,
+      body: { email: 'viewer@example.com', role: 'client-viewer', accountIds: [secondAccount.id] }
+    });
+
+    const { body: lookup } = await request('GET', `/api/invitations/${analystInvite.body.token}`);
+    assert.strictEqual(lookup.invitation.organizationName, me.user.organization.name);
+    assert.strictEqual(lookup.invitation.role, 'analyst');
+
+    const wrongEmail = await request('POST', '/api/auth/register', {
+      body: { username: 'someone', email: 'someone@example.com', password: 'secret123', inviteToken: analystInvite.body.token }
+    });
+    assert.strictEqual(wrongEmail.status, 400);
+
+    // Analysts see every account of the organization but cannot change them
+    const analystToken = await joinWithInvite('analyst', 'analyst@example.com', analystInvite.body.token);
+    const { body: analyst } = await request('GET', '/api/auth/me', { token: analystToken });
+    assert.strictEqual(analyst.user.role, 'analyst');
+    assert.deepStrictEqual(analyst.user.permissions, ['workspace:view']);
+    assert.deepStrictEqual(analyst.user.klaviyoAccounts.map(account => account.id), organizationAccountIds);
+
+    const reused = await request('GET', `/api/invitations/${analystInvite.body.token}`);
+    assert.strictEqual(reused.status, 404);
+
+    const added = await request('POST', '/api/klaviyo-accounts', {
+      token: analystToken,
+      body: { accountName: 'Not allowed', apiKey: 'pk_test_analyst_0006' }
+    });
+    assert.strictEqual(added.status, 403);
+    const deleted = await request('DELETE', `/api/klaviyo-accounts/${primaryAccount.id}`, { token: analystToken });
+    assert.strictEqual(deleted.status, 403);
+    const configured = await request('PUT', `/api/klaviyo-accounts/${primaryAccount.id}/branding`, {
+      token: analystToken,
+      body: { reportAccentColor: '#000000' }
+    });
+    assert.strictEqual(configured.status, 403);
+    const synced = await request('POST', `/api/klaviyo-accounts/${primaryAccount.id}/sync`, { token: analystToken });
+    assert.strictEqual(synced.status, 403);
+    const team = await request('GET', '/api/organization', { token: analystToken });
+    assert.strictEqual(team.status, 403);
+
+    // Webhooks send the organization's events elsewhere, so read-only roles cannot subscribe one
+    const webhook = await request('POST', '/api/webhooks', {
+      token: analystToken,
+      body: { url: 'https://example.com/hooks/analyst', events: ['sync.completed'] }
+    });
+    assert.strictEqual(webhook.status, 403);
+    const webhooks = await request('GET', '/api/webhooks', { token: analystToken });
+    assert.strictEqual(webhooks.status, 403);
+
+    // Switching is per member: the owner keeps their active account
+    const switched = await request('PUT', `/api/klaviyo-accounts/${primaryAccount.id}/switch`, { token: analystToken });
+    assert.strictEqual(switched.status, 200);
+    const { body: owner } = await request('GET', '/api/auth/me', { token });
+    assert.strictEqual(owner.user.klaviyoAccounts.find(account => account.isActive).id, secondAccount.id);
+    const schedules = await request('GET', `/api/klaviyo-accounts/${primaryAccount.id}/schedules`, { token: analystToken });
+    assert.strictEqual(schedules.status, 200);
+
+    // Client viewers only see the accounts they were given
+    const viewerToken = await joinWithInvite('viewer', 'viewer@example.com', viewerInvite.body.token);
+    const { body: viewer } = await request('GET', '/api/auth/me', { token: viewerToken });
+    assert.deepStrictEqual(viewer.user.klaviyoAccounts.map(account => account.id), [secondAccount.id]);
+    const forbidden = await request('PUT', `/api/klaviyo-accounts/${primaryAccount.id}/switch`, { token: viewerToken });
+    assert.strictEqual(forbidden.status, 403);
+    const hidden = await request('GET', `/api/klaviyo-accounts/${primaryAccount.id}/metrics`, { token: viewerToken });
+    assert.strictEqual(hidden.status, 404);
+
+    // Admins manage members, but only owners make or change owners
+    const { body: organization } = await request('GET', '/api/organization', { token });
+    assert.deepStrictEqual(organization.members.map(member => member.role), ['owner', 'analyst', 'client-viewer']);
+    assert.deepStrictEqual(organization.invitations, []);
+    const [ownerMember, analystMember, viewerMember] = organization.members;
+
+    const promoted = await request('PUT', `/api/organization/members/${analystMember.userId}`, { token, body: { role: 'admin' } });
+    assert.strictEqual(promoted.body.member.role, 'admin');
+    const ownerByAdmin = await request('PUT', `/api/organization/members/${viewerMember.userId}`, {
+      token: analystToken,
+      body: { role: 'owner' }
+    });
+    assert.strictEqual(ownerByAdmin.status, 400);
+    const removeOwner = await request('DELETE', `/api/organization/members/${ownerMember.userId}`, { token: analystToken });
+    assert.strictEqual(removeOwner.status, 400);
+    const lastOwner = await request('PUT', `/api/organization/members/${ownerMember.userId}`, { token, body: { role: 'analyst' } });
+    assert.match(lastOwner.body.error, /at least one owner/);
+
+    const removed = await request('DELETE', `/api/organization/members/${viewerMember.userId}`, { token: analystToken });
+    assert.strictEqual(removed.status, 200);
+    const { body: formerViewer } = await request('GET', '/api/auth/me', { token: viewerToken });
+    assert.strictEqual(formerViewer.user.organization, null);
+    assert.deepStrictEqual(formerViewer.user.klaviyoAccounts, []);
+  });
+
+  await t.test('client portal logins are pinned to one account', async () => {
+    const badColor = await request('PUT', '/api/organization/branding', { token, body: { accentColor: 'teal' } });
+    assert.strictEqual(badColor.status, 400);
+    const branded = await request('PUT', '/api/organization/branding', { token, body: { accentColor: '#0f766e' } });
+    assert.strictEqual(branded.body.organization.accentColor, '#0f766e');
+    assert.strictEqual(branded.body.organization.hasLogo, false);
+
+    const twoAccounts = await request('POST', '/api/organization/invitations', {
+      token,
+      body: { email: 'store@example.com', role: 'client', accountIds: [primaryAccount.id, secondAccount.id] }
+    });
+    assert.match(twoAccounts.body.error, /exactly one account/);
+    const invite = await request('POST', '/api/organization/invitations', {
+      token,
+      body: { email: 'store@example.com', role: 'client', accountIds: [secondAccount.id] }
+    });
+    assert.strictEqual(invite.status, 201);
+    // No SMTP settings: the link is shared by hand
+    assert.strictEqual(invite.body.emailed, false);
+
+    await request('POST', '/api/auth/register', {
+      body: { username: 'store', email: 'store@example.com', password: 'secret123', inviteToken: invite.body.token }
+    });
+    const { body: login } = await request('POST', '/api/auth/login', { body: { email: 'store@example.com', password: 'secret123' } });
+    assert.strictEqual(login.user.role, 'client');
+    assert.deepStrictEqual(login.user.permissions, []);
+    const clientToken = login.token;
+
+    const { body: client } = await request('GET', '/api/auth/me', { token: clientToken });
+    assert.deepStrictEqual(client.user.klaviyoAccounts.map(account => account.id), [secondAccount.id]);
+    const { body: branding } = await request('GET', '/api/organization/branding', { token: clientToken });
+    assert.strictEqual(branding.name, client.user.organization.name);
+    assert.strictEqual(branding.accentColor, '#0f766e');
+
+    // The agency's workspace stays out of the portal
+    const switched = await request('PUT', `/api/klaviyo-accounts/${primaryAccount.id}/switch`, { token: clientToken });
+    assert.strictEqual(switched.status, 403);
+    for (const path of ['/api/alerts', '/api/webhooks', `/api/klaviyo-accounts/${secondAccount.id}/schedules`, `/api/klaviyo-accounts/${secondAccount.id}/alert-rules`]) {
+      const { status } = await request('GET', path, { token: clientToken });
+      assert.strictEqual(status, 403, path);
+    }
+    const brandingByClient = await request('PUT', '/api/organization/branding', { token: clientToken, body: { accentColor: '#000000' } });
+    assert.strictEqual(brandingByClient.status, 403);
+  });
+
+  await t.test('administrators manage users with an audit trail', async () => {
+    // The public list of registered users is gone
+    const publicList = await fetch(`${baseUrl}/api/auth/clients`);
+    assert.strictEqual(publicList.status, 404);
+    const byOwner = await request('GET', '/api/admin/users', { token });
+    assert.strictEqual(byOwner.status, 403);
+
+    // Registering an address gives no admin rights; they are granted to an existing user from the server
+    const registered = await request('POST', '/api/auth/register', { body: { username: 'support', email: ' Support@Example.com ', password: 'secret123' } });
+    assert.strictEqual(registered.body.user.email, 'support@example.com');
+    const { body: beforeGrant } = await request('POST', '/api/auth/login', { body: { email: 'support@example.com', password: 'secret123' } });
+    assert.strictEqual(beforeGrant.user.isAdmin, false);
+    require('../userAdmin').setAdmin('support@example.com', true);
+
+    // The same address in another case is the same login, not a new one
+    const lookalike = await request('POST', '/api/auth/register', { body: { username: 'support2', email: 'SUPPORT@example.com', password: 'secret123' } });
+    assert.strictEqual(lookalike.status, 400);
+    assert.match(lookalike.body.error, /already exists/);
+    const { body: adminLogin } = await request('POST', '/api/auth/login', { body: { email: 'SUPPORT@example.com', password: 'secret123' } });
+    assert.strictEqual(adminLogin.user.isAdmin, true);
+    const adminToken = adminLogin.token;
+
+    const { body: list } = await request('GET', '/api/admin/users', { token: adminToken });
+    const owner = list.users.find(user => user.email === 'client@example.com');
+    const store = list.users.find(user => user.email === 'store@example.com');
+    assert.strictEqual(owner.accountCount, 2);
+    assert.ok(owner.lastLoginAt);
+    assert.strictEqual(owner.password, undefined);
+    assert.strictEqual(store.accountCount, 1);
+    assert.deepStrictEqual(store.organizations.map(organization => organization.role), ['client']);
+
+    // Disabling ends open sessions and blocks logins until the user is enabled again
+    const { body: storeLogin } = await request('POST', '/api/auth/login', { body: { email: 'store@example.com', password: 'secret123' } });
+    const disabled = await request('POST', `/api/admin/users/${store.id}/disable`, { token: adminToken, body: { reason: 'Contract ended' } });
+    assert.ok(disabled.body.user.disabledAt);
+    const session = await request('GET', '/api/auth/me', { token: storeLogin.token });
+    assert.strictEqual(session.status, 401);
+    const blocked = await request('POST', '/api/auth/login', { body: { email: 'store@example.com', password: 'secret123' } });
+    assert.match(blocked.body.error, /disabled/);
+    await request('POST', `/api/admin/users/${store.id}/enable`, { token: adminToken });
+
+    // A reset also ends the sessions opened with the old password
+    const { body: beforeReset } = await request('POST', '/api/auth/login', { body: { email: 'store@example.com', password: 'secret123' } });
+    const reset = await request('POST', `/api/admin/users/${store.id}/reset-password`, { token: adminToken });
+    const staleSession = await request('GET', '/api/auth/me', { token: beforeReset.token });
+    assert.strictEqual(staleSession.status, 401);
+    const oldPassword = await request('POST', '/api/auth/login', { body: { email: 'store@example.com', password: 'secret123' } });
+    assert.strictEqual(oldPassword.status, 401);
+    const newPassword = await request('POST', '/api/auth/login', { body: { email: 'store@example.com', password: reset.body.temporaryPassword } });
+    assert.strictEqual(newPassword.status, 200);
+    const freshSession = await request('GET', '/api/auth/me', { token: newPassword.body.token });
+    assert.strictEqual(freshSession.status, 200);
+
+    const impersonated = await request('POST', `/api/admin/users/${owner.id}/impersonate`, { token: adminToken });
+    assert.strictEqual(impersonated.body.user.email, 'client@example.com');
+    const { body: asOwner } = await request('GET', '/api/auth/me', { token: impersonated.body.token });
+    assert.strictEqual(asOwner.user.email, 'client@example.com');
+    assert.strictEqual(asOwner.user.impersonator.email, 'support@example.com');
+    const nested = await request('GET', '/api/admin/users', { token: impersonated.body.token });
+    assert.strictEqual(nested.status, 403);
+
+    const self = await request('POST', `/api/admin/users/${adminLogin.user.id}/disable`, { token: adminToken });
+    assert.strictEqual(self.status, 400);
+    const missing = await request('POST', '/api/admin/users/missing/reset-password', { token: adminToken });
+    assert.strictEqual(missing.status, 404);
+    const byMember = await request('POST', `/api/admin/users/${store.id}/disable`, { token: newPassword.body.token });
+    assert.strictEqual(byMember.status, 403);
+
+    const { body: audit } = await request('GET', `/api/admin/audit-log?userId=${store.id}`, { token: adminToken });
+    assert.deepStrictEqual(audit.entries.map(entry => entry.action), ['user.password_reset', 'user.enabled', 'user.disabled']);
+    assert.strictEqual(audit.entries[2].details.reason, 'Contract ended');
+    assert.strictEqual(audit.entries[2].actor.email, 'support@example.com');
+    const { body: fullAudit } = await request('GET', '/api/admin/audit-log', { token: adminToken });
+    assert.strictEqual(fullAudit.entries[0].action, 'user.impersonated');
+
+    // Support sessions end as soon as the administrator loses their rights
+    require('../userAdmin').setAdmin('support@example.com', false);
+    const ended = await request('GET', '/api/auth/me', { token: impersonated.body.token });
+    assert.strictEqual(ended.status, 401);
+    assert.match(ended.body.error, /support session has ended/);
+  });
+
+  await t.test('replays only use the cassettes of the caller\'s accounts unless they are an administrator', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+    const ownKey = getAccountCacheKey(PRIMARY_KEY);
+    const recordedAt = new Date().toISOString();
+    [ownKey, 'othercassette'].forEach(name => {
+      fs.mkdirSync(path.join(directory, name));
+      fs.writeFileSync(path.join(directory, name, 'cassette.json'), JSON.stringify({ accountKey: name, firstRecordedAt: recordedAt, lastRecordedAt: recordedAt }));
+    });
+    process.env.KLAVIYO_CASSETTE_MODE = 'replay';
+    process.env.KLAVIYO_CASSETTE_DIR = directory;
+    try {
+      // The cassettes only hold a manifest, so a replay that finds its cassette fails on the first unrecorded request
+      const own = await request('GET', `/api/revenue/total?cassette=${ownKey}`, { token });
+      assert.match(own.body.error, /No recorded Klaviyo response/);
+
+      // Someone else's cassette is ignored: the active account's recordings are replayed instead
+      const other = await request('GET', '/api/revenue/total?cassette=othercassette', { token });
+      assert.strictEqual(other.status, 404);
+      assert.doesNotMatch(other.body.error, /othercassette/);
+
+      require('../userAdmin').setAdmin('support@example.com', true);
+      const { body: adminLogin } = await request('POST', '/api/auth/login', { body: { email: 'support@example.com', password: 'secret123' } });
+      const byAdmin = await request('GET', '/api/revenue/total?cassette=othercassette', { token: adminLogin.token });
+      assert.match(byAdmin.body.error, /No recorded Klaviyo response/);
+    } finally {
+      require('../userAdmin').setAdmin('support@example.com', false);
+      delete process.env.KLAVIYO_CASSETTE_MODE;
+      delete process.env.KLAVIYO_CASSETTE_DIR;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('deleting an unknown account is not found', async () => {
+    const deleted = await request('DELETE', '/api/klaviyo-accounts/missing', { token });
+    assert.strictEqual(deleted.status, 404);
+    assert.strictEqual(deleted.body.error, 'Account not found');
+  });
+
+  await t.test('deleting an account removes it', async () => {
+    const { body } = await request('DELETE', `/api/klaviyo-accounts/${primaryAccount.id}`, { token });
+    assert.strictEqual(body.success, true);
+
+    const { body: list } = await request('GET', '/api/klaviyo-accounts', { token });
+    assert.deepStrictEqual(list.accounts.map(account => account.id), [secondAccount.id]);
+  });
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The user administration functions against a throwaway database
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+console.log = () => {};
+
+const { getDb } = require('../db');
+const userRepository = require('../userRepository');
+const { registerClient, loginUser, createImpersonationSession, verifyToken } = require('../auth');
+const { IMPERSONATION_TTL_MINUTES, generateTemporaryPassword, setAdmin, listUsers, disableUser, enableUser, resetUserPassword, startImpersonation, listAuditLog } = require('../userAdmin');
+
+// Helper function to register a user and return them as stored (with isAdmin)
+async function createUser(username, { admin = false } = {}) {
+  const user = await registerClient(username, `${username}@example.com`, 'secret123');
+  return admin ? setAdmin(user.email, true) : userRepository.findUserById(user.id);
+}
+
+test('emails are one login whatever their case, and never make an administrator', async () => {
+  const user = await registerClient('support', ' Support@Example.com ', 'secret123');
+  assert.strictEqual(user.email, 'support@example.com');
+  await assert.rejects(registerClient('impostor', 'SUPPORT@example.com', 'secret123'), /already exists/);
+
+  const { user: session } = await loginUser('SUPPORT@EXAMPLE.COM ', 'secret123');
+  assert.strictEqual(session.id, user.id);
+  assert.strictEqual(session.isAdmin, false);
+
+  assert.strictEqual(setAdmin('Support@example.com', true).isAdmin, true);
+  assert.strictEqual((await loginUser('support@example.com', 'secret123')).user.isAdmin, true);
+  assert.strictEqual(setAdmin('support@example.com', false).isAdmin, false);
+  assert.throws(() => setAdmin('nobody@example.com', true), /No user has the email/);
+});
+
+test('the users table is unique on emails whatever their case', () => {
+  const insert = getDb().prepare('INSERT INTO users (id, username, email, password, created_at) VALUES (?, ?, ?, ?, ?)');
+  insert.run('u_case', 'case', 'case@example.com', 'x', new Date().toISOString());
+  assert.throws(() => insert.run('u_case2', 'case2', 'CASE@example.com', 'x', new Date().toISOString()), { code: 'SQLITE_CONSTRAINT_UNIQUE' });
+});
+
+test('administrators cannot act on themselves, other administrators or unknown users', async () => {
+  const admin = await createUser('refusal-admin', { admin: true });
+  const otherAdmin = await createUser('refusal-other-admin', { admin: true });
+  const member = await createUser('refusal-member');
+
+  assert.throws(() => disableUser(admin, admin.id), /your own login/);
+  assert.throws(() => disableUser(admin, otherAdmin.id), /Administrators are managed/);
+  await assert.rejects(resetUserPassword(admin, otherAdmin.id), /Administrators are managed/);
+  assert.throws(() => startImpersonation(admin, otherAdmin.id), /Administrators are managed/);
+  assert.throws(() => disableUser(admin, 'missing'), /User not found/);
+  assert.throws(() => disableUser(member, admin.id), /Only administrators/);
+  assert.throws(() => enableUser(admin, member.id), /not disabled/);
+  assert.deepStrictEqual(listAuditLog({ userId: member.id }), []);
+});
+
+test('disabled users cannot log in until they are enabled again', async () => {
+  const admin = await createUser('disable-admin', { admin: true });
+  const member = await createUser('disable-member');
+
+  const disabled = disableUser(admin, member.id, { reason: 'Contract ended' });
+  assert.ok(disabled.disabledAt);
+  assert.throws(() => disableUser(admin, member.id), /already disabled/);
+  await assert.rejects(loginUser(member.email, 'secret123'), /disabled/);
+  // A wrong password is not told that the login is disabled
+  await assert.rejects(loginUser(member.email, 'wrong-password'), /Invalid email or password/);
+  assert.throws(() => startImpersonation(admin, member.id), /Enable this user/);
+
+  assert.strictEqual(enableUser(admin, member.id).disabledAt, null);
+  const { user } = await loginUser(member.email, 'secret123');
+  assert.strictEqual(user.id, member.id);
+  assert.ok(listUsers().find(entry => entry.id === member.id).lastLoginAt);
+
+  const entries = listAuditLog({ userId: member.id });
+  assert.deepStrictEqual(entries.map(entry => entry.action), ['user.enabled', 'user.disabled']);
+  assert.deepStrictEqual(entries[1].details, { reason: 'Contract ended' });
+  assert.strictEqual(entries[1].actorEmail, admin.email);
+});
+
+test('a password reset replaces the password and ends the sessions opened with it', async () => {
+  const admin = await createUser('reset-admin', { admin: true });
+  const member = await createUser('reset-member');
+  const { token } = await loginUser(member.email, 'secret123');
+
+  const { user, temporaryPassword } = await resetUserPassword(admin, member.id);
+  assert.strictEqual(user.id, member.id);
+  await assert.rejects(loginUser(member.email, 'secret123'), /Invalid email or password/);
+  const { token: newToken } = await loginUser(member.email, temporaryPassword);
+
+  // authenticate compares the token's session version with the user's
+  const { sessionVersion } = userRepository.findUserById(member.id);
+  assert.notStrictEqual(verifyToken(token).sessionVersion, sessionVersion);
+  assert.strictEqual(verifyToken(newToken).sessionVersion, sessionVersion);
+  assert.strictEqual(listAuditLog({ userId: member.id })[0].action, 'user.password_reset');
+});
+
+test('impersonation issues a short token naming the administrator and is audited', async () => {
+  const admin = await createUser('support-admin', { admin: true });
+  const member = await createUser('support-member');
+
+  const now = new Date();
+  const { user, expiresAt } = startImpersonation(admin, member.id, now);
+  assert.strictEqual(user.id, member.id);
+  assert.strictEqual(Date.parse(expiresAt) - now.getTime(), IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+  const session = await createImpersonationSession(member.id, admin.id);
+  assert.strictEqual(session.user.id, member.id);
+  const decoded = verifyToken(session.token);
+  assert.strictEqual(decoded.id, member.id);
+  assert.strictEqual(decoded.impersonatorId, admin.id);
+  assert.strictEqual(decoded.exp - decoded.iat, IMPERSONATION_TTL_MINUTES * 60);
+  // Signing in as someone is not their login
+  assert.strictEqual(userRepository.findUserById(member.id).lastLoginAt, null);
+
+  const [entry] = listAuditLog({ userId: member.id });
+  assert.strictEqual(entry.action, 'user.impersonated');
+  assert.strictEqual(entry.actorId, admin.id);
+  assert.deepStrictEqual(entry.details, { expiresAt });
+});
+
+test('generateTemporaryPassword makes distinct URL-safe passwords', () => {
+  const first = generateTemporaryPassword();
+  assert.match(first, /^[A-Za-z0-9_-]{16}$/);
+  assert.notStrictEqual(first, generateTemporaryPassword());
+});
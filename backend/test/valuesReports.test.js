@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  toMessageStatistics,
+  sumMessageRows,
+  buildCampaignMessageRows,
+  getCampaignMessages,
+  getDelayMinutes,
+  getFlowSteps,
+  buildFlowStepRows
+} = require('../valuesReports');
+
+const MESSAGES = [
+  { id: 'MSG_A', label: 'Spring Sale - A', channel: 'email' },
+  { id: 'MSG_B', label: 'Spring Sale - B', channel: 'email' },
+  { id: 'MSG_SMS', label: 'Spring Sale SMS', channel: 'sms' }
+];
+
+// Helper function for a values report result
+function result(groupings, statistics) {
+  return { groupings: { campaign_id: 'CAMPAIGN', ...groupings }, statistics };
+}
+
+test('toMessageStatistics prefers unique conversions and defaults to zero', () => {
+  assert.deepStrictEqual(toMessageStatistics({
+    recipients: 100,
+    delivered: 98,
+    opens: 60,
+    opens_unique: 40,
+    clicks: 12,
+    clicks_unique: 9,
+    bounced: 2,
+    unsubscribes: 1,
+    spam_complaints: 0,
+    conversions: 5,
+    conversion_uniques: 4,
+    conversion_value: 250.5
+  }), {
+    recipients: 100,
+    delivered: 98,
+    opens: 60,
+    uniqueOpens: 40,
+    clicks: 12,
+    uniqueClicks: 9,
+    bounces: 2,
+    unsubscribes: 1,
+    spamComplaints: 0,
+    conversions: 4,
+    revenue: 250.5
+  });
+  assert.strictEqual(toMessageStatistics({ conversions: 3 }).conversions, 3);
+  assert.strictEqual(toMessageStatistics().recipients, 0);
+});
+
+test('buildCampaignMessageRows keeps the campaign message order and fills in messages without results', () => {
+  const rows = buildCampaignMessageRows(MESSAGES, [
+    result({ campaign_message_id: 'MSG_SMS', send_channel: 'sms' }, { recipients: 50, delivered: 50, clicks_unique: 5 }),
+    result({ campaign_message_id: 'MSG_A', send_channel: 'email' }, { recipients: 100, delivered: 80, opens_unique: 40 })
+  ]);
+
+  assert.deepStrictEqual(rows.map(row => row.id), ['MSG_A', 'MSG_B', 'MSG_SMS']);
+  assert.strictEqual(rows[0].openRate, 50);
+  assert.strictEqual(rows[1].recipients, 0);
+  assert.strictEqual(rows[1].label, 'Spring Sale - B');
+  assert.strictEqual(rows[2].channel, 'sms');
+  assert.strictEqual(rows[2].clickRate, 10);
+});
+
+test('buildCampaignMessageRows lists A/B variations and unknown messages', () => {
+  const rows = buildCampaignMessageRows(MESSAGES.slice(0, 1), [
+    result({ campaign_message_id: 'MSG_A', variation: '1', variation_name: 'Subject A' }, { recipients: 10 }),
+    result({ campaign_message_id: 'MSG_A', variation: '2', variation_name: 'Subject B' }, { recipients: 12 }),
+    result({ campaign_message_id: 'MSG_OLD' }, { recipients: 3 })
+  ]);
+
+  assert.deepStrictEqual(rows.map(row => [row.id, row.variationName, row.label]), [
+    ['MSG_A:1', 'Subject A', 'Spring Sale - A'],
+    ['MSG_A:2', 'Subject B', 'Spring Sale - A'],
+    ['MSG_OLD', null, 'MSG_OLD']
+  ]);
+});
+
+test('sumMessageRows totals counts and recomputes rates', () => {
+  const totals = sumMessageRows([
+    { recipients: 100, delivered: 100, uniqueOpens: 30, uniqueClicks: 5, conversions: 2, revenue: 100 },
+    { recipients: 100, delivered: 100, uniqueOpens: 10, uniqueClicks: 5, conversions: 0, revenue: 0 }
+  ]);
+  assert.strictEqual(totals.recipients, 200);
+  assert.strictEqual(totals.revenue, 100);
+  assert.strictEqual(totals.openRate, 20);
+  assert.strictEqual(totals.clickRate, 5);
+  assert.strictEqual(totals.conversionRate, 1);
+});
+
+test('getCampaignMessages reads labels and channels from the included messages', () => {
+  const messages = getCampaignMessages({
+    data: {
+      id: 'CAMPAIGN',
+      relationships: { 'campaign-messages': { data: [{ type: 'campaign-message', id: 'MSG_B' }, { type: 'campaign-message', id: 'MSG_A' }] } }
+    },
+    included: [
+      { type: 'campaign-message', id: 'MSG_A', attributes: { label: 'A', channel: 'email', content: { subject: 'Hello' } } },
+      { type: 'campaign-message', id: 'MSG_B', attributes: { channel: 'sms' } }
+    ]
+  });
+  assert.deepStrictEqual(messages, [
+    { id: 'MSG_B', label: 'MSG_B', channel: 'sms', subject: null },
+    { id: 'MSG_A', label: 'A', channel: 'email', subject: 'Hello' }
+  ]);
+});
+
+// GET /flows/:id?include=flow-actions for a flow: email, 1 day, split, 4 hours + 30 minutes, SMS
+const FLOW_RESPONSE = {
+  data: {
+    id: 'FLOW',
+    relationships: {
+      'flow-actions': {
+        data: ['A1', 'D1', 'SPLIT', 'D2', 'D3', 'A2'].map(id => ({ type: 'flow-action', id }))
+      }
+    }
+  },
+  included: [
+    { type: 'flow-action', id: 'A1', attributes: { action_type: 'SEND_EMAIL' } },
+    { type: 'flow-action', id: 'D1', attributes: { action_type: 'TIME_DELAY', settings: { unit: 'days', value: 1 } } },
+    { type: 'flow-action', id: 'SPLIT', attributes: { action_type: 'CONDITIONAL_SPLIT' } },
+    { type: 'flow-action', id: 'D2', attributes: { action_type: 'TIME_DELAY', settings: { unit: 'hours', value: 4 } } },
+    { type: 'flow-action', id: 'D3', attributes: { action_type: 'TIME_DELAY', settings: { unit: 'minutes', value: 30 } } },
+    { type: 'flow-action', id: 'A2', attributes: { action_type: 'SEND_SMS' } }
+  ]
+};
+
+const FLOW_MESSAGES = {
+  A1: [{ id: 'M1', name: 'Welcome', channel: 'email' }],
+  A2: [{ id: 'M2', name: 'Discount reminder', channel: null }]
+};
+
+test('getDelayMinutes converts delay units', () => {
+  assert.strictEqual(getDelayMinutes({ unit: 'days', value: 2 }), 2880);
+  assert.strictEqual(getDelayMinutes({ unit: 'hours', value: '3' }), 180);
+  assert.strictEqual(getDelayMinutes({}), 0);
+});
+
+test('getFlowSteps lists send actions in flow order with the delays before them', () => {
+  assert.deepStrictEqual(getFlowSteps(FLOW_RESPONSE, FLOW_MESSAGES), [
+    { actionId: 'A1', actionType: 'SEND_EMAIL', messageId: 'M1', name: 'Welcome', channel: 'email', delayMinutes: 0, minutesSinceTrigger: 0 },
+    { actionId: 'A2', actionType: 'SEND_SMS', messageId: 'M2', name: 'Discount reminder', channel: 'sms', delayMinutes: 1710, minutesSinceTrigger: 1710 }
+  ]);
+});
+
+test('buildFlowStepRows adds statistics and the funnel drop-off per step', () => {
+  const rows = buildFlowStepRows(getFlowSteps(FLOW_RESPONSE, FLOW_MESSAGES), [
+    { groupings: { flow_id: 'FLOW', flow_message_id: 'M2', send_channel: 'sms' }, statistics: { recipients: 60, conversion_value: 90 } },
+    { groupings: { flow_id: 'FLOW', flow_message_id: 'M1', send_channel: 'email' }, statistics: { recipients: 200, conversions: 8 } },
+    { groupings: { flow_id: 'FLOW', flow_message_id: 'OLD', send_channel: 'email' }, statistics: { recipients: 5 } }
+  ]);
+
+  assert.deepStrictEqual(rows.map(row => [row.position, row.messageId, row.recipients]), [
+    [1, 'M1', 200],
+    [2, 'M2', 60],
+    [3, 'OLD', 5]
+  ]);
+  assert.strictEqual(rows[0].conversionRate, 4);
+  assert.strictEqual(rows[1].funnelPercent, 30);
+  assert.strictEqual(rows[1].dropOffPercent, 70);
+  assert.strictEqual(rows[1].revenue, 90);
+  assert.strictEqual(rows[2].delayMinutes, null);
+});
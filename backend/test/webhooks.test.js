@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.API_KEY_ENCRYPTION_KEY = '0'.repeat(64);
+const { encryptSecret } = require('../keyEncryption');
+const { validateWebhookSubscription, signWebhookPayload, getRetryDelaySeconds, WebhookDispatcher } = require('../webhooks');
+
+// Helper function to build a dispatcher over an in-memory repository and a scripted send()
+// responses are returned (numbers) or thrown (errors with that status) in order
+function createDispatcher(responses, subscriptions) {
+  const deliveries = new Map();
+  const requests = [];
+  const dispatcher = new WebhookDispatcher({
+    intervalSeconds: 0,
+    maxAttempts: 3,
+    repository: {
+      listSubscriptionsForEvent: (userId, type) => subscriptions.filter(subscription => subscription.events.includes(type)),
+      insertDelivery: delivery => deliveries.set(delivery.id, { ...delivery }),
+      updateDelivery: delivery => deliveries.set(delivery.id, { ...delivery }),
+      listDueDeliveries: now => [...deliveries.values()]
+        .filter(delivery => delivery.status === 'pending' && new Date(delivery.nextAttemptAt) <= now)
+        .map(delivery => ({ delivery, subscription: subscriptions.find(subscription => subscription.id === delivery.subscriptionId) }))
+    },
+    send: async (url, body, options) => {
+      requests.push({ url, body, headers: options.headers });
+      const status = responses.shift();
+      if (status >= 400) {
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = { status, data: 'Unavailable' };
+        throw error;
+      }
+      return { status };
+    }
+  });
+  return { dispatcher, deliveries, requests };
+}
+
+const SUBSCRIPTION = {
+  id: 'wh_1',
+  url: 'https://hooks.example.com/klaviyo',
+  events: ['account.added', 'alert.fired'],
+  encryptedSecret: encryptSecret('whsec_test')
+};
+
+test('validateWebhookSubscription checks the URL and event types', () => {
+  const { subscription } = validateWebhookSubscription({ url: ' https://hooks.example.com/a ', events: ['alert.fired', 'sync.completed'] });
+  assert.strictEqual(subscription.url, 'https://hooks.example.com/a');
+  assert.deepStrictEqual(subscription.events, ['sync.completed', 'alert.fired']);
+  assert.strictEqual(subscription.enabled, true);
+
+  assert.match(validateWebhookSubscription({ url: 'ftp://example.com', events: ['alert.fired'] }).error, /http or https/);
+  assert.match(validateWebhookSubscription({ url: 'https://example.com', events: [] }).error, /at least one event/);
+  assert.match(validateWebhookSubscription({ url: 'https://example.com', events: ['sync.started'] }).error, /Unknown event "sync.started"/);
+});
+
+test('getRetryDelaySeconds backs off exponentially', () => {
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(getRetryDelaySeconds), [30, 60, 120, 240, 480]);
+});
+
+test('WebhookDispatcher signs the body it sends', async () => {
+  const { dispatcher, requests } = createDispatcher([200], [SUBSCRIPTION]);
+  const [delivery] = await dispatcher.emit('user_1', 'account.added', { account: { id: 'acc_1', name: 'Store' } });
+
+  assert.strictEqual(delivery.status, 'sent');
+  assert.strictEqual(delivery.responseStatus, 200);
+  assert.strictEqual(requests.length, 1);
+  const { body, headers } = requests[0];
+  assert.strictEqual(headers['X-Webhook-Event'], 'account.added');
+  assert.strictEqual(headers['X-Webhook-Signature'], `sha256=${signWebhookPayload('whsec_test', headers['X-Webhook-Timestamp'], body)}`);
+  const event = JSON.parse(body);
+  assert.strictEqual(event.id, headers['X-Webhook-Id']);
+  assert.strictEqual(event.type, 'account.added');
+  assert.deepStrictEqual(event.data, { account: { id: 'acc_1', name: 'Store' } });
+
+  // Other event types are not sent to this subscription
+  assert.deepStrictEqual(await dispatcher.emit('user_1', 'sync.completed', {}), []);
+});
+
+test('WebhookDispatcher retries failed deliveries with backoff, then gives up', async () => {
+  const { dispatcher, deliveries, requests } = createDispatcher([500, 503, 502], [SUBSCRIPTION]);
+  const start = Date.now();
+  const [first] = await dispatcher.emit('user_1', 'alert.fired', { alert: { id: 'a1' } });
+
+  assert.strictEqual(first.status, 'pending');
+  assert.strictEqual(first.error, 'HTTP 500: Unavailable');
+  const firstRetry = new Date(first.nextAttemptAt).getTime();
+  assert.ok(firstRetry - start >= 30000 && firstRetry - start < 35000);
+
+  // Not due yet
+  await dispatcher.runDue(new Date(firstRetry - 1000));
+  assert.strictEqual(requests.length, 1);
+
+  await dispatcher.runDue(new Date(firstRetry));
+  const second = deliveries.get(first.id);
+  assert.strictEqual(second.attempts, 2);
+  assert.strictEqual(new Date(second.nextAttemptAt).getTime() - firstRetry, 60000);
+
+  await dispatcher.runDue(new Date(second.nextAttemptAt));
+  const last = deliveries.get(first.id);
+  assert.strictEqual(last.status, 'failed');
+  assert.strictEqual(last.attempts, 3);
+  assert.strictEqual(last.nextAttemptAt, null);
+  assert.strictEqual(last.responseStatus, 502);
+
+  // Every attempt carries the same event
+  assert.strictEqual(new Set(requests.map(request => request.headers['X-Webhook-Id'])).size, 1);
+});
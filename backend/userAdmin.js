@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const userRepository = require('./userRepository');
+const organizationRepository = require('./organizationRepository');
+const auditRepository = require('./auditRepository');
+const { getVisibleAccounts } = require('./organizations');
+
+// User administration for the people running the dashboard (not to be confused with the organization admin role)
+// Administrators are existing users flagged from the server (npm run grant-admin -- <email>), never by registering
+// with some address: they may list, disable and enable users, reset their passwords and sign in as them for support;
+// every one of these actions is written to the audit log
+// Administrators cannot manage themselves or each other from the console
+
+const AUDIT_ACTIONS = {
+  'user.disabled': 'Disabled the login',
+  'user.enabled': 'Enabled the login',
+  'user.password_reset': 'Reset the password',
+  'user.impersonated': 'Signed in as the user'
+};
+
+// Support sessions are short: the token of an impersonation expires after an hour
+const IMPERSONATION_TTL_MINUTES = 60;
+
+// Temporary passwords are 16 URL-safe characters, shown once to the administrator
+function generateTemporaryPassword() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+// Helper function to count the Klaviyo accounts a user sees across their organizations
+function countVisibleAccounts(memberships) {
+  const accountIds = new Set();
+  memberships.forEach(membership => {
+    getVisibleAccounts(membership, userRepository.listOrganizationAccounts(membership.organizationId))
+      .forEach(account => accountIds.add(`${membership.organizationId}:${account.id}`));
+  });
+  return accountIds.size;
+}
+
+// Helper function to describe a user for the console (never with their password hash)
+function toAdminUser(user) {
+  const memberships = organizationRepository.listMemberships(user.id);
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    isAdmin: user.isAdmin,
+    organizations: memberships.map(membership => ({
+      id: membership.organizationId,
+      name: membership.organizationName,
+      role: membership.role
+    })),
+    accountCount: countVisibleAccounts(memberships),
+    lastLoginAt: user.lastLoginAt || null,
+    disabledAt: user.disabledAt || null,
+    createdAt: user.createdAt
+  };
+}
+
+// Every user, oldest first
+function listUsers() {
+  return userRepository.listUsers().map(toAdminUser);
+}
+
+// Helper function to check that an administrator may act on a user
+function findManagedUser(admin, userId) {
+  if (!admin?.isAdmin) {
+    throw new Error('Only administrators can manage users');
+  }
+
+  const user = userRepository.findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (user.id === admin.id) {
+    throw new Error('You cannot do this to your own login');
+  }
+  if (user.isAdmin) {
+    throw new Error('Administrators are managed with npm run grant-admin and revoke-admin');
+  }
+  return user;
+}
+
+// Helper function to write an entry of the audit log
+function recordAudit(admin, action, user, details = {}, now = new Date()) {
+  return auditRepository.insertAuditEntry({
+    actorId: admin.id,
+    actorEmail: admin.email,
+    action,
+    targetUserId: user.id,
+    targetEmail: user.email,
+    details,
+    createdAt: now.toISOString()
+  });
+}
+
+// Disable a login: it can no longer sign in, and its open sessions stop working
+// reason is optional and only kept in the audit log
+function disableUser(admin, userId, { reason = '' } = {}, now = new Date()) {
+  const user = findManagedUser(admin, userId);
+  if (user.disabledAt) {
+    throw new Error('This user is already disabled');
+  }
+
+  userRepository.setUserDisabled(user.id, now.toISOString());
+  recordAudit(admin, 'user.disabled', user, reason ? { reason: String(reason).slice(0, 500) } : {}, now);
+  return toAdminUser(userRepository.findUserById(user.id));
+}
+
+function enableUser(admin, userId, now = new Date()) {
+  const user = findManagedUser(admin, userId);
+  if (!user.disabledAt) {
+    throw new Error('This user is not disabled');
+  }
+
+  userRepository.setUserDisabled(user.id, null);
+  recordAudit(admin, 'user.enabled', user, {}, now);
+  return toAdminUser(userRepository.findUserById(user.id));
+}
+
+// Replace a user's password with a temporary one; their open sessions end with it
+// Returns { user, temporaryPassword }; the password is not stored anywhere in plain text, so it cannot be shown again
+async function resetUserPassword(admin, userId, now = new Date()) {
+  const user = findManagedUser(admin, userId);
+
+  const temporaryPassword = generateTemporaryPassword();
+  userRepository.updatePassword(user.id, await bcrypt.hash(temporaryPassword, 10));
+  recordAudit(admin, 'user.password_reset', user, {}, now);
+  return { user: toAdminUser(userRepository.findUserById(user.id)), temporaryPassword };
+}
+
+// Record that an administrator signs in as a user; the caller issues the session token
+// Returns the user and when the support session ends
+function startImpersonation(admin, userId, now = new Date()) {
+  const user = findManagedUser(admin, userId);
+  if (user.disabledAt) {
+    throw new Error('Enable this user before signing in as them');
+  }
+
+  const expiresAt = new Date(now.getTime() + IMPERSONATION_TTL_MINUTES * 60 * 1000).toISOString();
+  recordAudit(admin, 'user.impersonated', user, { expiresAt }, now);
+  return { user, expiresAt };
+}
+
+// The audit log, newest first, optionally for one user
+function listAuditLog({ userId = null, limit = 100 } = {}) {
+  const count = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+  return auditRepository.listAuditEntries({ targetUserId: userId || null, limit: count });
+}
+
+// Grant or revoke the console for the user with this email (run from the server, see below)
+// Returns the user
+function setAdmin(email, isAdmin) {
+  const user = userRepository.findUserByEmail(email);
+  if (!user) {
+    throw new Error(`No user has the email ${email}`);
+  }
+
+  userRepository.setUserAdmin(user.id, isAdmin);
+  return userRepository.findUserById(user.id);
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  IMPERSONATION_TTL_MINUTES,
+  generateTemporaryPassword,
+  listUsers,
+  disableUser,
+  enableUser,
+  resetUserPassword,
+  startImpersonation,
+  listAuditLog,
+  setAdmin
+};
+
+// Run directly to manage administrators: node userAdmin.js grant|revoke <email>
+if (require.main === module) {
+  const [command, email] = process.argv.slice(2);
+  try {
+    if (!['grant', 'revoke'].includes(command) || !email) {
+      throw new Error('Usage: node userAdmin.js grant|revoke <email>');
+    }
+    const user = setAdmin(email, command === 'grant');
+    console.log(`${user.username} (${user.email}) ${user.isAdmin ? 'is now an administrator' : 'is no longer an administrator'}`);
+  } catch (error) {
+    console.error('Error managing administrators:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,237 @@
+const { getDb } = require('./db');
+const { encryptSecret, fingerprintApiKey } = require('./keyEncryption');
+const organizationRepository = require('./organizationRepository');
+
+// Data access for users and the Klaviyo accounts of their organizations
+// Rows are mapped to the same shapes users.json used (camelCase)
+// API keys go in as plaintext and are only ever returned encrypted (encryptedApiKey)
+// An account belongs to an organization (organizationId); userId is the member who added it
+
+// Helper function to map a users row
+function toUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    password: row.password,
+    lastLoginAt: row.last_login_at,
+    disabledAt: row.disabled_at,
+    isAdmin: !!row.is_admin,
+    sessionVersion: row.session_version,
+    createdAt: row.created_at
+  };
+}
+
+// Helper function to map a klaviyo_accounts row
+function toAccount(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    organizationId: row.organization_id,
+    name: row.name,
+    encryptedApiKey: row.api_key,
+    apiKeyFingerprint: row.api_key_fingerprint,
+    klaviyoAccountId: row.klaviyo_account_id,
+    klaviyoAccountName: row.klaviyo_account_name,
+    conversionMetricId: row.conversion_metric_id,
+    secondaryMetricId: row.secondary_metric_id,
+    reportLogo: row.report_logo,
+    reportAccentColor: row.report_accent_color,
+    createdAt: row.created_at
+  };
+}
+
+// Emails are compared trimmed and lowercase (the users table is unique on them whatever their case)
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function findUserById(userId, db = getDb()) {
+  return toUser(db.prepare('SELECT * FROM users WHERE id = ?').get(userId));
+}
+
+function findUserByEmail(email, db = getDb()) {
+  return toUser(db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE').get(normalizeEmail(email)));
+}
+
+function findUserByUsername(username, db = getDb()) {
+  return toUser(db.prepare('SELECT * FROM users WHERE username = ?').get(username));
+}
+
+function listUsers(db = getDb()) {
+  return db.prepare('SELECT * FROM users ORDER BY created_at').all().map(toUser);
+}
+
+function insertUser(user, db = getDb()) {
+  db.prepare(`
+    INSERT INTO users (id, username, email, password, created_at)
+    VALUES (@id, @username, @email, @password, @createdAt)
+  `).run({ ...user, email: normalizeEmail(user.email) });
+}
+
+function updateLastLogin(userId, lastLoginAt = new Date().toISOString(), db = getDb()) {
+  db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(lastLoginAt, userId);
+}
+
+// Disable a user (disabledAt) or enable them again (null)
+// Returns false if the user does not exist
+function setUserDisabled(userId, disabledAt, db = getDb()) {
+  return db.prepare('UPDATE users SET disabled_at = ? WHERE id = ?').run(disabledAt, userId).changes > 0;
+}
+
+// Grant or revoke the user administration console
+// Returns false if the user does not exist
+function setUserAdmin(userId, isAdmin, db = getDb()) {
+  return db.prepare('UPDATE users SET is_admin = ? WHERE id = ?').run(isAdmin ? 1 : 0, userId).changes > 0;
+}
+
+// password is the bcrypt hash; the session version goes up, so tokens issued before the change stop working
+function updatePassword(userId, password, db = getDb()) {
+  return db.prepare('UPDATE users SET password = ?, session_version = session_version + 1 WHERE id = ?').run(password, userId).changes > 0;
+}
+
+// Create a user together with their own organization holding their Klaviyo accounts
+// The account with isActive (or the first one) becomes the user's active account
+function createUser(user, accounts = [], db = getDb()) {
+  db.transaction(() => {
+    insertUser(user, db);
+    const organizationId = `org_${user.id}`;
+    organizationRepository.createOrganization({
+      id: organizationId,
+      name: `${user.username}'s organization`,
+      createdAt: user.createdAt
+    }, user.id, db);
+    accounts.forEach(account => insertAccount(user.id, { ...account, organizationId }, db));
+
+    const active = accounts.find(account => account.isActive) || accounts[0];
+    if (active) {
+      organizationRepository.setActiveAccount(organizationId, user.id, active.id, db);
+    }
+  })();
+}
+
+// Klaviyo accounts of an organization, in the order they were added
+function listOrganizationAccounts(organizationId, db = getDb()) {
+  return db.prepare('SELECT * FROM klaviyo_accounts WHERE organization_id = ? ORDER BY created_at, rowid')
+    .all(organizationId)
+    .map(toAccount);
+}
+
+// One account of an organization
+function findOrganizationAccount(organizationId, accountId, db = getDb()) {
+  return toAccount(db.prepare('SELECT * FROM klaviyo_accounts WHERE organization_id = ? AND id = ?').get(organizationId, accountId));
+}
+
+// An account by the member who added it (how schedules and alert rules refer to it)
+function findAccount(userId, accountId, db = getDb()) {
+  return toAccount(db.prepare('SELECT * FROM klaviyo_accounts WHERE user_id = ? AND id = ?').get(userId, accountId));
+}
+
+// Klaviyo accounts of every organization
+function listAllAccounts(db = getDb()) {
+  return db.prepare('SELECT * FROM klaviyo_accounts ORDER BY created_at, rowid')
+    .all()
+    .map(toAccount);
+}
+
+// Insert an account added by a user to account.organizationId
+// account.apiKey is the plaintext key and is stored encrypted
+// klaviyoAccountId/klaviyoAccountName come from key validation and are optional
+function insertAccount(userId, account, db = getDb()) {
+  db.prepare(`
+    INSERT INTO klaviyo_accounts (id, user_id, organization_id, name, api_key, api_key_fingerprint, klaviyo_account_id, klaviyo_account_name, created_at)
+    VALUES (@id, @userId, @organizationId, @name, @encryptedApiKey, @apiKeyFingerprint, @klaviyoAccountId, @klaviyoAccountName, @createdAt)
+  `).run({
+    id: account.id,
+    userId,
+    organizationId: account.organizationId,
+    name: account.name,
+    encryptedApiKey: encryptSecret(account.apiKey),
+    apiKeyFingerprint: fingerprintApiKey(account.apiKey),
+    klaviyoAccountId: account.klaviyoAccountId || null,
+    klaviyoAccountName: account.klaviyoAccountName || null,
+    createdAt: account.createdAt
+  });
+}
+
+// Add an account and make it the active account of the user who added it
+function addActiveAccount(userId, account, db = getDb()) {
+  db.transaction(() => {
+    insertAccount(userId, account, db);
+    organizationRepository.setActiveAccount(account.organizationId, userId, account.id, db);
+  })();
+}
+
+// Delete an account of an organization and take it away from the members it was given to
+// Members who had it active fall back to their first remaining account
+function deleteAccount(organizationId, accountId, db = getDb()) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM klaviyo_accounts WHERE organization_id = ? AND id = ?').run(organizationId, accountId);
+    organizationRepository.deleteAccountGrants(organizationId, accountId, db);
+  })();
+}
+
+// Set an account's conversion metric and optional secondary metric (null for the defaults)
+// Returns false if the account does not exist
+function updateAccountMetrics(organizationId, accountId, { conversionMetricId, secondaryMetricId }, db = getDb()) {
+  const result = db.prepare(`
+    UPDATE klaviyo_accounts SET conversion_metric_id = ?, secondary_metric_id = ?
+    WHERE organization_id = ? AND id = ?
+  `).run(conversionMetricId || null, secondaryMetricId || null, organizationId, accountId);
+  return result.changes > 0;
+}
+
+// Set the logo (data URL) and accent color of an account's PDF reports (null for the defaults)
+// Returns false if the account does not exist
+function updateAccountBranding(organizationId, accountId, { reportLogo, reportAccentColor }, db = getDb()) {
+  const result = db.prepare(`
+    UPDATE klaviyo_accounts SET report_logo = ?, report_accent_color = ?
+    WHERE organization_id = ? AND id = ?
+  `).run(reportLogo || null, reportAccentColor || null, organizationId, accountId);
+  return result.changes > 0;
+}
+
+// Every stored encrypted key, for key rotation
+function listEncryptedApiKeys(db = getDb()) {
+  return db.prepare('SELECT user_id, id, api_key FROM klaviyo_accounts').all().map(row => ({
+    userId: row.user_id,
+    accountId: row.id,
+    encryptedApiKey: row.api_key
+  }));
+}
+
+function updateEncryptedApiKey(userId, accountId, encryptedApiKey, db = getDb()) {
+  db.prepare('UPDATE klaviyo_accounts SET api_key = ? WHERE user_id = ? AND id = ?').run(encryptedApiKey, userId, accountId);
+}
+
+function countUsers(db = getDb()) {
+  return db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+}
+
+module.exports = {
+  normalizeEmail,
+  findUserById,
+  findUserByEmail,
+  findUserByUsername,
+  listUsers,
+  updateLastLogin,
+  setUserDisabled,
+  setUserAdmin,
+  updatePassword,
+  insertUser,
+  createUser,
+  listOrganizationAccounts,
+  findOrganizationAccount,
+  findAccount,
+  listAllAccounts,
+  insertAccount,
+  addActiveAccount,
+  deleteAccount,
+  updateAccountMetrics,
+  updateAccountBranding,
+  listEncryptedApiKeys,
+  updateEncryptedApiKey,
+  countUsers
+};
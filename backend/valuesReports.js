@@ -0,0 +1,275 @@
+// Pure functions turning Klaviyo campaign/flow values reports into message-level rows (campaign messages, flow steps)
+// Results of POST /campaign-values-reports/ and /flow-values-reports/ are grouped per message:
+//   { groupings: { campaign_id, campaign_message_id, send_channel, variation?, variation_name? }, statistics: {...} }
+//   { groupings: { flow_id, flow_message_id, send_channel }, statistics: {...} }
+
+// Statistics requested for message breakdowns (counts only, rates are computed from them)
+const MESSAGE_REPORT_STATISTICS = [
+  'recipients',
+  'delivered',
+  'opens',
+  'opens_unique',
+  'clicks',
+  'clicks_unique',
+  'bounced',
+  'unsubscribes',
+  'spam_complaints',
+  'conversions',
+  'conversion_uniques',
+  'conversion_value'
+];
+
+// Message row fields that are summed into totals
+const MESSAGE_COUNT_FIELDS = [
+  'recipients',
+  'delivered',
+  'opens',
+  'uniqueOpens',
+  'clicks',
+  'uniqueClicks',
+  'bounces',
+  'unsubscribes',
+  'spamComplaints',
+  'conversions',
+  'revenue'
+];
+
+// Helper function to read a statistic as a number
+function getStatistic(statistics, name) {
+  return Number(statistics?.[name]) || 0;
+}
+
+// Helper function to compute a percentage, 0 without a denominator
+function toPercent(count, total) {
+  return total > 0 ? (count / total) * 100 : 0;
+}
+
+// Add open, click and conversion rates to a row of counts
+// Rates use unique opens/clicks/conversions over delivered messages (recipients when delivered is unknown)
+function addMessageRates(row) {
+  const base = row.delivered || row.recipients;
+  return {
+    ...row,
+    openRate: toPercent(row.uniqueOpens, base),
+    clickRate: toPercent(row.uniqueClicks, base),
+    conversionRate: toPercent(row.conversions, base)
+  };
+}
+
+// Convert the statistics of one values report result into counts
+// Conversions are unique converters when Klaviyo returns them
+function toMessageStatistics(statistics = {}) {
+  return {
+    recipients: getStatistic(statistics, 'recipients'),
+    delivered: getStatistic(statistics, 'delivered'),
+    opens: getStatistic(statistics, 'opens'),
+    uniqueOpens: getStatistic(statistics, 'opens_unique'),
+    clicks: getStatistic(statistics, 'clicks'),
+    uniqueClicks: getStatistic(statistics, 'clicks_unique'),
+    bounces: getStatistic(statistics, 'bounced'),
+    unsubscribes: getStatistic(statistics, 'unsubscribes'),
+    spamComplaints: getStatistic(statistics, 'spam_complaints'),
+    conversions: getStatistic(statistics, 'conversion_uniques') || getStatistic(statistics, 'conversions'),
+    revenue: getStatistic(statistics, 'conversion_value')
+  };
+}
+
+// Sum message rows into one row of counts with rates
+function sumMessageRows(rows) {
+  const totals = {};
+  MESSAGE_COUNT_FIELDS.forEach(field => {
+    totals[field] = rows.reduce((sum, row) => sum + (Number(row[field]) || 0), 0);
+  });
+  return addMessageRates(totals);
+}
+
+// Build one row per campaign message (and per A/B variation when the report is grouped by variation)
+// messages: [{ id, label, channel }] from the campaign's campaign-messages
+// Messages without a report result get zero counts; results for unknown messages are listed after them
+function buildCampaignMessageRows(messages, results) {
+  const rowsByMessage = new Map(messages.map(message => [message.id, []]));
+  const unknownRows = [];
+
+  results.forEach(result => {
+    const groupings = result.groupings || {};
+    const messageId = groupings.campaign_message_id || null;
+    const message = messages.find(candidate => candidate.id === messageId);
+    const row = addMessageRates({
+      id: groupings.variation ? `${messageId}:${groupings.variation}` : messageId,
+      messageId,
+      label: message?.label || messageId || 'Unknown message',
+      channel: groupings.send_channel || message?.channel || 'email',
+      variation: groupings.variation || null,
+      variationName: groupings.variation_name || null,
+      ...toMessageStatistics(result.statistics)
+    });
+
+    if (rowsByMessage.has(messageId)) {
+      rowsByMessage.get(messageId).push(row);
+    } else {
+      unknownRows.push(row);
+    }
+  });
+
+  const rows = [];
+  messages.forEach(message => {
+    const messageRows = rowsByMessage.get(message.id);
+    if (messageRows.length > 0) {
+      rows.push(...messageRows);
+      return;
+    }
+    rows.push(addMessageRates({
+      id: message.id,
+      messageId: message.id,
+      label: message.label || message.id,
+      channel: message.channel || 'email',
+      variation: null,
+      variationName: null,
+      ...toMessageStatistics()
+    }));
+  });
+
+  return [...rows, ...unknownRows];
+}
+
+// Read the messages of a campaign from a GET /campaigns/:id response (include=campaign-messages)
+// Returns [{ id, label, channel, subject }] in the order of the campaign's relationships
+function getCampaignMessages(campaignResponse) {
+  const campaign = campaignResponse?.data || {};
+  const relationships = campaign.relationships?.['campaign-messages'] || campaign.relationships?.campaign_messages;
+  const included = (campaignResponse?.included || []).filter(item => item.type === 'campaign-message');
+  const messageIds = relationships?.data?.map(item => item.id) || included.map(item => item.id);
+
+  return messageIds.map(messageId => {
+    const attributes = included.find(item => item.id === messageId)?.attributes || {};
+    return {
+      id: messageId,
+      label: attributes.label || attributes.name || messageId,
+      channel: attributes.channel || null,
+      subject: attributes.content?.subject || null
+    };
+  });
+}
+
+// Minutes per unit of a flow time delay
+const DELAY_UNIT_MINUTES = {
+  minutes: 1,
+  hours: 60,
+  days: 24 * 60,
+  weeks: 7 * 24 * 60
+};
+
+// Helper function to convert the settings of a TIME_DELAY flow action into minutes
+function getDelayMinutes(settings = {}) {
+  const value = Number(settings.value) || 0;
+  return value * (DELAY_UNIT_MINUTES[String(settings.unit || 'days').toLowerCase()] || DELAY_UNIT_MINUTES.days);
+}
+
+// Read the message steps of a flow from a GET /flows/:id response (include=flow-actions)
+// messagesByAction: { [actionId]: [{ id, name, channel }] } from GET /flow-actions/:id/flow-messages/
+// Returns the send actions' messages in flow order, each with the time delay since the previous message
+// (delayMinutes) and since the flow was triggered (minutesSinceTrigger); other actions (splits, updates) are skipped
+function getFlowSteps(flowResponse, messagesByAction = {}) {
+  const flow = flowResponse?.data || {};
+  const included = (flowResponse?.included || []).filter(item => item.type === 'flow-action');
+  const actionIds = (flow.relationships?.['flow-actions'] || flow.relationships?.flow_actions)?.data?.map(item => item.id) ||
+    included.map(item => item.id);
+
+  const steps = [];
+  let delayMinutes = 0;
+  let minutesSinceTrigger = 0;
+
+  actionIds.forEach(actionId => {
+    const attributes = included.find(item => item.id === actionId)?.attributes || {};
+    const actionType = attributes.action_type || '';
+
+    if (actionType === 'TIME_DELAY') {
+      const minutes = getDelayMinutes(attributes.settings);
+      delayMinutes += minutes;
+      minutesSinceTrigger += minutes;
+      return;
+    }
+    if (!actionType.startsWith('SEND_')) {
+      return;
+    }
+
+    (messagesByAction[actionId] || []).forEach(message => {
+      steps.push({
+        actionId,
+        actionType,
+        messageId: message.id,
+        name: message.name || message.id,
+        channel: message.channel || actionType.replace('SEND_', '').toLowerCase(),
+        delayMinutes,
+        minutesSinceTrigger
+      });
+    });
+    delayMinutes = 0;
+  });
+
+  return steps;
+}
+
+// Build one row per flow step with its report statistics and funnel position
+// funnelPercent is the step's recipients relative to the first step, dropOffPercent the share lost since the previous step
+// Results for messages that are not a step (deleted messages, or actions that could not be read) are listed after them
+function buildFlowStepRows(steps, results) {
+  const statisticsByMessage = new Map();
+  results.forEach(result => {
+    const messageId = result.groupings?.flow_message_id;
+    if (!messageId) return;
+    const statistics = toMessageStatistics(result.statistics);
+    const previous = statisticsByMessage.get(messageId);
+    // A message sent on several channels has one result per channel
+    if (previous) {
+      MESSAGE_COUNT_FIELDS.forEach(field => {
+        statistics[field] += previous[field];
+      });
+    }
+    statisticsByMessage.set(messageId, statistics);
+  });
+
+  const stepMessageIds = new Set(steps.map(step => step.messageId));
+  const extraSteps = [...statisticsByMessage.keys()]
+    .filter(messageId => !stepMessageIds.has(messageId))
+    .map(messageId => {
+      const result = results.find(candidate => candidate.groupings?.flow_message_id === messageId);
+      return {
+        actionId: null,
+        actionType: null,
+        messageId,
+        name: messageId,
+        channel: result.groupings?.send_channel || 'email',
+        delayMinutes: null,
+        minutesSinceTrigger: null
+      };
+    });
+
+  const rows = [...steps, ...extraSteps].map((step, index) => addMessageRates({
+    id: step.messageId,
+    position: index + 1,
+    ...step,
+    ...(statisticsByMessage.get(step.messageId) || toMessageStatistics())
+  }));
+
+  const firstRecipients = rows[0]?.recipients || 0;
+  rows.forEach((row, index) => {
+    const previousRecipients = index > 0 ? rows[index - 1].recipients : row.recipients;
+    row.funnelPercent = firstRecipients > 0 ? (row.recipients / firstRecipients) * 100 : 0;
+    row.dropOffPercent = previousRecipients > 0 ? Math.max(0, (1 - row.recipients / previousRecipients) * 100) : 0;
+  });
+
+  return rows;
+}
+
+module.exports = {
+  MESSAGE_REPORT_STATISTICS,
+  toMessageStatistics,
+  addMessageRates,
+  sumMessageRows,
+  buildCampaignMessageRows,
+  getCampaignMessages,
+  getDelayMinutes,
+  getFlowSteps,
+  buildFlowStepRows
+};
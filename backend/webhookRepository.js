@@ -0,0 +1,198 @@
+const { getDb } = require('./db');
+
+// Data access for outbound webhook subscriptions and their delivery log
+// Subscriptions belong to a user; event types are stored as a JSON array and the signing secret encrypted
+// The webhook URL of an alert rule is a subscription too (alertRuleId), kept apart from the user's own subscriptions
+
+// Helper function to map a webhook_subscriptions row (encryptedSecret is only for the dispatcher)
+function toSubscription(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    url: row.url,
+    description: row.description,
+    events: JSON.parse(row.events),
+    encryptedSecret: row.secret,
+    enabled: row.enabled === 1,
+    alertRuleId: row.alert_rule_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Helper function to map a webhook_deliveries row
+function toDelivery(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: row.created_at,
+    lastAttemptAt: row.last_attempt_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+// Subscriptions of a user, in the order they were created (not those of alert rules)
+function listSubscriptions(userId, db = getDb()) {
+  return db.prepare('SELECT * FROM webhook_subscriptions WHERE user_id = ? AND alert_rule_id IS NULL ORDER BY created_at, rowid')
+    .all(userId)
+    .map(toSubscription);
+}
+
+// Enabled subscriptions of a user that receive an event type
+function listSubscriptionsForEvent(userId, eventType, db = getDb()) {
+  return listSubscriptions(userId, db).filter(subscription => subscription.enabled && subscription.events.includes(eventType));
+}
+
+function findSubscription(userId, subscriptionId, db = getDb()) {
+  return toSubscription(db.prepare('SELECT * FROM webhook_subscriptions WHERE user_id = ? AND id = ? AND alert_rule_id IS NULL')
+    .get(userId, subscriptionId));
+}
+
+// The subscription behind an alert rule's webhook URL
+function findAlertRuleSubscription(alertRuleId, db = getDb()) {
+  return toSubscription(db.prepare('SELECT * FROM webhook_subscriptions WHERE alert_rule_id = ?').get(alertRuleId));
+}
+
+function insertSubscription(subscription, db = getDb()) {
+  db.prepare(`
+    INSERT INTO webhook_subscriptions (id, user_id, url, description, events, secret, enabled, alert_rule_id, created_at, updated_at)
+    VALUES (@id, @userId, @url, @description, @events, @encryptedSecret, @enabled, @alertRuleId, @createdAt, @updatedAt)
+  `).run({
+    id: subscription.id,
+    userId: subscription.userId,
+    url: subscription.url,
+    description: subscription.description || null,
+    events: JSON.stringify(subscription.events),
+    encryptedSecret: subscription.encryptedSecret,
+    enabled: subscription.enabled ? 1 : 0,
+    alertRuleId: subscription.alertRuleId || null,
+    createdAt: subscription.createdAt,
+    updatedAt: subscription.updatedAt
+  });
+}
+
+// Replace the editable fields of a subscription (not the secret)
+// Returns false if the subscription does not exist
+function updateSubscription(subscription, db = getDb()) {
+  const result = db.prepare(`
+    UPDATE webhook_subscriptions SET url = @url, description = @description, events = @events, enabled = @enabled,
+      updated_at = @updatedAt
+    WHERE user_id = @userId AND id = @id
+  `).run({
+    id: subscription.id,
+    userId: subscription.userId,
+    url: subscription.url,
+    description: subscription.description || null,
+    events: JSON.stringify(subscription.events),
+    enabled: subscription.enabled ? 1 : 0,
+    updatedAt: subscription.updatedAt
+  });
+  return result.changes > 0;
+}
+
+// Replace the signing secret of a subscription (already encrypted)
+function updateSubscriptionSecret(subscriptionId, encryptedSecret, updatedAt = new Date().toISOString(), db = getDb()) {
+  db.prepare('UPDATE webhook_subscriptions SET secret = ?, updated_at = ? WHERE id = ?')
+    .run(encryptedSecret, updatedAt, subscriptionId);
+}
+
+// Returns false if the subscription does not exist
+function deleteSubscription(userId, subscriptionId, db = getDb()) {
+  const result = db.prepare('DELETE FROM webhook_subscriptions WHERE user_id = ? AND id = ?')
+    .run(userId, subscriptionId);
+  return result.changes > 0;
+}
+
+// Every stored signing secret, for master key rotation
+function listEncryptedSecrets(db = getDb()) {
+  return db.prepare('SELECT id, secret FROM webhook_subscriptions').all()
+    .map(row => ({ subscriptionId: row.id, encryptedSecret: row.secret }));
+}
+
+function insertDelivery(delivery, db = getDb()) {
+  db.prepare(`
+    INSERT INTO webhook_deliveries (id, subscription_id, event_id, event_type, payload, status, attempts, next_attempt_at, created_at)
+    VALUES (@id, @subscriptionId, @eventId, @eventType, @payload, @status, @attempts, @nextAttemptAt, @createdAt)
+  `).run({
+    id: delivery.id,
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    payload: delivery.payload,
+    status: delivery.status,
+    attempts: delivery.attempts || 0,
+    nextAttemptAt: delivery.nextAttemptAt || null,
+    createdAt: delivery.createdAt
+  });
+}
+
+// Record the outcome of a delivery attempt
+function updateDelivery(delivery, db = getDb()) {
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt,
+      response_status = @responseStatus, error = @error, last_attempt_at = @lastAttemptAt, delivered_at = @deliveredAt
+    WHERE id = @id
+  `).run({
+    id: delivery.id,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt || null,
+    responseStatus: delivery.responseStatus ?? null,
+    error: delivery.error || null,
+    lastAttemptAt: delivery.lastAttemptAt || null,
+    deliveredAt: delivery.deliveredAt || null
+  });
+}
+
+// Pending deliveries of every user whose next attempt is at or before the given time, with their subscription
+function listDueDeliveries(now, db = getDb()) {
+  return db.prepare(`
+    SELECT webhook_deliveries.*, webhook_subscriptions.url AS subscription_url, webhook_subscriptions.secret AS subscription_secret
+    FROM webhook_deliveries
+    JOIN webhook_subscriptions ON webhook_subscriptions.id = webhook_deliveries.subscription_id
+    WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ?
+    ORDER BY webhook_deliveries.next_attempt_at
+  `).all(new Date(now).toISOString()).map(row => ({
+    delivery: toDelivery(row),
+    subscription: { id: row.subscription_id, url: row.subscription_url, encryptedSecret: row.subscription_secret }
+  }));
+}
+
+// Most recent deliveries of a subscription first
+function listDeliveries(subscriptionId, limit = 50, db = getDb()) {
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE subscription_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+    .all(subscriptionId, limit)
+    .map(toDelivery);
+}
+
+function findDelivery(subscriptionId, deliveryId, db = getDb()) {
+  return toDelivery(db.prepare('SELECT * FROM webhook_deliveries WHERE subscription_id = ? AND id = ?')
+    .get(subscriptionId, deliveryId));
+}
+
+module.exports = {
+  listSubscriptions,
+  listSubscriptionsForEvent,
+  findSubscription,
+  findAlertRuleSubscription,
+  insertSubscription,
+  updateSubscription,
+  updateSubscriptionSecret,
+  deleteSubscription,
+  listEncryptedSecrets,
+  insertDelivery,
+  updateDelivery,
+  listDueDeliveries,
+  listDeliveries,
+  findDelivery
+};
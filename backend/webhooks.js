@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { decryptSecret } = require('./keyEncryption');
+
+// Outbound webhooks: events of the dashboard posted as signed JSON to the URLs users subscribe
+// Each request carries X-Webhook-Signature: sha256=<HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret>
+// and X-Webhook-Timestamp (Unix seconds); failed deliveries are retried with exponential backoff
+
+// Event types a subscription can receive
+const WEBHOOK_EVENTS = {
+  'sync.completed': 'A background sync of an account finished',
+  'sync.failed': 'A background sync of an account failed',
+  'alert.fired': 'An alert rule fired',
+  'account.added': 'A Klaviyo account was added',
+  'account.removed': 'A Klaviyo account was removed'
+};
+
+// Sent by the "send test event" endpoint only; subscriptions cannot choose it
+const TEST_EVENT = 'webhook.test';
+
+// Retry after 30 s, 1, 2, 4 and 8 minutes, then give up
+const MAX_DELIVERY_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+// How often pending retries are checked (WEBHOOK_RETRY_INTERVAL_SECONDS, 0 turns retries off)
+const DEFAULT_RETRY_INTERVAL_SECONDS = 15;
+const REQUEST_TIMEOUT_MS = 10000;
+// Response bodies are only kept in error messages, shortened
+const MAX_ERROR_LENGTH = 300;
+
+// Helper function to check that a webhook URL is an absolute http(s) URL
+function isValidWebhookUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Validate the fields of a webhook subscription, applied over the current values when editing
+// Returns { subscription } with the validated fields, or { error }
+function validateWebhookSubscription(body, current = {}) {
+  const fields = { ...current, ...body };
+  const url = String(fields.url || '').trim();
+
+  if (!url || !isValidWebhookUrl(url)) {
+    return { error: 'The webhook URL must be an http or https URL' };
+  }
+  if (!Array.isArray(fields.events) || fields.events.length === 0) {
+    return { error: `Choose at least one event: ${Object.keys(WEBHOOK_EVENTS).join(', ')}` };
+  }
+  const unknown = fields.events.find(event => !WEBHOOK_EVENTS[event]);
+  if (unknown) {
+    return { error: `Unknown event "${unknown}". Supported events: ${Object.keys(WEBHOOK_EVENTS).join(', ')}` };
+  }
+  const description = fields.description ? String(fields.description).trim() : null;
+  if (description && description.length > 200) {
+    return { error: 'The description can be at most 200 characters' };
+  }
+
+  return {
+    subscription: {
+      url,
+      description,
+      events: Object.keys(WEBHOOK_EVENTS).filter(event => fields.events.includes(event)),
+      enabled: fields.enabled !== false
+    }
+  };
+}
+
+// Generate a signing secret for a new subscription (shown to the user once)
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Sign a request body: HMAC-SHA256 (hex) of "<timestamp>.<body>"
+// Receivers recompute it with their secret and compare, and reject old timestamps to prevent replays
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Helper function to get the headers of a delivery attempt
+function buildWebhookHeaders(delivery, secret, timestamp) {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Klaviyo-Dashboard-Webhooks/1.0',
+    'X-Webhook-Id': delivery.eventId,
+    'X-Webhook-Delivery': delivery.id,
+    'X-Webhook-Event': delivery.eventType,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${signWebhookPayload(secret, timestamp, delivery.payload)}`
+  };
+}
+
+// Delay before the next attempt after a failed one: 30 s doubled after every attempt
+function getRetryDelaySeconds(attempts) {
+  return RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+}
+
+// Helper function to describe a failed request, e.g. "HTTP 500: Internal Server Error"
+function describeDeliveryError(error) {
+  if (error.response) {
+    const body = typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data ?? '');
+    return `HTTP ${error.response.status}${body ? `: ${body}` : ''}`.slice(0, MAX_ERROR_LENGTH);
+  }
+  return (error.code ? `${error.code}: ${error.message}` : error.message).slice(0, MAX_ERROR_LENGTH);
+}
+
+// Creates deliveries for events and sends them, retrying failed ones on an interval
+// repository provides listSubscriptionsForEvent(userId, type), insertDelivery(delivery), updateDelivery(delivery)
+// and listDueDeliveries(now) -> [{ delivery, subscription }]; send(url, body, { headers, timeout }) posts the request
+class WebhookDispatcher {
+  constructor({ repository, send = (url, body, options) => axios.post(url, body, options), intervalSeconds = DEFAULT_RETRY_INTERVAL_SECONDS, maxAttempts = MAX_DELIVERY_ATTEMPTS }) {
+    this.repository = repository;
+    this.send = send;
+    this.intervalMs = intervalSeconds * 1000;
+    this.maxAttempts = maxAttempts;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Whether failed deliveries are retried (an interval of 0 turns retries off)
+  isEnabled() {
+    return this.intervalMs > 0;
+  }
+
+  start() {
+    if (this.timer || !this.isEnabled()) {
+      return;
+    }
+
+    console.log(`Webhook dispatcher started, retrying every ${this.intervalMs / 1000} seconds`);
+    this.timer = setInterval(() => this.runDue(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Send an event to every subscription of the user that receives its type
+  // Never throws: delivery failures are recorded and retried. Resolves with the deliveries once each was attempted
+  async emit(userId, type, data) {
+    try {
+      const subscriptions = await this.repository.listSubscriptionsForEvent(userId, type);
+      return await this.deliverEvent(subscriptions, type, data);
+    } catch (error) {
+      console.error(`Webhooks: error emitting ${type}:`, error.message);
+      return [];
+    }
+  }
+
+  // Store one delivery of an event per subscription and make the first attempt of each
+  async deliverEvent(subscriptions, type, data, now = new Date()) {
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      createdAt: now.toISOString(),
+      data
+    };
+    const payload = JSON.stringify(event);
+
+    // The first retry time is stored up front so a delivery interrupted by a restart is still retried
+    const firstRetryAt = new Date(now.getTime() + getRetryDelaySeconds(1) * 1000).toISOString();
+    const deliveries = subscriptions.map(subscription => {
+      const delivery = {
+        id: crypto.randomUUID(),
+        subscriptionId: subscription.id,
+        eventId: event.id,
+        eventType: type,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: firstRetryAt,
+        createdAt: now.toISOString()
+      };
+      this.repository.insertDelivery(delivery);
+      return delivery;
+    });
+
+    return Promise.all(deliveries.map((delivery, index) => this.attempt(delivery, subscriptions[index])));
+  }
+
+  // Post a delivery once and record the result: sent, pending with the next retry time, or failed for good
+  async attempt(delivery, subscription, now = new Date()) {
+    const result = {
+      ...delivery,
+      attempts: delivery.attempts + 1,
+      lastAttemptAt: now.toISOString(),
+      nextAttemptAt: null,
+      responseStatus: null,
+      error: null
+    };
+
+    try {
+      const timestamp = Math.floor(now.getTime() / 1000);
+      const headers = buildWebhookHeaders(delivery, decryptSecret(subscription.encryptedSecret), timestamp);
+      const response = await this.send(subscription.url, delivery.payload, { headers, timeout: REQUEST_TIMEOUT_MS });
+      result.status = 'sent';
+      result.responseStatus = response.status;
+      result.deliveredAt = new Date().toISOString();
+    } catch (error) {
+      result.responseStatus = error.response?.status ?? null;
+      result.error = describeDeliveryError(error);
+      if (result.attempts < this.maxAttempts) {
+        result.status = 'pending';
+        result.nextAttemptAt = new Date(now.getTime() + getRetryDelaySeconds(result.attempts) * 1000).toISOString();
+      } else {
+        result.status = 'failed';
+      }
+      console.error(`Webhooks: delivery ${delivery.id} of ${delivery.eventType} to ${subscription.url} failed (attempt ${result.attempts}):`, result.error);
+    }
+
+    this.repository.updateDelivery(result);
+    return result;
+  }
+
+  // Retry every due delivery, one at a time; skipped if the previous run is still going
+  async runDue(now = new Date()) {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const due = await this.repository.listDueDeliveries(now);
+      for (const { delivery, subscription } of due) {
+        await this.attempt(delivery, subscription, now);
+      }
+    } catch (error) {
+      console.error('Webhooks: error retrying deliveries:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  MAX_DELIVERY_ATTEMPTS,
+  DEFAULT_RETRY_INTERVAL_SECONDS,
+  isValidWebhookUrl,
+  validateWebhookSubscription,
+  generateWebhookSecret,
+  signWebhookPayload,
+  getRetryDelaySeconds,
+  WebhookDispatcher
+};
@@ -1,29 +1,117 @@
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useNavigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
+import CampaignDetail from './pages/CampaignDetail';
+import FlowDetail from './pages/FlowDetail';
+import ReportSchedules from './pages/ReportSchedules';
+import AlertRules from './pages/AlertRules';
+import Webhooks from './pages/Webhooks';
+import Team from './pages/Team';
+import Admin from './pages/Admin';
 
 function ProtectedRoute({ children }) {
   const { isAuthenticated } = useAuth();
   return isAuthenticated() ? children : <Navigate to="/" />;
 }
 
+// Shown on every page while an administrator is signed in as a user for support
+function ImpersonationBanner() {
+  const { user, impersonator, stopImpersonating } = useAuth();
+  const navigate = useNavigate();
+
+  if (!impersonator) return null;
+
+  const handleStop = () => {
+    stopImpersonating();
+    navigate('/dashboard/admin');
+  };
+
+  return (
+    <div className="impersonation-banner">
+      <span>
+        Signed in as <strong>{user?.username}</strong> ({user?.email}) for support. Everything you do is done as them.
+      </span>
+      <button onClick={handleStop}>Back to my account</button>
+    </div>
+  );
+}
+
 function AppRoutes() {
   return (
-    <Routes>
-      <Route path="/" element={<Login />} />
-      <Route path="/register" element={<Register />} />
-      <Route 
-        path="/dashboard" 
-        element={
-          <ProtectedRoute>
-            <Dashboard />
-          </ProtectedRoute>
-        } 
-      />
-      <Route path="*" element={<Navigate to="/" />} />
-    </Routes>
+    <>
+      <ImpersonationBanner />
+      <Routes>
+        <Route path="/" element={<Login />} />
+        <Route path="/register" element={<Register />} />
+        <Route 
+          path="/dashboard" 
+          element={
+            <ProtectedRoute>
+              <Dashboard />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/dashboard/campaigns/:id" 
+          element={
+            <ProtectedRoute>
+              <CampaignDetail />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/dashboard/flows/:id" 
+          element={
+            <ProtectedRoute>
+              <FlowDetail />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/dashboard/accounts/:accountId/schedules" 
+          element={
+            <ProtectedRoute>
+              <ReportSchedules />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/dashboard/accounts/:accountId/alerts" 
+          element={
+            <ProtectedRoute>
+              <AlertRules />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/dashboard/webhooks" 
+          element={
+            <ProtectedRoute>
+              <Webhooks />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/dashboard/team" 
+          element={
+            <ProtectedRoute>
+              <Team />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/dashboard/admin" 
+          element={
+            <ProtectedRoute>
+              <Admin />
+            </ProtectedRoute>
+          } 
+        />
+        <Route path="*" element={<Navigate to="/" />} />
+      </Routes>
+    </>
   );
 }
 
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './ClientPortal.css';
+
+// Accent color of the portal while the organization's branding loads
+const DEFAULT_ACCENT_COLOR = '#4f46e5';
+
+// Header of the client portal: the organization's logo and name above the account's dashboard title
+// actions: the dashboard controls shown next to the user's email (last updated, export)
+function PortalHeader({ branding, account, actions }) {
+  const { user, logout } = useAuth();
+
+  return (
+    <div className="header portal-header">
+      <div className="portal-brand">
+        {branding?.logo && <img className="portal-logo" src={branding.logo} alt={branding.name} />}
+        <div>
+          <div className="portal-agency">{branding?.name || user?.organization?.name}</div>
+          <h1>{account ? `${account.name} Dashboard` : 'Your Dashboard'}</h1>
+        </div>
+      </div>
+      <div className="user-info">
+        {actions}
+        {!account && <span className="no-accounts-note">Your dashboard has not been shared with you yet</span>}
+        <span>{user?.email}</span>
+        <button className="logout-btn" onClick={logout}>Logout</button>
+      </div>
+    </div>
+  );
+}
+
+// Read-only layout of client portal logins: their one account's dashboard under the organization's branding
+function ClientPortal({ account, actions, children }) {
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [branding, setBranding] = useState(null);
+
+  // Load the organization's name, logo and accent color
+  useEffect(() => {
+    const loadBranding = async () => {
+      try {
+        const response = await authenticatedFetch(`${API_BASE}/organization/branding`);
+        const result = await response.json();
+        if (result.success) {
+          setBranding(result);
+        }
+      } catch (error) {
+        console.error('Error loading the organization branding:', error);
+      }
+    };
+    loadBranding();
+  }, []);
+
+  return (
+    <div
+      className="dashboard-container client-portal"
+      style={{ '--portal-accent': branding?.accentColor || branding?.defaultAccentColor || DEFAULT_ACCENT_COLOR }}
+    >
+      <div className="container">
+        <PortalHeader branding={branding} account={account} actions={actions} />
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default ClientPortal;
@@ -0,0 +1,60 @@
+import { formatDelay } from '../utils/format';
+import './FlowFunnel.css';
+
+// Layers of each funnel bar, widest first; widths are relative to the first step's recipients
+const FUNNEL_LAYERS = [
+  { key: 'recipients', label: 'Recipients', className: 'funnel-recipients' },
+  { key: 'uniqueOpens', label: 'Opened', className: 'funnel-opens' },
+  { key: 'uniqueClicks', label: 'Clicked', className: 'funnel-clicks' },
+  { key: 'conversions', label: 'Converted', className: 'funnel-conversions' }
+];
+
+// Funnel of a flow's steps: recipients, opens, clicks and conversions of each step compared with the first step
+function FlowFunnel({ steps = [] }) {
+  const base = steps[0]?.recipients || 0;
+  const width = value => (base > 0 ? Math.min(100, (value / base) * 100) : 0);
+
+  if (steps.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flow-funnel">
+      <div className="flow-funnel-legend">
+        {FUNNEL_LAYERS.map(layer => (
+          <span key={layer.key}>
+            <span className={`legend-swatch ${layer.className}`} />
+            {layer.label}
+          </span>
+        ))}
+      </div>
+      {steps.map((step, index) => (
+        <div key={step.id} className="flow-funnel-step">
+          <div className="flow-funnel-label">
+            <span className="flow-funnel-name">{step.position}. {step.name}</span>
+            <span className="flow-funnel-delay">
+              {index === 0 ? 'First message' : `after ${formatDelay(step.delayMinutes)}`}
+            </span>
+          </div>
+          <div className="flow-funnel-bar" title={`${step.recipients.toLocaleString()} recipients`}>
+            {FUNNEL_LAYERS.map(layer => (
+              <div
+                key={layer.key}
+                className={`flow-funnel-layer ${layer.className}`}
+                style={{ width: `${width(step[layer.key])}%` }}
+              />
+            ))}
+          </div>
+          <div className="flow-funnel-stats">
+            {step.funnelPercent.toFixed(0)}%
+            {index > 0 && step.dropOffPercent > 0 && (
+              <span className="flow-funnel-dropoff">−{step.dropOffPercent.toFixed(0)}%</span>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default FlowFunnel;
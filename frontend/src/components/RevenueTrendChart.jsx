@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import './RevenueTrendChart.css';
+
+const CHART_WIDTH = 960;
+const CHART_HEIGHT = 280;
+const PADDING = { top: 16, right: 16, bottom: 36, left: 72 };
+const Y_TICKS = 4;
+
+const INTERVALS = [
+  { key: 'day', label: 'Daily' },
+  { key: 'week', label: 'Weekly' },
+  { key: 'month', label: 'Monthly' }
+];
+
+// Helper function to format a bucket date for the x axis / tooltip
+function formatBucketDate(date, interval) {
+  const value = new Date(date);
+  if (interval === 'month') {
+    return value.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+  return value.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Helper function to build an SVG path for a filled area between two lines
+function buildAreaPath(points, baseline) {
+  if (points.length === 0) return '';
+  const top = points.map(([x, y]) => `${x},${y}`).join(' L');
+  const bottom = baseline.slice().reverse().map(([x, y]) => `${x},${y}`).join(' L');
+  return `M${top} L${bottom} Z`;
+}
+
+// Stacked area chart of campaign and flow revenue with the total revenue as a line
+function RevenueTrendChart({ data = [], interval = 'day', onIntervalChange, loading = false, formatValue = value => value.toFixed(2) }) {
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+
+  const maxValue = Math.max(
+    1,
+    ...data.map(bucket => Math.max(bucket.total, bucket.campaign + bucket.flow))
+  );
+  const stepX = data.length > 1 ? plotWidth / (data.length - 1) : 0;
+  const x = index => PADDING.left + (data.length > 1 ? index * stepX : plotWidth / 2);
+  const y = value => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  const baseline = data.map((bucket, index) => [x(index), y(0)]);
+  const flowPoints = data.map((bucket, index) => [x(index), y(bucket.flow)]);
+  const campaignPoints = data.map((bucket, index) => [x(index), y(bucket.flow + bucket.campaign)]);
+  const totalPoints = data.map((bucket, index) => [x(index), y(bucket.total)]);
+
+  // Show at most ~8 x axis labels
+  const labelEvery = Math.max(1, Math.ceil(data.length / 8));
+  const hovered = hoverIndex !== null ? data[hoverIndex] : null;
+
+  return (
+    <div className="trend-chart">
+      <div className="trend-chart-header">
+        <h2 className="table-title">Revenue Trend</h2>
+        <div className="trend-chart-controls">
+          <div className="trend-chart-legend">
+            <span className="legend-item legend-total">Total</span>
+            <span className="legend-item legend-campaign">Campaigns</span>
+            <span className="legend-item legend-flow">Flows</span>
+          </div>
+          <select
+            className="trend-interval-select"
+            value={interval}
+            onChange={(e) => onIntervalChange?.(e.target.value)}
+            disabled={loading}
+          >
+            {INTERVALS.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading revenue trend...</div>
+      ) : data.length === 0 ? (
+        <div className="trend-chart-empty">No revenue data in this date range</div>
+      ) : (
+        <div className="trend-chart-body">
+          <svg
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            className="trend-chart-svg"
+            onMouseLeave={() => setHoverIndex(null)}
+          >
+            {Array.from({ length: Y_TICKS + 1 }, (_, tick) => {
+              const value = (maxValue / Y_TICKS) * tick;
+              return (
+                <g key={tick}>
+                  <line x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={y(value)} y2={y(value)} className="grid-line" />
+                  <text x={PADDING.left - 8} y={y(value) + 4} textAnchor="end" className="axis-label">
+                    {formatValue(value)}
+                  </text>
+                </g>
+              );
+            })}
+
+            <path d={buildAreaPath(flowPoints, baseline)} className="area-flow" />
+            <path d={buildAreaPath(campaignPoints, flowPoints)} className="area-campaign" />
+            <polyline points={totalPoints.map(point => point.join(',')).join(' ')} className="line-total" />
+
+            {data.map((bucket, index) => (
+              index % labelEvery === 0 && (
+                <text key={bucket.date} x={x(index)} y={CHART_HEIGHT - 12} textAnchor="middle" className="axis-label">
+                  {formatBucketDate(bucket.date, interval)}
+                </text>
+              )
+            ))}
+
+            {hovered && (
+              <line x1={x(hoverIndex)} x2={x(hoverIndex)} y1={PADDING.top} y2={y(0)} className="hover-line" />
+            )}
+
+            {data.map((bucket, index) => (
+              <rect
+                key={`hover-${bucket.date}`}
+                x={x(index) - (stepX || plotWidth) / 2}
+                y={PADDING.top}
+                width={stepX || plotWidth}
+                height={plotHeight}
+                fill="transparent"
+                onMouseEnter={() => setHoverIndex(index)}
+              />
+            ))}
+          </svg>
+
+          {hovered && (
+            <div className="trend-chart-tooltip">
+              <div className="tooltip-date">{formatBucketDate(hovered.date, interval)}</div>
+              <div>Total: {formatValue(hovered.total)}</div>
+              <div>Campaigns: {formatValue(hovered.campaign)}</div>
+              <div>Flows: {formatValue(hovered.flow)}</div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RevenueTrendChart;
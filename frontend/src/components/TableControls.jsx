@@ -0,0 +1,139 @@
+import { TABLE_PAGE_SIZE } from '../utils/tableState';
+import './TableControls.css';
+
+// Search box and filters above a campaign or flow table
+// state/onChange: the table state from utils/tableState; statuses: status values found in the rows
+// channels: channel options ([] hides the channel filter); dateLabel: what the date range filters on
+function TableFilters({ idPrefix, state, onChange, statuses = [], channels = [], dateLabel = 'Date', searchPlaceholder = 'Search by name' }) {
+  const hasFilters = state.search || state.channel || state.status || state.from || state.to || state.minRecipients;
+
+  return (
+    <div className="filters table-filters">
+      <div className="filter-group">
+        <input
+          type="search"
+          className="table-search"
+          aria-label={searchPlaceholder}
+          placeholder={searchPlaceholder}
+          value={state.search}
+          onChange={(e) => onChange({ search: e.target.value })}
+        />
+      </div>
+      {channels.length > 0 && (
+        <div className="filter-group">
+          <label htmlFor={`${idPrefix}-channel`}>Channel</label>
+          <select id={`${idPrefix}-channel`} value={state.channel} onChange={(e) => onChange({ channel: e.target.value })}>
+            <option value="">All</option>
+            {channels.map(channel => (
+              <option key={channel.key} value={channel.key}>{channel.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div className="filter-group">
+        <label htmlFor={`${idPrefix}-status`}>Status</label>
+        <select id={`${idPrefix}-status`} value={state.status} onChange={(e) => onChange({ status: e.target.value })}>
+          <option value="">All</option>
+          {statuses.map(status => (
+            <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+          ))}
+        </select>
+      </div>
+      <div className="filter-group">
+        <label htmlFor={`${idPrefix}-from`}>{dateLabel}</label>
+        <input
+          id={`${idPrefix}-from`}
+          type="date"
+          aria-label={`${dateLabel} from`}
+          value={state.from}
+          max={state.to || undefined}
+          onChange={(e) => onChange({ from: e.target.value })}
+        />
+        <span className="table-filter-separator">to</span>
+        <input
+          type="date"
+          aria-label={`${dateLabel} to`}
+          value={state.to}
+          min={state.from || undefined}
+          onChange={(e) => onChange({ to: e.target.value })}
+        />
+      </div>
+      <div className="filter-group">
+        <label htmlFor={`${idPrefix}-min-recipients`}>Min. recipients</label>
+        <input
+          id={`${idPrefix}-min-recipients`}
+          type="number"
+          min="0"
+          className="table-min-recipients"
+          value={state.minRecipients}
+          onChange={(e) => onChange({ minRecipients: e.target.value })}
+        />
+      </div>
+      {hasFilters && (
+        <button
+          type="button"
+          className="table-clear-filters"
+          onClick={() => onChange({ search: '', channel: '', status: '', from: '', to: '', minRecipients: '' })}
+        >
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Column header that sorts the table by its column; clicking the sorted column flips the direction
+// Text columns start ascending, metrics descending
+function SortableHeader({ column, label, state, onChange, numeric = true, align }) {
+  const active = state.sort === column;
+
+  const handleClick = () => {
+    if (active) {
+      onChange({ dir: state.dir === 'asc' ? 'desc' : 'asc' });
+    } else {
+      onChange({ sort: column, dir: numeric ? 'desc' : 'asc' });
+    }
+  };
+
+  return (
+    <th
+      className={`sortable${active ? ' sorted' : ''}`}
+      style={align ? { textAlign: align } : undefined}
+      aria-sort={active ? (state.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button type="button" className="sort-button" onClick={handleClick}>
+        {label}
+        <span className="sort-indicator">{active ? (state.dir === 'asc' ? '▲' : '▼') : '↕'}</span>
+      </button>
+    </th>
+  );
+}
+
+// Page links below a table, with the range of rows shown
+function TablePagination({ page, pageCount, total, onChange }) {
+  if (total === 0) {
+    return null;
+  }
+
+  const first = (page - 1) * TABLE_PAGE_SIZE + 1;
+  const last = Math.min(total, page * TABLE_PAGE_SIZE);
+
+  return (
+    <div className="table-pagination">
+      <span>Showing {first}–{last} of {total.toLocaleString()}</span>
+      {pageCount > 1 && (
+        <div className="table-pagination-buttons">
+          <button type="button" onClick={() => onChange({ page: page - 1 })} disabled={page <= 1}>
+            ← Previous
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button type="button" onClick={() => onChange({ page: page + 1 })} disabled={page >= pageCount}>
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export { TableFilters, SortableHeader, TablePagination };
@@ -21,6 +21,11 @@ export function AuthProvider({ children }) {
     const userStr = localStorage.getItem('user');
     return userStr ? JSON.parse(userStr) : null;
   });
+  // The administrator's own session, kept aside while they are signed in as a user for support
+  const [impersonator, setImpersonator] = useState(() => {
+    const impersonatorStr = localStorage.getItem('impersonator');
+    return impersonatorStr ? JSON.parse(impersonatorStr) : null;
+  });
 
   const login = (newToken, newUser) => {
     setToken(newToken);
@@ -32,8 +37,26 @@ export function AuthProvider({ children }) {
   const logout = () => {
     setToken(null);
     setUser(null);
+    setImpersonator(null);
     localStorage.removeItem('token');
     localStorage.removeItem('user');
+    localStorage.removeItem('impersonator');
+  };
+
+  // Sign in as a user for support with a session from POST /admin/users/:userId/impersonate
+  const impersonate = (session) => {
+    const saved = { token, user };
+    setImpersonator(saved);
+    localStorage.setItem('impersonator', JSON.stringify(saved));
+    login(session.token, session.user);
+  };
+
+  // Go back to the administrator's own session
+  const stopImpersonating = () => {
+    if (!impersonator) return;
+    login(impersonator.token, impersonator.user);
+    setImpersonator(null);
+    localStorage.removeItem('impersonator');
   };
 
   const isAuthenticated = () => {
@@ -62,6 +85,12 @@ export function AuthProvider({ children }) {
     });
 
     if (response.status === 401) {
+      // An expired support session falls back to the administrator's own session
+      if (impersonator) {
+        stopImpersonating();
+        window.location.href = '/dashboard/admin';
+        throw new Error('Support session ended');
+      }
       logout();
       window.location.href = '/';
       throw new Error('Session expired');
@@ -70,15 +99,38 @@ export function AuthProvider({ children }) {
     return response;
   };
 
+  // Reload the user with their current organization, role and permissions
+  const refreshUser = async () => {
+    const response = await authenticatedFetch(`${API_BASE}/auth/me`);
+    const result = await response.json();
+    if (result.success) {
+      const { klaviyoAccounts, ...profile } = result.user;
+      setUser(profile);
+      localStorage.setItem('user', JSON.stringify(profile));
+      return profile;
+    }
+    return null;
+  };
+
+  // Whether the user's role in their current organization allows something (see backend/organizations.js)
+  const hasPermission = (permission) => {
+    return !!user?.permissions?.includes(permission);
+  };
+
   return (
     <AuthContext.Provider value={{
       token,
       user,
       login,
       logout,
+      impersonator,
+      impersonate,
+      stopImpersonating,
       isAuthenticated,
       getAuthHeaders,
       authenticatedFetch,
+      refreshUser,
+      hasPermission,
       API_BASE
     }}>
       {children}
@@ -0,0 +1,291 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import './Dashboard.css';
+import './DetailPage.css';
+import './ReportSchedules.css';
+import './Webhooks.css';
+import './Team.css';
+import './Admin.css';
+
+// Helper function to format a timestamp for the user and audit log tables
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+}
+
+// Helper function to describe the details of an audit log entry
+function formatAuditDetails(entry) {
+  if (entry.details.reason) return `Reason: ${entry.details.reason}`;
+  if (entry.details.expiresAt) return `Until ${formatDateTime(entry.details.expiresAt)}`;
+  return '';
+}
+
+// Admin page (administrators only): every user with their status, support actions and the audit log
+function Admin() {
+  const { user, authenticatedFetch, impersonate, API_BASE } = useAuth();
+  const navigate = useNavigate();
+  const [users, setUsers] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const adminUrl = `${API_BASE}/admin`;
+
+  const loadUsers = async () => {
+    const response = await authenticatedFetch(`${adminUrl}/users`);
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'Failed to load the users');
+    setUsers(result.users);
+  };
+
+  const loadAuditLog = async () => {
+    const response = await authenticatedFetch(`${adminUrl}/audit-log`);
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'Failed to load the audit log');
+    setEntries(result.entries);
+  };
+
+  useEffect(() => {
+    const loadPage = async () => {
+      setLoading(true);
+      try {
+        await Promise.all([loadUsers(), loadAuditLog()]);
+      } catch (error) {
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPage();
+  }, []);
+
+  // Runs an action on one user with their buttons disabled, then reloads the users and the audit log
+  const runAction = async (userId, action) => {
+    setBusyId(userId);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+      await Promise.all([loadUsers(), loadAuditLog()]);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Helper function to post an admin action and return its result
+  const postAction = async (target, action, body) => {
+    const response = await authenticatedFetch(`${adminUrl}/users/${target.id}/${action}`, {
+      method: 'POST',
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'The action failed');
+    return result;
+  };
+
+  const handleDisable = (target) => {
+    const reason = window.prompt(`Disable ${target.username} (${target.email})? They are signed out and cannot log in until enabled again.\n\nReason (optional, kept in the audit log):`);
+    if (reason === null) {
+      return;
+    }
+    runAction(target.id, async () => {
+      await postAction(target, 'disable', { reason });
+      setNotice(`Disabled ${target.username}`);
+    });
+  };
+
+  const handleEnable = (target) => runAction(target.id, async () => {
+    await postAction(target, 'enable');
+    setNotice(`Enabled ${target.username}`);
+  });
+
+  const handleResetPassword = (target) => {
+    if (!window.confirm(`Reset the password of ${target.username} (${target.email})? Their current password stops working.`)) {
+      return;
+    }
+    runAction(target.id, async () => {
+      const result = await postAction(target, 'reset-password');
+      setTemporaryPassword({ email: target.email, password: result.temporaryPassword });
+    });
+  };
+
+  const handleImpersonate = (target) => {
+    if (!window.confirm(`Sign in as ${target.username} (${target.email}) for support? This is recorded in the audit log and ends within the hour.`)) {
+      return;
+    }
+    runAction(target.id, async () => {
+      const result = await postAction(target, 'impersonate');
+      impersonate(result);
+      navigate('/dashboard');
+    });
+  };
+
+  const query = search.trim().toLowerCase();
+  const visibleUsers = query
+    ? users.filter(entry => `${entry.username} ${entry.email}`.toLowerCase().includes(query))
+    : users;
+
+  return (
+    <div className="dashboard-container">
+      <div className="container">
+        <div className="header">
+          <div>
+            <Link className="back-link" to="/dashboard">← Back to dashboard</Link>
+            <h1>Admin</h1>
+            <div className="detail-meta">
+              <span>Every user of the dashboard; each action here is written to the audit log</span>
+            </div>
+          </div>
+          <input
+            type="search"
+            className="admin-search"
+            placeholder="Search by username or email"
+            aria-label="Search users"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        {notice && <div className="schedule-notice">{notice}</div>}
+        {temporaryPassword && (
+          <div className="webhook-secret">
+            <div>
+              Temporary password of {temporaryPassword.email}. Send it to them securely; it is not shown again:
+            </div>
+            <code>{temporaryPassword.password}</code>
+            <button className="cancel-btn" onClick={() => setTemporaryPassword(null)}>Done</button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading users...</div>
+        ) : (
+          <>
+            <div className="table-section">
+              <h2 className="table-title">Users</h2>
+              <div className="table-scroll">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>USER</th>
+                      <th>ORGANIZATIONS</th>
+                      <th>ACCOUNTS</th>
+                      <th>LAST LOGIN</th>
+                      <th>STATUS</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleUsers.length === 0 ? (
+                      <tr>
+                        <td colSpan="6" style={{ textAlign: 'center', padding: '40px', color: '#9ca3af', fontWeight: 500 }}>
+                          No users found
+                        </td>
+                      </tr>
+                    ) : visibleUsers.map(entry => {
+                      // Administrators are managed from the server (npm run grant-admin), not from here
+                      const manageable = !entry.isAdmin && entry.id !== user?.id;
+                      return (
+                        <tr key={entry.id}>
+                          <td data-label="User">
+                            <div className="message-label">{entry.username}{entry.id === user?.id ? ' (you)' : ''}</div>
+                            <div className="campaign-subtitle">{entry.email}</div>
+                          </td>
+                          <td data-label="Organizations" className="schedule-recipients">
+                            {entry.organizations.length > 0
+                              ? entry.organizations.map(organization => `${organization.name} (${organization.role})`).join(', ')
+                              : '—'}
+                          </td>
+                          <td data-label="Accounts">{entry.accountCount}</td>
+                          <td data-label="Last login">{formatDateTime(entry.lastLoginAt)}</td>
+                          <td data-label="Status">
+                            {entry.isAdmin ? (
+                              <span className="status-badge team-role team-role-owner">Admin</span>
+                            ) : entry.disabledAt ? (
+                              <span className="status-badge status-failed" title={`Since ${formatDateTime(entry.disabledAt)}`}>Disabled</span>
+                            ) : (
+                              <span className="status-badge status-sent">Active</span>
+                            )}
+                          </td>
+                          <td className="schedule-actions">
+                            {manageable && (
+                              <>
+                                {entry.disabledAt ? (
+                                  <button className="cancel-btn" onClick={() => handleEnable(entry)} disabled={busyId === entry.id}>
+                                    Enable
+                                  </button>
+                                ) : (
+                                  <button className="cancel-btn" onClick={() => handleDisable(entry)} disabled={busyId === entry.id}>
+                                    Disable
+                                  </button>
+                                )}
+                                <button className="cancel-btn" onClick={() => handleResetPassword(entry)} disabled={busyId === entry.id}>
+                                  Reset password
+                                </button>
+                                <button
+                                  className="cancel-btn"
+                                  onClick={() => handleImpersonate(entry)}
+                                  disabled={busyId === entry.id || !!entry.disabledAt}
+                                  title={entry.disabledAt ? 'Enable this user first' : 'See the dashboard as this user'}
+                                >
+                                  Sign in as
+                                </button>
+                              </>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="table-section" style={{ marginTop: '32px' }}>
+              <h2 className="table-title">Audit log</h2>
+              <div className="table-scroll">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>WHEN</th>
+                      <th>ADMIN</th>
+                      <th>ACTION</th>
+                      <th>USER</th>
+                      <th>DETAILS</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {entries.length === 0 ? (
+                      <tr>
+                        <td colSpan="5" style={{ textAlign: 'center', padding: '40px', color: '#9ca3af', fontWeight: 500 }}>
+                          No admin actions yet
+                        </td>
+                      </tr>
+                    ) : entries.map(entry => (
+                      <tr key={entry.id}>
+                        <td data-label="When">{formatDateTime(entry.createdAt)}</td>
+                        <td data-label="Admin">{entry.actor.email}</td>
+                        <td data-label="Action">{entry.description}</td>
+                        <td data-label="User">{entry.target?.email || '—'}</td>
+                        <td data-label="Details" className="schedule-recipients">{formatAuditDetails(entry)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Admin;
@@ -0,0 +1,579 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import './Dashboard.css';
+import './DetailPage.css';
+import './ReportSchedules.css';
+import './Webhooks.css';
+import './AlertRules.css';
+
+// Metrics a rule can watch (revenue and conversions use the account's conversion metric)
+const ALERT_METRICS = [
+  { key: 'revenue', label: 'Revenue', type: 'currency' },
+  { key: 'conversions', label: 'Conversions', type: 'count' },
+  { key: 'recipients', label: 'Recipients', type: 'count' },
+  { key: 'opens', label: 'Opens', type: 'count' },
+  { key: 'clicks', label: 'Clicks', type: 'count' },
+  { key: 'open_rate', label: 'Open rate', type: 'percent' },
+  { key: 'click_rate', label: 'Click rate', type: 'percent' }
+];
+
+const ALERT_SCOPES = [
+  { key: 'total', label: 'All campaigns and flows' },
+  { key: 'campaign', label: 'One campaign' },
+  { key: 'flow', label: 'One flow' }
+];
+
+// The threshold is a value, a percentage or a z-score depending on the condition
+const ALERT_CONDITIONS = [
+  { key: 'below', label: 'Falls below', thresholdLabel: 'Threshold' },
+  { key: 'drop', label: 'Drops vs trailing average', thresholdLabel: 'Drop of at least (%)' },
+  { key: 'anomaly', label: 'Is an anomaly (z-score)', thresholdLabel: 'Z-score of at least' }
+];
+
+// New rules check yesterday's total revenue every morning at 09:00 against the last 7 days
+const EMPTY_RULE = {
+  name: '',
+  metric: 'revenue',
+  scopeType: 'total',
+  scopeId: '',
+  scopeName: '',
+  condition: 'drop',
+  threshold: 30,
+  lookbackDays: 7,
+  cron: '0 9 * * *',
+  timezone: '',
+  emailRecipients: [],
+  webhookUrl: '',
+  enabled: true
+};
+
+// Helper function to get an entry of an option list
+function getOption(options, key) {
+  return options.find(option => option.key === key) || { key, label: key };
+}
+
+// Helper function to read a cron expression as a daily time (anything else is custom)
+function parseDailyCron(cron) {
+  const daily = /^(\d+) (\d+) \* \* \*$/.exec(cron);
+  if (!daily) return null;
+  return `${daily[2].padStart(2, '0')}:${daily[1].padStart(2, '0')}`;
+}
+
+// Helper function to describe a rule's condition, e.g. "Drops 30% below the 7-day average"
+function describeCondition(rule) {
+  if (rule.condition === 'below') return `Falls below ${formatRuleValue(rule.metric, rule.threshold)}`;
+  if (rule.condition === 'drop') return `Drops ${rule.threshold}% below the ${rule.lookbackDays}-day average`;
+  return `Z-score of ${rule.threshold} or more vs the last ${rule.lookbackDays} days`;
+}
+
+// Helper function to format a metric value for the rules table
+function formatRuleValue(metric, value) {
+  if (value === null || value === undefined) return '—';
+  const type = getOption(ALERT_METRICS, metric).type;
+  if (type === 'percent') return `${Number(value).toFixed(2)}%`;
+  if (type === 'currency') return Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return Math.round(value).toLocaleString('en-US');
+}
+
+// Helper function to format a timestamp for the rules table
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+}
+
+// Alert rules page: threshold and anomaly alerts on one Klaviyo account's revenue and engagement
+function AlertRules() {
+  const { accountId } = useParams();
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [account, setAccount] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [emailConfigured, setEmailConfigured] = useState(true);
+  const [evaluatorEnabled, setEvaluatorEnabled] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [editingRule, setEditingRule] = useState(null);
+  const [busyRuleId, setBusyRuleId] = useState(null);
+  // Signing secret of a rule's webhook, shown once after it was created or replaced
+  const [secret, setSecret] = useState(null);
+
+  const rulesUrl = `${API_BASE}/klaviyo-accounts/${encodeURIComponent(accountId)}/alert-rules`;
+
+  const loadRules = async () => {
+    try {
+      const response = await authenticatedFetch(rulesUrl);
+      const result = await response.json();
+      if (result.success) {
+        setRules(result.rules);
+        setEmailConfigured(result.emailConfigured);
+        setEvaluatorEnabled(result.evaluatorEnabled);
+      } else {
+        setError(result.error || 'Failed to load the alert rules');
+      }
+    } catch (error) {
+      setError('Failed to load the alert rules: ' + error.message);
+    }
+  };
+
+  useEffect(() => {
+    const loadPage = async () => {
+      setLoading(true);
+      try {
+        const response = await authenticatedFetch(`${API_BASE}/klaviyo-accounts`);
+        const result = await response.json();
+        if (result.success) {
+          setAccount(result.accounts.find(acc => acc.id === accountId) || null);
+        }
+        await loadRules();
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPage();
+  }, [accountId]);
+
+  const handleSaved = async (rule, webhookSecret) => {
+    setEditingRule(null);
+    setNotice(`Saved "${rule.name}"`);
+    if (webhookSecret) {
+      setSecret({ url: rule.webhookUrl, value: webhookSecret });
+    }
+    await loadRules();
+  };
+
+  const handleRotateSecret = async (rule) => {
+    if (!window.confirm(`Replace the webhook signing secret of "${rule.name}"? Its endpoint must be updated with the new one.`)) {
+      return;
+    }
+    setBusyRuleId(rule.id);
+    setError('');
+    try {
+      const response = await authenticatedFetch(`${rulesUrl}/${rule.id}/webhook-secret`, { method: 'POST' });
+      const result = await response.json();
+      if (result.success) {
+        setSecret({ url: rule.webhookUrl, value: result.secret });
+      } else {
+        setError(result.error || 'Failed to replace the secret');
+      }
+    } catch (error) {
+      setError('Failed to replace the secret: ' + error.message);
+    } finally {
+      setBusyRuleId(null);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    setBusyRuleId(rule.id);
+    setError('');
+    try {
+      const response = await authenticatedFetch(`${rulesUrl}/${rule.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ enabled: !rule.enabled })
+      });
+      const result = await response.json();
+      if (result.success) {
+        await loadRules();
+      } else {
+        setError(result.error || 'Failed to update the rule');
+      }
+    } catch (error) {
+      setError('Failed to update the rule: ' + error.message);
+    } finally {
+      setBusyRuleId(null);
+    }
+  };
+
+  const handleEvaluate = async (rule) => {
+    setBusyRuleId(rule.id);
+    setError('');
+    setNotice('');
+    try {
+      const response = await authenticatedFetch(`${rulesUrl}/${rule.id}/evaluate`, { method: 'POST' });
+      const result = await response.json();
+      if (result.success) {
+        const { evaluation } = result;
+        if (evaluation.alert) {
+          setNotice(`Alert fired: ${evaluation.alert.message}`);
+        } else if (evaluation.triggered) {
+          setNotice(`"${rule.name}" is still firing for ${evaluation.day}; no new alert was sent`);
+        } else {
+          setNotice(`"${rule.name}" is OK for ${evaluation.day} (${formatRuleValue(rule.metric, evaluation.value)})`);
+        }
+      } else {
+        setError(`Evaluating "${rule.name}" failed: ${result.error}`);
+      }
+      await loadRules();
+    } catch (error) {
+      setError('Failed to evaluate the rule: ' + error.message);
+    } finally {
+      setBusyRuleId(null);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the alert rule "${rule.name}" and its alerts?`)) {
+      return;
+    }
+    setBusyRuleId(rule.id);
+    setError('');
+    try {
+      const response = await authenticatedFetch(`${rulesUrl}/${rule.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (result.success) {
+        await loadRules();
+      } else {
+        setError(result.error || 'Failed to delete the rule');
+      }
+    } catch (error) {
+      setError('Failed to delete the rule: ' + error.message);
+    } finally {
+      setBusyRuleId(null);
+    }
+  };
+
+  return (
+    <div className="dashboard-container">
+      <div className="container">
+        <div className="header">
+          <div>
+            <Link className="back-link" to="/dashboard">← Back to dashboard</Link>
+            <h1>Alert Rules</h1>
+            <div className="detail-meta">
+              <span>{account?.name || 'Klaviyo account'}</span>
+              <span>Get notified when revenue or engagement drops or behaves unusually</span>
+            </div>
+          </div>
+          <button className="submit-btn" onClick={() => setEditingRule(EMPTY_RULE)} disabled={loading}>
+            + New rule
+          </button>
+        </div>
+
+        {!emailConfigured && (
+          <div className="warning">
+            Email delivery is not configured on the server (SMTP_HOST). Alerts still reach the inbox and webhooks.
+          </div>
+        )}
+        {!evaluatorEnabled && (
+          <div className="warning">
+            The alert evaluator is turned off on the server; rules are only checked with "Evaluate now".
+          </div>
+        )}
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        {notice && <div className="schedule-notice">{notice}</div>}
+        {secret && (
+          <div className="webhook-secret">
+            <div>
+              Webhook signing secret for {secret.url}. Copy it now, it will not be shown again:
+            </div>
+            <code>{secret.value}</code>
+            <div className="campaign-subtitle">
+              Alerts are signed and retried like the other webhooks: each request has an <code>X-Webhook-Signature: sha256=…</code> header,
+              the HMAC-SHA256 of <code>{'<X-Webhook-Timestamp>.<body>'}</code> with this secret.
+            </div>
+            <button className="cancel-btn" onClick={() => setSecret(null)}>Done</button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading alert rules...</div>
+        ) : (
+          <div className="table-section">
+            <div className="table-scroll">
+              <table>
+                <thead>
+                  <tr>
+                    <th>RULE</th>
+                    <th>CONDITION</th>
+                    <th>NOTIFY</th>
+                    <th>LAST VALUE</th>
+                    <th>NEXT CHECK</th>
+                    <th>STATE</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" style={{ textAlign: 'center', padding: '60px', color: '#9ca3af', fontWeight: 500 }}>
+                        No alert rules yet
+                      </td>
+                    </tr>
+                  ) : rules.map(rule => (
+                    <tr key={rule.id}>
+                      <td data-label="Rule">
+                        <div className="message-label">{rule.name}</div>
+                        <div className="campaign-subtitle">
+                          {getOption(ALERT_METRICS, rule.metric).label}
+                          {' · '}
+                          {rule.scopeType === 'total' ? 'All campaigns and flows' : `${rule.scopeType === 'flow' ? 'Flow' : 'Campaign'}: ${rule.scopeName || rule.scopeId}`}
+                        </div>
+                      </td>
+                      <td data-label="Condition">{describeCondition(rule)}</td>
+                      <td data-label="Notify" className="schedule-recipients">
+                        {[...rule.emailRecipients, ...(rule.webhookUrl ? [`Webhook: ${rule.webhookUrl}`] : [])].join(', ') || 'Inbox only'}
+                      </td>
+                      <td data-label="Last value">
+                        <div>{formatRuleValue(rule.metric, rule.lastValue)}</div>
+                        <div className="campaign-subtitle">{formatDateTime(rule.lastEvaluatedAt)}</div>
+                      </td>
+                      <td data-label="Next check">{rule.enabled ? formatDateTime(rule.nextRunAt) : '—'}</td>
+                      <td data-label="State">
+                        {!rule.enabled ? (
+                          <span className="status-badge status-draft">Paused</span>
+                        ) : rule.state === 'firing' ? (
+                          <span className="status-badge status-failed">Firing</span>
+                        ) : (
+                          <span className="status-badge status-sent">OK</span>
+                        )}
+                        {rule.lastError && <div className="alert-rule-error" title={rule.lastError}>{rule.lastError}</div>}
+                      </td>
+                      <td className="schedule-actions">
+                        <button className="cancel-btn" onClick={() => handleEvaluate(rule)} disabled={busyRuleId === rule.id}>
+                          {busyRuleId === rule.id ? '...' : 'Evaluate now'}
+                        </button>
+                        <button className="cancel-btn" onClick={() => setEditingRule(rule)}>Edit</button>
+                        <button className="cancel-btn" onClick={() => handleToggle(rule)} disabled={busyRuleId === rule.id}>
+                          {rule.enabled ? 'Pause' : 'Resume'}
+                        </button>
+                        {rule.webhookUrl && (
+                          <button className="cancel-btn" onClick={() => handleRotateSecret(rule)} disabled={busyRuleId === rule.id}>
+                            New secret
+                          </button>
+                        )}
+                        <button className="delete-account-btn" onClick={() => handleDelete(rule)} disabled={busyRuleId === rule.id} title="Delete rule">
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {editingRule && (
+          <AlertRuleFormModal
+            rule={editingRule}
+            rulesUrl={rulesUrl}
+            scopesUrl={`${API_BASE}/klaviyo-accounts/${encodeURIComponent(accountId)}/alert-scopes`}
+            onSaved={handleSaved}
+            onClose={() => setEditingRule(null)}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Modal to create or edit an alert rule
+function AlertRuleFormModal({ rule, rulesUrl, scopesUrl, onSaved, onClose }) {
+  const { authenticatedFetch } = useAuth();
+  const dailyTime = parseDailyCron(rule.cron);
+  const [form, setForm] = useState({
+    ...rule,
+    scopeId: rule.scopeId || '',
+    emailRecipients: rule.emailRecipients.join(', '),
+    webhookUrl: rule.webhookUrl || '',
+    frequency: dailyTime ? 'daily' : 'custom',
+    time: dailyTime || '09:00'
+  });
+  const [scopes, setScopes] = useState({ campaigns: [], flows: [] });
+  const [loadingScopes, setLoadingScopes] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateForm = (changes) => setForm(current => ({ ...current, ...changes }));
+  const condition = getOption(ALERT_CONDITIONS, form.condition);
+  const scopeOptions = form.scopeType === 'flow' ? scopes.flows : scopes.campaigns;
+
+  // Campaigns and flows are only listed once a rule is scoped to one of them
+  useEffect(() => {
+    if (form.scopeType === 'total' || loadingScopes || scopes.campaigns.length > 0 || scopes.flows.length > 0) return;
+    const loadScopes = async () => {
+      setLoadingScopes(true);
+      try {
+        const response = await authenticatedFetch(scopesUrl);
+        const result = await response.json();
+        if (result.success) {
+          setScopes({ campaigns: result.campaigns, flows: result.flows });
+        } else {
+          setError(result.error || 'Failed to load the campaigns and flows');
+        }
+      } catch (error) {
+        setError('Failed to load the campaigns and flows: ' + error.message);
+      } finally {
+        setLoadingScopes(false);
+      }
+    };
+    loadScopes();
+  }, [form.scopeType]);
+
+  const buildCron = () => {
+    if (form.frequency === 'custom') return form.cron;
+    const [hour, minute] = form.time.split(':').map(Number);
+    return `${minute} ${hour} * * *`;
+  };
+
+  const handleScopeChange = (scopeId) => {
+    const scope = scopeOptions.find(option => option.id === scopeId);
+    updateForm({ scopeId, scopeName: scope?.name || '' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await authenticatedFetch(rule.id ? `${rulesUrl}/${rule.id}` : rulesUrl, {
+        method: rule.id ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          name: form.name,
+          metric: form.metric,
+          scopeType: form.scopeType,
+          scopeId: form.scopeType === 'total' ? null : form.scopeId,
+          scopeName: form.scopeType === 'total' ? null : form.scopeName,
+          condition: form.condition,
+          threshold: form.threshold,
+          lookbackDays: Number(form.lookbackDays),
+          cron: buildCron(),
+          timezone: form.timezone || undefined,
+          emailRecipients: form.emailRecipients,
+          webhookUrl: form.webhookUrl || null,
+          enabled: form.enabled
+        })
+      });
+      const result = await response.json();
+      if (result.success) {
+        onSaved(result.rule, result.webhookSecret);
+      } else {
+        setError(result.error || 'Failed to save the rule');
+      }
+    } catch (error) {
+      setError('Failed to save the rule: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content schedule-modal" onClick={(e) => e.stopPropagation()}>
+        <h2>{rule.id ? 'Edit Alert Rule' : 'New Alert Rule'}</h2>
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Name</label>
+            <input type="text" value={form.name} onChange={(e) => updateForm({ name: e.target.value })} placeholder="Revenue dip" required />
+          </div>
+          <div className="schedule-form-row">
+            <div className="form-group">
+              <label>Metric</label>
+              <select value={form.metric} onChange={(e) => updateForm({ metric: e.target.value })}>
+                {ALERT_METRICS.map(metric => (
+                  <option key={metric.key} value={metric.key}>{metric.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Scope</label>
+              <select value={form.scopeType} onChange={(e) => updateForm({ scopeType: e.target.value, scopeId: '', scopeName: '' })}>
+                {ALERT_SCOPES.map(scope => (
+                  <option key={scope.key} value={scope.key}>{scope.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {form.scopeType !== 'total' && (
+            <div className="form-group">
+              <label>{form.scopeType === 'flow' ? 'Flow' : 'Campaign'}</label>
+              <select value={form.scopeId} onChange={(e) => handleScopeChange(e.target.value)} required disabled={loadingScopes}>
+                <option value="">{loadingScopes ? 'Loading...' : `Choose a ${form.scopeType}`}</option>
+                {form.scopeId && !scopeOptions.some(option => option.id === form.scopeId) && (
+                  <option value={form.scopeId}>{form.scopeName || form.scopeId}</option>
+                )}
+                {scopeOptions.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="schedule-form-row">
+            <div className="form-group">
+              <label>Condition</label>
+              <select value={form.condition} onChange={(e) => updateForm({ condition: e.target.value })}>
+                {ALERT_CONDITIONS.map(option => (
+                  <option key={option.key} value={option.key}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>{condition.thresholdLabel}</label>
+              <input type="number" min="0" step="any" value={form.threshold} onChange={(e) => updateForm({ threshold: e.target.value })} required />
+            </div>
+            <div className="form-group">
+              <label>Trailing days</label>
+              <input type="number" min="3" max="60" value={form.lookbackDays} onChange={(e) => updateForm({ lookbackDays: e.target.value })} required />
+            </div>
+          </div>
+          <div className="schedule-form-row">
+            <div className="form-group">
+              <label>Check</label>
+              <select value={form.frequency} onChange={(e) => updateForm({ frequency: e.target.value, cron: buildCron() })}>
+                <option value="daily">Daily</option>
+                <option value="custom">Custom (cron)</option>
+              </select>
+            </div>
+            {form.frequency === 'custom' ? (
+              <div className="form-group">
+                <label>Cron expression</label>
+                <input type="text" value={form.cron} onChange={(e) => updateForm({ cron: e.target.value })} placeholder="0 9 * * *" required />
+              </div>
+            ) : (
+              <div className="form-group">
+                <label>Time</label>
+                <input type="time" value={form.time} onChange={(e) => updateForm({ time: e.target.value || '09:00' })} required />
+              </div>
+            )}
+            <div className="form-group">
+              <label>Timezone</label>
+              <input
+                type="text"
+                value={form.timezone}
+                onChange={(e) => updateForm({ timezone: e.target.value })}
+                placeholder="Account timezone"
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Email recipients (optional, comma separated)</label>
+            <textarea
+              value={form.emailRecipients}
+              onChange={(e) => updateForm({ emailRecipients: e.target.value })}
+              placeholder="marketing@example.com"
+              rows="2"
+            />
+          </div>
+          <div className="form-group">
+            <label>Webhook URL (optional)</label>
+            <input type="url" value={form.webhookUrl} onChange={(e) => updateForm({ webhookUrl: e.target.value })} placeholder="https://hooks.example.com/alerts" />
+          </div>
+          <label className="schedule-enabled">
+            <input type="checkbox" checked={form.enabled} onChange={(e) => updateForm({ enabled: e.target.checked })} />
+            Check on schedule
+          </label>
+          <div className="modal-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default AlertRules;
@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { formatCurrency } from '../utils/format';
+import { buildDateRangeQuery, parseDateRangeQuery } from '../utils/dateRange';
+import './Dashboard.css';
+import './DetailPage.css';
+
+// Helper function to format a count, with the unique count next to it when it differs
+function formatCount(count, uniqueCount) {
+  if (uniqueCount === undefined || uniqueCount === count) {
+    return count.toLocaleString();
+  }
+  return `${count.toLocaleString()} (${uniqueCount.toLocaleString()} unique)`;
+}
+
+// Campaign detail page: performance of each message of a campaign (A/B variations, email and SMS messages)
+function CampaignDetail() {
+  const { id } = useParams();
+  const location = useLocation();
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [values, setValues] = useState(null);
+  const [attribution, setAttribution] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // The dashboard passes its date range in the query string
+  const dateRangeQuery = buildDateRangeQuery({ ...parseDateRangeQuery(location.search), compare: 'none' });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadCampaign = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await authenticatedFetch(`${API_BASE}/campaigns/${encodeURIComponent(id)}/values?${dateRangeQuery}`);
+        const result = await response.json();
+        if (cancelled) return;
+
+        if (result.success) {
+          setValues(result);
+        } else {
+          setError(typeof result.error === 'string' ? result.error : 'Failed to load campaign');
+          return;
+        }
+
+        // Events attributed to the campaign, as a cross-check of the reported conversions
+        const attributionResponse = await authenticatedFetch(`${API_BASE}/campaigns/${encodeURIComponent(id)}/attribution?${dateRangeQuery}`);
+        const attributionResult = await attributionResponse.json();
+        if (!cancelled && attributionResult.success) {
+          setAttribution(attributionResult);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.error('Error loading campaign:', error);
+          setError('Error loading campaign: ' + error.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadCampaign();
+    return () => {
+      cancelled = true;
+    };
+  }, [id, dateRangeQuery]);
+
+  const currency = values?.currency || 'USD';
+  const conversionLabel = values?.conversionMetric?.name || 'Placed Order';
+  const totals = values?.totals;
+
+  return (
+    <div className="dashboard-container">
+      <div className="container">
+        <div className="header">
+          <div>
+            <Link className="back-link" to={`/dashboard${location.search}`}>← Back to dashboard</Link>
+            <h1>{values?.campaign.name || 'Campaign'}</h1>
+            {values && (
+              <div className="detail-meta">
+                <span className="status-badge status-sent">{values.campaign.status}</span>
+                {values.campaign.sendTime && (
+                  <span>Sent {new Date(values.campaign.sendTime).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                )}
+                <span>{values.campaign.channels.join(' + ') || 'email'}</span>
+                <span>{values.dateRange.label}</span>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+
+        {loading ? (
+          <div className="loading">Loading campaign...</div>
+        ) : totals && (
+          <>
+            <div className="summary-cards">
+              <div className="summary-card">
+                <div className="summary-card-title">Revenue ({conversionLabel})</div>
+                <div className="summary-card-value">{formatCurrency(totals.revenue, currency)}</div>
+                <div className="summary-card-subtitle">
+                  {totals.conversions.toLocaleString()} conversions · {totals.conversionRate.toFixed(2)}% conversion rate
+                </div>
+              </div>
+              <div className="summary-card">
+                <div className="summary-card-title">Recipients</div>
+                <div className="summary-card-value">{totals.recipients.toLocaleString()}</div>
+                <div className="summary-card-subtitle">{totals.delivered.toLocaleString()} delivered · {totals.bounces.toLocaleString()} bounced</div>
+              </div>
+              <div className="summary-card">
+                <div className="summary-card-title">Engagement</div>
+                <div className="summary-card-value">{totals.openRate.toFixed(2)}%</div>
+                <div className="summary-card-subtitle">
+                  open rate · {totals.clickRate.toFixed(2)}% click rate · {totals.unsubscribes.toLocaleString()} unsubscribes
+                </div>
+              </div>
+            </div>
+
+            {attribution && (
+              <div className="comparison-note">
+                {attribution.data.events.toLocaleString()} {attribution.metricName} events attributed to this campaign
+                {' '}({formatCurrency(attribution.data.revenue, currency)})
+                {attribution.truncated && ' — partial, Klaviyo returned more events than are fetched'}
+              </div>
+            )}
+
+            <div className="table-section" style={{ marginTop: '32px' }}>
+              <h2 className="table-title">Messages</h2>
+              <CampaignMessageTable messages={values.messages} currency={currency} conversionLabel={conversionLabel} />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function CampaignMessageTable({ messages, currency = 'USD', conversionLabel = 'Placed Order' }) {
+  if (messages.length === 0) {
+    return (
+      <table>
+        <tbody>
+          <tr>
+            <td colSpan="10" style={{ textAlign: 'center', padding: '60px', color: '#9ca3af', fontWeight: 500 }}>
+              This campaign has no messages
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    );
+  }
+
+  return (
+    <div className="table-scroll">
+      <table>
+        <thead>
+          <tr>
+            <th>MESSAGE</th>
+            <th>RECIPIENTS</th>
+            <th>DELIVERED</th>
+            <th>OPENS</th>
+            <th>CLICKS</th>
+            <th>BOUNCES</th>
+            <th>UNSUBSCRIBES</th>
+            <th>SPAM</th>
+            <th>CONVERSIONS</th>
+            <th style={{ textAlign: 'right' }}>{conversionLabel.toUpperCase()}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {messages.map(message => (
+            <tr key={message.id}>
+              <td data-label="Message">
+                <div className="message-label">{message.label}</div>
+                <div className="campaign-subtitle">
+                  <span className={message.channel === 'sms' ? 'icon-automation' : 'icon-email'}>{message.channel}</span>
+                  {message.variationName && <span className="variation-badge">{message.variationName}</span>}
+                </div>
+              </td>
+              <td data-label="Recipients">{message.recipients.toLocaleString()}</td>
+              <td data-label="Delivered">{message.delivered.toLocaleString()}</td>
+              <td data-label="Opens">
+                <div className="metric">
+                  <span className="metric-value">{message.openRate.toFixed(2)}%</span>
+                  <span className="metric-detail">{formatCount(message.opens, message.uniqueOpens)}</span>
+                </div>
+              </td>
+              <td data-label="Clicks">
+                <div className="metric">
+                  <span className="metric-value">{message.clickRate.toFixed(2)}%</span>
+                  <span className="metric-detail">{formatCount(message.clicks, message.uniqueClicks)}</span>
+                </div>
+              </td>
+              <td data-label="Bounces">{message.bounces.toLocaleString()}</td>
+              <td data-label="Unsubscribes">{message.unsubscribes.toLocaleString()}</td>
+              <td data-label="Spam">{message.spamComplaints.toLocaleString()}</td>
+              <td data-label="Conversions">
+                <div className="metric">
+                  <span className="metric-value">{message.conversions.toLocaleString()}</span>
+                  <span className="metric-detail">{message.conversionRate.toFixed(2)}%</span>
+                </div>
+              </td>
+              <td data-label={conversionLabel}>
+                <span className="revenue">{formatCurrency(message.revenue, currency)}</span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default CampaignDetail;
@@ -1,142 +1,69 @@
 import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import RevenueTrendChart from '../components/RevenueTrendChart';
+import ClientPortal from '../components/ClientPortal';
+import { formatCurrency } from '../utils/format';
+import { DATE_RANGE_PRESETS, COMPARISON_OPTIONS, buildDateRangeQuery, parseDateRangeQuery } from '../utils/dateRange';
+import { parseTableState, writeTableState, applyTableState } from '../utils/tableState';
+import { TableFilters, SortableHeader, TablePagination } from '../components/TableControls';
 import './Dashboard.css';
 
-// Helper function to format currency
-function formatCurrency(amount, currency = 'USD') {
-  const currencySymbols = {
-    'USD': '$',
-    'EUR': '€',
-    'GBP': '£',
-    'JPY': '¥',
-    'CHF': 'CHF',
-    'CAD': 'C$',
-    'AUD': 'A$',
-    'NZD': 'NZ$',
-  
-    // Middle East / Gulf
-    'AED': 'AED',
-    'SAR': 'SAR',
-    'QAR': 'QAR',
-    'BHD': 'BHD',
-    'KWD': 'KWD',
-    'OMR': 'OMR',
-  
-    // Americas
-    'ARS': '$',
-    'BOB': 'Bs.',
-    'BRL': 'R$',
-    'CLP': '$',
-    'COP': '$',
-    'CRC': '₡',
-    'DOP': 'RD$',
-    'GTQ': 'Q',
-    'HNL': 'L',
-    'MXN': '$',
-    'NIO': 'C$',
-    'PAB': 'B/.',
-    'PEN': 'S/',
-    'PYG': '₲',
-    'UYU': '$U',
-    'VES': 'Bs.',
-  
-    // Africa
-    'ZAR': 'R',
-    'EGP': 'E£',
-    'KES': 'KSh',
-    'NGN': '₦',
-    'MAD': 'د.م.',
-    'TND': 'د.ت',
-    'UGX': 'USh',
-    'GHS': '₵',
-    'RWF': 'FRw',
-  
-    // Asia
-    'CNY': '¥',
-    'HKD': 'HK$',
-    'TWD': 'NT$',
-    'KRW': '₩',
-    'INR': '₹',
-    'IDR': 'Rp',
-    'PHP': '₱',
-    'THB': '฿',
-    'VND': '₫',
-    'MYR': 'RM',
-    'SGD': 'S$',
-    'PKR': '₨',
-    'BDT': '৳',
-    'LKR': 'Rs',
-    'NPR': 'Rs',
-    'MMK': 'K',
-    'KHR': '៛',
-    'LAK': '₭',
-    'MNT': '₮',
-    'KZT': '₸',
-    'UZS': "so'm",
-    'AZN': '₼',
-    'AMD': '֏',
-    'GEL': '₾',
-    'IRR': '﷼',
-    'IQD': 'ع.د',
-    'ILS': '₪',
-  
-    // Europe
-    'RUB': '₽',
-    'UAH': '₴',
-    'PLN': 'zł',
-    'CZK': 'Kč',
-    'HUF': 'Ft',
-    'RON': 'lei',
-    'BGN': 'лв',
-    'SEK': 'kr',
-    'NOK': 'kr',
-    'DKK': 'kr',
-    'ISK': 'kr',
-    'RSD': 'дин',
-    'MKD': 'ден',
-    'BAM': 'KM',
-    'MDL': 'L',
-    // HRK removed (Croatia uses EUR since 2023)
-  
-    // Caribbean & small nations
-    'XCD': '$',
-    'BBD': '$',
-    'BSD': '$',
-    'BMD': '$',
-    'BZD': '$',
-    'GYD': '$',
-    'JMD': '$',
-    'TTD': '$',
-  
-    // Pacific
-    'FJD': '$',
-    'PGK': 'K',
-    'SBD': '$',
-    'WST': 'T',
-    'TOP': 'T$',
-    'VUV': 'Vt',
-  
-    // CFA regions
-    'XOF': 'CFA',
-    'XAF': 'FCFA',
-    'XPF': '₣'
-  };
-  
-  
-  const symbol = currencySymbols[currency] || currency + ' ';
-  const formattedAmount = parseFloat(amount).toFixed(2);
-  
-  // For currencies like AED, CHF, put symbol before amount
-  if (currency === 'AED' || currency === 'CHF' || currency === 'XOF' || currency === 'XAF' || currency === 'XPF') {
-    return `${symbol}${formattedAmount}`;
+// Helper function to describe how long ago data was fetched
+function formatLastUpdated(timestamp, now) {
+  const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours} h ago`;
+}
+
+// Default sort of the campaign and flow tables when the URL has none
+const CAMPAIGN_TABLE_DEFAULTS = { sort: 'sendDate', dir: 'desc' };
+const FLOW_TABLE_DEFAULTS = { sort: 'revenue', dir: 'desc' };
+
+// Channels of the campaign table's channel filter (campaign messageType values)
+const CAMPAIGN_CHANNELS = [
+  { key: 'email', label: 'Email' },
+  { key: 'sms', label: 'SMS' }
+];
+
+// Helper function to read the dashboard date range from the URL
+// Without one the dashboard shows the last 30 days compared with the previous period
+function getInitialDateRange(searchParams) {
+  if (!searchParams.has('preset') && !searchParams.has('start')) {
+    return { preset: 'last_30_days', start: '', end: '', compare: 'previous_period' };
+  }
+  return parseDateRangeQuery(searchParams.toString());
+}
+
+// Helper function to get the open or click rate of a table row as a fraction of its recipients
+function getRowRate(row, field) {
+  return row.recipients > 0 ? (row[field] || 0) / row.recipients : 0;
+}
+
+// Helper function to list the statuses found in table rows, for the status filter
+function getRowStatuses(rows) {
+  return [...new Set(rows.map(row => (row.status || '').toLowerCase()).filter(Boolean))].sort();
+}
+
+// Helper function to label an account in the switcher, with its Klaviyo account name when it differs
+function formatAccountLabel(account) {
+  if (account.klaviyoAccountName && account.klaviyoAccountName !== account.name) {
+    return `${account.name} (${account.klaviyoAccountName})`;
   }
-  
-  // For most currencies, put symbol before amount
-  return `${symbol}${formattedAmount}`;
+  return account.name;
 }
 
 function Dashboard() {
-  const { user, logout, authenticatedFetch, API_BASE } = useAuth();
+  const { user, logout, authenticatedFetch, refreshUser, hasPermission, API_BASE } = useAuth();
+  // What the user's role allows; analysts and client viewers only read
+  const canManageAccounts = hasPermission('accounts:manage');
+  const canConfigureAccounts = hasPermission('accounts:configure');
+  const canViewWorkspace = hasPermission('workspace:view');
+  const canManageWebhooks = hasPermission('webhooks:manage');
+  // Client portal logins get a read-only layout for their one account, under the organization's branding
+  const isClientPortal = user?.role === 'client';
   const [campaigns, setCampaigns] = useState([]);
   const [flows, setFlows] = useState([]);
   const [summary, setSummary] = useState({
@@ -149,6 +76,18 @@ function Dashboard() {
     flowPercentage: 0
   });
   const [currency, setCurrency] = useState('USD');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [dateRange, setDateRange] = useState(() => getInitialDateRange(searchParams));
+  const [timeframe, setTimeframe] = useState('Last 30 days');
+  const [engagement, setEngagement] = useState({ openRate: 0, clickRate: 0, conversions: 0, secondaryConversions: 0 });
+  const [comparison, setComparison] = useState(null);
+  const [truncatedResources, setTruncatedResources] = useState([]);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [refreshing, setRefreshing] = useState(false);
+  const [trend, setTrend] = useState([]);
+  const [trendInterval, setTrendInterval] = useState('day');
+  const [trendLoading, setTrendLoading] = useState(true);
   const [loading, setLoading] = useState({
     campaigns: true,
     flows: false,
@@ -163,8 +102,81 @@ function Dashboard() {
   const [newAccountKey, setNewAccountKey] = useState('');
   const [addingAccount, setAddingAccount] = useState(false);
   const [deletingAccountId, setDeletingAccountId] = useState(null);
+  const [metricSettingsAccount, setMetricSettingsAccount] = useState(null);
+  const [brandingAccount, setBrandingAccount] = useState(null);
+  const [inviteClientAccount, setInviteClientAccount] = useState(null);
+  const [conversionMetric, setConversionMetric] = useState(null);
+  const [secondaryMetric, setSecondaryMetric] = useState(null);
   const hasFetchedRef = useRef(false);
 
+  // Apply a /api/revenue/total response to the tables and summary cards
+  const applyDashboardData = (result) => {
+    // Set currency and the resolved date range label
+    setCurrency(result.currency || 'USD');
+    setTimeframe(result.timeframe || 'Last 30 days');
+    setComparison(result.comparison || null);
+    setTruncatedResources(result.truncated ? (result.truncatedResources || []) : []);
+    setLastUpdated(result.lastUpdated || new Date().toISOString());
+    setConversionMetric(result.conversionMetric || null);
+    setSecondaryMetric(result.secondaryMetric || null);
+    setEngagement({
+      openRate: result.summary?.openRate || 0,
+      clickRate: result.summary?.clickRate || 0,
+      conversions: result.summary?.conversions || 0,
+      secondaryConversions: result.summary?.secondaryConversions || 0
+    });
+
+    // Filter campaigns: only show "Sent" status
+    const sentCampaigns = (result.campaigns || []).filter(campaign => {
+      const status = campaign.status || '';
+      return status.toLowerCase() === 'sent';
+    });
+    
+    // Filter flows: only show "Live" status
+    const liveFlows = (result.flows || []).filter(flow => {
+      const status = flow.status || '';
+      return status.toLowerCase() === 'live';
+    });
+    
+    // Set campaigns and flows from the response
+    setCampaigns(sentCampaigns);
+    setFlows(liveFlows);
+    
+    // Calculate campaign and flow table revenue (using filtered data)
+    const campaignTableRevenue = sentCampaigns.reduce((sum, campaign) => {
+      return sum + (campaign.revenue || 0);
+    }, 0);
+    
+    const flowTableRevenue = liveFlows.reduce((sum, flow) => {
+      return sum + (flow.revenue || 0);
+    }, 0);
+    
+    // Calculate percentages
+    const totalRevenue = result.totalRevenue || 0;
+    const campaignPercentage = totalRevenue > 0 
+      ? ((campaignTableRevenue / totalRevenue) * 100).toFixed(1)
+      : '0.0';
+    const flowPercentage = totalRevenue > 0 
+      ? ((flowTableRevenue / totalRevenue) * 100).toFixed(1)
+      : '0.0';
+    
+    // Set summary (with percentages)
+    setSummary({
+      totalRevenue: totalRevenue,
+      campaignRevenue: campaignTableRevenue,
+      flowRevenue: flowTableRevenue,
+      campaignCount: result.totalCampaigns || 0,
+      flowCount: result.totalFlows || 0,
+      campaignPercentage,
+      flowPercentage
+    });
+  };
+
+  // Load the user's organization and role on mount (the role decides which controls are shown)
+  useEffect(() => {
+    refreshUser().catch(error => console.error('Error loading the user:', error));
+  }, []);
+
   // Fetch accounts on mount
   useEffect(() => {
     const loadAccounts = async () => {
@@ -183,6 +195,12 @@ function Dashboard() {
     loadAccounts();
   }, []);
 
+  // Keep the "Last updated" label current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
   // Close account menu when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -212,57 +230,11 @@ function Dashboard() {
       try {
         setLoading(prev => ({ ...prev, campaigns: true, flows: true, summary: true }));
         
-        const response = await authenticatedFetch(`${API_BASE}/revenue/total`);
+        const response = await authenticatedFetch(`${API_BASE}/revenue/total?${buildDateRangeQuery(dateRange)}`);
         const result = await response.json();
         
         if (result.success) {
-
-          // Set currency
-          setCurrency(result.currency || 'USD');
-          // Filter campaigns: only show "Sent" status
-          const sentCampaigns = (result.campaigns || []).filter(campaign => {
-            const status = campaign.status || '';
-            return status.toLowerCase() === 'sent';
-          });
-          
-          // Filter flows: only show "Live" status
-          const liveFlows = (result.flows || []).filter(flow => {
-            const status = flow.status || '';
-            return status.toLowerCase() === 'live';
-          });
-          
-          // Set campaigns and flows from the response
-          setCampaigns(sentCampaigns);
-          setFlows(liveFlows);
-          
-          // Calculate campaign and flow table revenue (using filtered data)
-          const campaignTableRevenue = sentCampaigns.reduce((sum, campaign) => {
-            return sum + (campaign.revenue || 0);
-          }, 0);
-          
-          const flowTableRevenue = liveFlows.reduce((sum, flow) => {
-            return sum + (flow.revenue || 0);
-          }, 0);
-          
-          // Calculate percentages
-          const totalRevenue = result.totalRevenue || 0;
-          const campaignPercentage = totalRevenue > 0 
-            ? ((campaignTableRevenue / totalRevenue) * 100).toFixed(1)
-            : '0.0';
-          const flowPercentage = totalRevenue > 0 
-            ? ((flowTableRevenue / totalRevenue) * 100).toFixed(1)
-            : '0.0';
-          
-          // Set summary (with percentages)
-          setSummary({
-            totalRevenue: totalRevenue,
-            campaignRevenue: campaignTableRevenue,
-            flowRevenue: flowTableRevenue,
-            campaignCount: result.totalCampaigns || 0,
-            flowCount: result.totalFlows || 0,
-            campaignPercentage,
-            flowPercentage
-          });
+          applyDashboardData(result);
         } else {
           setError('Failed to load data: ' + (result.error || 'Unknown error'));
         }
@@ -275,7 +247,98 @@ function Dashboard() {
     };
     
     loadData();
-  }, [activeAccount]);
+  }, [activeAccount, dateRange]);
+
+  // Fetch the revenue trend whenever the account, date range or interval changes
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadTrend = async () => {
+      setTrendLoading(true);
+      try {
+        const query = buildDateRangeQuery({ ...dateRange, compare: 'none' });
+        const response = await authenticatedFetch(`${API_BASE}/revenue/timeseries?${query}&interval=${trendInterval}`);
+        const result = await response.json();
+        if (cancelled) return;
+
+        if (result.success) {
+          setTrend(result.data || []);
+        } else {
+          setTrend([]);
+          console.error('Error loading revenue trend:', result.error);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.error('Error loading revenue trend:', error);
+          setTrend([]);
+        }
+      } finally {
+        if (!cancelled) {
+          setTrendLoading(false);
+        }
+      }
+    };
+
+    loadTrend();
+    return () => {
+      cancelled = true;
+    };
+  }, [activeAccount, dateRange, trendInterval]);
+
+  const handleDateRangeChange = (newDateRange) => {
+    setError('');
+    hasFetchedRef.current = false;
+    setDateRange(newDateRange);
+    // Keep the date range in the URL with the table state, back on the first page of each table
+    setSearchParams(previous => {
+      const params = new URLSearchParams(previous);
+      ['preset', 'start', 'end', 'compare', 'campaignPage', 'flowPage'].forEach(name => params.delete(name));
+      new URLSearchParams(buildDateRangeQuery(newDateRange)).forEach((value, name) => params.set(name, value));
+      return params;
+    }, { replace: true });
+  };
+
+  const campaignTableState = parseTableState(searchParams, 'campaign', CAMPAIGN_TABLE_DEFAULTS);
+  const flowTableState = parseTableState(searchParams, 'flow', FLOW_TABLE_DEFAULTS);
+
+  // Update the sort/filter/page state of a table in the URL; any change other than the page goes back to page 1
+  const handleTableStateChange = (prefix, defaults) => (changes) => {
+    setSearchParams(previous => writeTableState(previous, prefix, {
+      ...parseTableState(previous, prefix, defaults),
+      page: 1,
+      ...changes
+    }), { replace: true });
+  };
+
+  // Refetch the dashboard and trend, bypassing the server cache
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    setError('');
+    setLoading(prev => ({ ...prev, campaigns: true, flows: true, summary: true }));
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/revenue/total?${buildDateRangeQuery(dateRange)}&refresh=true`);
+      const result = await response.json();
+      
+      if (result.success) {
+        applyDashboardData(result);
+      } else {
+        setError('Failed to refresh data: ' + (result.error || 'Unknown error'));
+      }
+      
+      const trendQuery = buildDateRangeQuery({ ...dateRange, compare: 'none' });
+      const trendResponse = await authenticatedFetch(`${API_BASE}/revenue/timeseries?${trendQuery}&interval=${trendInterval}&refresh=true`);
+      const trendResult = await trendResponse.json();
+      if (trendResult.success) {
+        setTrend(trendResult.data || []);
+      }
+    } catch (error) {
+      console.error('Error refreshing data:', error);
+      setError('Error refreshing data: ' + error.message);
+    } finally {
+      setLoading(prev => ({ ...prev, campaigns: false, flows: false, summary: false }));
+      setRefreshing(false);
+    }
+  };
 
   const handleSwitchAccount = async (accountId) => {
     if (!accountId) {
@@ -325,54 +388,11 @@ function Dashboard() {
         
         // Fetch fresh data for the new account
         try {
-          const dataResponse = await authenticatedFetch(`${API_BASE}/revenue/total`);
+          const dataResponse = await authenticatedFetch(`${API_BASE}/revenue/total?${buildDateRangeQuery(dateRange)}`);
           const dataResult = await dataResponse.json();
           
           if (dataResult.success) {
-            // Filter campaigns: only show "Sent" status
-            const sentCampaigns = (dataResult.campaigns || []).filter(campaign => {
-              const status = campaign.status || '';
-              return status.toLowerCase() === 'sent';
-            });
-            
-            // Filter flows: only show "Live" status
-            const liveFlows = (dataResult.flows || []).filter(flow => {
-              const status = flow.status || '';
-              return status.toLowerCase() === 'live';
-            });
-            
-            setCampaigns(sentCampaigns);
-            setFlows(liveFlows);
-            
-            const campaignTableRevenue = sentCampaigns.reduce((sum, campaign) => {
-              return sum + (campaign.revenue || 0);
-            }, 0);
-            
-            const flowTableRevenue = liveFlows.reduce((sum, flow) => {
-              return sum + (flow.revenue || 0);
-            }, 0);
-            
-            // Calculate percentages
-            const totalRevenue = dataResult.totalRevenue || 0;
-            const campaignPercentage = totalRevenue > 0 
-              ? ((campaignTableRevenue / totalRevenue) * 100).toFixed(1)
-              : '0.0';
-            const flowPercentage = totalRevenue > 0 
-              ? ((flowTableRevenue / totalRevenue) * 100).toFixed(1)
-              : '0.0';
-            
-            // Set currency
-            setCurrency(dataResult.currency || 'USD');
-            
-            setSummary({
-              totalRevenue: totalRevenue,
-              campaignRevenue: campaignTableRevenue,
-              flowRevenue: flowTableRevenue,
-              campaignCount: dataResult.totalCampaigns || 0,
-              flowCount: dataResult.totalFlows || 0,
-              campaignPercentage,
-              flowPercentage
-            });
+            applyDashboardData(dataResult);
           } else {
             setError(dataResult.error || 'Failed to load data for the new account');
           }
@@ -420,7 +440,8 @@ function Dashboard() {
       const response = await authenticatedFetch(`${API_BASE}/klaviyo-accounts`, {
         method: 'POST',
         body: JSON.stringify({
-          accountName: newAccountName.trim() || 'New Account',
+          // Left empty, the backend names the account after the Klaviyo account
+          accountName: newAccountName.trim(),
           apiKey: newAccountKey.trim()
         })
       });
@@ -431,6 +452,10 @@ function Dashboard() {
         setShowAddAccountModal(false);
         setNewAccountName('');
         setNewAccountKey('');
+        // The key works but some optional scopes are missing
+        if (result.warnings?.length > 0) {
+          window.alert(result.warnings.join('\n'));
+        }
         // Reload data
         hasFetchedRef.current = false;
         window.location.reload();
@@ -485,12 +510,272 @@ function Dashboard() {
     }
   };
 
+  // Apply a saved conversion metric choice; the dashboard of the active account is recomputed for it
+  const handleMetricSettingsSaved = (account) => {
+    setAccounts(accounts.map(acc => (acc.id === account.id ? account : acc)));
+    setMetricSettingsAccount(null);
+    if (account.id === activeAccount?.id) {
+      hasFetchedRef.current = false;
+      setActiveAccount(account);
+    }
+  };
+
+  const handleBrandingSaved = (account) => {
+    setAccounts(accounts.map(acc => (acc.id === account.id ? account : acc)));
+    setBrandingAccount(null);
+  };
+
+  // Switch to another organization of the user; everything on the page belongs to the organization, so reload it
+  const handleSwitchOrganization = async (organizationId) => {
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/organizations/${organizationId}/switch`, { method: 'PUT' });
+      const result = await response.json();
+      if (result.success) {
+        await refreshUser();
+        window.location.reload();
+      } else {
+        setError(result.error || 'Failed to switch organization');
+      }
+    } catch (error) {
+      setError('Failed to switch organization: ' + error.message);
+    }
+  };
+
+  const lastUpdatedStatus = lastUpdated && (
+    <div className="last-updated">
+      {refreshing ? 'Refreshing...' : `Last updated ${formatLastUpdated(lastUpdated, now)}`}
+      {' · '}
+      <button
+        className="refresh-btn"
+        onClick={handleRefresh}
+        disabled={refreshing || loading.summary}
+      >
+        Refresh
+      </button>
+    </div>
+  );
+
+  const dashboardContent = (
+    <>
+      {showAddAccountModal && (
+        <div className="modal-overlay" onClick={() => setShowAddAccountModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h2>Add Klaviyo Account</h2>
+            <form onSubmit={handleAddAccount}>
+              <div className="form-group">
+                <label>Account Name (optional)</label>
+                <input
+                  type="text"
+                  value={newAccountName}
+                  onChange={(e) => setNewAccountName(e.target.value)}
+                  placeholder="Defaults to the Klaviyo account name"
+                />
+              </div>
+              <div className="form-group">
+                <label>Klaviyo API Key *</label>
+                <input
+                  type="text"
+                  value={newAccountKey}
+                  onChange={(e) => setNewAccountKey(e.target.value)}
+                  placeholder="pk_..."
+                  required
+                />
+              </div>
+              <div className="modal-actions">
+                <button 
+                  type="button" 
+                  className="cancel-btn"
+                  onClick={() => {
+                    setShowAddAccountModal(false);
+                    setNewAccountName('');
+                    setNewAccountKey('');
+                  }}
+                >
+                  Cancel
+                </button>
+                <button type="submit" className="submit-btn" disabled={addingAccount}>
+                  {addingAccount ? 'Adding...' : 'Add Account'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {inviteClientAccount && (
+        <InviteClientModal
+          account={inviteClientAccount}
+          onClose={() => setInviteClientAccount(null)}
+        />
+      )}
+
+      {metricSettingsAccount && (
+        <MetricSettingsModal
+          account={metricSettingsAccount}
+          onSaved={handleMetricSettingsSaved}
+          onClose={() => setMetricSettingsAccount(null)}
+        />
+      )}
+
+      {brandingAccount && (
+        <ReportBrandingModal
+          account={brandingAccount}
+          onSaved={handleBrandingSaved}
+          onClose={() => setBrandingAccount(null)}
+        />
+      )}
+
+      {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+      
+      {truncatedResources.length > 0 && !loading.summary && (
+        <div className="warning">
+          Some data is incomplete: Klaviyo returned more {truncatedResources.join(', ')} than the dashboard fetches in one request, so totals and tables may be partial.
+        </div>
+      )}
+      
+      <DateRangePicker value={dateRange} onChange={handleDateRangeChange} disabled={loading.summary} />
+      
+      <RevenueTrendChart
+        data={trend}
+        interval={trendInterval}
+        onIntervalChange={setTrendInterval}
+        loading={trendLoading}
+        formatValue={value => formatCurrency(value, currency)}
+      />
+      
+      {comparison && !loading.summary && (
+        <div className="comparison-note">
+          Compared with {comparison.dateRange.label}
+        </div>
+      )}
+      
+      {/* Summary Cards */}
+      <div className="summary-cards">
+        <div className="summary-card">
+          <div className="summary-card-title">Total Email Revenue</div>
+          <div className="summary-card-value">
+            {loading.summary ? '...' : formatCurrency(summary.totalRevenue, currency)}
+          </div>
+          <div className="summary-card-subtitle">
+            {timeframe}
+            {!loading.summary && <DeltaBadge delta={comparison?.deltas.totalRevenue} />}
+          </div>
+          {!loading.summary && (
+            <div className="summary-card-stats">
+              <span>
+                Open rate {engagement.openRate.toFixed(2)}%
+                <DeltaBadge delta={comparison?.deltas.openRate} />
+              </span>
+              <span>
+                Click rate {engagement.clickRate.toFixed(2)}%
+                <DeltaBadge delta={comparison?.deltas.clickRate} />
+              </span>
+              <span>
+                {conversionMetric?.name || 'Orders'} {engagement.conversions.toLocaleString()}
+                <DeltaBadge delta={comparison?.deltas.conversions} />
+              </span>
+              {secondaryMetric && (
+                <span>
+                  {secondaryMetric.name} {engagement.secondaryConversions.toLocaleString()}
+                  <DeltaBadge delta={comparison?.deltas.secondaryConversions} />
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+        <div className="summary-card">
+          <div className="summary-card-title">Total Campaigns</div>
+          <div className="summary-card-content">
+            <div className="summary-card-left">
+              <div className="summary-card-value">{summary.campaignCount}</div>
+              <div className="summary-card-subtitle">Sent Campaigns</div>
+            </div>
+            <div className="summary-card-right">
+              <div className="summary-card-revenue">{formatCurrency(summary.campaignRevenue, currency)}</div>
+              <div className="summary-card-percentage">{summary.campaignPercentage}% of total</div>
+              {!loading.summary && <DeltaBadge delta={comparison?.deltas.campaignRevenue} />}
+            </div>
+          </div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-card-title">Total Flows</div>
+          <div className="summary-card-content">
+            <div className="summary-card-left">
+              <div className="summary-card-value">{summary.flowCount}</div>
+              <div className="summary-card-subtitle">Live Flows</div>
+            </div>
+            <div className="summary-card-right">
+              <div className="summary-card-revenue">{formatCurrency(summary.flowRevenue, currency)}</div>
+              <div className="summary-card-percentage">{summary.flowPercentage}% of total</div>
+              {!loading.summary && <DeltaBadge delta={comparison?.deltas.flowRevenue} />}
+            </div>
+          </div>
+        </div>
+      </div>
+      
+      <div className="table-section" style={{ marginTop: '48px' }}>
+        <h2 className="table-title">Campaigns ({timeframe})</h2>
+        {loading.campaigns ? (
+          <div className="loading">Loading campaigns...</div>
+        ) : (
+          <CampaignTable
+            campaigns={campaigns}
+            detailQuery={searchParams.toString() || buildDateRangeQuery({ ...dateRange, compare: 'none' })}
+            tableState={campaignTableState}
+            onTableStateChange={handleTableStateChange('campaign', CAMPAIGN_TABLE_DEFAULTS)}
+            currency={currency}
+            showComparison={!!comparison}
+            conversionMetric={conversionMetric}
+            secondaryMetric={secondaryMetric}
+          />
+        )}
+      </div>
+      
+      <div className="table-section" style={{ marginTop: '48px' }}>
+        <h2 className="table-title">Flows ({timeframe})</h2>
+        {loading.flows ? (
+          <div className="loading">Loading flows...</div>
+        ) : (
+          <FlowTable
+            flows={flows}
+            detailQuery={searchParams.toString() || buildDateRangeQuery({ ...dateRange, compare: 'none' })}
+            tableState={flowTableState}
+            onTableStateChange={handleTableStateChange('flow', FLOW_TABLE_DEFAULTS)}
+            currency={currency}
+            showComparison={!!comparison}
+            conversionMetric={conversionMetric}
+            secondaryMetric={secondaryMetric}
+          />
+        )}
+      </div>
+    </>
+  );
+
+  if (isClientPortal) {
+    return (
+      <ClientPortal
+        account={activeAccount}
+        actions={(
+          <>
+            {lastUpdatedStatus}
+            <ExportMenu dateRange={dateRange} disabled={loading.summary || !activeAccount} onError={setError} />
+          </>
+        )}
+      >
+        {dashboardContent}
+      </ClientPortal>
+    );
+  }
+
   return (
     <div className="dashboard-container">
       <div className="container">
         <div className="header">
           <h1>Email Attribution Dashboard</h1>
           <div className="user-info">
+            {lastUpdatedStatus}
+            {canViewWorkspace && <AlertInbox accounts={accounts} onError={setError} />}
+            <ExportMenu dateRange={dateRange} disabled={loading.summary || !activeAccount} onError={setError} />
             {accounts.length > 0 ? (
               <div className="account-switcher">
                 <div className="account-select-wrapper">
@@ -501,7 +786,7 @@ function Dashboard() {
                   >
                     {accounts.map(account => (
                       <option key={account.id} value={account.id}>
-                        {account.name} {account.isActive ? '(Active)' : ''}
+                        {formatAccountLabel(account)} {account.isActive ? '(Active)' : ''}
                       </option>
                     ))}
                   </select>
@@ -531,40 +816,96 @@ function Dashboard() {
                           className={`account-item ${account.isActive ? 'active' : ''}`}
                         >
                           <div className="account-info">
-                            <span className="account-name">{account.name}</span>
+                            <span className="account-name">{formatAccountLabel(account)}</span>
                             {account.isActive && <span className="active-badge">Active</span>}
                           </div>
-                          <button
-                            className="delete-account-btn"
-                            onClick={() => handleDeleteAccount(account.id)}
-                            disabled={deletingAccountId === account.id || accounts.length <= 1}
-                            title={accounts.length <= 1 ? 'Cannot delete the only account' : 'Delete account'}
-                          >
-                            {deletingAccountId === account.id ? '...' : '🗑️'}
-                          </button>
+                          {canConfigureAccounts && (
+                            <>
+                              <button
+                                className="metric-settings-btn"
+                                onClick={() => {
+                                  setShowAccountMenu(false);
+                                  setMetricSettingsAccount(account);
+                                }}
+                                title="Conversion metric"
+                              >
+                                ⚙️
+                              </button>
+                              <button
+                                className="metric-settings-btn"
+                                onClick={() => {
+                                  setShowAccountMenu(false);
+                                  setBrandingAccount(account);
+                                }}
+                                title="Report branding"
+                              >
+                                🎨
+                              </button>
+                              <Link
+                                className="metric-settings-btn"
+                                to={`/dashboard/accounts/${account.id}/schedules`}
+                                title="Report schedules"
+                              >
+                                📅
+                              </Link>
+                              <Link
+                                className="metric-settings-btn"
+                                to={`/dashboard/accounts/${account.id}/alerts`}
+                                title="Alert rules"
+                              >
+                                🔔
+                              </Link>
+                            </>
+                          )}
+                          {hasPermission('members:manage') && (
+                            <button
+                              className="metric-settings-btn"
+                              onClick={() => {
+                                setShowAccountMenu(false);
+                                setInviteClientAccount(account);
+                              }}
+                              title="Invite a client to this account's portal"
+                            >
+                              👤
+                            </button>
+                          )}
+                          {canManageAccounts && (
+                            <button
+                              className="delete-account-btn"
+                              onClick={() => handleDeleteAccount(account.id)}
+                              disabled={deletingAccountId === account.id || accounts.length <= 1}
+                              title={accounts.length <= 1 ? 'Cannot delete the only account' : 'Delete account'}
+                            >
+                              {deletingAccountId === account.id ? '...' : '🗑️'}
+                            </button>
+                          )}
                         </div>
                       ))}
                     </div>
-                    <button
-                      className="add-account-menu-btn"
-                      onClick={() => {
-                        setShowAccountMenu(false);
-                        setShowAddAccountModal(true);
-                      }}
-                    >
-                      + Add New Account
-                    </button>
+                    {canManageAccounts && (
+                      <button
+                        className="add-account-menu-btn"
+                        onClick={() => {
+                          setShowAccountMenu(false);
+                          setShowAddAccountModal(true);
+                        }}
+                      >
+                        + Add New Account
+                      </button>
+                    )}
                   </div>
                 )}
-                <button 
-                  className="add-account-btn" 
-                  onClick={() => setShowAddAccountModal(true)}
-                  title="Add new Klaviyo account"
-                >
-                  +
-                </button>
+                {canManageAccounts && (
+                  <button 
+                    className="add-account-btn" 
+                    onClick={() => setShowAddAccountModal(true)}
+                    title="Add new Klaviyo account"
+                  >
+                    +
+                  </button>
+                )}
               </div>
-            ) : (
+            ) : canManageAccounts ? (
               <button 
                 className="add-account-btn" 
                 onClick={() => setShowAddAccountModal(true)}
@@ -572,298 +913,941 @@ function Dashboard() {
               >
                 + Add Klaviyo Account
               </button>
+            ) : (
+              <span className="no-accounts-note">No accounts have been shared with you yet</span>
+            )}
+            {user?.organizations?.length > 1 && (
+              <select
+                className="account-select organization-select"
+                value={user.organization?.id || ''}
+                onChange={(e) => handleSwitchOrganization(e.target.value)}
+                title="Organization"
+              >
+                {user.organizations.map(organization => (
+                  <option key={organization.id} value={organization.id}>{organization.name}</option>
+                ))}
+              </select>
+            )}
+            {user?.isAdmin && (
+              <Link className="export-btn header-link" to="/dashboard/admin" title="Users, support sign-ins and the audit log">
+                Admin
+              </Link>
+            )}
+            {hasPermission('members:manage') && (
+              <Link className="export-btn header-link" to="/dashboard/team" title="Members of your organization and their roles">
+                Team
+              </Link>
+            )}
+            {canManageWebhooks && (
+              <Link className="export-btn header-link" to="/dashboard/webhooks" title="Webhooks for syncs, alerts and account changes">
+                Webhooks
+              </Link>
             )}
             <span>{user?.email}</span>
             <button className="logout-btn" onClick={logout}>Logout</button>
           </div>
         </div>
 
-        {showAddAccountModal && (
-          <div className="modal-overlay" onClick={() => setShowAddAccountModal(false)}>
-            <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-              <h2>Add Klaviyo Account</h2>
-              <form onSubmit={handleAddAccount}>
-                <div className="form-group">
-                  <label>Account Name (optional)</label>
-                  <input
-                    type="text"
-                    value={newAccountName}
-                    onChange={(e) => setNewAccountName(e.target.value)}
-                    placeholder="e.g., Production Account"
-                  />
-                </div>
-                <div className="form-group">
-                  <label>Klaviyo API Key *</label>
-                  <input
-                    type="text"
-                    value={newAccountKey}
-                    onChange={(e) => setNewAccountKey(e.target.value)}
-                    placeholder="pk_..."
-                    required
-                  />
-                </div>
-                <div className="modal-actions">
-                  <button 
-                    type="button" 
-                    className="cancel-btn"
-                    onClick={() => {
-                      setShowAddAccountModal(false);
-                      setNewAccountName('');
-                      setNewAccountKey('');
-                    }}
-                  >
-                    Cancel
-                  </button>
-                  <button type="submit" className="submit-btn" disabled={addingAccount}>
-                    {addingAccount ? 'Adding...' : 'Add Account'}
-                  </button>
+        {dashboardContent}
+      </div>
+    </div>
+  );
+}
+
+function DateRangePicker({ value, onChange, disabled = false }) {
+  const [customStart, setCustomStart] = useState(value.start);
+  const [customEnd, setCustomEnd] = useState(value.end);
+  const [showCustom, setShowCustom] = useState(value.preset === 'custom');
+
+  const handlePresetChange = (preset) => {
+    if (preset === 'custom') {
+      setShowCustom(true);
+      return;
+    }
+    setShowCustom(false);
+    onChange({ ...value, preset, start: '', end: '' });
+  };
+
+  const handleApplyCustom = (e) => {
+    e.preventDefault();
+    if (!customStart || !customEnd) {
+      return;
+    }
+    onChange({ ...value, preset: 'custom', start: customStart, end: customEnd });
+  };
+
+  return (
+    <form className="filters date-range-picker" onSubmit={handleApplyCustom}>
+      <div className="filter-group">
+        <label htmlFor="date-range-preset">Date Range</label>
+        <select
+          id="date-range-preset"
+          className="status-dropdown"
+          value={showCustom ? 'custom' : value.preset}
+          onChange={(e) => handlePresetChange(e.target.value)}
+          disabled={disabled}
+        >
+          {DATE_RANGE_PRESETS.map(preset => (
+            <option key={preset.key} value={preset.key}>{preset.label}</option>
+          ))}
+          <option value="custom">Custom range</option>
+        </select>
+      </div>
+      {showCustom && (
+        <>
+          <div className="filter-group">
+            <label htmlFor="date-range-start">From</label>
+            <input
+              id="date-range-start"
+              type="date"
+              value={customStart}
+              max={customEnd || undefined}
+              onChange={(e) => setCustomStart(e.target.value)}
+              disabled={disabled}
+              required
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="date-range-end">To</label>
+            <input
+              id="date-range-end"
+              type="date"
+              value={customEnd}
+              min={customStart || undefined}
+              onChange={(e) => setCustomEnd(e.target.value)}
+              disabled={disabled}
+              required
+            />
+          </div>
+          <button type="submit" className="submit-btn" disabled={disabled || !customStart || !customEnd}>
+            Apply
+          </button>
+        </>
+      )}
+      <div className="filter-group">
+        <label htmlFor="date-range-compare">Compare to</label>
+        <select
+          id="date-range-compare"
+          className="status-dropdown"
+          value={value.compare || 'none'}
+          onChange={(e) => onChange({ ...value, compare: e.target.value })}
+          disabled={disabled}
+        >
+          {COMPARISON_OPTIONS.map(option => (
+            <option key={option.key} value={option.key}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+    </form>
+  );
+}
+
+// How often the alert inbox checks for new alerts
+const ALERT_INBOX_REFRESH_MS = 60 * 1000;
+
+// Bell with the number of unread alerts and a dropdown listing the latest alerts of every account
+function AlertInbox({ accounts, onError }) {
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [showInbox, setShowInbox] = useState(false);
+  const [alerts, setAlerts] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const loadAlerts = async () => {
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/alerts`);
+      const result = await response.json();
+      if (result.success) {
+        setAlerts(result.alerts);
+        setUnreadCount(result.unreadCount);
+      }
+    } catch (error) {
+      console.error('Error loading alerts:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadAlerts();
+    const timer = setInterval(loadAlerts, ALERT_INBOX_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Close the inbox when clicking outside
+  useEffect(() => {
+    if (!showInbox) return;
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.alert-inbox')) {
+        setShowInbox(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showInbox]);
+
+  const markRead = async (alertId = null) => {
+    try {
+      const response = await authenticatedFetch(
+        alertId ? `${API_BASE}/alerts/${encodeURIComponent(alertId)}/read` : `${API_BASE}/alerts/read-all`,
+        { method: alertId ? 'PUT' : 'POST' }
+      );
+      const result = await response.json();
+      if (result.success) {
+        const readAt = new Date().toISOString();
+        setAlerts(alerts.map(alert => (!alertId || alert.id === alertId ? { ...alert, readAt: alert.readAt || readAt } : alert)));
+        setUnreadCount(result.unreadCount);
+      } else {
+        onError(result.error || 'Failed to update the alerts');
+      }
+    } catch (error) {
+      onError('Failed to update the alerts: ' + error.message);
+    }
+  };
+
+  const getAccountName = (accountId) => accounts.find(account => account.id === accountId)?.name || 'Deleted account';
+
+  return (
+    <div className="alert-inbox">
+      <button
+        className="alert-inbox-btn"
+        onClick={() => {
+          if (!showInbox) loadAlerts();
+          setShowInbox(!showInbox);
+        }}
+        title="Alerts"
+      >
+        🔔
+        {unreadCount > 0 && <span className="alert-inbox-count">{unreadCount > 99 ? '99+' : unreadCount}</span>}
+      </button>
+      {showInbox && (
+        <div className="alert-inbox-dropdown">
+          <div className="alert-inbox-header">
+            <span>Alerts</span>
+            <button className="alert-inbox-read-all" onClick={() => markRead()} disabled={unreadCount === 0}>
+              Mark all as read
+            </button>
+          </div>
+          {alerts.length === 0 ? (
+            <div className="alert-inbox-empty">No alerts yet. Set up alert rules from the account menu (🔔).</div>
+          ) : (
+            <div className="alert-inbox-list">
+              {alerts.map(alert => (
+                <div
+                  key={alert.id}
+                  className={`alert-inbox-item ${alert.readAt ? '' : 'unread'}`}
+                  onClick={() => !alert.readAt && markRead(alert.id)}
+                >
+                  <div className="alert-inbox-item-title">
+                    <span>{alert.ruleName}</span>
+                    <span className="alert-inbox-item-date">{new Date(alert.firedAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                  </div>
+                  <div className="alert-inbox-item-message">{alert.message}</div>
+                  <div className="alert-inbox-item-account">
+                    {getAccountName(alert.accountId)}
+                    {alert.deliveries.some(delivery => delivery.status === 'failed') && ' · Delivery failed'}
+                  </div>
                 </div>
-              </form>
+              ))}
             </div>
-          </div>
-        )}
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Download formats of the export menu: /api/reports/export (CSV, Excel) and /api/reports/pdf
+const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV', path: 'reports/export?format=csv' },
+  { key: 'xlsx', label: 'Excel (.xlsx)', path: 'reports/export?format=xlsx' },
+  { key: 'pdf', label: 'PDF report', path: 'reports/pdf?' }
+];
+
+// Button to download the summary, campaign table and flow table of the selected date range as CSV or Excel
+function ExportMenu({ dateRange, disabled = false, onError }) {
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [showMenu, setShowMenu] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // Close the menu when clicking outside
+  useEffect(() => {
+    if (!showMenu) return;
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.export-menu')) {
+        setShowMenu(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showMenu]);
+
+  const handleExport = async (format) => {
+    setShowMenu(false);
+    setExporting(true);
+    try {
+      const separator = format.path.endsWith('?') ? '' : '&';
+      const response = await authenticatedFetch(`${API_BASE}/${format.path}${separator}${buildDateRangeQuery(dateRange)}`);
+      if (!response.ok || (response.headers.get('Content-Type') || '').includes('application/json')) {
+        const result = await response.json();
+        onError('Failed to export: ' + (result.error || 'Unknown error'));
+        return;
+      }
+
+      // Save the file under the name chosen by the server
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `klaviyo-report.${format.key}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      onError('Error exporting report: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        className="export-btn"
+        onClick={() => setShowMenu(!showMenu)}
+        disabled={disabled || exporting}
+      >
+        {exporting ? 'Exporting...' : 'Export ▾'}
+      </button>
+      {showMenu && (
+        <div className="export-menu-dropdown">
+          {EXPORT_FORMATS.map(format => (
+            <button key={format.key} className="export-menu-item" onClick={() => handleExport(format)}>
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Modal to choose the conversion metric (and an optional secondary metric) of a Klaviyo account
+function MetricSettingsModal({ account, onSaved, onClose }) {
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [metrics, setMetrics] = useState([]);
+  const [conversionMetricId, setConversionMetricId] = useState(account.conversionMetricId || '');
+  const [secondaryMetricId, setSecondaryMetricId] = useState(account.secondaryMetricId || '');
+  const [defaultMetricName, setDefaultMetricName] = useState(null);
+  const [loadingMetrics, setLoadingMetrics] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
 
+  useEffect(() => {
+    const loadMetrics = async () => {
+      try {
+        const response = await authenticatedFetch(`${API_BASE}/klaviyo-accounts/${account.id}/metrics`);
+        const result = await response.json();
+        if (result.success) {
+          setMetrics(result.metrics || []);
+          setDefaultMetricName(result.conversionMetricId ? null : result.conversionMetric?.name || null);
+        } else {
+          setError(result.error || 'Failed to load metrics');
+        }
+      } catch (error) {
+        setError('Failed to load metrics: ' + error.message);
+      } finally {
+        setLoadingMetrics(false);
+      }
+    };
+    loadMetrics();
+  }, [account.id]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/klaviyo-accounts/${account.id}/metrics`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          conversionMetricId: conversionMetricId || null,
+          secondaryMetricId: secondaryMetricId || null
+        })
+      });
+      const result = await response.json();
+      if (result.success) {
+        onSaved(result.account);
+      } else {
+        setError(result.error || 'Failed to save the conversion metric');
+      }
+    } catch (error) {
+      setError('Failed to save the conversion metric: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatMetricOption = (metric) => (metric.integration ? `${metric.name} (${metric.integration})` : metric.name);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <h2>Conversion Metric</h2>
+        <p className="modal-description">
+          Revenue and conversions of {formatAccountLabel(account)} are counted from this metric's events.
+        </p>
         {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
-        
-        {/* Summary Cards */}
-        <div className="summary-cards">
-          <div className="summary-card">
-            <div className="summary-card-title">Total Email Revenue</div>
-            <div className="summary-card-value">
-              {loading.summary ? '...' : formatCurrency(summary.totalRevenue, currency)}
-            </div>
-            <div className="summary-card-subtitle">Last 30 Days</div>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Conversion metric</label>
+            <select
+              value={conversionMetricId}
+              onChange={(e) => setConversionMetricId(e.target.value)}
+              disabled={loadingMetrics}
+            >
+              <option value="">Default ({defaultMetricName || 'Placed Order'})</option>
+              {metrics.map(metric => (
+                <option key={metric.id} value={metric.id}>{formatMetricOption(metric)}</option>
+              ))}
+            </select>
           </div>
-          <div className="summary-card">
-            <div className="summary-card-title">Total Campaigns</div>
-            <div className="summary-card-content">
-              <div className="summary-card-left">
-                <div className="summary-card-value">{summary.campaignCount}</div>
-                <div className="summary-card-subtitle">Sent Campaigns</div>
-              </div>
-              <div className="summary-card-right">
-                <div className="summary-card-revenue">{formatCurrency(summary.campaignRevenue, currency)}</div>
-                <div className="summary-card-percentage">{summary.campaignPercentage}% of total</div>
-              </div>
-            </div>
+          <div className="form-group">
+            <label>Secondary metric (optional)</label>
+            <select
+              value={secondaryMetricId}
+              onChange={(e) => setSecondaryMetricId(e.target.value)}
+              disabled={loadingMetrics}
+            >
+              <option value="">None</option>
+              {metrics.filter(metric => metric.id !== conversionMetricId).map(metric => (
+                <option key={metric.id} value={metric.id}>{formatMetricOption(metric)}</option>
+              ))}
+            </select>
           </div>
-          <div className="summary-card">
-            <div className="summary-card-title">Total Flows</div>
-            <div className="summary-card-content">
-              <div className="summary-card-left">
-                <div className="summary-card-value">{summary.flowCount}</div>
-                <div className="summary-card-subtitle">Live Flows</div>
-              </div>
-              <div className="summary-card-right">
-                <div className="summary-card-revenue">{formatCurrency(summary.flowRevenue, currency)}</div>
-                <div className="summary-card-percentage">{summary.flowPercentage}% of total</div>
+          <div className="modal-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={saving || loadingMetrics}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Largest report logo the backend accepts
+const MAX_LOGO_BYTES = 512 * 1024;
+
+// Modal to choose the logo and accent color of an account's PDF reports
+function ReportBrandingModal({ account, onSaved, onClose }) {
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [reportLogo, setReportLogo] = useState(null);
+  const [reportAccentColor, setReportAccentColor] = useState('');
+  const [defaultAccentColor, setDefaultAccentColor] = useState('#4f46e5');
+  const [loadingBranding, setLoadingBranding] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadBranding = async () => {
+      try {
+        const response = await authenticatedFetch(`${API_BASE}/klaviyo-accounts/${account.id}/branding`);
+        const result = await response.json();
+        if (result.success) {
+          setReportLogo(result.reportLogo);
+          setReportAccentColor(result.reportAccentColor || '');
+          setDefaultAccentColor(result.defaultAccentColor || '#4f46e5');
+        } else {
+          setError(result.error || 'Failed to load the report branding');
+        }
+      } catch (error) {
+        setError('Failed to load the report branding: ' + error.message);
+      } finally {
+        setLoadingBranding(false);
+      }
+    };
+    loadBranding();
+  }, [account.id]);
+
+  const handleLogoChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    if (!['image/png', 'image/jpeg'].includes(file.type)) {
+      setError('The logo must be a PNG or JPEG image');
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      setError(`The logo must be at most ${MAX_LOGO_BYTES / 1024} KB`);
+      return;
+    }
+    setError('');
+    const reader = new FileReader();
+    reader.onload = () => setReportLogo(reader.result);
+    reader.readAsDataURL(file);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/klaviyo-accounts/${account.id}/branding`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          reportLogo: reportLogo || null,
+          reportAccentColor: reportAccentColor || null
+        })
+      });
+      const result = await response.json();
+      if (result.success) {
+        onSaved(result.account);
+      } else {
+        setError(result.error || 'Failed to save the report branding');
+      }
+    } catch (error) {
+      setError('Failed to save the report branding: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <h2>Report Branding</h2>
+        <p className="modal-description">
+          The logo and accent color of the PDF reports of {formatAccountLabel(account)}.
+        </p>
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Logo (PNG or JPEG, up to {MAX_LOGO_BYTES / 1024} KB)</label>
+            {reportLogo && (
+              <div className="branding-logo-preview">
+                <img src={reportLogo} alt="Report logo" />
+                <button type="button" className="cancel-btn" onClick={() => setReportLogo(null)}>
+                  Remove
+                </button>
               </div>
+            )}
+            <input type="file" accept="image/png,image/jpeg" onChange={handleLogoChange} disabled={loadingBranding} />
+          </div>
+          <div className="form-group">
+            <label>Accent color</label>
+            <div className="branding-color">
+              <input
+                type="color"
+                value={reportAccentColor || defaultAccentColor}
+                onChange={(e) => setReportAccentColor(e.target.value)}
+                disabled={loadingBranding}
+              />
+              {reportAccentColor && (
+                <button type="button" className="cancel-btn" onClick={() => setReportAccentColor('')}>
+                  Use default
+                </button>
+              )}
             </div>
           </div>
-        </div>
-        
-        <div className="table-section" style={{ marginTop: '48px' }}>
-          <h2 className="table-title">Campaigns (Last 30 Days)</h2>
-          {loading.campaigns ? (
-            <div className="loading">Loading campaigns...</div>
-          ) : (
-            <CampaignTable campaigns={campaigns} currency={currency} />
-          )}
-        </div>
-        
-        <div className="table-section" style={{ marginTop: '48px' }}>
-          <h2 className="table-title">Flows (Last 30 Days)</h2>
-          {loading.flows ? (
-            <div className="loading">Loading flows...</div>
-          ) : (
-            <FlowTable flows={flows} currency={currency} />
-          )}
-        </div>
+          <div className="modal-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={saving || loadingBranding}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
       </div>
     </div>
   );
 }
 
-function CampaignTable({ campaigns, currency = 'USD' }) {
-  if (campaigns.length === 0) {
-    return (
-      <table>
-        <tbody>
-          <tr>
-            <td colSpan="7" style={{ textAlign: 'center', padding: '60px', color: '#9ca3af', fontWeight: 500 }}>
-              No campaigns found in the last 30 days
-            </td>
-          </tr>
-        </tbody>
-      </table>
-    );
+// Modal to invite a client to the portal of one account: a read-only login that only sees that account
+function InviteClientModal({ account, onClose }) {
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [email, setEmail] = useState('');
+  const [invited, setInvited] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/organization/invitations`, {
+        method: 'POST',
+        body: JSON.stringify({ email, role: 'client', accountIds: [account.id] })
+      });
+      const result = await response.json();
+      if (result.success) {
+        setInvited({
+          email: result.invitation.email,
+          url: result.inviteUrl || `${window.location.origin}/register?invite=${result.token}`,
+          emailed: result.emailed
+        });
+      } else {
+        setError(result.error || 'Failed to invite the client');
+      }
+    } catch (error) {
+      setError('Failed to invite the client: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <h2>Invite Client</h2>
+        <p className="modal-description">
+          The client gets a read-only dashboard of {formatAccountLabel(account)} only, under your organization's branding.
+        </p>
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        {invited ? (
+          <>
+            <p className="modal-description">
+              {invited.emailed
+                ? `The invitation was emailed to ${invited.email}. You can also send them this link:`
+                : `Send this invitation link to ${invited.email}. It works once and expires in 7 days:`}
+            </p>
+            <code className="invite-link">{invited.url}</code>
+            <div className="modal-actions">
+              <button type="button" className="submit-btn" onClick={onClose}>
+                Done
+              </button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label>Client email</label>
+              <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="owner@store.com" required />
+            </div>
+            <div className="modal-actions">
+              <button type="button" className="cancel-btn" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="submit" className="submit-btn" disabled={saving}>
+                {saving ? 'Inviting...' : 'Create invitation'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Up/down percentage change versus the comparison period
+function DeltaBadge({ delta }) {
+  if (!delta) {
+    return null;
+  }
+
+  if (delta.changePercent === null) {
+    return delta.change > 0 ? <span className="delta delta-new">New</span> : null;
   }
 
+  const direction = delta.changePercent > 0 ? 'up' : delta.changePercent < 0 ? 'down' : 'flat';
+  const arrow = direction === 'up' ? '▲' : direction === 'down' ? '▼' : '';
+
+  return (
+    <span className={`delta delta-${direction}`} title={`Previous: ${delta.previous.toLocaleString(undefined, { maximumFractionDigits: 2 })}`}>
+      {arrow} {Math.abs(delta.changePercent).toFixed(1)}%
+    </span>
+  );
+}
+
+// Conversions of the secondary metric for a campaign or flow row (with its value when the events carry one)
+function SecondaryMetricCell({ row, currency = 'USD', showComparison = false }) {
+  const conversions = row.secondaryConversions || 0;
   return (
-    <table>
-      <thead>
-        <tr>
-          <th>CAMPAIGN</th>
-          <th>MESSAGE TYPE</th>
-          <th>STATUS</th>
-          <th>SEND DATE</th>
-          <th>OPEN RATE</th>
-          <th>CLICK RATE</th>
-          <th style={{ textAlign: 'right' }}>PLACED ORDER</th>
-        </tr>
-      </thead>
-      <tbody>
-        {campaigns.map(campaign => {
-          const sendDate = new Date(campaign.sendDate);
-          const openRate = campaign.recipients > 0 
-            ? ((campaign.opens / campaign.recipients) * 100).toFixed(2) 
-            : '0.00';
-          const clickRate = campaign.recipients > 0 
-            ? ((campaign.clicks / campaign.recipients) * 100).toFixed(2) 
-            : '0.00';
+    <div className="metric" style={{ alignItems: 'flex-end' }}>
+      <span className="metric-value">{conversions.toLocaleString()}</span>
+      {row.secondaryRevenue > 0 && (
+        <span className="revenue-detail">({formatCurrency(row.secondaryRevenue, currency)})</span>
+      )}
+      {showComparison && <DeltaBadge delta={row.comparison?.secondaryConversions} />}
+    </div>
+  );
+}
+
+// Sort values of the campaign table columns
+const CAMPAIGN_COLUMNS = {
+  name: campaign => campaign.name,
+  messageType: campaign => campaign.messageType,
+  status: campaign => campaign.status,
+  sendDate: campaign => (campaign.sendDate ? new Date(campaign.sendDate).getTime() : null),
+  recipients: campaign => campaign.recipients || 0,
+  openRate: campaign => getRowRate(campaign, 'opens'),
+  clickRate: campaign => getRowRate(campaign, 'clicks'),
+  secondaryConversions: campaign => campaign.secondaryConversions || 0,
+  revenue: campaign => campaign.revenue || 0
+};
+
+function CampaignTable({ campaigns, detailQuery = '', tableState, onTableStateChange, currency = 'USD', showComparison = false, conversionMetric = null, secondaryMetric = null }) {
+  const conversionLabel = conversionMetric?.name || 'Placed Order';
+  const columnCount = secondaryMetric ? 9 : 8;
+  const { rows, total, page, pageCount } = applyTableState(campaigns, tableState, {
+    columns: CAMPAIGN_COLUMNS,
+    fields: { channel: 'messageType', date: 'sendDate' }
+  });
+  const headerProps = { state: tableState, onChange: onTableStateChange };
+
+  return (
+    <>
+      {campaigns.length > 0 && (
+        <TableFilters
+          idPrefix="campaign"
+          state={tableState}
+          onChange={onTableStateChange}
+          statuses={getRowStatuses(campaigns)}
+          channels={CAMPAIGN_CHANNELS}
+          dateLabel="Sent"
+          searchPlaceholder="Search campaigns"
+        />
+      )}
+      <div className="table-scroll">
+        <table>
+          {rows.length > 0 && (
+            <thead>
+              <tr>
+                <SortableHeader column="name" label="CAMPAIGN" numeric={false} {...headerProps} />
+                <SortableHeader column="messageType" label="MESSAGE TYPE" numeric={false} {...headerProps} />
+                <SortableHeader column="status" label="STATUS" numeric={false} {...headerProps} />
+                <SortableHeader column="sendDate" label="SEND DATE" {...headerProps} />
+                <SortableHeader column="recipients" label="RECIPIENTS" {...headerProps} />
+                <SortableHeader column="openRate" label="OPEN RATE" {...headerProps} />
+                <SortableHeader column="clickRate" label="CLICK RATE" {...headerProps} />
+                {secondaryMetric && (
+                  <SortableHeader column="secondaryConversions" label={secondaryMetric.name.toUpperCase()} align="right" {...headerProps} />
+                )}
+                <SortableHeader column="revenue" label={conversionLabel.toUpperCase()} align="right" {...headerProps} />
+              </tr>
+            </thead>
+          )}
+          <tbody>
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={columnCount} style={{ textAlign: 'center', padding: '60px', color: '#9ca3af', fontWeight: 500 }}>
+                  {campaigns.length === 0 ? 'No campaigns found in this date range' : 'No campaigns match these filters'}
+                </td>
+              </tr>
+            )}
+            {rows.map(campaign => {
+              const sendDate = new Date(campaign.sendDate);
+              const openRate = campaign.recipients > 0 
+                ? ((campaign.opens / campaign.recipients) * 100).toFixed(2) 
+                : '0.00';
+              const clickRate = campaign.recipients > 0 
+                ? ((campaign.clicks / campaign.recipients) * 100).toFixed(2) 
+                : '0.00';
           
-          const statusClass = campaign.status?.toLowerCase() === 'draft' ? 'status-draft' : 'status-sent';
-          const statusText = campaign.status ? 
-            campaign.status.charAt(0).toUpperCase() + campaign.status.slice(1) : 
-            'Sent';
+              const statusClass = campaign.status?.toLowerCase() === 'draft' ? 'status-draft' : 'status-sent';
+              const statusText = campaign.status ? 
+                campaign.status.charAt(0).toUpperCase() + campaign.status.slice(1) : 
+                'Sent';
           
-          return (
-            <tr key={campaign.id}>
-              <td data-label="Campaign">
-                <div className="campaign-name">{campaign.name}</div>
-                <div className="campaign-subtitle">{campaign.name}</div>
-              </td>
-              <td data-label="Message Type">
-                <span className={campaign.messageType === 'email' ? 'icon-email' : 'icon-automation'}>
-                  {campaign.messageType || 'email'}
-                </span>
-              </td>
-              <td data-label="Status">
-                <span className={`status-badge ${statusClass}`}>
-                  {statusText}
-                </span>
-              </td>
-              <td data-label="Send Date">
-                <div>
-                  {sendDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
-                </div>
-                <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '4px', fontWeight: 500 }}>
-                  {sendDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })} GMT
-                </div>
-              </td>
-              <td data-label="Open Rate">
-                <div className="metric">
-                  <span className="metric-value">{openRate}%</span>
-                  <span className="metric-detail">({campaign.opens.toLocaleString()} recipients)</span>
-                </div>
-              </td>
-              <td data-label="Click Rate">
-                <div className="metric">
-                  <span className="metric-value">{clickRate}%</span>
-                  <span className="metric-detail">({campaign.clicks.toLocaleString()} recipients)</span>
-                </div>
-              </td>
-              <td data-label="Placed Order">
-                <div className="metric" style={{ alignItems: 'flex-end' }}>
-                  <span className="revenue">{formatCurrency(campaign.revenue, currency)}</span>
-                  <span className="revenue-detail">
-                    ({campaign.conversions} recipient{campaign.conversions !== 1 ? 's' : ''})
-                  </span>
-                </div>
-              </td>
-            </tr>
-          );
-        })}
-      </tbody>
-    </table>
+              return (
+                <tr key={campaign.id}>
+                  <td data-label="Campaign">
+                    <Link className="campaign-name" to={`/dashboard/campaigns/${campaign.id}?${detailQuery}`}>{campaign.name}</Link>
+                    <div className="campaign-subtitle">{campaign.name}</div>
+                  </td>
+                  <td data-label="Message Type">
+                    <span className={campaign.messageType === 'email' ? 'icon-email' : 'icon-automation'}>
+                      {campaign.messageType || 'email'}
+                    </span>
+                  </td>
+                  <td data-label="Status">
+                    <span className={`status-badge ${statusClass}`}>
+                      {statusText}
+                    </span>
+                  </td>
+                  <td data-label="Send Date">
+                    <div>
+                      {sendDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                    </div>
+                    <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '4px', fontWeight: 500 }}>
+                      {sendDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })} GMT
+                    </div>
+                  </td>
+                  <td data-label="Recipients">{(campaign.recipients || 0).toLocaleString()}</td>
+                  <td data-label="Open Rate">
+                    <div className="metric">
+                      <span className="metric-value">{openRate}%</span>
+                      <span className="metric-detail">({campaign.opens.toLocaleString()} recipients)</span>
+                      {showComparison && <DeltaBadge delta={campaign.comparison?.openRate} />}
+                    </div>
+                  </td>
+                  <td data-label="Click Rate">
+                    <div className="metric">
+                      <span className="metric-value">{clickRate}%</span>
+                      <span className="metric-detail">({campaign.clicks.toLocaleString()} recipients)</span>
+                      {showComparison && <DeltaBadge delta={campaign.comparison?.clickRate} />}
+                    </div>
+                  </td>
+                  {secondaryMetric && (
+                    <td data-label={secondaryMetric.name}>
+                      <SecondaryMetricCell row={campaign} currency={currency} showComparison={showComparison} />
+                    </td>
+                  )}
+                  <td data-label={conversionLabel}>
+                    <div className="metric" style={{ alignItems: 'flex-end' }}>
+                      <span className="revenue">{formatCurrency(campaign.revenue, currency)}</span>
+                      <span className="revenue-detail">
+                        ({campaign.conversions} recipient{campaign.conversions !== 1 ? 's' : ''})
+                      </span>
+                      {showComparison && <DeltaBadge delta={campaign.comparison?.revenue} />}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <TablePagination page={page} pageCount={pageCount} total={total} onChange={onTableStateChange} />
+    </>
   );
 }
 
-function FlowTable({ flows, currency = 'USD' }) {
-  if (flows.length === 0) {
-    return (
-      <table>
-        <tbody>
-          <tr>
-            <td colSpan="6" style={{ textAlign: 'center', padding: '60px', color: '#9ca3af', fontWeight: 500 }}>
-              No flows found in the last 30 days
-            </td>
-          </tr>
-        </tbody>
-      </table>
-    );
-  }
+// Sort values of the flow table columns
+const FLOW_COLUMNS = {
+  name: flow => flow.name,
+  status: flow => flow.status,
+  updatedAt: flow => (flow.updatedAt ? new Date(flow.updatedAt).getTime() : null),
+  recipients: flow => flow.recipients || 0,
+  openRate: flow => getRowRate(flow, 'opens'),
+  clickRate: flow => getRowRate(flow, 'clicks'),
+  secondaryConversions: flow => flow.secondaryConversions || 0,
+  revenue: flow => flow.revenue || 0
+};
+
+// Flows have no channel of their own (their messages do), so the flow table has no channel filter
+function FlowTable({ flows, detailQuery = '', tableState, onTableStateChange, currency = 'USD', showComparison = false, conversionMetric = null, secondaryMetric = null }) {
+  const conversionLabel = conversionMetric?.name || 'Placed Order';
+  const columnCount = secondaryMetric ? 8 : 7;
+  const { rows, total, page, pageCount } = applyTableState(flows, tableState, {
+    columns: FLOW_COLUMNS,
+    fields: { date: 'updatedAt' }
+  });
+  const headerProps = { state: tableState, onChange: onTableStateChange };
 
   return (
-    <table>
-      <thead>
-        <tr>
-          <th>FLOW</th>
-          <th>STATUS</th>
-          <th>UPDATED</th>
-          <th>OPEN RATE</th>
-          <th>CLICK RATE</th>
-          <th style={{ textAlign: 'right' }}>PLACED ORDER</th>
-        </tr>
-      </thead>
-      <tbody>
-        {flows.map(flow => {
-          const updatedDate = new Date(flow.updatedAt);
-          const openRate = flow.recipients > 0 
-            ? ((flow.opens / flow.recipients) * 100).toFixed(2) 
-            : '0.00';
-          const clickRate = flow.recipients > 0 
-            ? ((flow.clicks / flow.recipients) * 100).toFixed(2) 
-            : '0.00';
+    <>
+      {flows.length > 0 && (
+        <TableFilters
+          idPrefix="flow"
+          state={tableState}
+          onChange={onTableStateChange}
+          statuses={getRowStatuses(flows)}
+          dateLabel="Updated"
+          searchPlaceholder="Search flows"
+        />
+      )}
+      <div className="table-scroll">
+        <table>
+          {rows.length > 0 && (
+            <thead>
+              <tr>
+                <SortableHeader column="name" label="FLOW" numeric={false} {...headerProps} />
+                <SortableHeader column="status" label="STATUS" numeric={false} {...headerProps} />
+                <SortableHeader column="updatedAt" label="UPDATED" {...headerProps} />
+                <SortableHeader column="recipients" label="RECIPIENTS" {...headerProps} />
+                <SortableHeader column="openRate" label="OPEN RATE" {...headerProps} />
+                <SortableHeader column="clickRate" label="CLICK RATE" {...headerProps} />
+                {secondaryMetric && (
+                  <SortableHeader column="secondaryConversions" label={secondaryMetric.name.toUpperCase()} align="right" {...headerProps} />
+                )}
+                <SortableHeader column="revenue" label={conversionLabel.toUpperCase()} align="right" {...headerProps} />
+              </tr>
+            </thead>
+          )}
+          <tbody>
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={columnCount} style={{ textAlign: 'center', padding: '60px', color: '#9ca3af', fontWeight: 500 }}>
+                  {flows.length === 0 ? 'No flows found in this date range' : 'No flows match these filters'}
+                </td>
+              </tr>
+            )}
+            {rows.map(flow => {
+              const updatedDate = new Date(flow.updatedAt);
+              const openRate = flow.recipients > 0 
+                ? ((flow.opens / flow.recipients) * 100).toFixed(2) 
+                : '0.00';
+              const clickRate = flow.recipients > 0 
+                ? ((flow.clicks / flow.recipients) * 100).toFixed(2) 
+                : '0.00';
           
-          const statusClass = flow.status?.toLowerCase() === 'draft' ? 'status-draft' : 'status-sent';
-          const statusText = flow.status ? 
-            flow.status.charAt(0).toUpperCase() + flow.status.slice(1) : 
-            'Active';
+              const statusClass = flow.status?.toLowerCase() === 'draft' ? 'status-draft' : 'status-sent';
+              const statusText = flow.status ? 
+                flow.status.charAt(0).toUpperCase() + flow.status.slice(1) : 
+                'Active';
           
-          return (
-            <tr key={flow.id}>
-              <td data-label="Flow">
-                <div className="campaign-name">{flow.name}</div>
-              </td>
-              <td data-label="Status">
-                <span className={`status-badge ${statusClass}`}>
-                  {statusText}
-                </span>
-              </td>
-              <td data-label="Updated">
-                <div>
-                  {updatedDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
-                </div>
-                <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '4px', fontWeight: 500 }}>
-                  {updatedDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })} GMT
-                </div>
-              </td>
-              <td data-label="Open Rate">
-                <div className="metric">
-                  <span className="metric-value">{openRate}%</span>
-                  <span className="metric-detail">({flow.opens.toLocaleString()} recipients)</span>
-                </div>
-              </td>
-              <td data-label="Click Rate">
-                <div className="metric">
-                  <span className="metric-value">{clickRate}%</span>
-                  <span className="metric-detail">({flow.clicks.toLocaleString()} recipients)</span>
-                </div>
-              </td>
-              <td data-label="Placed Order" style={{ textAlign: 'right' }}>
-                <div className="metric" style={{ alignItems: 'flex-end' }}>
-                  <span className="revenue">{formatCurrency(flow.revenue, currency)}</span>
-                  <span className="revenue-detail">
-                    ({flow.conversions} recipient{flow.conversions !== 1 ? 's' : ''})
-                  </span>
-                </div>
-              </td>
-            </tr>
-          );
-        })}
-      </tbody>
-    </table>
+              return (
+                <tr key={flow.id}>
+                  <td data-label="Flow">
+                    <Link className="campaign-name" to={`/dashboard/flows/${flow.id}?${detailQuery}`}>{flow.name}</Link>
+                  </td>
+                  <td data-label="Status">
+                    <span className={`status-badge ${statusClass}`}>
+                      {statusText}
+                    </span>
+                  </td>
+                  <td data-label="Updated">
+                    <div>
+                      {updatedDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                    </div>
+                    <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '4px', fontWeight: 500 }}>
+                      {updatedDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })} GMT
+                    </div>
+                  </td>
+                  <td data-label="Recipients">{(flow.recipients || 0).toLocaleString()}</td>
+                  <td data-label="Open Rate">
+                    <div className="metric">
+                      <span className="metric-value">{openRate}%</span>
+                      <span className="metric-detail">({flow.opens.toLocaleString()} recipients)</span>
+                      {showComparison && <DeltaBadge delta={flow.comparison?.openRate} />}
+                    </div>
+                  </td>
+                  <td data-label="Click Rate">
+                    <div className="metric">
+                      <span className="metric-value">{clickRate}%</span>
+                      <span className="metric-detail">({flow.clicks.toLocaleString()} recipients)</span>
+                      {showComparison && <DeltaBadge delta={flow.comparison?.clickRate} />}
+                    </div>
+                  </td>
+                  {secondaryMetric && (
+                    <td data-label={secondaryMetric.name} style={{ textAlign: 'right' }}>
+                      <SecondaryMetricCell row={flow} currency={currency} showComparison={showComparison} />
+                    </td>
+                  )}
+                  <td data-label={conversionLabel} style={{ textAlign: 'right' }}>
+                    <div className="metric" style={{ alignItems: 'flex-end' }}>
+                      <span className="revenue">{formatCurrency(flow.revenue, currency)}</span>
+                      <span className="revenue-detail">
+                        ({flow.conversions} recipient{flow.conversions !== 1 ? 's' : ''})
+                      </span>
+                      {showComparison && <DeltaBadge delta={flow.comparison?.revenue} />}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <TablePagination page={page} pageCount={pageCount} total={total} onChange={onTableStateChange} />
+    </>
   );
 }
 
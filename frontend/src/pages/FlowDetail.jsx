@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import FlowFunnel from '../components/FlowFunnel';
+import { formatCurrency, formatDelay } from '../utils/format';
+import { buildDateRangeQuery, parseDateRangeQuery } from '../utils/dateRange';
+import './Dashboard.css';
+import './DetailPage.css';
+
+// Flow detail page: performance of each step (flow message) of a flow in order, with its time delays and a funnel
+function FlowDetail() {
+  const { id } = useParams();
+  const location = useLocation();
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [values, setValues] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // The dashboard passes its date range in the query string
+  const dateRangeQuery = buildDateRangeQuery({ ...parseDateRangeQuery(location.search), compare: 'none' });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadFlow = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await authenticatedFetch(`${API_BASE}/flows/${encodeURIComponent(id)}/values?${dateRangeQuery}`);
+        const result = await response.json();
+        if (cancelled) return;
+
+        if (result.success) {
+          setValues(result);
+        } else {
+          setError(typeof result.error === 'string' ? result.error : 'Failed to load flow');
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.error('Error loading flow:', error);
+          setError('Error loading flow: ' + error.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadFlow();
+    return () => {
+      cancelled = true;
+    };
+  }, [id, dateRangeQuery]);
+
+  const currency = values?.currency || 'USD';
+  const conversionLabel = values?.conversionMetric?.name || 'Placed Order';
+  const totals = values?.totals;
+
+  return (
+    <div className="dashboard-container">
+      <div className="container">
+        <div className="header">
+          <div>
+            <Link className="back-link" to={`/dashboard${location.search}`}>← Back to dashboard</Link>
+            <h1>{values?.flow.name || 'Flow'}</h1>
+            {values && (
+              <div className="detail-meta">
+                <span className="status-badge status-sent">{values.flow.status}</span>
+                {values.flow.triggerType && <span>Trigger: {values.flow.triggerType}</span>}
+                <span>{values.steps.length} step{values.steps.length !== 1 ? 's' : ''}</span>
+                <span>{values.dateRange.label}</span>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+
+        {values?.truncated && (
+          <div className="warning">
+            Some data is incomplete: Klaviyo returned more {values.truncatedResources.join(', ')} than the dashboard fetches in one request.
+          </div>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading flow...</div>
+        ) : totals && (
+          <>
+            <div className="summary-cards">
+              <div className="summary-card">
+                <div className="summary-card-title">Revenue ({conversionLabel})</div>
+                <div className="summary-card-value">{formatCurrency(totals.revenue, currency)}</div>
+                <div className="summary-card-subtitle">
+                  {totals.conversions.toLocaleString()} conversions · {totals.conversionRate.toFixed(2)}% conversion rate
+                </div>
+              </div>
+              <div className="summary-card">
+                <div className="summary-card-title">Messages Sent</div>
+                <div className="summary-card-value">{totals.recipients.toLocaleString()}</div>
+                <div className="summary-card-subtitle">{totals.delivered.toLocaleString()} delivered · {totals.bounces.toLocaleString()} bounced</div>
+              </div>
+              <div className="summary-card">
+                <div className="summary-card-title">Engagement</div>
+                <div className="summary-card-value">{totals.openRate.toFixed(2)}%</div>
+                <div className="summary-card-subtitle">
+                  open rate · {totals.clickRate.toFixed(2)}% click rate · {totals.unsubscribes.toLocaleString()} unsubscribes
+                </div>
+              </div>
+            </div>
+
+            <div className="table-section" style={{ marginTop: '32px' }}>
+              <h2 className="table-title">Funnel</h2>
+              <FlowFunnel steps={values.steps} />
+            </div>
+
+            <div className="table-section">
+              <h2 className="table-title">Steps</h2>
+              <FlowStepTable steps={values.steps} currency={currency} conversionLabel={conversionLabel} />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function FlowStepTable({ steps, currency = 'USD', conversionLabel = 'Placed Order' }) {
+  if (steps.length === 0) {
+    return (
+      <table>
+        <tbody>
+          <tr>
+            <td colSpan="8" style={{ textAlign: 'center', padding: '60px', color: '#9ca3af', fontWeight: 500 }}>
+              This flow has no messages
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    );
+  }
+
+  return (
+    <div className="table-scroll">
+      <table>
+        <thead>
+          <tr>
+            <th>STEP</th>
+            <th>DELAY</th>
+            <th>RECIPIENTS</th>
+            <th>OPEN RATE</th>
+            <th>CLICK RATE</th>
+            <th>UNSUBSCRIBES</th>
+            <th>CONVERSION RATE</th>
+            <th style={{ textAlign: 'right' }}>{conversionLabel.toUpperCase()}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {steps.map(step => (
+            <tr key={step.id}>
+              <td data-label="Step">
+                <div className="message-label">{step.position}. {step.name}</div>
+                <div className="campaign-subtitle">
+                  <span className={step.channel === 'sms' ? 'icon-automation' : 'icon-email'}>{step.channel}</span>
+                </div>
+              </td>
+              <td data-label="Delay">
+                <div className="metric">
+                  <span className="metric-value">{formatDelay(step.delayMinutes)}</span>
+                  {step.minutesSinceTrigger > 0 && (
+                    <span className="metric-detail">{formatDelay(step.minutesSinceTrigger)} after trigger</span>
+                  )}
+                </div>
+              </td>
+              <td data-label="Recipients">
+                <div className="metric">
+                  <span className="metric-value">{step.recipients.toLocaleString()}</span>
+                  <span className="metric-detail">{step.funnelPercent.toFixed(1)}% of first step</span>
+                </div>
+              </td>
+              <td data-label="Open Rate">
+                <div className="metric">
+                  <span className="metric-value">{step.openRate.toFixed(2)}%</span>
+                  <span className="metric-detail">({step.uniqueOpens.toLocaleString()} unique)</span>
+                </div>
+              </td>
+              <td data-label="Click Rate">
+                <div className="metric">
+                  <span className="metric-value">{step.clickRate.toFixed(2)}%</span>
+                  <span className="metric-detail">({step.uniqueClicks.toLocaleString()} unique)</span>
+                </div>
+              </td>
+              <td data-label="Unsubscribes">{step.unsubscribes.toLocaleString()}</td>
+              <td data-label="Conversion Rate">
+                <div className="metric">
+                  <span className="metric-value">{step.conversionRate.toFixed(2)}%</span>
+                  <span className="metric-detail">({step.conversions.toLocaleString()} conversions)</span>
+                </div>
+              </td>
+              <td data-label={conversionLabel}>
+                <span className="revenue">{formatCurrency(step.revenue, currency)}</span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default FlowDetail;
@@ -1,8 +1,17 @@
 import { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import './Register.css';
 
+// How the invited role reads in "You are invited to join ... as ..."
+const INVITED_ROLES = {
+  owner: 'an owner',
+  admin: 'an admin',
+  analyst: 'an analyst',
+  'client-viewer': 'a client viewer',
+  client: 'a client portal user'
+};
+
 function Register() {
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
@@ -10,27 +19,50 @@ function Register() {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
-  const [clients, setClients] = useState([]);
-  const [clientsLoading, setClientsLoading] = useState(true);
-  const { API_BASE } = useAuth();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+  const [invitation, setInvitation] = useState(null);
+  const [accepting, setAccepting] = useState(false);
+  const { API_BASE, isAuthenticated, authenticatedFetch, refreshUser } = useAuth();
   const navigate = useNavigate();
 
+  // An invitation link (?invite=<token>) registers the client into the inviting organization
   useEffect(() => {
-    fetchClients();
-  }, []);
+    if (!inviteToken) return;
+    const loadInvitation = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/invitations/${encodeURIComponent(inviteToken)}`);
+        const result = await response.json();
+        if (result.success) {
+          setInvitation(result.invitation);
+          setEmail(result.invitation.email);
+        } else {
+          setError(result.error || 'This invitation is not valid');
+        }
+      } catch (error) {
+        setError('Failed to load the invitation: ' + error.message);
+      }
+    };
+    loadInvitation();
+  }, [inviteToken]);
 
-  const fetchClients = async () => {
+  // Already logged in: join the organization with the current login
+  const handleAcceptInvitation = async () => {
+    setError('');
+    setAccepting(true);
     try {
-      const response = await fetch(`${API_BASE}/auth/clients`);
+      const response = await authenticatedFetch(`${API_BASE}/invitations/${encodeURIComponent(inviteToken)}/accept`, { method: 'POST' });
       const result = await response.json();
-      
-      if (result.success && result.data) {
-        setClients(result.data);
+      if (result.success) {
+        await refreshUser();
+        navigate('/dashboard');
+      } else {
+        setError(result.error || 'Failed to accept the invitation');
       }
     } catch (error) {
-      console.error('Error fetching clients:', error);
+      setError('Failed to accept the invitation: ' + error.message);
     } finally {
-      setClientsLoading(false);
+      setAccepting(false);
     }
   };
 
@@ -52,14 +84,13 @@ function Register() {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ username, email, password })
+        body: JSON.stringify({ username, email, password, inviteToken: inviteToken || undefined })
       });
 
       const result = await response.json();
 
       if (result.success) {
         setSuccess('Registration successful! Redirecting to login...');
-        fetchClients();
         setTimeout(() => {
           navigate('/');
         }, 2000);
@@ -78,11 +109,21 @@ function Register() {
       <div className="container">
         <div className="register-container">
           <h1>Create Account</h1>
-          <p className="subtitle">Register a new client for Klaviyo Dashboard</p>
+          <p className="subtitle">
+            {invitation
+              ? `You are invited to join ${invitation.organizationName} as ${INVITED_ROLES[invitation.role] || 'a member'}`
+              : 'Register a new client for Klaviyo Dashboard'}
+          </p>
           
           {error && <div className="error show">{error}</div>}
           {success && <div className="success show">{success}</div>}
           
+          {invitation && isAuthenticated() && (
+            <button type="button" className="accept-invite-btn" onClick={handleAcceptInvitation} disabled={accepting}>
+              {accepting ? 'Joining...' : `Join ${invitation.organizationName} with my current login`}
+            </button>
+          )}
+          
           <form onSubmit={handleSubmit}>
             <div className="form-group">
               <label htmlFor="username">Username</label>
@@ -104,6 +145,7 @@ function Register() {
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
                 required
+                readOnly={!!invitation}
                 autoComplete="email"
               />
             </div>
@@ -131,45 +173,6 @@ function Register() {
             Already have an account? <Link to="/">Login here</Link>
           </div>
         </div>
-
-        <div className="clients-container">
-          <h2 className="clients-title">Registered Clients</h2>
-          {clientsLoading ? (
-            <div className="loading-clients">Loading clients...</div>
-          ) : clients.length > 0 ? (
-            <table className="clients-table">
-              <thead>
-                <tr>
-                  <th>Username</th>
-                  <th>Email</th>
-                  <th>Registered</th>
-                </tr>
-              </thead>
-              <tbody>
-                {clients.map(client => {
-                  const date = new Date(client.createdAt);
-                  return (
-                    <tr key={client.id}>
-                      <td>{client.username}</td>
-                      <td className="email">{client.email}</td>
-                      <td className="date">
-                        {date.toLocaleDateString('en-US', {
-                          month: 'short',
-                          day: 'numeric',
-                          year: 'numeric',
-                          hour: '2-digit',
-                          minute: '2-digit'
-                        })}
-                      </td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
-          ) : (
-            <div className="no-clients">No clients registered yet.</div>
-          )}
-        </div>
       </div>
     </div>
   );
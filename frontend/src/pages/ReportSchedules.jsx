@@ -0,0 +1,545 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { DATE_RANGE_PRESETS, COMPARISON_OPTIONS } from '../utils/dateRange';
+import './Dashboard.css';
+import './DetailPage.css';
+import './ReportSchedules.css';
+
+// Formats a schedule can send: a PDF or CSV attachment, or the report inline in the email
+const REPORT_FORMATS = [
+  { key: 'pdf', label: 'PDF attachment' },
+  { key: 'csv', label: 'CSV attachment' },
+  { key: 'html', label: 'Inline HTML' }
+];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// New schedules are weekly reports of the last 7 days, sent on Monday at 08:00
+const EMPTY_SCHEDULE = {
+  name: '',
+  cron: '0 8 * * 1',
+  timezone: '',
+  format: 'pdf',
+  recipients: [],
+  datePreset: 'last_7_days',
+  compare: 'previous_period',
+  enabled: true
+};
+
+// Helper function to read a cron expression as a weekly or monthly schedule (anything else is custom)
+function parseFrequency(cron) {
+  const weekly = /^(\d+) (\d+) \* \* ([0-7])$/.exec(cron);
+  if (weekly) {
+    return { frequency: 'weekly', minute: Number(weekly[1]), hour: Number(weekly[2]), day: Number(weekly[3]) % 7 };
+  }
+  const monthly = /^(\d+) (\d+) (\d+) \* \*$/.exec(cron);
+  if (monthly) {
+    return { frequency: 'monthly', minute: Number(monthly[1]), hour: Number(monthly[2]), day: Number(monthly[3]) };
+  }
+  return { frequency: 'custom', minute: 0, hour: 8, day: 1 };
+}
+
+// Helper function to format an hour and minute as HH:mm
+function formatTime(hour, minute) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// Helper function to describe a cron expression, e.g. "Every Monday at 08:00"
+function describeCron(cron) {
+  const { frequency, minute, hour, day } = parseFrequency(cron);
+  if (frequency === 'weekly') return `Every ${WEEKDAYS[day]} at ${formatTime(hour, minute)}`;
+  if (frequency === 'monthly') return `Monthly on day ${day} at ${formatTime(hour, minute)}`;
+  return `Cron: ${cron}`;
+}
+
+// Helper function to format a timestamp for the schedule and delivery tables
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+}
+
+// Helper function to get the label of an option list entry
+function getOptionLabel(options, key) {
+  return options.find(option => option.key === key)?.label || key;
+}
+
+// Report schedules page: scheduled report emails of one Klaviyo account and their delivery log
+function ReportSchedules() {
+  const { accountId } = useParams();
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [account, setAccount] = useState(null);
+  const [schedules, setSchedules] = useState([]);
+  const [emailConfigured, setEmailConfigured] = useState(true);
+  const [schedulerEnabled, setSchedulerEnabled] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [editingSchedule, setEditingSchedule] = useState(null);
+  const [logSchedule, setLogSchedule] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [busyScheduleId, setBusyScheduleId] = useState(null);
+
+  const schedulesUrl = `${API_BASE}/klaviyo-accounts/${encodeURIComponent(accountId)}/schedules`;
+
+  const loadSchedules = async () => {
+    try {
+      const response = await authenticatedFetch(schedulesUrl);
+      const result = await response.json();
+      if (result.success) {
+        setSchedules(result.schedules);
+        setEmailConfigured(result.emailConfigured);
+        setSchedulerEnabled(result.schedulerEnabled);
+      } else {
+        setError(result.error || 'Failed to load the report schedules');
+      }
+    } catch (error) {
+      setError('Failed to load the report schedules: ' + error.message);
+    }
+  };
+
+  const loadDeliveries = async (schedule) => {
+    try {
+      const response = await authenticatedFetch(`${schedulesUrl}/${schedule.id}/deliveries`);
+      const result = await response.json();
+      if (result.success) {
+        setDeliveries(result.deliveries);
+      } else {
+        setError(result.error || 'Failed to load the delivery log');
+      }
+    } catch (error) {
+      setError('Failed to load the delivery log: ' + error.message);
+    }
+  };
+
+  useEffect(() => {
+    const loadPage = async () => {
+      setLoading(true);
+      try {
+        const response = await authenticatedFetch(`${API_BASE}/klaviyo-accounts`);
+        const result = await response.json();
+        if (result.success) {
+          setAccount(result.accounts.find(acc => acc.id === accountId) || null);
+        }
+        await loadSchedules();
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPage();
+  }, [accountId]);
+
+  const handleShowLog = (schedule) => {
+    setLogSchedule(schedule);
+    setDeliveries([]);
+    loadDeliveries(schedule);
+  };
+
+  const handleSaved = async (schedule) => {
+    setEditingSchedule(null);
+    setNotice(`Saved "${schedule.name}"`);
+    await loadSchedules();
+  };
+
+  const handleToggle = async (schedule) => {
+    setBusyScheduleId(schedule.id);
+    setError('');
+    try {
+      const response = await authenticatedFetch(`${schedulesUrl}/${schedule.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ enabled: !schedule.enabled })
+      });
+      const result = await response.json();
+      if (result.success) {
+        await loadSchedules();
+      } else {
+        setError(result.error || 'Failed to update the schedule');
+      }
+    } catch (error) {
+      setError('Failed to update the schedule: ' + error.message);
+    } finally {
+      setBusyScheduleId(null);
+    }
+  };
+
+  const handleSendNow = async (schedule) => {
+    setBusyScheduleId(schedule.id);
+    setError('');
+    setNotice('');
+    try {
+      const response = await authenticatedFetch(`${schedulesUrl}/${schedule.id}/send`, { method: 'POST' });
+      const result = await response.json();
+      if (result.success) {
+        setNotice(`Sent "${schedule.name}" to ${schedule.recipients.join(', ')}`);
+      } else {
+        setError(`Sending "${schedule.name}" failed: ${result.error}`);
+      }
+      await loadSchedules();
+      if (logSchedule?.id === schedule.id) {
+        await loadDeliveries(schedule);
+      }
+    } catch (error) {
+      setError('Failed to send the report: ' + error.message);
+    } finally {
+      setBusyScheduleId(null);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete the schedule "${schedule.name}" and its delivery log?`)) {
+      return;
+    }
+    setBusyScheduleId(schedule.id);
+    setError('');
+    try {
+      const response = await authenticatedFetch(`${schedulesUrl}/${schedule.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (result.success) {
+        if (logSchedule?.id === schedule.id) {
+          setLogSchedule(null);
+        }
+        await loadSchedules();
+      } else {
+        setError(result.error || 'Failed to delete the schedule');
+      }
+    } catch (error) {
+      setError('Failed to delete the schedule: ' + error.message);
+    } finally {
+      setBusyScheduleId(null);
+    }
+  };
+
+  return (
+    <div className="dashboard-container">
+      <div className="container">
+        <div className="header">
+          <div>
+            <Link className="back-link" to="/dashboard">← Back to dashboard</Link>
+            <h1>Report Schedules</h1>
+            <div className="detail-meta">
+              <span>{account?.name || 'Klaviyo account'}</span>
+              <span>Weekly or monthly performance reports sent by email</span>
+            </div>
+          </div>
+          <button className="submit-btn" onClick={() => setEditingSchedule(EMPTY_SCHEDULE)} disabled={loading}>
+            + New schedule
+          </button>
+        </div>
+
+        {!emailConfigured && (
+          <div className="warning">
+            Email delivery is not configured on the server (SMTP_HOST). Schedules are saved, but sends will fail.
+          </div>
+        )}
+        {!schedulerEnabled && (
+          <div className="warning">
+            The report scheduler is turned off on the server; schedules are only sent with "Send now".
+          </div>
+        )}
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        {notice && <div className="schedule-notice">{notice}</div>}
+
+        {loading ? (
+          <div className="loading">Loading schedules...</div>
+        ) : (
+          <div className="table-section">
+            <div className="table-scroll">
+              <table>
+                <thead>
+                  <tr>
+                    <th>SCHEDULE</th>
+                    <th>REPORT</th>
+                    <th>RECIPIENTS</th>
+                    <th>NEXT RUN</th>
+                    <th>LAST RUN</th>
+                    <th>STATUS</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {schedules.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" style={{ textAlign: 'center', padding: '60px', color: '#9ca3af', fontWeight: 500 }}>
+                        No report schedules yet
+                      </td>
+                    </tr>
+                  ) : schedules.map(schedule => (
+                    <tr key={schedule.id}>
+                      <td data-label="Schedule">
+                        <div className="message-label">{schedule.name}</div>
+                        <div className="campaign-subtitle">{describeCron(schedule.cron)} ({schedule.timezone})</div>
+                      </td>
+                      <td data-label="Report">
+                        <div>{getOptionLabel(REPORT_FORMATS, schedule.format)}</div>
+                        <div className="campaign-subtitle">
+                          {getOptionLabel(DATE_RANGE_PRESETS, schedule.datePreset)}
+                          {schedule.compare !== 'none' && ` vs ${getOptionLabel(COMPARISON_OPTIONS, schedule.compare).toLowerCase()}`}
+                        </div>
+                      </td>
+                      <td data-label="Recipients" className="schedule-recipients">{schedule.recipients.join(', ')}</td>
+                      <td data-label="Next run">{schedule.enabled ? formatDateTime(schedule.nextRunAt) : '—'}</td>
+                      <td data-label="Last run">{formatDateTime(schedule.lastRunAt)}</td>
+                      <td data-label="Status">
+                        <span className={`status-badge ${schedule.enabled ? 'status-sent' : 'status-draft'}`}>
+                          {schedule.enabled ? 'Active' : 'Paused'}
+                        </span>
+                      </td>
+                      <td className="schedule-actions">
+                        <button className="cancel-btn" onClick={() => handleSendNow(schedule)} disabled={busyScheduleId === schedule.id}>
+                          {busyScheduleId === schedule.id ? '...' : 'Send now'}
+                        </button>
+                        <button className="cancel-btn" onClick={() => setEditingSchedule(schedule)}>Edit</button>
+                        <button className="cancel-btn" onClick={() => handleToggle(schedule)} disabled={busyScheduleId === schedule.id}>
+                          {schedule.enabled ? 'Pause' : 'Resume'}
+                        </button>
+                        <button className="cancel-btn" onClick={() => handleShowLog(schedule)}>Log</button>
+                        <button className="delete-account-btn" onClick={() => handleDelete(schedule)} disabled={busyScheduleId === schedule.id} title="Delete schedule">
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {logSchedule && (
+          <div className="table-section" style={{ marginTop: '32px' }}>
+            <h2 className="table-title">Delivery log: {logSchedule.name}</h2>
+            <DeliveryLog deliveries={deliveries} />
+          </div>
+        )}
+
+        {editingSchedule && (
+          <ScheduleFormModal
+            schedule={editingSchedule}
+            schedulesUrl={schedulesUrl}
+            onSaved={handleSaved}
+            onClose={() => setEditingSchedule(null)}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function DeliveryLog({ deliveries }) {
+  return (
+    <div className="table-scroll">
+      <table>
+        <thead>
+          <tr>
+            <th>SENT AT</th>
+            <th>TRIGGER</th>
+            <th>STATUS</th>
+            <th>RECIPIENTS</th>
+            <th>DETAILS</th>
+          </tr>
+        </thead>
+        <tbody>
+          {deliveries.length === 0 ? (
+            <tr>
+              <td colSpan="5" style={{ textAlign: 'center', padding: '40px', color: '#9ca3af', fontWeight: 500 }}>
+                This schedule has not been sent yet
+              </td>
+            </tr>
+          ) : deliveries.map(delivery => (
+            <tr key={delivery.id}>
+              <td data-label="Sent at">{formatDateTime(delivery.sentAt)}</td>
+              <td data-label="Trigger">{delivery.trigger === 'manual' ? 'Send now' : 'Scheduled'}</td>
+              <td data-label="Status">
+                <span className={`status-badge ${delivery.status === 'sent' ? 'status-sent' : 'status-failed'}`}>
+                  {delivery.status === 'sent' ? 'Sent' : 'Failed'}
+                </span>
+              </td>
+              <td data-label="Recipients" className="schedule-recipients">{delivery.recipients.join(', ')}</td>
+              <td data-label="Details" className="schedule-recipients">{delivery.error || delivery.messageId || ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Modal to create or edit a report schedule
+function ScheduleFormModal({ schedule, schedulesUrl, onSaved, onClose }) {
+  const { authenticatedFetch } = useAuth();
+  const initialFrequency = parseFrequency(schedule.cron);
+  const [form, setForm] = useState({
+    ...schedule,
+    recipients: schedule.recipients.join(', '),
+    ...initialFrequency,
+    time: formatTime(initialFrequency.hour, initialFrequency.minute)
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateForm = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  // Weekly and monthly schedules are written as cron expressions, custom ones are used as typed
+  const buildCron = () => {
+    const [hour, minute] = form.time.split(':').map(Number);
+    if (form.frequency === 'weekly') return `${minute} ${hour} * * ${form.day}`;
+    if (form.frequency === 'monthly') return `${minute} ${hour} ${form.day} * *`;
+    return form.cron;
+  };
+
+  const handleFrequencyChange = (frequency) => {
+    // Mondays for weekly reports, the 1st for monthly ones, with a matching date range
+    if (frequency === 'weekly') {
+      updateForm({ frequency, day: 1, datePreset: 'last_7_days' });
+    } else if (frequency === 'monthly') {
+      updateForm({ frequency, day: 1, datePreset: 'last_month' });
+    } else {
+      updateForm({ frequency, cron: buildCron() });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await authenticatedFetch(schedule.id ? `${schedulesUrl}/${schedule.id}` : schedulesUrl, {
+        method: schedule.id ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          name: form.name,
+          cron: buildCron(),
+          timezone: form.timezone || undefined,
+          format: form.format,
+          recipients: form.recipients,
+          datePreset: form.datePreset,
+          compare: form.compare,
+          enabled: form.enabled
+        })
+      });
+      const result = await response.json();
+      if (result.success) {
+        onSaved(result.schedule);
+      } else {
+        setError(result.error || 'Failed to save the schedule');
+      }
+    } catch (error) {
+      setError('Failed to save the schedule: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content schedule-modal" onClick={(e) => e.stopPropagation()}>
+        <h2>{schedule.id ? 'Edit Schedule' : 'New Schedule'}</h2>
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Name</label>
+            <input type="text" value={form.name} onChange={(e) => updateForm({ name: e.target.value })} placeholder="Weekly performance" required />
+          </div>
+          <div className="schedule-form-row">
+            <div className="form-group">
+              <label>Frequency</label>
+              <select value={form.frequency} onChange={(e) => handleFrequencyChange(e.target.value)}>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+                <option value="custom">Custom (cron)</option>
+              </select>
+            </div>
+            {form.frequency === 'weekly' && (
+              <div className="form-group">
+                <label>Day</label>
+                <select value={form.day} onChange={(e) => updateForm({ day: Number(e.target.value) })}>
+                  {WEEKDAYS.map((weekday, index) => (
+                    <option key={weekday} value={index}>{weekday}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {form.frequency === 'monthly' && (
+              <div className="form-group">
+                <label>Day of month</label>
+                <select value={form.day} onChange={(e) => updateForm({ day: Number(e.target.value) })}>
+                  {Array.from({ length: 28 }, (_, index) => (
+                    <option key={index + 1} value={index + 1}>{index + 1}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {form.frequency === 'custom' ? (
+              <div className="form-group">
+                <label>Cron expression</label>
+                <input type="text" value={form.cron} onChange={(e) => updateForm({ cron: e.target.value })} placeholder="0 8 * * 1" required />
+              </div>
+            ) : (
+              <div className="form-group">
+                <label>Time</label>
+                <input type="time" value={form.time} onChange={(e) => updateForm({ time: e.target.value || '08:00' })} required />
+              </div>
+            )}
+          </div>
+          <div className="form-group">
+            <label>Timezone</label>
+            <input
+              type="text"
+              value={form.timezone}
+              onChange={(e) => updateForm({ timezone: e.target.value })}
+              placeholder="The Klaviyo account's timezone"
+            />
+          </div>
+          <div className="form-group">
+            <label>Recipients (comma separated)</label>
+            <textarea
+              value={form.recipients}
+              onChange={(e) => updateForm({ recipients: e.target.value })}
+              placeholder="marketing@example.com, owner@example.com"
+              rows="2"
+              required
+            />
+          </div>
+          <div className="schedule-form-row">
+            <div className="form-group">
+              <label>Format</label>
+              <select value={form.format} onChange={(e) => updateForm({ format: e.target.value })}>
+                {REPORT_FORMATS.map(format => (
+                  <option key={format.key} value={format.key}>{format.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Date range</label>
+              <select value={form.datePreset} onChange={(e) => updateForm({ datePreset: e.target.value })}>
+                {DATE_RANGE_PRESETS.map(preset => (
+                  <option key={preset.key} value={preset.key}>{preset.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Compare with</label>
+              <select value={form.compare} onChange={(e) => updateForm({ compare: e.target.value })}>
+                {COMPARISON_OPTIONS.map(option => (
+                  <option key={option.key} value={option.key}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <label className="schedule-enabled">
+            <input type="checkbox" checked={form.enabled} onChange={(e) => updateForm({ enabled: e.target.checked })} />
+            Send on schedule
+          </label>
+          <div className="modal-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ReportSchedules;
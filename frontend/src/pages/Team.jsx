@@ -0,0 +1,561 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import './Dashboard.css';
+import './DetailPage.css';
+import './ReportSchedules.css';
+import './Webhooks.css';
+import './Team.css';
+
+// What each role can do, shown next to the role choice
+const ROLE_DESCRIPTIONS = {
+  owner: 'Everything, including the organization and its owners',
+  admin: 'Adds and removes accounts, changes their settings and manages members',
+  analyst: 'Read-only access to every account',
+  'client-viewer': 'Read-only access to the accounts you choose',
+  client: 'A client portal: the read-only dashboard of one account, under your branding'
+};
+
+// Roles that only see the accounts they were given
+const ACCOUNT_SCOPED_ROLES = ['client-viewer', 'client'];
+
+// Largest organization logo the backend accepts
+const MAX_LOGO_BYTES = 512 * 1024;
+
+// Helper function to format a timestamp for the member and invitation tables
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+}
+
+// Team page: the members of the current organization, their roles and pending invitations
+function Team() {
+  const { user, authenticatedFetch, refreshUser, hasPermission, API_BASE } = useAuth();
+  const [organization, setOrganization] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [inviteLink, setInviteLink] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [organizationName, setOrganizationName] = useState('');
+  const [showBranding, setShowBranding] = useState(false);
+
+  const organizationUrl = `${API_BASE}/organization`;
+
+  const loadTeam = async () => {
+    try {
+      const response = await authenticatedFetch(organizationUrl);
+      const result = await response.json();
+      if (result.success) {
+        setOrganization(result.organization);
+        setOrganizationName(result.organization.name);
+        setMembers(result.members);
+        setInvitations(result.invitations);
+        setRoles(result.roles);
+      } else {
+        setError(result.error || 'Failed to load the team');
+      }
+    } catch (error) {
+      setError('Failed to load the team: ' + error.message);
+    }
+  };
+
+  useEffect(() => {
+    const loadPage = async () => {
+      setLoading(true);
+      try {
+        const response = await authenticatedFetch(`${API_BASE}/klaviyo-accounts`);
+        const result = await response.json();
+        if (result.success) {
+          setAccounts(result.accounts || []);
+        }
+        await loadTeam();
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPage();
+  }, []);
+
+  // Runs an action on one member or invitation with its buttons disabled
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const getRoleLabel = (role) => roles.find(entry => entry.role === role)?.label || role;
+
+  const getAccountNames = (accountIds) => accountIds
+    .map(id => accounts.find(account => account.id === id)?.name || id)
+    .join(', ');
+
+  const handleSaved = async ({ member, token, inviteUrl, emailed, invitation }) => {
+    setEditing(null);
+    if (invitation) {
+      setInviteLink({
+        email: invitation.email,
+        url: inviteUrl || `${window.location.origin}/register?invite=${token}`,
+        emailed
+      });
+    } else {
+      setNotice(`Updated the role of ${member.username}`);
+      // Changing your own role changes what you can do
+      if (member.userId === user?.id) {
+        await refreshUser();
+      }
+    }
+    await loadTeam();
+  };
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.username} (${member.email}) from ${organization.name}? The accounts they added stay.`)) {
+      return;
+    }
+    runAction(member.userId, async () => {
+      const response = await authenticatedFetch(`${organizationUrl}/members/${member.userId}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error || 'Failed to remove the member');
+      await loadTeam();
+    });
+  };
+
+  const handleRevoke = (invitation) => runAction(invitation.id, async () => {
+    const response = await authenticatedFetch(`${organizationUrl}/invitations/${invitation.id}`, { method: 'DELETE' });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'Failed to revoke the invitation');
+    await loadTeam();
+  });
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    runAction('organization', async () => {
+      const response = await authenticatedFetch(organizationUrl, {
+        method: 'PUT',
+        body: JSON.stringify({ name: organizationName })
+      });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error || 'Failed to rename the organization');
+      setOrganization(result.organization);
+      setNotice(`Renamed the organization to ${result.organization.name}`);
+      await refreshUser();
+    });
+  };
+
+  return (
+    <div className="dashboard-container">
+      <div className="container">
+        <div className="header">
+          <div>
+            <Link className="back-link" to="/dashboard">← Back to dashboard</Link>
+            <h1>Team</h1>
+            <div className="detail-meta">
+              <span>{organization ? organization.name : 'Your organization'}: who can see and change its Klaviyo accounts</span>
+            </div>
+          </div>
+          <button className="submit-btn" onClick={() => setEditing({ role: 'analyst', accountIds: [] })} disabled={loading || !organization}>
+            + Invite member
+          </button>
+        </div>
+
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        {notice && <div className="schedule-notice">{notice}</div>}
+        {inviteLink && (
+          <div className="webhook-secret">
+            <div>
+              {inviteLink.emailed
+                ? `The invitation was emailed to ${inviteLink.email}. The link works once and expires in 7 days:`
+                : `Send this invitation link to ${inviteLink.email}. It works once and expires in 7 days:`}
+            </div>
+            <code>{inviteLink.url}</code>
+            <button className="cancel-btn" onClick={() => setInviteLink(null)}>Done</button>
+          </div>
+        )}
+
+        {hasPermission('organization:manage') && organization && (
+          <form className="team-organization-form" onSubmit={handleRename}>
+            <label htmlFor="organization-name">Organization name</label>
+            <input
+              id="organization-name"
+              type="text"
+              value={organizationName}
+              onChange={(e) => setOrganizationName(e.target.value)}
+              maxLength={100}
+              required
+            />
+            <button type="submit" className="cancel-btn" disabled={busyId === 'organization' || organizationName === organization.name}>
+              Rename
+            </button>
+            <button type="button" className="cancel-btn" onClick={() => setShowBranding(true)} title="The logo and accent color your client portal logins see">
+              Branding
+            </button>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading team...</div>
+        ) : (
+          <>
+            <div className="table-section">
+              <h2 className="table-title">Members</h2>
+              <div className="table-scroll">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>MEMBER</th>
+                      <th>ROLE</th>
+                      <th>ACCOUNTS</th>
+                      <th>JOINED</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {members.map(member => (
+                      <tr key={member.userId}>
+                        <td data-label="Member">
+                          <div className="message-label">{member.username}{member.userId === user?.id ? ' (you)' : ''}</div>
+                          <div className="campaign-subtitle">{member.email}</div>
+                        </td>
+                        <td data-label="Role">
+                          <span className={`status-badge team-role team-role-${member.role}`}>{getRoleLabel(member.role)}</span>
+                        </td>
+                        <td data-label="Accounts" className="schedule-recipients">
+                          {ACCOUNT_SCOPED_ROLES.includes(member.role) ? getAccountNames(member.accountIds) : 'All accounts'}
+                        </td>
+                        <td data-label="Joined">{formatDateTime(member.createdAt)}</td>
+                        <td className="schedule-actions">
+                          <button className="cancel-btn" onClick={() => setEditing(member)} disabled={busyId === member.userId}>
+                            Change role
+                          </button>
+                          <button
+                            className="delete-account-btn"
+                            onClick={() => handleRemove(member)}
+                            disabled={busyId === member.userId}
+                            title="Remove from the organization"
+                          >
+                            🗑️
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="table-section" style={{ marginTop: '32px' }}>
+              <h2 className="table-title">Pending invitations</h2>
+              <div className="table-scroll">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>EMAIL</th>
+                      <th>ROLE</th>
+                      <th>ACCOUNTS</th>
+                      <th>EXPIRES</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invitations.length === 0 ? (
+                      <tr>
+                        <td colSpan="5" style={{ textAlign: 'center', padding: '40px', color: '#9ca3af', fontWeight: 500 }}>
+                          No pending invitations
+                        </td>
+                      </tr>
+                    ) : invitations.map(invitation => (
+                      <tr key={invitation.id}>
+                        <td data-label="Email">{invitation.email}</td>
+                        <td data-label="Role">
+                          <span className={`status-badge team-role team-role-${invitation.role}`}>{getRoleLabel(invitation.role)}</span>
+                        </td>
+                        <td data-label="Accounts" className="schedule-recipients">
+                          {ACCOUNT_SCOPED_ROLES.includes(invitation.role) ? getAccountNames(invitation.accountIds) : 'All accounts'}
+                        </td>
+                        <td data-label="Expires">{formatDateTime(invitation.expiresAt)}</td>
+                        <td className="schedule-actions">
+                          <button className="cancel-btn" onClick={() => handleRevoke(invitation)} disabled={busyId === invitation.id}>
+                            Revoke
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+
+        {editing && (
+          <MemberFormModal
+            member={editing}
+            roles={roles}
+            accounts={accounts}
+            organizationUrl={organizationUrl}
+            canAssignOwner={user?.role === 'owner'}
+            onSaved={handleSaved}
+            onClose={() => setEditing(null)}
+          />
+        )}
+
+        {showBranding && (
+          <OrganizationBrandingModal
+            organizationUrl={organizationUrl}
+            onSaved={(saved) => {
+              setShowBranding(false);
+              setOrganization(saved);
+              setNotice('Saved the organization branding');
+            }}
+            onClose={() => setShowBranding(false)}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Modal to invite a member (no userId) or change a member's role, with the accounts of a client viewer or client
+function MemberFormModal({ member, roles, accounts, organizationUrl, canAssignOwner, onSaved, onClose }) {
+  const { authenticatedFetch } = useAuth();
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState(member.role);
+  const [accountIds, setAccountIds] = useState(member.accountIds || []);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isInvite = !member.userId;
+
+  const toggleAccount = (accountId) => {
+    setAccountIds(accountIds.includes(accountId) ? accountIds.filter(id => id !== accountId) : [...accountIds, accountId]);
+  };
+
+  // A client portal login is pinned to one account
+  const accountsValid = role === 'client' ? accountIds.length === 1 : role !== 'client-viewer' || accountIds.length > 0;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await authenticatedFetch(isInvite ? `${organizationUrl}/invitations` : `${organizationUrl}/members/${member.userId}`, {
+        method: isInvite ? 'POST' : 'PUT',
+        body: JSON.stringify(isInvite ? { email, role, accountIds } : { role, accountIds })
+      });
+      const result = await response.json();
+      if (result.success) {
+        onSaved(result);
+      } else {
+        setError(result.error || 'Failed to save the member');
+      }
+    } catch (error) {
+      setError('Failed to save the member: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content schedule-modal" onClick={(e) => e.stopPropagation()}>
+        <h2>{isInvite ? 'Invite Member' : `Change Role of ${member.username}`}</h2>
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        <form onSubmit={handleSubmit}>
+          {isInvite && (
+            <div className="form-group">
+              <label>Email</label>
+              <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="colleague@agency.com" required />
+            </div>
+          )}
+          <div className="form-group">
+            <label>Role</label>
+            <div className="webhook-events">
+              {roles.map(entry => (
+                <label key={entry.role} className="schedule-enabled">
+                  <input
+                    type="radio"
+                    name="role"
+                    checked={role === entry.role}
+                    onChange={() => setRole(entry.role)}
+                    disabled={entry.role === 'owner' && !canAssignOwner}
+                  />
+                  <span><strong>{entry.label}</strong> {ROLE_DESCRIPTIONS[entry.role]}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          {role === 'client' && (
+            <div className="form-group">
+              <label>Account of their portal</label>
+              <div className="webhook-events">
+                {accounts.map(account => (
+                  <label key={account.id} className="schedule-enabled">
+                    <input type="radio" name="portal-account" checked={accountIds.length === 1 && accountIds[0] === account.id} onChange={() => setAccountIds([account.id])} />
+                    {account.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          {role === 'client-viewer' && (
+            <div className="form-group">
+              <label>Accounts they can see</label>
+              <div className="webhook-events">
+                {accounts.map(account => (
+                  <label key={account.id} className="schedule-enabled">
+                    <input type="checkbox" checked={accountIds.includes(account.id)} onChange={() => toggleAccount(account.id)} />
+                    {account.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          <div className="modal-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={saving || !accountsValid}>
+              {saving ? 'Saving...' : isInvite ? 'Create invitation' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Modal to choose the logo and accent color client portal logins see
+function OrganizationBrandingModal({ organizationUrl, onSaved, onClose }) {
+  const { authenticatedFetch } = useAuth();
+  const [logo, setLogo] = useState(null);
+  const [accentColor, setAccentColor] = useState('');
+  const [defaultAccentColor, setDefaultAccentColor] = useState('#4f46e5');
+  const [loadingBranding, setLoadingBranding] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadBranding = async () => {
+      try {
+        const response = await authenticatedFetch(`${organizationUrl}/branding`);
+        const result = await response.json();
+        if (result.success) {
+          setLogo(result.logo);
+          setAccentColor(result.accentColor || '');
+          setDefaultAccentColor(result.defaultAccentColor || '#4f46e5');
+        } else {
+          setError(result.error || 'Failed to load the branding');
+        }
+      } catch (error) {
+        setError('Failed to load the branding: ' + error.message);
+      } finally {
+        setLoadingBranding(false);
+      }
+    };
+    loadBranding();
+  }, []);
+
+  const handleLogoChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    if (!['image/png', 'image/jpeg'].includes(file.type)) {
+      setError('The logo must be a PNG or JPEG image');
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      setError(`The logo must be at most ${MAX_LOGO_BYTES / 1024} KB`);
+      return;
+    }
+    setError('');
+    const reader = new FileReader();
+    reader.onload = () => setLogo(reader.result);
+    reader.readAsDataURL(file);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await authenticatedFetch(`${organizationUrl}/branding`, {
+        method: 'PUT',
+        body: JSON.stringify({ logo: logo || null, accentColor: accentColor || null })
+      });
+      const result = await response.json();
+      if (result.success) {
+        onSaved(result.organization);
+      } else {
+        setError(result.error || 'Failed to save the branding');
+      }
+    } catch (error) {
+      setError('Failed to save the branding: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <h2>Organization Branding</h2>
+        <p className="modal-description">
+          The logo and accent color your client portal logins see. Invitation emails use the accent color too.
+        </p>
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Logo (PNG or JPEG, up to {MAX_LOGO_BYTES / 1024} KB)</label>
+            {logo && (
+              <div className="branding-logo-preview">
+                <img src={logo} alt="Organization logo" />
+                <button type="button" className="cancel-btn" onClick={() => setLogo(null)}>
+                  Remove
+                </button>
+              </div>
+            )}
+            <input type="file" accept="image/png,image/jpeg" onChange={handleLogoChange} disabled={loadingBranding} />
+          </div>
+          <div className="form-group">
+            <label>Accent color</label>
+            <div className="branding-color">
+              <input
+                type="color"
+                value={accentColor || defaultAccentColor}
+                onChange={(e) => setAccentColor(e.target.value)}
+                disabled={loadingBranding}
+              />
+              {accentColor && (
+                <button type="button" className="cancel-btn" onClick={() => setAccentColor('')}>
+                  Use default
+                </button>
+              )}
+            </div>
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={saving || loadingBranding}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Team;
@@ -0,0 +1,431 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import './Dashboard.css';
+import './DetailPage.css';
+import './ReportSchedules.css';
+import './Webhooks.css';
+
+const EMPTY_WEBHOOK = {
+  url: '',
+  description: '',
+  events: [],
+  enabled: true
+};
+
+// Badge classes of the delivery statuses
+const DELIVERY_STATUSES = {
+  sent: { label: 'Sent', className: 'status-sent' },
+  pending: { label: 'Retrying', className: 'status-draft' },
+  failed: { label: 'Failed', className: 'status-failed' }
+};
+
+// Helper function to format a timestamp for the webhook and delivery tables
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+}
+
+// Webhooks page: URLs subscribed to dashboard events (syncs, alerts, accounts) and their delivery log
+function Webhooks() {
+  const { authenticatedFetch, API_BASE } = useAuth();
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [secret, setSecret] = useState(null);
+  const [editingWebhook, setEditingWebhook] = useState(null);
+  const [logWebhook, setLogWebhook] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [busyWebhookId, setBusyWebhookId] = useState(null);
+
+  const webhooksUrl = `${API_BASE}/webhooks`;
+
+  const loadWebhooks = async () => {
+    try {
+      const response = await authenticatedFetch(webhooksUrl);
+      const result = await response.json();
+      if (result.success) {
+        setWebhooks(result.webhooks);
+        setEvents(result.events);
+      } else {
+        setError(result.error || 'Failed to load the webhooks');
+      }
+    } catch (error) {
+      setError('Failed to load the webhooks: ' + error.message);
+    }
+  };
+
+  const loadDeliveries = async (webhook) => {
+    try {
+      const response = await authenticatedFetch(`${webhooksUrl}/${webhook.id}/deliveries`);
+      const result = await response.json();
+      if (result.success) {
+        setDeliveries(result.deliveries);
+      } else {
+        setError(result.error || 'Failed to load the delivery log');
+      }
+    } catch (error) {
+      setError('Failed to load the delivery log: ' + error.message);
+    }
+  };
+
+  useEffect(() => {
+    const loadPage = async () => {
+      setLoading(true);
+      try {
+        await loadWebhooks();
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPage();
+  }, []);
+
+  // Runs an action on one webhook with its buttons disabled
+  const runAction = async (webhook, action) => {
+    setBusyWebhookId(webhook.id);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusyWebhookId(null);
+    }
+  };
+
+  const handleSaved = async (webhook, newSecret) => {
+    setEditingWebhook(null);
+    setNotice(`Saved the webhook for ${webhook.url}`);
+    if (newSecret) {
+      setSecret({ url: webhook.url, value: newSecret });
+    }
+    await loadWebhooks();
+  };
+
+  const handleShowLog = (webhook) => {
+    setLogWebhook(webhook);
+    setDeliveries([]);
+    loadDeliveries(webhook);
+  };
+
+  const handleToggle = (webhook) => runAction(webhook, async () => {
+    const response = await authenticatedFetch(`${webhooksUrl}/${webhook.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ enabled: !webhook.enabled })
+    });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'Failed to update the webhook');
+    await loadWebhooks();
+  });
+
+  const handleTest = (webhook) => runAction(webhook, async () => {
+    const response = await authenticatedFetch(`${webhooksUrl}/${webhook.id}/test`, { method: 'POST' });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'Failed to send the test event');
+    const { delivery } = result;
+    if (delivery.status === 'sent') {
+      setNotice(`Test event delivered to ${webhook.url} (HTTP ${delivery.responseStatus})`);
+    } else {
+      setError(`Test event to ${webhook.url} failed: ${delivery.error}`);
+    }
+    if (logWebhook?.id === webhook.id) {
+      await loadDeliveries(webhook);
+    }
+  });
+
+  const handleRotateSecret = (webhook) => {
+    if (!window.confirm(`Replace the signing secret of ${webhook.url}? Requests are signed with the new secret right away.`)) {
+      return;
+    }
+    runAction(webhook, async () => {
+      const response = await authenticatedFetch(`${webhooksUrl}/${webhook.id}/rotate-secret`, { method: 'POST' });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error || 'Failed to rotate the secret');
+      setSecret({ url: webhook.url, value: result.secret });
+    });
+  };
+
+  const handleRedeliver = (delivery) => runAction(logWebhook, async () => {
+    const response = await authenticatedFetch(`${webhooksUrl}/${logWebhook.id}/deliveries/${delivery.id}/redeliver`, { method: 'POST' });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'Failed to redeliver the event');
+    await loadDeliveries(logWebhook);
+  });
+
+  const handleDelete = (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url} and its delivery log?`)) {
+      return;
+    }
+    runAction(webhook, async () => {
+      const response = await authenticatedFetch(`${webhooksUrl}/${webhook.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error || 'Failed to delete the webhook');
+      if (logWebhook?.id === webhook.id) {
+        setLogWebhook(null);
+      }
+      await loadWebhooks();
+    });
+  };
+
+  return (
+    <div className="dashboard-container">
+      <div className="container">
+        <div className="header">
+          <div>
+            <Link className="back-link" to="/dashboard">← Back to dashboard</Link>
+            <h1>Webhooks</h1>
+            <div className="detail-meta">
+              <span>Signed HTTP notifications when syncs finish, alerts fire or accounts change</span>
+            </div>
+          </div>
+          <button className="submit-btn" onClick={() => setEditingWebhook(EMPTY_WEBHOOK)} disabled={loading}>
+            + New webhook
+          </button>
+        </div>
+
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        {notice && <div className="schedule-notice">{notice}</div>}
+        {secret && (
+          <div className="webhook-secret">
+            <div>
+              Signing secret for {secret.url}. Copy it now, it will not be shown again:
+            </div>
+            <code>{secret.value}</code>
+            <div className="campaign-subtitle">
+              Each request has an <code>X-Webhook-Signature: sha256=…</code> header: the HMAC-SHA256 of
+              {' '}<code>{'<X-Webhook-Timestamp>.<body>'}</code> with this secret.
+            </div>
+            <button className="cancel-btn" onClick={() => setSecret(null)}>Done</button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading webhooks...</div>
+        ) : (
+          <div className="table-section">
+            <div className="table-scroll">
+              <table>
+                <thead>
+                  <tr>
+                    <th>ENDPOINT</th>
+                    <th>EVENTS</th>
+                    <th>CREATED</th>
+                    <th>STATUS</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {webhooks.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" style={{ textAlign: 'center', padding: '60px', color: '#9ca3af', fontWeight: 500 }}>
+                        No webhooks yet
+                      </td>
+                    </tr>
+                  ) : webhooks.map(webhook => (
+                    <tr key={webhook.id}>
+                      <td data-label="Endpoint">
+                        <div className="message-label webhook-url">{webhook.url}</div>
+                        {webhook.description && <div className="campaign-subtitle">{webhook.description}</div>}
+                      </td>
+                      <td data-label="Events" className="schedule-recipients">{webhook.events.join(', ')}</td>
+                      <td data-label="Created">{formatDateTime(webhook.createdAt)}</td>
+                      <td data-label="Status">
+                        <span className={`status-badge ${webhook.enabled ? 'status-sent' : 'status-draft'}`}>
+                          {webhook.enabled ? 'Active' : 'Paused'}
+                        </span>
+                      </td>
+                      <td className="schedule-actions">
+                        <button className="cancel-btn" onClick={() => handleTest(webhook)} disabled={busyWebhookId === webhook.id}>
+                          {busyWebhookId === webhook.id ? '...' : 'Send test'}
+                        </button>
+                        <button className="cancel-btn" onClick={() => setEditingWebhook(webhook)}>Edit</button>
+                        <button className="cancel-btn" onClick={() => handleToggle(webhook)} disabled={busyWebhookId === webhook.id}>
+                          {webhook.enabled ? 'Pause' : 'Resume'}
+                        </button>
+                        <button className="cancel-btn" onClick={() => handleRotateSecret(webhook)} disabled={busyWebhookId === webhook.id}>
+                          Rotate secret
+                        </button>
+                        <button className="cancel-btn" onClick={() => handleShowLog(webhook)}>Log</button>
+                        <button className="delete-account-btn" onClick={() => handleDelete(webhook)} disabled={busyWebhookId === webhook.id} title="Delete webhook">
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {logWebhook && (
+          <div className="table-section" style={{ marginTop: '32px' }}>
+            <h2 className="table-title">Delivery log: {logWebhook.url}</h2>
+            <WebhookDeliveryLog
+              deliveries={deliveries}
+              busy={busyWebhookId === logWebhook.id}
+              onRedeliver={handleRedeliver}
+            />
+          </div>
+        )}
+
+        {editingWebhook && (
+          <WebhookFormModal
+            webhook={editingWebhook}
+            events={events}
+            webhooksUrl={webhooksUrl}
+            onSaved={handleSaved}
+            onClose={() => setEditingWebhook(null)}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function WebhookDeliveryLog({ deliveries, busy, onRedeliver }) {
+  return (
+    <div className="table-scroll">
+      <table>
+        <thead>
+          <tr>
+            <th>CREATED</th>
+            <th>EVENT</th>
+            <th>STATUS</th>
+            <th>ATTEMPTS</th>
+            <th>DETAILS</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {deliveries.length === 0 ? (
+            <tr>
+              <td colSpan="6" style={{ textAlign: 'center', padding: '40px', color: '#9ca3af', fontWeight: 500 }}>
+                No events have been sent to this webhook yet
+              </td>
+            </tr>
+          ) : deliveries.map(delivery => {
+            const status = DELIVERY_STATUSES[delivery.status] || DELIVERY_STATUSES.pending;
+            return (
+              <tr key={delivery.id}>
+                <td data-label="Created">{formatDateTime(delivery.createdAt)}</td>
+                <td data-label="Event">
+                  <div>{delivery.eventType}</div>
+                  <div className="campaign-subtitle">{delivery.eventId}</div>
+                </td>
+                <td data-label="Status">
+                  <span className={`status-badge ${status.className}`}>{status.label}</span>
+                </td>
+                <td data-label="Attempts">{delivery.attempts}</td>
+                <td data-label="Details" className="schedule-recipients">
+                  {delivery.responseStatus && <div>HTTP {delivery.responseStatus}</div>}
+                  {delivery.error && <div>{delivery.error}</div>}
+                  {delivery.status === 'pending' && delivery.nextAttemptAt && (
+                    <div>Next retry {formatDateTime(delivery.nextAttemptAt)}</div>
+                  )}
+                </td>
+                <td className="schedule-actions">
+                  {delivery.status !== 'sent' && (
+                    <button className="cancel-btn" onClick={() => onRedeliver(delivery)} disabled={busy}>
+                      Redeliver
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Modal to create or edit a webhook subscription
+function WebhookFormModal({ webhook, events, webhooksUrl, onSaved, onClose }) {
+  const { authenticatedFetch } = useAuth();
+  const [form, setForm] = useState({ ...webhook, description: webhook.description || '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateForm = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const toggleEvent = (type) => {
+    updateForm({
+      events: form.events.includes(type) ? form.events.filter(event => event !== type) : [...form.events, type]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await authenticatedFetch(webhook.id ? `${webhooksUrl}/${webhook.id}` : webhooksUrl, {
+        method: webhook.id ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          url: form.url,
+          description: form.description,
+          events: form.events,
+          enabled: form.enabled
+        })
+      });
+      const result = await response.json();
+      if (result.success) {
+        onSaved(result.webhook, result.secret);
+      } else {
+        setError(result.error || 'Failed to save the webhook');
+      }
+    } catch (error) {
+      setError('Failed to save the webhook: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content schedule-modal" onClick={(e) => e.stopPropagation()}>
+        <h2>{webhook.id ? 'Edit Webhook' : 'New Webhook'}</h2>
+        {error && <div className="error" style={{ display: 'block' }}>{error}</div>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Endpoint URL</label>
+            <input type="url" value={form.url} onChange={(e) => updateForm({ url: e.target.value })} placeholder="https://hooks.example.com/klaviyo" required />
+          </div>
+          <div className="form-group">
+            <label>Description (optional)</label>
+            <input type="text" value={form.description} onChange={(e) => updateForm({ description: e.target.value })} placeholder="Slack bot" />
+          </div>
+          <div className="form-group">
+            <label>Events</label>
+            <div className="webhook-events">
+              {events.map(event => (
+                <label key={event.type} className="schedule-enabled">
+                  <input type="checkbox" checked={form.events.includes(event.type)} onChange={() => toggleEvent(event.type)} />
+                  <span><code>{event.type}</code> {event.description}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <label className="schedule-enabled">
+            <input type="checkbox" checked={form.enabled} onChange={(e) => updateForm({ enabled: e.target.checked })} />
+            Active
+          </label>
+          <div className="modal-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={saving || form.events.length === 0}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Webhooks;
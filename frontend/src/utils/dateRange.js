@@ -0,0 +1,45 @@
+// Date range presets supported by /api/revenue/total
+export const DATE_RANGE_PRESETS = [
+  { key: 'last_7_days', label: 'Last 7 days' },
+  { key: 'last_30_days', label: 'Last 30 days' },
+  { key: 'this_month', label: 'This month' },
+  { key: 'last_month', label: 'Last month' },
+  { key: 'last_quarter', label: 'Last quarter' },
+  { key: 'ytd', label: 'Year to date' }
+];
+
+// Comparison windows supported by /api/revenue/total
+export const COMPARISON_OPTIONS = [
+  { key: 'previous_period', label: 'Previous period' },
+  { key: 'previous_year', label: 'Same period last year' },
+  { key: 'none', label: 'No comparison' }
+];
+
+// Helper function to build the date range query string for the API
+export function buildDateRangeQuery(dateRange) {
+  const params = new URLSearchParams();
+  if (dateRange.preset === 'custom') {
+    params.set('start', dateRange.start);
+    params.set('end', dateRange.end);
+  } else {
+    params.set('preset', dateRange.preset);
+  }
+  if (dateRange.compare && dateRange.compare !== 'none') {
+    params.set('compare', dateRange.compare);
+  }
+  return params.toString();
+}
+
+// Helper function to read a date range from a query string built by buildDateRangeQuery
+// Falls back to the last 30 days without comparison
+export function parseDateRangeQuery(search) {
+  const params = new URLSearchParams(search);
+  const start = params.get('start') || '';
+  const end = params.get('end') || '';
+  return {
+    preset: start && end ? 'custom' : (params.get('preset') || 'last_30_days'),
+    start,
+    end,
+    compare: params.get('compare') || 'none'
+  };
+}
@@ -0,0 +1,147 @@
+// Helper function to format currency
+export function formatCurrency(amount, currency = 'USD') {
+  const currencySymbols = {
+    'USD': '$',
+    'EUR': '€',
+    'GBP': '£',
+    'JPY': '¥',
+    'CHF': 'CHF',
+    'CAD': 'C$',
+    'AUD': 'A$',
+    'NZD': 'NZ$',
+  
+    // Middle East / Gulf
+    'AED': 'AED',
+    'SAR': 'SAR',
+    'QAR': 'QAR',
+    'BHD': 'BHD',
+    'KWD': 'KWD',
+    'OMR': 'OMR',
+  
+    // Americas
+    'ARS': '$',
+    'BOB': 'Bs.',
+    'BRL': 'R$',
+    'CLP': '$',
+    'COP': '$',
+    'CRC': '₡',
+    'DOP': 'RD$',
+    'GTQ': 'Q',
+    'HNL': 'L',
+    'MXN': '$',
+    'NIO': 'C$',
+    'PAB': 'B/.',
+    'PEN': 'S/',
+    'PYG': '₲',
+    'UYU': '$U',
+    'VES': 'Bs.',
+  
+    // Africa
+    'ZAR': 'R',
+    'EGP': 'E£',
+    'KES': 'KSh',
+    'NGN': '₦',
+    'MAD': 'د.م.',
+    'TND': 'د.ت',
+    'UGX': 'USh',
+    'GHS': '₵',
+    'RWF': 'FRw',
+  
+    // Asia
+    'CNY': '¥',
+    'HKD': 'HK$',
+    'TWD': 'NT$',
+    'KRW': '₩',
+    'INR': '₹',
+    'IDR': 'Rp',
+    'PHP': '₱',
+    'THB': '฿',
+    'VND': '₫',
+    'MYR': 'RM',
+    'SGD': 'S$',
+    'PKR': '₨',
+    'BDT': '৳',
+    'LKR': 'Rs',
+    'NPR': 'Rs',
+    'MMK': 'K',
+    'KHR': '៛',
+    'LAK': '₭',
+    'MNT': '₮',
+    'KZT': '₸',
+    'UZS': "so'm",
+    'AZN': '₼',
+    'AMD': '֏',
+    'GEL': '₾',
+    'IRR': '﷼',
+    'IQD': 'ع.د',
+    'ILS': '₪',
+  
+    // Europe
+    'RUB': '₽',
+    'UAH': '₴',
+    'PLN': 'zł',
+    'CZK': 'Kč',
+    'HUF': 'Ft',
+    'RON': 'lei',
+    'BGN': 'лв',
+    'SEK': 'kr',
+    'NOK': 'kr',
+    'DKK': 'kr',
+    'ISK': 'kr',
+    'RSD': 'дин',
+    'MKD': 'ден',
+    'BAM': 'KM',
+    'MDL': 'L',
+    // HRK removed (Croatia uses EUR since 2023)
+  
+    // Caribbean & small nations
+    'XCD': '$',
+    'BBD': '$',
+    'BSD': '$',
+    'BMD': '$',
+    'BZD': '$',
+    'GYD': '$',
+    'JMD': '$',
+    'TTD': '$',
+  
+    // Pacific
+    'FJD': '$',
+    'PGK': 'K',
+    'SBD': '$',
+    'WST': 'T',
+    'TOP': 'T$',
+    'VUV': 'Vt',
+  
+    // CFA regions
+    'XOF': 'CFA',
+    'XAF': 'FCFA',
+    'XPF': '₣'
+  };
+  
+  
+  const symbol = currencySymbols[currency] || currency + ' ';
+  const formattedAmount = parseFloat(amount).toFixed(2);
+  
+  // For currencies like AED, CHF, put symbol before amount
+  if (currency === 'AED' || currency === 'CHF' || currency === 'XOF' || currency === 'XAF' || currency === 'XPF') {
+    return `${symbol}${formattedAmount}`;
+  }
+  
+  // For most currencies, put symbol before amount
+  return `${symbol}${formattedAmount}`;
+}
+
+// Helper function to format a flow time delay given in minutes ("1 day 4 h", "30 min")
+export function formatDelay(minutes) {
+  if (minutes === null || minutes === undefined) return '–';
+  if (minutes === 0) return 'Immediately';
+
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const rest = minutes % 60;
+  const parts = [];
+  if (days > 0) parts.push(`${days} day${days !== 1 ? 's' : ''}`);
+  if (hours > 0) parts.push(`${hours} h`);
+  if (rest > 0) parts.push(`${rest} min`);
+  return parts.join(' ');
+}
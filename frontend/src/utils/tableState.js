@@ -0,0 +1,95 @@
+// Sort, filter, search and pagination state of the campaign and flow tables
+// The state lives in the URL query string, one set of parameters per table (prefix "campaign" or "flow"):
+//   <prefix>Sort, <prefix>Dir (asc|desc), <prefix>Search, <prefix>Channel, <prefix>Status,
+//   <prefix>From, <prefix>To (YYYY-MM-DD), <prefix>MinRecipients, <prefix>Page
+
+export const TABLE_PAGE_SIZE = 25;
+
+const TABLE_STATE_FIELDS = ['sort', 'dir', 'search', 'channel', 'status', 'from', 'to', 'minRecipients', 'page'];
+
+// Helper function to get the query parameter name of a table state field
+function getParamName(prefix, field) {
+  return `${prefix}${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+}
+
+// Read a table's state from the query string
+// defaults: { sort, dir } used when the URL has no sort
+export function parseTableState(searchParams, prefix, defaults = {}) {
+  const get = field => searchParams.get(getParamName(prefix, field)) || '';
+  const dir = get('dir');
+  return {
+    sort: get('sort') || defaults.sort || '',
+    dir: dir === 'asc' || dir === 'desc' ? dir : (defaults.dir || 'desc'),
+    search: get('search'),
+    channel: get('channel'),
+    status: get('status'),
+    from: get('from'),
+    to: get('to'),
+    minRecipients: get('minRecipients'),
+    page: Math.max(1, parseInt(get('page'), 10) || 1)
+  };
+}
+
+// Write a table's state into a copy of the query string (empty values and page 1 are left out)
+export function writeTableState(searchParams, prefix, state) {
+  const params = new URLSearchParams(searchParams);
+  TABLE_STATE_FIELDS.forEach(field => {
+    const value = state[field];
+    const name = getParamName(prefix, field);
+    if (value === '' || value === undefined || value === null || (field === 'page' && value <= 1)) {
+      params.delete(name);
+    } else {
+      params.set(name, String(value));
+    }
+  });
+  return params;
+}
+
+// Helper function to compare two cell values (numbers numerically, the rest as text; empty values last)
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Filter, sort and paginate table rows
+// columns: { [sortKey]: row => value }; fields: { name, channel, status, date } row field names to filter on
+// Returns { rows (the current page), total (matching rows), page, pageCount }
+export function applyTableState(rows, state, { columns = {}, fields = {} } = {}) {
+  const search = state.search.trim().toLowerCase();
+  const minRecipients = parseFloat(state.minRecipients);
+
+  const filtered = rows.filter(row => {
+    if (search && !String(row[fields.name || 'name'] || '').toLowerCase().includes(search)) return false;
+    if (state.channel && fields.channel && String(row[fields.channel] || '').toLowerCase() !== state.channel) return false;
+    if (state.status && String(row.status || '').toLowerCase() !== state.status) return false;
+    if (!Number.isNaN(minRecipients) && (row.recipients || 0) < minRecipients) return false;
+    if ((state.from || state.to) && fields.date) {
+      const date = new Date(row[fields.date] || '');
+      if (Number.isNaN(date.getTime())) return false;
+      const day = date.toISOString().slice(0, 10);
+      if (state.from && day < state.from) return false;
+      if (state.to && day > state.to) return false;
+    }
+    return true;
+  });
+
+  const getValue = columns[state.sort];
+  const sorted = getValue
+    ? [...filtered].sort((a, b) => {
+      const order = compareValues(getValue(a), getValue(b));
+      return state.dir === 'asc' ? order : -order;
+    })
+    : filtered;
+
+  const pageCount = Math.max(1, Math.ceil(sorted.length / TABLE_PAGE_SIZE));
+  const page = Math.min(state.page, pageCount);
+  return {
+    rows: sorted.slice((page - 1) * TABLE_PAGE_SIZE, page * TABLE_PAGE_SIZE),
+    total: sorted.length,
+    page,
+    pageCount
+  };
+}